@@ -0,0 +1,49 @@
+/**
+ * Example course pack: house rules for an intro C course
+ *
+ * Both rules are off by default. Turn them on per request with
+ * "rules": { "no-goto": true, "scanf-return-value": true }, or set
+ * enabled: true here to apply them to every request.
+ */
+
+module.exports = {
+  name: 'c-course',
+  rules: [
+    {
+      id: 'no-goto',
+      languages: ['c', 'cpp'],
+      concept: 'structured-control-flow',
+      type: 'style',
+      severity: 'warning',
+      enabled: false,
+      messages: {
+        description: 'This course doesn\'t use goto - write the jump as a loop or an if instead',
+        hints: [
+          'Which loop or if statement could do what this jump does?',
+          'Jumping backwards is usually a loop; jumping forwards is usually an if or an early return.'
+        ]
+      },
+      detect: ({ findAll }) => findAll(['goto_statement']).map(node => ({ node: node.firstChild }))
+    },
+    {
+      id: 'scanf-return-value',
+      languages: ['c', 'cpp'],
+      concept: 'input-validation',
+      type: 'logic',
+      severity: 'warning',
+      enabled: false,
+      messages: {
+        description: 'The value scanf returns is ignored, so bad input goes unnoticed',
+        hints: [
+          'What happens to your variables if the user types a letter instead of a number?',
+          'scanf tells you how many values it read. Where could you check that number?'
+        ]
+      },
+      // A scanf call that is a statement on its own throws its result away
+      detect: ({ findAll }) => findAll(['call_expression'])
+        .filter(call => call.childForFieldName('function').text === 'scanf' &&
+          call.parent.type === 'expression_statement')
+        .map(call => ({ node: call.childForFieldName('function') }))
+    }
+  ]
+};
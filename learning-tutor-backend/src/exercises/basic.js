@@ -0,0 +1,92 @@
+/**
+ * Basic Exercises
+ *
+ * Reading input, arithmetic, conditions and simple loops.
+ */
+
+module.exports = {
+  name: 'basic',
+  exercises: [
+    {
+      id: 'sum-of-two',
+      title: 'Sum of two numbers',
+      difficulty: 'basic',
+      concepts: ['input-parsing', 'arithmetic'],
+      statement: 'Read two integers a and b on one line, separated by a space, and print their sum.\n\n' +
+        'Constraints: -2^31 <= a, b <= 2^31 - 1',
+      starterCode: {
+        python: '# Read two integers and print their sum\nline = input()\n',
+        c: '#include <stdio.h>\n\nint main() {\n    // Read two integers and print their sum\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\nusing namespace std;\n\nint main() {\n    // Read two integers and print their sum\n\n    return 0;\n}\n',
+        java: 'import java.util.Scanner;\n\npublic class Main {\n    public static void main(String[] args) {\n        Scanner in = new Scanner(System.in);\n        // Read two integers and print their sum\n\n    }\n}\n'
+      },
+      samples: [
+        { input: '1 2\n', expectedOutput: '3\n' },
+        { input: '-5 12\n', expectedOutput: '7\n' }
+      ],
+      tests: [
+        { input: '0 0\n', expectedOutput: '0\n' },
+        { input: '-7 -8\n', expectedOutput: '-15\n' },
+        { input: '1000000000 1000000000\n', expectedOutput: '2000000000\n' },
+        // Each number fits in a 32-bit int, the sum doesn't (past 2147483647 / -2147483648)
+        { input: '2000000000 2000000000\n', expectedOutput: '4000000000\n' },
+        { input: '-2147483648 -2147483648\n', expectedOutput: '-4294967296\n' },
+        { input: '-1000000000 999999999\n', expectedOutput: '-1\n' }
+      ],
+      complexity: { time: 'O(1)', space: 'O(1)' }
+    },
+    {
+      id: 'even-or-odd',
+      title: 'Even or odd',
+      difficulty: 'basic',
+      concepts: ['conditionals', 'modulo'],
+      statement: 'Read an integer n and print "even" if it is even, or "odd" if it is odd.\n\n' +
+        'Constraints: -10^9 <= n <= 10^9',
+      starterCode: {
+        python: 'n = int(input())\n# Print "even" or "odd"\n',
+        c: '#include <stdio.h>\n\nint main() {\n    int n;\n    scanf("%d", &n);\n    // Print "even" or "odd"\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\nusing namespace std;\n\nint main() {\n    int n;\n    cin >> n;\n    // Print "even" or "odd"\n\n    return 0;\n}\n',
+        java: 'import java.util.Scanner;\n\npublic class Main {\n    public static void main(String[] args) {\n        Scanner in = new Scanner(System.in);\n        int n = in.nextInt();\n        // Print "even" or "odd"\n\n    }\n}\n'
+      },
+      samples: [
+        { input: '4\n', expectedOutput: 'even\n' },
+        { input: '7\n', expectedOutput: 'odd\n' }
+      ],
+      tests: [
+        { input: '0\n', expectedOutput: 'even\n' },
+        // The remainder of a negative number is negative in C, C++ and Java
+        { input: '-3\n', expectedOutput: 'odd\n' },
+        { input: '-10\n', expectedOutput: 'even\n' },
+        { input: '999999999\n', expectedOutput: 'odd\n' }
+      ],
+      complexity: { time: 'O(1)', space: 'O(1)' }
+    },
+    {
+      id: 'countdown',
+      title: 'Countdown',
+      difficulty: 'basic',
+      concepts: ['loops'],
+      statement: 'Read an integer n and count down from n to 1, one number per line, then print "Liftoff!".\n\n' +
+        'Constraints: 0 <= n <= 1000',
+      starterCode: {
+        python: 'n = int(input())\n# Count down from n to 1, then print "Liftoff!"\n',
+        c: '#include <stdio.h>\n\nint main() {\n    int n;\n    scanf("%d", &n);\n    // Count down from n to 1, then print "Liftoff!"\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\nusing namespace std;\n\nint main() {\n    int n;\n    cin >> n;\n    // Count down from n to 1, then print "Liftoff!"\n\n    return 0;\n}\n',
+        java: 'import java.util.Scanner;\n\npublic class Main {\n    public static void main(String[] args) {\n        Scanner in = new Scanner(System.in);\n        int n = in.nextInt();\n        // Count down from n to 1, then print "Liftoff!"\n\n    }\n}\n'
+      },
+      samples: [
+        { input: '3\n', expectedOutput: '3\n2\n1\nLiftoff!\n' }
+      ],
+      tests: [
+        { input: '1\n', expectedOutput: '1\nLiftoff!\n' },
+        { input: '0\n', expectedOutput: 'Liftoff!\n' },
+        { input: '5\n', expectedOutput: '5\n4\n3\n2\n1\nLiftoff!\n' },
+        {
+          input: '1000\n',
+          expectedOutput: Array.from({ length: 1000 }, (_, i) => `${1000 - i}\n`).join('') + 'Liftoff!\n'
+        }
+      ],
+      complexity: { time: 'O(n)', space: 'O(1)' }
+    }
+  ]
+};
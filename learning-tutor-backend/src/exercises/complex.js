@@ -0,0 +1,146 @@
+/**
+ * Complex Exercises
+ *
+ * Problems where the straightforward solution is too slow or breaks on
+ * large inputs: binary search, stacks and dynamic programming. Each has a
+ * large hidden test that only an efficient solution passes in time.
+ */
+
+// Deterministic pseudo-random integers in [0, range), for the large tests
+// (the MINSTD generator - its products stay exact in a double)
+function pseudoRandom(count, range, seed = 12345) {
+  let state = seed;
+  return Array.from({ length: count }, () => {
+    state = (state * 48271) % 2147483647;
+    return state % range;
+  });
+}
+
+// Binary search: 10^6 sorted multiples of 3, queried 10^4 times within the
+// last 1000 of them (a third are there) - a scan from the front walks nearly
+// the whole list for every query, 10^10 steps in all
+const SORTED = Array.from({ length: 1000000 }, (_, i) => i * 3);
+const QUERIES = pseudoRandom(10000, 3000).map(offset => 2997000 + offset);
+
+function searchAnswers(sorted, queries) {
+  const index = new Map(sorted.map((value, i) => [value, i]));
+  return queries.map(query => `${index.has(query) ? index.get(query) : -1}\n`).join('');
+}
+
+// Longest increasing subsequence of 100000 values, by patience sorting
+const SEQUENCE = pseudoRandom(100000, 1000000);
+
+function lisLength(values) {
+  const tails = [];
+  for (const value of values) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = value;
+  }
+  return tails.length;
+}
+
+module.exports = {
+  name: 'complex',
+  exercises: [
+    {
+      id: 'binary-search',
+      title: 'Find the positions',
+      difficulty: 'complex',
+      concepts: ['binary-search', 'arrays'],
+      statement: 'The first line has n and q. The second line has n distinct integers in increasing order, ' +
+        'the third line q queries. For each query print its 0-based position in the list, or -1 if it is ' +
+        'not there, one answer per line.\n\n' +
+        'Constraints: 1 <= n <= 10^6, 1 <= q <= 10^4, values and queries fit in a 32-bit int',
+      starterCode: {
+        python: 'n, q = map(int, input().split())\nvalues = list(map(int, input().split()))\nqueries = list(map(int, input().split()))\n# For each query, print its position in values or -1\n',
+        c: '#include <stdio.h>\n#include <stdlib.h>\n\nint main() {\n    int n, q;\n    scanf("%d %d", &n, &q);\n    // Read the values and the queries; for each query print its position or -1\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\n#include <vector>\nusing namespace std;\n\nint main() {\n    int n, q;\n    cin >> n >> q;\n    vector<int> values(n);\n    for (auto &v : values) cin >> v;\n    // For each query, print its position in values or -1\n\n    return 0;\n}\n',
+        java: 'import java.io.*;\nimport java.util.*;\n\npublic class Main {\n    public static void main(String[] args) throws IOException {\n        BufferedReader in = new BufferedReader(new InputStreamReader(System.in));\n        StringTokenizer first = new StringTokenizer(in.readLine());\n        int n = Integer.parseInt(first.nextToken());\n        int q = Integer.parseInt(first.nextToken());\n        // Read the values and the queries; for each query print its position or -1\n\n    }\n}\n'
+      },
+      samples: [
+        { input: '5 3\n1 3 5 7 9\n7 1 4\n', expectedOutput: '3\n0\n-1\n' }
+      ],
+      tests: [
+        { input: '1 2\n10\n10 11\n', expectedOutput: '0\n-1\n' },
+        { input: '4 4\n-8 -2 0 6\n-8 6 -3 0\n', expectedOutput: '0\n3\n-1\n2\n' },
+        { input: '3 2\n1 2 3\n0 4\n', expectedOutput: '-1\n-1\n' },
+        {
+          input: `${SORTED.length} ${QUERIES.length}\n${SORTED.join(' ')}\n${QUERIES.join(' ')}\n`,
+          expectedOutput: searchAnswers(SORTED, QUERIES),
+          timeLimitMs: 3000
+        }
+      ],
+      complexity: { time: 'O((n + q) log n)', space: 'O(n)' }
+    },
+    {
+      id: 'balanced-brackets',
+      title: 'Balanced brackets',
+      difficulty: 'complex',
+      concepts: ['stacks', 'strings'],
+      statement: 'Read one line made of the characters ( ) [ ] { } and print "YES" if every bracket is closed ' +
+        'by the matching bracket in the right order, or "NO" otherwise.\n\n' +
+        'Constraints: 1 <= length <= 10^5',
+      starterCode: {
+        python: 'line = input().strip()\n# Print YES if the brackets in line are balanced, otherwise NO\n',
+        c: '#include <stdio.h>\n#include <string.h>\n\nchar line[100002];\n\nint main() {\n    scanf("%100001s", line);\n    // Print YES if the brackets in line are balanced, otherwise NO\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\n#include <string>\nusing namespace std;\n\nint main() {\n    string line;\n    cin >> line;\n    // Print YES if the brackets in line are balanced, otherwise NO\n\n    return 0;\n}\n',
+        java: 'import java.io.*;\n\npublic class Main {\n    public static void main(String[] args) throws IOException {\n        BufferedReader in = new BufferedReader(new InputStreamReader(System.in));\n        String line = in.readLine().trim();\n        // Print YES if the brackets in line are balanced, otherwise NO\n\n    }\n}\n'
+      },
+      samples: [
+        { input: '([]{})\n', expectedOutput: 'YES\n' },
+        { input: '([)]\n', expectedOutput: 'NO\n' }
+      ],
+      tests: [
+        { input: '(\n', expectedOutput: 'NO\n' },
+        { input: ')(\n', expectedOutput: 'NO\n' },
+        { input: '{[()()]}\n', expectedOutput: 'YES\n' },
+        // Counting each kind separately isn't enough
+        { input: '{(})\n', expectedOutput: 'NO\n' },
+        { input: '(()\n', expectedOutput: 'NO\n' },
+        // Deep nesting - too deep for a recursive solution
+        { input: `${'('.repeat(50000)}${')'.repeat(50000)}\n`, expectedOutput: 'YES\n' },
+        { input: `${'[]'.repeat(49999)}[[\n`, expectedOutput: 'NO\n' }
+      ],
+      complexity: { time: 'O(n)', space: 'O(n)' }
+    },
+    {
+      id: 'longest-increasing-subsequence',
+      title: 'Longest increasing subsequence',
+      difficulty: 'complex',
+      concepts: ['dynamic-programming', 'binary-search'],
+      statement: 'The first line has n, the second n integers. Print the length of the longest strictly ' +
+        'increasing subsequence: values in their original order, each larger than the one before, ' +
+        'not necessarily next to each other.\n\n' +
+        'Constraints: 1 <= n <= 10^5, 0 <= each value <= 10^9',
+      starterCode: {
+        python: 'n = int(input())\nvalues = list(map(int, input().split()))\n# Print the length of the longest strictly increasing subsequence\n',
+        c: '#include <stdio.h>\n\nint main() {\n    int n;\n    scanf("%d", &n);\n    // Read the n values and print the length of the longest strictly increasing subsequence\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\n#include <vector>\nusing namespace std;\n\nint main() {\n    int n;\n    cin >> n;\n    vector<int> values(n);\n    for (auto &v : values) cin >> v;\n    // Print the length of the longest strictly increasing subsequence\n\n    return 0;\n}\n',
+        java: 'import java.io.*;\nimport java.util.*;\n\npublic class Main {\n    public static void main(String[] args) throws IOException {\n        BufferedReader in = new BufferedReader(new InputStreamReader(System.in));\n        int n = Integer.parseInt(in.readLine().trim());\n        StringTokenizer tokens = new StringTokenizer(in.readLine());\n        // Print the length of the longest strictly increasing subsequence\n\n    }\n}\n'
+      },
+      samples: [
+        { input: '8\n10 9 2 5 3 7 101 18\n', expectedOutput: '4\n' },
+        { input: '4\n5 5 5 5\n', expectedOutput: '1\n' }
+      ],
+      tests: [
+        { input: '1\n7\n', expectedOutput: '1\n' },
+        { input: '6\n1 2 3 4 5 6\n', expectedOutput: '6\n' },
+        { input: '5\n9 7 5 3 1\n', expectedOutput: '1\n' },
+        { input: '9\n0 8 4 12 2 10 6 14 1\n', expectedOutput: '4\n' },
+        // O(n^2) is too slow here
+        {
+          input: `${SEQUENCE.length}\n${SEQUENCE.join(' ')}\n`,
+          expectedOutput: `${lisLength(SEQUENCE)}\n`,
+          timeLimitMs: 3000
+        }
+      ],
+      complexity: { time: 'O(n log n)', space: 'O(n)' }
+    }
+  ]
+};
@@ -0,0 +1,163 @@
+/**
+ * Exercise Library
+ *
+ * Curated problems to practise on without bringing your own. An exercise:
+ *   id: string                          // unique, kebab-case ("sum-of-two")
+ *   title: string
+ *   difficulty: "basic" | "moderate" | "complex"   // the analyze levels
+ *   concepts: string[]                  // what solving it practises (kebab-case tags)
+ *   statement: string
+ *   starterCode: { [language]: string } // one entry per language it can be solved in
+ *   samples: [{ input, expectedOutput }]              // shown to the student
+ *   tests: [{ input, expectedOutput, timeLimitMs? }]  // hidden
+ *   comparison?: "exact" | "whitespace" | "float" | "unordered" (default "whitespace")
+ *   complexity: { time, space }         // of a reference solution, e.g. "O(n log n)"
+ *
+ * Submissions are judged against the samples and the hidden tests; the
+ * student only sees details for the samples.
+ *
+ * Exercises come in packs: a CommonJS file exporting { name, exercises },
+ * one per difficulty, next to this file.
+ */
+
+const {
+  SUPPORTED_LANGUAGES,
+  SUPPORTED_LEVELS,
+  SUPPORTED_COMPARISON_MODES,
+  MAX_TEST_CASES
+} = require('../utils/validators');
+
+const PACKS = [
+  require('./basic'),
+  require('./moderate'),
+  require('./complex')
+];
+
+const EXERCISE_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DEFAULT_COMPARISON = 'whitespace';
+
+// id -> exercise, in catalogue order
+const exercises = new Map();
+let loaded = false;
+
+/**
+ * Throws if an exercise is missing a field or has one of the wrong kind
+ */
+function validateExercise(exercise) {
+  const name = exercise && typeof exercise.id === 'string' ? `Exercise '${exercise.id}'` : 'Exercise';
+  const fail = message => { throw new Error(`${name} ${message}`); };
+  const isTestCase = t => t && typeof t.input === 'string' && typeof t.expectedOutput === 'string';
+
+  if (!exercise || typeof exercise !== 'object') fail('must be an object');
+  if (typeof exercise.id !== 'string' || !EXERCISE_ID.test(exercise.id)) fail('needs a kebab-case id');
+  if (typeof exercise.title !== 'string' || !exercise.title) fail('needs a title');
+  if (!SUPPORTED_LEVELS.includes(exercise.difficulty)) fail(`difficulty must be one of: ${SUPPORTED_LEVELS.join(', ')}`);
+  if (!Array.isArray(exercise.concepts) || exercise.concepts.length === 0 ||
+      !exercise.concepts.every(c => typeof c === 'string' && EXERCISE_ID.test(c))) {
+    fail('needs at least one kebab-case concept');
+  }
+  if (typeof exercise.statement !== 'string' || !exercise.statement) fail('needs a statement');
+
+  const languages = Object.keys(exercise.starterCode || {});
+  if (languages.length === 0 || !languages.every(l => SUPPORTED_LANGUAGES.includes(l) && typeof exercise.starterCode[l] === 'string')) {
+    fail(`starterCode must map some of ${SUPPORTED_LANGUAGES.join(', ')} to code`);
+  }
+  if (!Array.isArray(exercise.samples) || exercise.samples.length === 0 || !exercise.samples.every(isTestCase)) {
+    fail('needs at least one sample { input, expectedOutput }');
+  }
+  if (!Array.isArray(exercise.tests) || exercise.tests.length === 0 || !exercise.tests.every(isTestCase)) {
+    fail('needs at least one hidden test { input, expectedOutput }');
+  }
+  if (exercise.samples.length + exercise.tests.length > MAX_TEST_CASES) {
+    fail(`can have at most ${MAX_TEST_CASES} samples and tests`);
+  }
+  if (exercise.comparison !== undefined && !SUPPORTED_COMPARISON_MODES.includes(exercise.comparison)) {
+    fail(`comparison must be one of: ${SUPPORTED_COMPARISON_MODES.join(', ')}`);
+  }
+  if (!exercise.complexity || typeof exercise.complexity.time !== 'string' || typeof exercise.complexity.space !== 'string') {
+    fail('needs complexity { time, space }');
+  }
+}
+
+/**
+ * Registers the built-in packs (once)
+ */
+function loadExercises() {
+  if (loaded) return;
+  loaded = true;
+
+  for (const pack of PACKS) {
+    for (const exercise of pack.exercises) {
+      validateExercise(exercise);
+      if (exercises.has(exercise.id)) {
+        throw new Error(`Exercise '${exercise.id}' is already registered`);
+      }
+      exercises.set(exercise.id, { comparison: DEFAULT_COMPARISON, ...exercise, pack: pack.name });
+    }
+  }
+}
+
+/**
+ * Catalogue entry: what a list of exercises shows
+ */
+function toSummary(exercise) {
+  return {
+    id: exercise.id,
+    title: exercise.title,
+    difficulty: exercise.difficulty,
+    concepts: exercise.concepts,
+    languages: Object.keys(exercise.starterCode),
+    complexity: exercise.complexity
+  };
+}
+
+/**
+ * The catalogue, optionally narrowed to a language, difficulty and/or concept
+ * Returns [{ id, title, difficulty, concepts, languages, complexity }]
+ */
+function listExercises({ language, difficulty, concept } = {}) {
+  loadExercises();
+  return [...exercises.values()]
+    .filter(exercise => !language || exercise.starterCode[language] !== undefined)
+    .filter(exercise => !difficulty || exercise.difficulty === difficulty)
+    .filter(exercise => !concept || exercise.concepts.includes(concept))
+    .map(toSummary);
+}
+
+/**
+ * An exercise with its hidden tests, or null
+ */
+function getExercise(id) {
+  loadExercises();
+  return exercises.get(id) || null;
+}
+
+/**
+ * What a student may see of an exercise: everything but the hidden tests
+ * With a language, starterCode is that language's code
+ */
+function toStudentExercise(exercise, language) {
+  return {
+    ...toSummary(exercise),
+    statement: exercise.statement,
+    starterCode: language ? exercise.starterCode[language] : exercise.starterCode,
+    samples: exercise.samples,
+    comparison: exercise.comparison,
+    testCount: exercise.tests.length
+  };
+}
+
+/**
+ * Hint-ladder key for an exercise, so its hints climb separately
+ */
+function exerciseProblemId(exerciseId) {
+  return `exercise-${exerciseId}`;
+}
+
+module.exports = {
+  loadExercises,
+  listExercises,
+  getExercise,
+  toStudentExercise,
+  exerciseProblemId
+};
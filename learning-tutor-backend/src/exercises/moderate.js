@@ -0,0 +1,104 @@
+/**
+ * Moderate Exercises
+ *
+ * Strings and arrays: splitting, scanning, two pointers and edge cases.
+ */
+
+// 100000 distinct values (7919 and 100003 are coprime), for the large test
+const LARGE_VALUES = Array.from({ length: 100000 }, (_, i) => (i * 7919) % 100003 - 50000);
+
+function secondLargest(values) {
+  const distinct = [...new Set(values)].sort((a, b) => b - a);
+  return distinct.length < 2 ? 'NONE' : String(distinct[1]);
+}
+
+module.exports = {
+  name: 'moderate',
+  exercises: [
+    {
+      id: 'reverse-words',
+      title: 'Reverse the words',
+      difficulty: 'moderate',
+      concepts: ['strings', 'arrays'],
+      statement: 'Read one line of words separated by one or more spaces and print the words in reverse order, ' +
+        'separated by single spaces.\n\n' +
+        'Constraints: the line has at least one word and at most 1000 characters',
+      starterCode: {
+        python: 'line = input()\n# Print the words of line in reverse order\n',
+        c: '#include <stdio.h>\n#include <string.h>\n\nint main() {\n    char line[1001];\n    fgets(line, sizeof line, stdin);\n    // Print the words of line in reverse order\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\n#include <string>\nusing namespace std;\n\nint main() {\n    string line;\n    getline(cin, line);\n    // Print the words of line in reverse order\n\n    return 0;\n}\n',
+        java: 'import java.util.Scanner;\n\npublic class Main {\n    public static void main(String[] args) {\n        Scanner in = new Scanner(System.in);\n        String line = in.nextLine();\n        // Print the words of line in reverse order\n\n    }\n}\n'
+      },
+      samples: [
+        { input: 'hello world\n', expectedOutput: 'world hello\n' },
+        { input: 'the quick brown fox\n', expectedOutput: 'fox brown quick the\n' }
+      ],
+      tests: [
+        { input: 'single\n', expectedOutput: 'single\n' },
+        { input: '  spaces   between    words  \n', expectedOutput: 'words between spaces\n' },
+        { input: 'a b c d e f g\n', expectedOutput: 'g f e d c b a\n' },
+        { input: 'Mixed CASE stays As Is\n', expectedOutput: 'Is As stays CASE Mixed\n' }
+      ],
+      complexity: { time: 'O(n)', space: 'O(n)' }
+    },
+    {
+      id: 'second-largest',
+      title: 'Second largest value',
+      difficulty: 'moderate',
+      concepts: ['arrays', 'loops', 'edge-cases'],
+      statement: 'The first line has n, the second n integers. Print the second largest distinct value, ' +
+        'or "NONE" if there are fewer than two distinct values.\n\n' +
+        'Constraints: 1 <= n <= 10^5, -10^9 <= each value <= 10^9',
+      starterCode: {
+        python: 'n = int(input())\nvalues = list(map(int, input().split()))\n# Print the second largest distinct value, or NONE\n',
+        c: '#include <stdio.h>\n\nint main() {\n    int n;\n    scanf("%d", &n);\n    // Read the n values and print the second largest distinct one, or NONE\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\n#include <vector>\nusing namespace std;\n\nint main() {\n    int n;\n    cin >> n;\n    vector<long long> values(n);\n    for (auto &v : values) cin >> v;\n    // Print the second largest distinct value, or NONE\n\n    return 0;\n}\n',
+        java: 'import java.util.Scanner;\n\npublic class Main {\n    public static void main(String[] args) {\n        Scanner in = new Scanner(System.in);\n        int n = in.nextInt();\n        // Read the n values and print the second largest distinct one, or NONE\n\n    }\n}\n'
+      },
+      samples: [
+        { input: '5\n3 9 4 9 1\n', expectedOutput: '4\n' },
+        { input: '3\n7 7 7\n', expectedOutput: 'NONE\n' }
+      ],
+      tests: [
+        { input: '1\n42\n', expectedOutput: 'NONE\n' },
+        { input: '2\n-5 -2\n', expectedOutput: '-5\n' },
+        { input: '6\n1 2 3 4 5 6\n', expectedOutput: '5\n' },
+        { input: '4\n1000000000 -1000000000 1000000000 0\n', expectedOutput: '0\n' },
+        {
+          input: `${LARGE_VALUES.length}\n${LARGE_VALUES.join(' ')}\n`,
+          expectedOutput: `${secondLargest(LARGE_VALUES)}\n`
+        }
+      ],
+      complexity: { time: 'O(n)', space: 'O(1)' }
+    },
+    {
+      id: 'palindrome-check',
+      title: 'Palindrome check',
+      difficulty: 'moderate',
+      concepts: ['strings', 'two-pointers'],
+      statement: 'Read one line and print "YES" if it reads the same forwards and backwards, or "NO" otherwise. ' +
+        'Ignore letter case and every character that is not a letter or a digit.\n\n' +
+        'Constraints: the line has at most 1000 characters',
+      starterCode: {
+        python: 'line = input()\n# Print YES if line is a palindrome (ignoring case and punctuation), otherwise NO\n',
+        c: '#include <stdio.h>\n#include <ctype.h>\n#include <string.h>\n\nint main() {\n    char line[1001];\n    fgets(line, sizeof line, stdin);\n    // Print YES if line is a palindrome (ignoring case and punctuation), otherwise NO\n\n    return 0;\n}\n',
+        cpp: '#include <iostream>\n#include <string>\n#include <cctype>\nusing namespace std;\n\nint main() {\n    string line;\n    getline(cin, line);\n    // Print YES if line is a palindrome (ignoring case and punctuation), otherwise NO\n\n    return 0;\n}\n',
+        java: 'import java.util.Scanner;\n\npublic class Main {\n    public static void main(String[] args) {\n        Scanner in = new Scanner(System.in);\n        String line = in.nextLine();\n        // Print YES if line is a palindrome (ignoring case and punctuation), otherwise NO\n\n    }\n}\n'
+      },
+      samples: [
+        { input: 'racecar\n', expectedOutput: 'YES\n' },
+        { input: 'A man, a plan, a canal: Panama\n', expectedOutput: 'YES\n' },
+        { input: 'hello\n', expectedOutput: 'NO\n' }
+      ],
+      tests: [
+        { input: 'x\n', expectedOutput: 'YES\n' },
+        { input: 'ab\n', expectedOutput: 'NO\n' },
+        { input: 'No lemon, no melon!\n', expectedOutput: 'YES\n' },
+        { input: '12321\n', expectedOutput: 'YES\n' },
+        { input: '1a2\n', expectedOutput: 'NO\n' },
+        { input: 'Was it a car or a cat I saw?\n', expectedOutput: 'YES\n' }
+      ],
+      complexity: { time: 'O(n)', space: 'O(1)' }
+    }
+  ]
+};
@@ -13,7 +13,23 @@ const express = require('express');
 const cors = require('cors');
 const analyzeRoutes = require('./routes/analyze');
 const runRoutes = require('./routes/run');
+const traceRoutes = require('./routes/trace');
+const judgeRoutes = require('./routes/judge');
+const complexityRoutes = require('./routes/complexity');
+const lintRoutes = require('./routes/lint');
+const sessionRoutes = require('./routes/sessions');
 const analyzeImageRoutes = require('./routes/analyzeImage');
+const authRoutes = require('./routes/auth');
+const profileRoutes = require('./routes/profile');
+const classRoutes = require('./routes/classes');
+const assignmentRoutes = require('./routes/assignments');
+const exerciseRoutes = require('./routes/exercises');
+const { optionalAuth } = require('./middleware/auth');
+const { initParsers } = require('./utils/codeParser');
+const { loadRules } = require('./rules');
+const { loadExercises } = require('./exercises');
+const { attachInteractiveRuns, PATH: INTERACTIVE_PATH } = require('./services/interactiveRunService');
+const { attachDebugSessions, PATH: DEBUG_PATH } = require('./services/debugSessionService');
 const path = require('path');
 
 const app = express();
@@ -29,8 +45,10 @@ app.use(cors({
     // Allow all origins for now to debug connection issues
     callback(null, true);
   },
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // So the frontend can name CSV downloads
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Parse JSON request bodies
@@ -45,6 +63,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Signed-in requests (Authorization: Bearer <token>) get req.user
+app.use(optionalAuth);
+
 // ============================================================
 // ROUTES
 // ============================================================
@@ -67,7 +88,20 @@ app.get('/', (req, res) => {
       health: "GET /health",
       analyze: "POST /analyze",
       run: "POST /run",
-      "analyze-image": "POST /analyze-image"
+      "run-interactive": "WebSocket /run/interactive (CODE_EXECUTOR=local)",
+      debug: "WebSocket /debug (CODE_EXECUTOR=local)",
+      trace: "POST /trace (CODE_EXECUTOR=local)",
+      judge: "POST /judge",
+      complexity: "POST /complexity",
+      lint: "POST /lint",
+      "lint-rules": "GET /lint/rules",
+      sessions: "POST /sessions, GET|DELETE /sessions/:id",
+      "analyze-image": "POST /analyze-image",
+      auth: "POST /auth/register, POST /auth/login, POST /auth/logout, GET /auth/me",
+      profile: "GET|PUT /profile, GET /profile/conversations",
+      classes: "POST|GET /classes, POST /classes/join, GET /classes/:id, POST /classes/:id/assignments, GET /classes/:id/roster, GET /classes/:id/analytics[.csv]",
+      assignments: "GET /assignments/:id, POST /assignments/:id/submit",
+      exercises: "GET /exercises, GET /exercises/:id, POST /exercises/:id/submit"
     },
     note: "Use POST endpoints with JSON body"
   });
@@ -79,9 +113,37 @@ app.use('/analyze', analyzeRoutes);
 // Code execution endpoint - run code safely
 app.use('/run', runRoutes);
 
+// Step-by-step trace - variables, call stack and output on every line
+app.use('/trace', traceRoutes);
+
+// Test-case judge endpoint - run code against expected outputs
+app.use('/judge', judgeRoutes);
+
+// Time complexity estimate - no execution, just code structure
+app.use('/complexity', complexityRoutes);
+
+// Live editor diagnostics - parser-based issues with exact ranges
+app.use('/lint', lintRoutes);
+
+// Conversation sessions - multi-turn memory for /analyze
+app.use('/sessions', sessionRoutes);
+
 // Image analysis endpoint - problem screenshots
 app.use('/analyze-image', analyzeImageRoutes);
 
+// Accounts - optional sign-in for server-side progress
+app.use('/auth', authRoutes);
+
+// Learning profile sync and conversation history (signed in)
+app.use('/profile', profileRoutes);
+
+// Classroom mode - classes, assignments and hidden-test submissions
+app.use('/classes', classRoutes);
+app.use('/assignments', assignmentRoutes);
+
+// Exercise library - curated problems with hidden tests
+app.use('/exercises', exerciseRoutes);
+
 // Catch all handler: send back React's index.html file for client-side routing
 app.get('{*path}', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/index.html'));
@@ -112,6 +174,13 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================================
 
+// Load the language grammars up front so the first /lint doesn't wait for them
+initParsers().catch(error => console.error('[Parser] Failed to load grammars:', error.message));
+// ...and the detector rules, so a broken rule pack shows up in the startup log
+loadRules();
+// ...and the exercise library, so a broken exercise fails at startup rather than on first use
+loadExercises();
+
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`
 ╔══════════════════════════════════════════════════════════════╗
@@ -128,4 +197,14 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   `);
 });
 
+// Interactive runs - stdin typed while the program runs, over a WebSocket
+attachInteractiveRuns(server);
+// Debug sessions - breakpoints and stepping, over a WebSocket
+attachDebugSessions(server);
+// Each service takes its own path; upgrades to any other are refused
+server.on('upgrade', (req, socket) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (![INTERACTIVE_PATH, DEBUG_PATH].includes(pathname)) socket.destroy();
+});
+
 module.exports = app;
@@ -0,0 +1,60 @@
+/**
+ * Auth Middleware
+ *
+ * Signed-in requests carry "Authorization: Bearer <token>" (from POST
+ * /auth/login). Every route works without one; the token only adds an
+ * account, which keeps progress and conversations in the database.
+ */
+
+const { verifyToken } = require('../services/accountService');
+
+/**
+ * The bearer token of a request, or null
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Sets req.user ({ id, username, createdAt }) when the request has a valid token
+ * A missing, unknown or expired token leaves the request anonymous
+ */
+function optionalAuth(req, res, next) {
+  const token = getBearerToken(req);
+  req.user = token ? verifyToken(token) : null;
+  next();
+}
+
+/**
+ * Rejects requests that aren't signed in (use after optionalAuth)
+ */
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Not signed in',
+      hint: 'Sign in with POST /auth/login and send the token as "Authorization: Bearer <token>"'
+    });
+  }
+  next();
+}
+
+/**
+ * Rejects requests from accounts without this role (use after requireAuth)
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user.role !== role) {
+      return res.status(403).json({ error: `Only ${role} accounts can do this` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  getBearerToken,
+  optionalAuth,
+  requireAuth,
+  requireRole
+};
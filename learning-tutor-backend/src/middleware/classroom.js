@@ -0,0 +1,54 @@
+/**
+ * Classroom Middleware
+ *
+ * Requests made while working on an assignment send its assignmentId.
+ * They must come from someone in the assignment's class and use the
+ * assignment's language; the route then finds the assignment on
+ * req.assignment and scopes itself to it.
+ */
+
+const { getAssignmentForUser } = require('../services/classroomService');
+const { isAssignmentId, normalizeLanguage } = require('../utils/validators');
+
+/**
+ * Loads req.body.assignmentId into req.assignment (left null when absent)
+ */
+function assignmentScope(req, res, next) {
+  req.assignment = null;
+  const assignmentId = req.body?.assignmentId;
+  if (assignmentId === undefined) return next();
+
+  if (!isAssignmentId(assignmentId)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: ['assignmentId must be a positive integer']
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Not signed in',
+      hint: 'Assignments belong to a class - sign in to work on them'
+    });
+  }
+
+  const access = getAssignmentForUser(assignmentId, req.user.id);
+  if (!access) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
+
+  const language = typeof req.body.language === 'string' ? normalizeLanguage(req.body.language) : null;
+  if (language && language !== access.assignment.language) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: [`this assignment is in ${access.assignment.language}`]
+    });
+  }
+
+  req.assignment = access.assignment;
+  next();
+}
+
+module.exports = {
+  assignmentScope
+};
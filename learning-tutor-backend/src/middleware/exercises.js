@@ -0,0 +1,53 @@
+/**
+ * Exercise Middleware
+ *
+ * Requests made while practising a library exercise send its exerciseId.
+ * They must use one of the exercise's languages; the route then finds the
+ * exercise on req.exercise and scopes itself to it.
+ */
+
+const { getExercise } = require('../exercises');
+const { normalizeLanguage } = require('../utils/validators');
+
+/**
+ * Loads req.body.exerciseId into req.exercise (left null when absent)
+ */
+function exerciseScope(req, res, next) {
+  req.exercise = null;
+  const exerciseId = req.body?.exerciseId;
+  if (exerciseId === undefined) return next();
+
+  if (typeof exerciseId !== 'string') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: ['exerciseId must be a string']
+    });
+  }
+  if (req.body.assignmentId !== undefined) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: ['send either assignmentId or exerciseId, not both']
+    });
+  }
+
+  const exercise = getExercise(exerciseId);
+  if (!exercise) {
+    return res.status(404).json({ error: 'Exercise not found' });
+  }
+
+  const languages = Object.keys(exercise.starterCode);
+  const language = typeof req.body.language === 'string' ? normalizeLanguage(req.body.language) : null;
+  if (language && !languages.includes(language)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: [`this exercise is in ${languages.join(', ')}`]
+    });
+  }
+
+  req.exercise = exercise;
+  next();
+}
+
+module.exports = {
+  exerciseScope
+};
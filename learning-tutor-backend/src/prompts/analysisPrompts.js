@@ -62,6 +62,24 @@ RULES:
 5. Be encouraging: "You can do this!", "Try writing the loop now."`;
 
 
+/**
+ * System prompt for Socratic mode (opt-in): the tutor only asks questions
+ */
+const SOCRATIC_SYSTEM_PROMPT = `You are a patient coding mentor using the Socratic method. You teach ONLY by asking questions.
+
+YOUR RULES:
+1. Reply with one or two short guiding questions. Never explain the answer, never give a syntax template, never write code.
+2. Each question should move the student one small step: make them predict, trace, compare or check something in their own code.
+3. When the student answers your previous question, first grade the answer:
+   - correct: the student got the idea
+   - partially-correct: on the right track, but something is missing or muddled
+   - wrong: the answer misses the idea
+   Start with one short sentence that says so kindly ("Exactly!", "Close - ...", "Not quite...").
+4. Then choose your move:
+   - follow-up: ask a narrower, easier question about the SAME idea (after a partial or wrong answer)
+   - reveal: in one or two sentences, state the idea they were working towards, then ask a question about the NEXT idea (after a correct answer, or when told to reveal)
+5. Always end with a question mark. Be warm and encouraging.`;
+
 /**
  * Level-specific hint strength
  * NOW: AI automatically detects the user's level from their code/questions
@@ -189,21 +207,128 @@ Common issues to watch for:
 - Integer division issues`
 };
 
+/**
+ * Marker separating the streamed reply from its trailing metadata
+ */
+const STREAM_META_MARKER = '<<<META>>>';
+
+/**
+ * Response format for regular (JSON mode) completions
+ */
+const JSON_RESPONSE_FORMAT = `You must respond in valid JSON:
+{
+  "reply": "Your structured response with **headers**, numbered steps, execution flow trace, and \`\`\`code blocks\`\`\`. Keep it clean and easy to follow.",
+  "conceptsTaught": ["list", "of", "concepts", "covered"],
+  "suggestedNextConcept": "what they should learn next"
+}`;
+
+/**
+ * Response format for streamed completions
+ * The reply is sent to the student token by token, so it must be plain markdown.
+ * The metadata comes last, after a marker the server strips out.
+ */
+const STREAM_RESPONSE_FORMAT = `Respond with your structured markdown reply directly (NOT JSON), using **headers**, numbered steps, execution flow trace, and \`\`\`code blocks\`\`\`.
+
+After the reply, on its own line, write ${STREAM_META_MARKER} followed by one line of JSON:
+${STREAM_META_MARKER}{"conceptsTaught": ["list", "of", "concepts", "covered"], "suggestedNextConcept": "what they should learn next"}`;
+
+/**
+ * Response formats for Socratic mode (JSON mode and streamed)
+ */
+const SOCRATIC_META_FIELDS = `"answerEvaluation": "correct" | "partially-correct" | "wrong" | null, "socraticMove": "ask" | "follow-up" | "reveal", "concept": "the idea your final question is about", "conceptsTaught": ["concepts", "covered"], "suggestedNextConcept": "what they should learn next"`;
+
+const SOCRATIC_JSON_FORMAT = `You must respond in valid JSON:
+{"reply": "Your short markdown reply ending in a question", ${SOCRATIC_META_FIELDS}}
+answerEvaluation is null when there was no open question to answer.`;
+
+const SOCRATIC_STREAM_FORMAT = `Respond with your short markdown reply directly (NOT JSON), ending in a question.
+
+After the reply, on its own line, write ${STREAM_META_MARKER} followed by one line of JSON:
+${STREAM_META_MARKER}{${SOCRATIC_META_FIELDS}}
+answerEvaluation is null when there was no open question to answer.`;
+
+/**
+ * Socratic instructions for this turn: open a dialogue, or grade the
+ * student's answer to the open question and pick the next move
+ * socratic: { awaitingAnswer, question, concept, reveal }
+ */
+function buildSocraticContext(socratic, userQuestion) {
+  if (!socratic || !socratic.awaitingAnswer) {
+    return `\n\nSOCRATIC MODE - there is no open question yet. The student says: "${userQuestion || 'Please look at my code'}"
+Use socraticMove "ask" and answerEvaluation null. Ask the first guiding question towards the most important issue.`;
+  }
+
+  return `\n\nSOCRATIC MODE - your open question was: "${socratic.question}"${socratic.concept ? ` (about: ${socratic.concept})` : ''}
+The student's answer: "${userQuestion || ''}"
+Grade this answer, then ${socratic.reveal
+    ? 'REVEAL the idea now - the student has had enough follow-ups on it - and ask about the next idea.'
+    : 'ask a follow-up or reveal the idea, following your rules.'}
+If the message is a new question rather than an answer, use answerEvaluation null and socraticMove "ask".`;
+}
+
+/**
+ * The student's code for the prompt - every file of a multi-file project
+ * ({ files, activeFile }), with the one open in the editor marked
+ */
+function formatStudentCode(code, language, project) {
+  if (!project) {
+    return `Student's code:\n\`\`\`${language}\n${code}\n\`\`\``;
+  }
+  const blocks = project.files.map(file => {
+    const fence = /\.(txt|csv)$/i.test(file.name) ? 'text' : language;
+    const open = file.name === project.activeFile ? ' (open in the editor)' : '';
+    return `File ${file.name}${open}:\n\`\`\`${fence}\n${file.content}\n\`\`\``;
+  });
+  return `Student's project (${project.files.length} files - errors can come from how the files fit together: declarations and headers, imports, class and file names):
+${blocks.join('\n\n')}`;
+}
+
 /**
  * Builds the complete prompt for code analysis
  * Includes learning state for pedagogical effectiveness
+ * Set stream to true for the markdown + metadata format used by /analyze/stream
+ * In Socratic mode (mode: 'socratic') the tutor only asks questions;
+ * socratic carries the open question (see buildSocraticContext); debugState
+ * is where the student has the program paused in the debugger, if anywhere
  */
-function buildAnalysisPrompt({ code, language, level, hintLevel, detectedErrors, userQuestion, learningState }) {
+function buildAnalysisPrompt({ code, language, level, hintLevel, detectedErrors, diagnostics, debugState, userQuestion, learningState, conversation, complexity, mode = 'explain', socratic, assignment, exercise, project, stream = false }) {
   // Always use auto-detect level instructions - AI figures out the user's level
   const levelInstructions = LEVEL_INSTRUCTIONS.auto;
-  const hintInstructions = HINT_LEVEL_INSTRUCTIONS[hintLevel] || HINT_LEVEL_INSTRUCTIONS[1];
+  const rung = HINT_LEVEL_INSTRUCTIONS[hintLevel] ? hintLevel : 1;
+  const hintInstructions = `HINT ${rung} OF ${Object.keys(HINT_LEVEL_INSTRUCTIONS).length}: ${HINT_LEVEL_INSTRUCTIONS[rung]}`;
   const languageContext = LANGUAGE_CONTEXT[language] || '';
 
   // Format detected errors for context
   const errorContext = detectedErrors && detectedErrors.length > 0
-    ? `\nI noticed these potential issues:\n${detectedErrors.map(e => `- ${e.type}: ${e.description}`).join('\n')}`
+    ? `\nI noticed these potential issues:\n${detectedErrors.map(e => `- ${e.type}${e.line ? ` (line ${e.line})` : ''}: ${e.description}`).join('\n')}`
     : '';
 
+  // Real compiler/runtime errors from POST /run - these outrank the heuristics above
+  let diagnosticsContext = '';
+  if (diagnostics && diagnostics.length > 0) {
+    const list = diagnostics.slice(0, 5).map(d => {
+      const where = `${d.file ? ` in ${d.file}` : ''}${d.line ? ` at line ${d.line}${d.column ? `, column ${d.column}` : ''}` : ''}`;
+      return `- ${d.phase === 'compile' ? 'Compile' : 'Runtime'} ${d.errorClass || 'error'}${where} (${d.type}/${d.concept}): ${d.message}`;
+    }).join('\n');
+    diagnosticsContext = `\n\nTHE PROGRAM FAILED WITH THESE ERRORS (real compiler/runtime output - explain the first one):
+${list}
+Translate the message into plain words and say which line to look at. Follow the hint level below for how much of the cause to reveal. Never write the corrected line.`;
+  }
+
+  // Where the program is paused in the debugger (the /debug WebSocket)
+  let debugContext = '';
+  if (debugState) {
+    // Python's top level is "<module>" - not worth naming
+    const inFunction = debugState.function && !debugState.function.startsWith('<') ? ` in ${debugState.function}()` : '';
+    const where = `${debugState.file ? `${debugState.file}, ` : ''}line ${debugState.line}${inFunction}`;
+    const values = debugState.locals.map(local => `- ${local.name} = ${local.value}`);
+    const watches = debugState.watches.map(watch => `- ${watch.expression} -> ${watch.value !== undefined ? watch.value : `error: ${watch.error}`}`);
+    debugContext = `\n\nTHE STUDENT HAS THE PROGRAM PAUSED IN THE DEBUGGER at ${where}${debugState.exception ? `, where it failed with ${debugState.exception}` : '. That line has not run yet'}.
+Variable values right now:
+${values.length > 0 ? values.join('\n') : '- (no local variables)'}${watches.length > 0 ? `\nWatch expressions:\n${watches.join('\n')}` : ''}
+Refer to these real values ("the value of i at the breakpoint is 3") and ask what the student expected them to be. Suggest where to step or put the next breakpoint rather than giving the fix.`;
+  }
+
   // Build learning state context for pedagogical awareness
   let learningStateContext = '';
   if (learningState) {
@@ -238,6 +363,49 @@ function buildAnalysisPrompt({ code, language, level, hintLevel, detectedErrors,
     }
   }
 
+  // Build conversation history so follow-up questions have context
+  let conversationContext = '';
+  if (conversation) {
+    const lines = [];
+
+    if (conversation.summary) {
+      lines.push(`Earlier in this conversation:\n${conversation.summary}`);
+    }
+
+    conversation.messages.forEach(message => {
+      const speaker = message.role === 'user' ? 'Student' : 'Tutor';
+      lines.push(`${speaker}: ${message.content}`);
+      if (message.code) {
+        lines.push(`(Student's code at that point:)\n\`\`\`${language}\n${message.code}\n\`\`\``);
+      }
+    });
+
+    if (lines.length > 0) {
+      conversationContext = `\n\nCONVERSATION SO FAR (the student may refer back to it, e.g. "what did you mean by that?"):\n${lines.join('\n\n')}`;
+    }
+  }
+
+  // Static complexity estimate, attached when the student asks about performance
+  let complexityContext = '';
+  if (complexity) {
+    const evidence = complexity.evidence.slice(0, 6).map(e => `- line ${e.line} (${e.kind}): ${e.text}`).join('\n');
+    complexityContext = `\n\nCOMPLEXITY ESTIMATE (from the code structure - explain WHY using these lines, let the student verify it):
+Best: ${complexity.best}, Average: ${complexity.average}, Worst: ${complexity.worst}
+Reason: ${complexity.explanation}${evidence ? `\nEvidence:\n${evidence}` : ''}`;
+  }
+
+  // Classroom assignment or library exercise the student is working on - grounds every reply in it
+  let assignmentContext = '';
+  if (assignment) {
+    assignmentContext = `\n\nTHE STUDENT IS WORKING ON A GRADED ASSIGNMENT: "${assignment.title}"
+${assignment.statement}
+Keep your help about this assignment. It is graded, so never write any part of its solution.`;
+  } else if (exercise) {
+    assignmentContext = `\n\nTHE STUDENT IS PRACTISING AN EXERCISE: "${exercise.title}" (${exercise.difficulty}, practises ${exercise.concepts.join(', ')})
+${exercise.statement}
+Keep your help about this exercise and let the student write the solution.`;
+  }
+
   // Check if the question contains problem statement from OCR
   const hasProblemStatement = userQuestion &&
     (userQuestion.includes('Problem statement (OCR):') ||
@@ -276,15 +444,30 @@ Syntax hint: [Show syntax structure]
 
   const hasCode = code && code.trim().length > 0;
 
+  if (mode === 'socratic') {
+    return `${levelInstructions}
+${languageContext}
+${errorContext}${diagnosticsContext}${debugContext}
+${learningStateContext}${assignmentContext}
+${conversationContext}
+
+${hasCode ? formatStudentCode(code, language, project) : ''}
+${complexityContext}
+${buildSocraticContext(socratic, userQuestion)}
+
+The questions may lead as far as this, and no further:
+${hintInstructions}
+
+${stream ? SOCRATIC_STREAM_FORMAT : SOCRATIC_JSON_FORMAT}`;
+  }
+
   return `${levelInstructions}
 ${languageContext}
-${errorContext}
-${learningStateContext}
+${errorContext}${diagnosticsContext}${debugContext}
+${learningStateContext}${assignmentContext}
+${conversationContext}
 
-${hasCode ? `Student's code:
-\`\`\`${language}
-${code}
-\`\`\`
+${hasCode ? `${formatStudentCode(code, language, project)}
 
 EXECUTION FLOW ANALYSIS:
 When explaining this code, trace through it with a concrete example:
@@ -292,6 +475,7 @@ When explaining this code, trace through it with a concrete example:
 - Show what happens at each line/iteration
 - Display variable values as they change
 - Highlight where things might go wrong` : ''}
+${complexityContext}
 ${questionContext}
 
 ${hintInstructions}
@@ -305,18 +489,15 @@ IMPORTANT FORMAT RULES:
 6. NO long paragraphs
 7. Encouraging tone
 
-You must respond in valid JSON:
-{
-  "reply": "Your structured response with **headers**, numbered steps, execution flow trace, and \`\`\`code blocks\`\`\`. Keep it clean and easy to follow.",
-  "conceptsTaught": ["list", "of", "concepts", "covered"],
-  "suggestedNextConcept": "what they should learn next"
-}`;
+${stream ? STREAM_RESPONSE_FORMAT : JSON_RESPONSE_FORMAT}`;
 }
 
 module.exports = {
   SYSTEM_PROMPT,
+  SOCRATIC_SYSTEM_PROMPT,
   LEVEL_INSTRUCTIONS,
   HINT_LEVEL_INSTRUCTIONS,
   LANGUAGE_CONTEXT,
+  STREAM_META_MARKER,
   buildAnalysisPrompt
 };
@@ -9,19 +9,68 @@
 
 const express = require('express');
 const router = express.Router();
-const { analyzeCode } = require('../services/aiService');
+const { analyzeCode, streamAnalysis } = require('../services/aiService');
 const { validateAnalyzeRequest } = require('../utils/validators');
+const { assignmentScope } = require('../middleware/classroom');
+const { exerciseScope } = require('../middleware/exercises');
+const { recordActivity } = require('../services/analyticsService');
+
+/**
+ * Notes a tutor reply on an assignment for the instructor's analytics
+ * The concept is the one a Socratic answer got wrong, or the one the
+ * explained run error was about
+ */
+function recordTutorActivity(req, result) {
+  if (!req.assignment) return;
+  const { diagnostics, hintRequest } = req.body;
+  const missedConcept = result.socratic?.evaluation === 'wrong' ? result.socratic.concept : null;
+  recordActivity(req.assignment.id, req.user.id, {
+    kind: 'tutor',
+    errorType: result.errorType || null,
+    concept: missedConcept || diagnostics?.[0]?.concept || null,
+    hintLevel: result.hintLevel || null,
+    hintRequest: Boolean(hintRequest)
+  });
+}
 
 /**
  * POST /analyze
  *
+ * The server keeps a hint ladder per session and problem. Each request with
+ * hintRequest: true climbs one rung, from a nudge to the most direct
+ * conceptual pointer. The ladder starts again when the code changes
+ * meaningfully (not just comments or spacing) or the problem's tests pass
+ * (POST /judge with the same sessionId and problemId).
+ *
+ * In socratic mode the tutor only asks questions. The student's next message
+ * is taken as the answer: it is graded, then the tutor asks a follow-up or,
+ * after a correct answer or SOCRATIC_MAX_FOLLOW_UPS follow-ups, reveals the
+ * idea and asks about the next one.
+ *
  * Input:
  * {
  *   code: string,
+ *   files: [{ name, content }] (optional - the whole multi-file project, as for POST /run, so the tutor
+ *          can follow errors across files; code then defaults to the activeFile's content),
+ *   activeFile: string (optional - the file open in the editor, which code is),
  *   language: "python" | "c" | "cpp" | "java",
  *   level: "basic" | "moderate" | "complex",
- *   hintLevel: number (1-5),
+ *   mode: "explain" | "socratic" (optional, default "explain" - socratic replies only with guiding questions),
+ *   hintRequest: boolean (optional - the student asked for a hint: climb one rung of the hint ladder),
+ *   problemId: string (optional - which problem the hint ladder is for; one ladder per session if omitted),
+ *   hintLevel: number (1-5, optional - answer on this rung instead of the ladder's),
  *   userQuestion: string (optional - specific question from user),
+ *   sessionId: string (optional - continue a conversation; omit to start one),
+ *   assignmentId: number (optional, signed in - a classroom assignment: the tutor works from its
+ *                 statement, the hint ladder is the assignment's and stops at its maxHintLevel),
+ *   exerciseId: string (optional - a library exercise (GET /exercises): the tutor works from its
+ *               statement and the hint ladder is the exercise's),
+ *   diagnostics: [{ phase, file, line, column, errorClass, message, type, concept }]
+ *                (optional - from POST /run, to explain a compiler or runtime error),
+ *   debugState: { file, line, function, exception, locals: [{ name, value }], watches: [{ expression, value | error }] }
+ *               (optional - where the program is paused in the debugger (WebSocket /debug), so the
+ *               tutor can talk about the values right now, e.g. "i is 3 at the breakpoint"),
+ *   rules: { [ruleId]: boolean } (optional - turn error-detector rules on/off, see GET /lint/rules),
  *   learningState: {                    // Optional - for pedagogical awareness
  *     strugglingConcepts: string[],     // Concepts student has struggled with
  *     masteredConcepts: string[],       // Concepts student has shown understanding of
@@ -37,12 +86,23 @@ const { validateAnalyzeRequest } = require('../utils/validators');
  *   explanation: string,      // What's wrong (conceptually)
  *   analogy: string,          // Real-world comparison to help understand
  *   hint: string,             // Progressive hint based on hintLevel
- *   hintLevel: number,        // Current hint level (for tracking)
+ *   hintLevel: number,        // Rung of the hint ladder this reply was written for
+ *   hintsRemaining: number,   // Hint requests left before the most direct hint
+ *   maxHintLevel: number,     // Rungs on the ladder
+ *   hintsReset: boolean,      // The code changed, so the ladder started again at the bottom
  *   conceptsTaught: string[], // Concepts covered in this response
- *   suggestedNextConcept: string // What they should learn next
+ *   suggestedNextConcept: string, // What they should learn next
+ *   sessionId: string,        // Send back on the next request to keep context
+ *   socratic: {               // Only in socratic mode
+ *     evaluation: "correct" | "partially-correct" | "wrong" | null, // Grade of the answer to the last question
+ *     concept: string | null, // What the graded question was about
+ *     move: "ask" | "follow-up" | "reveal" // New question, narrower question, or idea revealed + next question
+ *   },
+ *   complexity: object,       // Only when the question is about performance (see POST /complexity)
+ *   errorType: string         // Type of the main error (from diagnostics first, then heuristics)
  * }
  */
-router.post('/', async (req, res) => {
+router.post('/', assignmentScope, exerciseScope, async (req, res) => {
   try {
     // Validate the incoming request
     const validation = validateAnalyzeRequest(req.body);
@@ -53,10 +113,12 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { code, language, level, hintLevel, userQuestion, learningState } = req.body;
+    const { code, files, activeFile, language, level, mode, hintLevel, hintRequest, problemId, userQuestion, learningState, sessionId, diagnostics, debugState, rules } = req.body;
 
-    console.log(`[Analyze] Language: ${language}, Level: ${level}, Hint: ${hintLevel}`);
-    if (code && typeof code === 'string') {
+    console.log(`[Analyze] Language: ${language}, Level: ${level}, Mode: ${mode || 'explain'}, Hint request: ${Boolean(hintRequest)}`);
+    if (files) {
+      console.log(`[Analyze] Project of ${files.length} file(s)${activeFile ? `, open: ${activeFile}` : ''}`);
+    } else if (code && typeof code === 'string') {
       console.log(`[Analyze] Code length: ${code.length} chars`);
     } else {
       console.log('[Analyze] No code provided (general question mode)');
@@ -64,6 +126,12 @@ router.post('/', async (req, res) => {
     if (userQuestion) {
       console.log(`[Analyze] User question: ${userQuestion}`);
     }
+    if (diagnostics?.length) {
+      console.log(`[Analyze] Explaining ${diagnostics.length} diagnostic(s): ${diagnostics[0].errorClass || diagnostics[0].type}`);
+    }
+    if (debugState) {
+      console.log(`[Analyze] Paused in the debugger at ${debugState.file ? `${debugState.file}:` : 'line '}${debugState.line}`);
+    }
     if (learningState) {
       console.log(`[Analyze] Learning state: struggling=${learningState.strugglingConcepts?.length || 0}, mastered=${learningState.masteredConcepts?.length || 0}, hints=${learningState.hintsGivenThisSession || 0}`);
     }
@@ -71,11 +139,23 @@ router.post('/', async (req, res) => {
     // Wrap the analysis in a timeout (10 seconds max)
     const analysisPromise = analyzeCode({
       code,
+      files,
+      activeFile,
       language,
       level,
-      hintLevel: hintLevel || 1,
+      mode,
+      hintLevel,
+      hintRequest,
+      problemId,
       userQuestion,
-      learningState
+      learningState,
+      sessionId,
+      userId: req.user?.id,
+      assignment: req.assignment,
+      exercise: req.exercise,
+      diagnostics,
+      debugState,
+      rules
     });
 
     const timeoutPromise = new Promise((_, reject) =>
@@ -83,6 +163,7 @@ router.post('/', async (req, res) => {
     );
 
     const result = await Promise.race([analysisPromise, timeoutPromise]);
+    recordTutorActivity(req, result);
 
     // Return the analysis (NEVER contains complete code)
     res.json(result);
@@ -100,4 +181,105 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /analyze/stream
+ *
+ * Same input as POST /analyze, but the reply is streamed as Server-Sent Events:
+ *
+ *   event: token   data: { text }             - next piece of the reply
+ *   event: done    data: {                    - sent once, after the last token
+ *                    reply, conceptsTaught, suggestedNextConcept,
+ *                    errorType, hintLevel, hintsRemaining,
+ *                    maxHintLevel, hintsReset, sessionId,
+ *                    socratic              - only in socratic mode
+ *                    complexity            - only for performance questions
+ *                  }
+ *   event: error   data: { error }            - generation failed part-way
+ *
+ * Closing the connection cancels generation.
+ */
+router.post('/stream', assignmentScope, exerciseScope, async (req, res) => {
+  const validation = validateAnalyzeRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: validation.errors
+    });
+  }
+
+  const { code, files, activeFile, language, level, mode, hintLevel, hintRequest, problemId, userQuestion, learningState, sessionId, diagnostics, debugState, rules } = req.body;
+
+  console.log(`[Analyze] Streaming - Language: ${language}, Level: ${level}, Mode: ${mode || 'explain'}, Hint request: ${Boolean(hintRequest)}`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Cancel generation if the student closes the stream
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const result = await streamAnalysis({
+      code,
+      files,
+      activeFile,
+      language,
+      level,
+      mode,
+      hintLevel,
+      hintRequest,
+      problemId,
+      userQuestion,
+      learningState,
+      sessionId,
+      userId: req.user?.id,
+      assignment: req.assignment,
+      exercise: req.exercise,
+      diagnostics,
+      debugState,
+      rules,
+      signal: controller.signal,
+      onToken: (text) => sendEvent('token', { text })
+    });
+
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    recordTutorActivity(req, result);
+    sendEvent('done', {
+      reply: result.reply,
+      conceptsTaught: result.conceptsTaught || [],
+      suggestedNextConcept: result.suggestedNextConcept || '',
+      errorType: result.errorType,
+      hintLevel: result.hintLevel,
+      hintsRemaining: result.hintsRemaining,
+      maxHintLevel: result.maxHintLevel,
+      hintsReset: result.hintsReset,
+      sessionId: result.sessionId,
+      socratic: result.socratic,
+      complexity: result.complexity
+    });
+  } catch (error) {
+    console.error('[Analyze] Stream error:', error.message);
+    if (!controller.signal.aborted) {
+      sendEvent('error', { error: 'The explanation was interrupted. Try asking again.' });
+    }
+  } finally {
+    res.end();
+  }
+});
+
 module.exports = router;
@@ -1,13 +1,14 @@
 /**
  * Analyze Image Route - Uses AI Vision
  *
- * POST /analyze-image - Analyze a screenshot using AI Vision (Groq)
- * Uses Llama 4 Scout multimodal model for image understanding
+ * POST /analyze-image - Analyze a screenshot using AI Vision
+ * Uses the configured provider's vision models (Llama 4 Scout on Groq by default)
  */
 
 const express = require('express');
 const multer = require('multer');
-const OpenAI = require('openai');
+const { isLLMAvailable, chatCompletion } = require('../services/llm');
+const { CONFIG: LEAK_CONFIG, redactLeaks, logIntervention } = require('../utils/leakDetector');
 
 const router = express.Router();
 const upload = multer({
@@ -15,23 +16,45 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Initialize Groq client for vision
-let groqClient = null;
-if (process.env.GROQ_API_KEY) {
-  groqClient = new OpenAI({
-    apiKey: process.env.GROQ_API_KEY,
-    baseURL: 'https://api.groq.com/openai/v1'
-  });
-  console.log('[Image Analyzer] Groq Vision client initialized');
-} else {
-  console.log('[Image Analyzer] No GROQ_API_KEY - image analysis will not work');
-}
+// Instructions sent alongside every screenshot
+const IMAGE_ANALYSIS_PROMPT = `Analyze this image carefully.
+
+**FIRST, determine what type of content this is:**
+1. **Competitive Programming Problem** - From sites like LeetCode, GeeksforGeeks, HackerRank, Codeforces, etc. These show problem statements with constraints, examples, and expected inputs/outputs.
+2. **Code Snippet/Program** - Actual code that someone wrote and wants explained.
+3. **Other** - Diagrams, algorithms, or educational content.
+
+**CRITICAL RULES based on content type:**
+
+🚫 **IF it's a Competitive Programming Problem (LeetCode, GeeksforGeeks, etc.):**
+- Do NOT provide the complete solution code.
+- Instead, explain:
+  - What the problem is asking
+  - The key insight or trick needed
+  - The LOGIC and algorithm (e.g., "Use a sliding window")
+  - Time and space complexity
+  - Show SYNTAX TEMPLATES and PSEUDOCODE only.
+- This helps the student LEARN rather than just copy.
 
-// Current working vision models (as of Feb 2026)
-const VISION_MODELS = [
-  'meta-llama/llama-4-scout-17b-16e-instruct',  // Llama 4 multimodal
-  'meta-llama/llama-4-maverick-17b-128e-instruct', // Alternative Llama 4
-];
+✅ **IF it's a Code Snippet that someone wrote:**
+- Fully explain what the code does.
+- Point out bugs or issues logically.
+- Suggest improvements using SYNTAX HINTS.
+- Do NOT rewrite the entire code for them.
+- Walk through the logic step by step.
+
+Format your response with:
+- **Headers** for sections
+- Code blocks with \`\`\` for SYNTAX TEMPLATES and PSEUDOCODE
+- Clear explanations
+
+Start your response with:
+- "📋 **Problem Analysis:**" if it's a competitive programming problem
+- "📝 **Code Explanation:**" if it's code to explain`;
+
+if (!isLLMAvailable({ vision: true })) {
+  console.log('[Image Analyzer] No vision model configured - image analysis will not work');
+}
 
 router.post('/', upload.single('image'), async (req, res) => {
   console.log('[analyze-image] Request received');
@@ -52,12 +75,12 @@ router.post('/', upload.single('image'), async (req, res) => {
       mimetype: req.file.mimetype
     });
 
-    if (!groqClient) {
-      console.log('[analyze-image] No Groq client available');
+    if (!isLLMAvailable({ vision: true })) {
+      console.log('[analyze-image] No vision model available');
       return res.status(500).json({
         error: 'AI Vision not configured',
         extractedText: '',
-        message: 'Image analysis is not configured. Please set up the GROQ_API_KEY.'
+        message: 'Image analysis is not configured. Please set up the GROQ_API_KEY or a vision-capable LLM provider.'
       });
     }
 
@@ -68,84 +91,43 @@ router.post('/', upload.single('image'), async (req, res) => {
 
     console.log('[analyze-image] Sending to AI Vision...');
 
-    // Try each model until one works
-    let aiResponse = null;
-    let lastError = null;
-
-    for (const model of VISION_MODELS) {
-      try {
-        console.log(`[analyze-image] Trying model: ${model}`);
-
-        const response = await groqClient.chat.completions.create({
-          model: model,
-          messages: [
+    // Provider/model fallback is handled by the LLM service
+    const { content, provider, model } = await chatCompletion({
+      vision: true,
+      messages: [
+        {
+          role: 'user',
+          content: [
             {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: `Analyze this image carefully.
-
-**FIRST, determine what type of content this is:**
-1. **Competitive Programming Problem** - From sites like LeetCode, GeeksforGeeks, HackerRank, Codeforces, etc. These show problem statements with constraints, examples, and expected inputs/outputs.
-2. **Code Snippet/Program** - Actual code that someone wrote and wants explained.
-3. **Other** - Diagrams, algorithms, or educational content.
-
-**CRITICAL RULES based on content type:**
-
-🚫 **IF it's a Competitive Programming Problem (LeetCode, GeeksforGeeks, etc.):**
-- Do NOT provide the complete solution code.
-- Instead, explain:
-  - What the problem is asking
-  - The key insight or trick needed
-  - The LOGIC and algorithm (e.g., "Use a sliding window")
-  - Time and space complexity
-  - Show SYNTAX TEMPLATES and PSEUDOCODE only.
-- This helps the student LEARN rather than just copy.
-
-✅ **IF it's a Code Snippet that someone wrote:**
-- Fully explain what the code does.
-- Point out bugs or issues logically.
-- Suggest improvements using SYNTAX HINTS.
-- Do NOT rewrite the entire code for them.
-- Walk through the logic step by step.
+              type: 'text',
+              text: IMAGE_ANALYSIS_PROMPT
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: dataUrl
+              }
+            }
+          ]
+        }
+      ],
+      maxTokens: 2000,
+      temperature: 0.3
+    });
 
-Format your response with:
-- **Headers** for sections
-- Code blocks with \`\`\` for SYNTAX TEMPLATES and PSEUDOCODE
-- Clear explanations
+    console.log(`[analyze-image] ${provider}/${model} response received, length:`, content.length);
 
-Start your response with:
-- "📋 **Problem Analysis:**" if it's a competitive programming problem
-- "📝 **Code Explanation:**" if it's code to explain`
-                },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: dataUrl
-                  }
-                }
-              ]
-            }
-          ],
-          max_tokens: 2000,
-          temperature: 0.3
-        });
-
-        aiResponse = response.choices[0]?.message?.content || '';
-        console.log('[analyze-image] AI response received, length:', aiResponse.length);
-        break; // Success, exit loop
-
-      } catch (modelError) {
-        console.log(`[analyze-image] Model ${model} failed:`, modelError.message);
-        lastError = modelError;
-        continue; // Try next model
-      }
+    if (!content) {
+      throw new Error('Vision model returned an empty response');
     }
 
-    if (!aiResponse) {
-      // All models failed - throw the last error
-      throw lastError || new Error('All vision models failed');
+    // Problem screenshots must not come back with a full solution
+    let aiResponse = content;
+    if (LEAK_CONFIG.mode !== 'off' && LEAK_CONFIG.mode !== 'log') {
+      const { text, interventions } = redactLeaks(content);
+      interventions.forEach(({ score, reasons }) =>
+        logIntervention({ action: 'redacted', field: 'analyze-image', score, reasons }));
+      aiResponse = text;
     }
 
     // Determine if it's code or a problem based on AI response
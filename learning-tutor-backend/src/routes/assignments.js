@@ -0,0 +1,129 @@
+/**
+ * Assignment Routes
+ *
+ * A student's side of an assignment: read it, and submit against its
+ * hidden tests. Running code and asking the tutor use the usual endpoints
+ * with an assignmentId (see POST /run and POST /analyze).
+ *
+ * GET  /assignments/:id         - The assignment (tests hidden from students)
+ * POST /assignments/:id/submit  - Judge code against the hidden tests
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAssignmentForUser,
+  toStudentAssignment,
+  recordSubmission,
+  getStudentProgress,
+  assignmentProblemId
+} = require('../services/classroomService');
+const { judgeCode } = require('../services/judgeService');
+const { getConversation } = require('../services/conversationService');
+const { resetHintLadder } = require('../services/hintLadderService');
+const { recordActivity } = require('../services/analyticsService');
+const { requireAuth } = require('../middleware/auth');
+
+router.use(requireAuth);
+
+/**
+ * The assignment in :id with the user's role in its class, or a 404
+ */
+function loadAssignment(req, res) {
+  const access = getAssignmentForUser(parseInt(req.params.id), req.user.id);
+  if (!access) {
+    res.status(404).json({ error: 'Assignment not found' });
+    return null;
+  }
+  return access;
+}
+
+/**
+ * GET /assignments/:id
+ *
+ * Output:
+ * {
+ *   assignment: { id, classId, title, statement, language, starterCode, comparison, maxHintLevel,
+ *                 testCount, createdAt }   // instructors also get testCases
+ *   progress: { status, attempts, bestPassed, total, lastSubmittedAt }   // students only
+ * }
+ */
+router.get('/:id', (req, res) => {
+  const access = loadAssignment(req, res);
+  if (!access) return;
+
+  const { assignment, role } = access;
+  if (role === 'instructor') {
+    return res.json({ assignment: { ...assignment, testCount: assignment.testCases.length } });
+  }
+
+  res.json({
+    assignment: toStudentAssignment(assignment),
+    progress: getStudentProgress(assignment.classId, req.user.id)[assignment.id]
+  });
+});
+
+/**
+ * POST /assignments/:id/submit
+ *
+ * Input:
+ * {
+ *   code: string,
+ *   sessionId: string (optional - an Accepted verdict resets this session's hint ladder for the assignment)
+ * }
+ *
+ * Output:
+ * {
+ *   verdict, passed, total,
+ *   results: [{ index, verdict, executionTime }],   // no inputs or outputs - the tests are hidden
+ *   progress: { status, attempts, bestPassed, total, lastSubmittedAt }
+ * }
+ */
+router.post('/:id/submit', async (req, res) => {
+  const access = loadAssignment(req, res);
+  if (!access) return;
+
+  const { code, sessionId } = req.body || {};
+  if (typeof code !== 'string' || !code.trim()) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: ['code is required']
+    });
+  }
+
+  try {
+    const { assignment } = access;
+    console.log(`[Assignments] ${req.user.username} submitted "${assignment.title}"`);
+
+    const result = await judgeCode({
+      code,
+      language: assignment.language,
+      testCases: assignment.testCases,
+      comparison: assignment.comparison
+    });
+
+    console.log(`[Assignments] Verdict: ${result.verdict} (${result.passed}/${result.total})`);
+    recordSubmission(assignment.id, req.user.id, code, result);
+    recordActivity(assignment.id, req.user.id, { kind: 'submit' });
+
+    const conversation = getConversation(sessionId, req.user.id);
+    if (conversation && result.verdict === 'Accepted') {
+      resetHintLadder(conversation, assignmentProblemId(assignment.id));
+    }
+
+    res.json({
+      verdict: result.verdict,
+      passed: result.passed,
+      total: result.total,
+      ...(result.compileError && { compileError: result.compileError }),
+      results: result.results.map(({ index, verdict, executionTime }) => ({ index, verdict, executionTime })),
+      progress: getStudentProgress(assignment.classId, req.user.id)[assignment.id]
+    });
+
+  } catch (error) {
+    console.error('[Assignments] Submit error:', error);
+    res.status(500).json({ error: 'Failed to judge submission: ' + error.message });
+  }
+});
+
+module.exports = router;
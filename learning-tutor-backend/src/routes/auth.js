@@ -0,0 +1,119 @@
+/**
+ * Auth Routes
+ *
+ * Local accounts with token sign-in. Accounts are optional: everything
+ * works anonymously, but a signed-in student's progress, learning state
+ * and conversations are kept on the server (see /profile).
+ *
+ * Instructor accounts run classes (see /classes). Creating one needs
+ * INSTRUCTOR_SIGNUP_CODE; without it set, instructor sign-up is closed.
+ *
+ * POST /auth/register - Create an account and sign in
+ * POST /auth/login    - Sign in
+ * POST /auth/logout   - Sign this token out
+ * GET  /auth/me       - The signed-in account
+ */
+
+const express = require('express');
+const router = express.Router();
+const { createUser, verifyCredentials, issueToken, revokeToken } = require('../services/accountService');
+const { getBearerToken, requireAuth } = require('../middleware/auth');
+const { validateCredentials } = require('../utils/validators');
+
+const INSTRUCTOR_SIGNUP_CODE = process.env.INSTRUCTOR_SIGNUP_CODE || '';
+
+/**
+ * POST /auth/register
+ *
+ * Input:
+ * {
+ *   username: string (3-32 of A-Z a-z 0-9 . _ -),
+ *   password: string (8+ chars),
+ *   role: "student" | "instructor" (optional, default "student"),
+ *   instructorCode: string (instructors only, must match INSTRUCTOR_SIGNUP_CODE)
+ * }
+ * Output: { user: { id, username, role, createdAt }, token: string, expiresAt: string }
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const validation = validateCredentials(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const role = req.body.role || 'student';
+    if (role === 'instructor' && !INSTRUCTOR_SIGNUP_CODE) {
+      return res.status(403).json({ error: 'Instructor sign-up is closed on this server (INSTRUCTOR_SIGNUP_CODE is not set)' });
+    }
+    if (role === 'instructor' && req.body.instructorCode !== INSTRUCTOR_SIGNUP_CODE) {
+      return res.status(403).json({ error: 'A valid instructorCode is needed to create an instructor account' });
+    }
+
+    const user = await createUser(req.body.username, req.body.password, role);
+    if (!user) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    console.log(`[Auth] Registered ${user.username} (${user.role})`);
+    res.status(201).json({ user, ...issueToken(user.id) });
+
+  } catch (error) {
+    console.error('[Auth] Register error:', error);
+    res.status(500).json({ error: 'Failed to create account: ' + error.message });
+  }
+});
+
+/**
+ * POST /auth/login
+ *
+ * Input:  { username: string, password: string }
+ * Output: { user: { id, username, role, createdAt }, token: string, expiresAt: string }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: ['username and password are required']
+      });
+    }
+
+    const user = await verifyCredentials(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+
+    console.log(`[Auth] Signed in ${user.username}`);
+    res.json({ user, ...issueToken(user.id) });
+
+  } catch (error) {
+    console.error('[Auth] Login error:', error);
+    res.status(500).json({ error: 'Failed to sign in: ' + error.message });
+  }
+});
+
+/**
+ * POST /auth/logout
+ *
+ * Revokes the token the request was sent with.
+ * Output: { loggedOut: true }
+ */
+router.post('/logout', requireAuth, (req, res) => {
+  revokeToken(getBearerToken(req));
+  res.json({ loggedOut: true });
+});
+
+/**
+ * GET /auth/me
+ *
+ * Output: { user: { id, username, role, createdAt } }
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
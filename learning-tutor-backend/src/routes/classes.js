@@ -0,0 +1,243 @@
+/**
+ * Class Routes
+ *
+ * Classroom mode: instructors create classes and publish assignments,
+ * students join with the class's join code. All routes need sign-in.
+ *
+ * POST /classes                  - Create a class (instructor)
+ * GET  /classes                  - Classes you teach or have joined
+ * POST /classes/join             - Join a class by its join code
+ * GET  /classes/:id              - A class and its assignments
+ * POST /classes/:id/assignments  - Publish an assignment (instructor)
+ * GET  /classes/:id/roster       - Every student's status per assignment (instructor)
+ * GET  /classes/:id/analytics    - Errors, stuck concepts, hints, time on task, flags (instructor)
+ * GET  /classes/:id/analytics.csv - The same, one row per student and assignment (instructor)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createClass,
+  listClasses,
+  joinClass,
+  getClass,
+  createAssignment,
+  listAssignments,
+  getStudentProgress,
+  getRoster
+} = require('../services/classroomService');
+const { getClassAnalytics, getAnalyticsRows } = require('../services/analyticsService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { toCSV } = require('../utils/csv');
+const { validateClassRequest, validateAssignmentRequest, normalizeLanguage, MAX_HINT_LEVEL } = require('../utils/validators');
+
+router.use(requireAuth);
+
+/**
+ * The class in :id as the signed-in user sees it, or a 404
+ * With instructorOnly, students of the class get a 403
+ */
+function loadClass(req, res, { instructorOnly = false } = {}) {
+  const cls = getClass(parseInt(req.params.id), req.user.id);
+  if (!cls) {
+    res.status(404).json({ error: 'Class not found' });
+    return null;
+  }
+  if (instructorOnly && cls.role !== 'instructor') {
+    res.status(403).json({ error: 'Only the class instructor can do this' });
+    return null;
+  }
+  return cls;
+}
+
+/**
+ * POST /classes
+ *
+ * Input:  { name: string }
+ * Output: { class: { id, name, role, instructor, joinCode, studentCount, assignmentCount, createdAt } }
+ */
+router.post('/', requireRole('instructor'), (req, res) => {
+  const validation = validateClassRequest(req.body || {});
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: validation.errors
+    });
+  }
+
+  const cls = createClass(req.user.id, req.body.name.trim());
+  console.log(`[Classes] ${req.user.username} created "${cls.name}" (${cls.joinCode})`);
+  res.status(201).json({ class: cls });
+});
+
+/**
+ * GET /classes
+ *
+ * Output: { classes: [{ id, name, role: "instructor" | "student", instructor, joinCode (instructor only), ... }] }
+ */
+router.get('/', (req, res) => {
+  res.json({ classes: listClasses(req.user.id) });
+});
+
+/**
+ * POST /classes/join
+ *
+ * Input:  { joinCode: string }
+ * Output: { class }
+ */
+router.post('/join', (req, res) => {
+  const { joinCode } = req.body || {};
+  if (typeof joinCode !== 'string' || !joinCode.trim()) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: ['joinCode is required']
+    });
+  }
+
+  const cls = joinClass(req.user.id, joinCode);
+  if (!cls) {
+    return res.status(404).json({ error: 'No class has that join code' });
+  }
+
+  console.log(`[Classes] ${req.user.username} joined "${cls.name}"`);
+  res.json({ class: cls });
+});
+
+/**
+ * GET /classes/:id
+ *
+ * Output:
+ * {
+ *   class,
+ *   assignments: [{
+ *     id, classId, title, statement, language, starterCode, comparison,
+ *     maxHintLevel, testCount, createdAt,
+ *     progress: { status: "not-started" | "attempted" | "solved", attempts,
+ *                 bestPassed, total, lastSubmittedAt }   // students only
+ *   }]
+ * }
+ */
+router.get('/:id', (req, res) => {
+  const cls = loadClass(req, res);
+  if (!cls) return;
+
+  const assignments = listAssignments(cls.id);
+  if (cls.role === 'student') {
+    const progress = getStudentProgress(cls.id, req.user.id);
+    assignments.forEach(assignment => { assignment.progress = progress[assignment.id]; });
+  }
+
+  res.json({ class: cls, assignments });
+});
+
+/**
+ * POST /classes/:id/assignments
+ *
+ * Input:
+ * {
+ *   title: string,
+ *   statement: string,                  // Problem statement shown to students and given to the tutor
+ *   language: "python" | "c" | "cpp" | "java",
+ *   starterCode: string (optional),
+ *   testCases: [{ input, expectedOutput, timeLimitMs?, comparison? }],  // Hidden from students
+ *   comparison: "exact" | "whitespace" | "float" | "unordered" (optional, default "exact"),
+ *   maxHintLevel: number (1-5, optional, default 5 - the most direct hint the tutor may give)
+ * }
+ *
+ * Output: { assignment } (with its testCases)
+ */
+router.post('/:id/assignments', (req, res) => {
+  const cls = loadClass(req, res, { instructorOnly: true });
+  if (!cls) return;
+
+  const validation = validateAssignmentRequest(req.body || {});
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: validation.errors
+    });
+  }
+
+  const { title, statement, language, starterCode, testCases, comparison, maxHintLevel } = req.body;
+  const assignment = createAssignment(cls.id, {
+    title: title.trim(),
+    statement,
+    language: normalizeLanguage(language),
+    starterCode,
+    testCases,
+    comparison,
+    maxHintLevel: maxHintLevel === undefined ? MAX_HINT_LEVEL : parseInt(maxHintLevel)
+  });
+
+  console.log(`[Classes] Published "${assignment.title}" to "${cls.name}" (${testCases.length} hidden test(s))`);
+  res.status(201).json({ assignment });
+});
+
+/**
+ * GET /classes/:id/roster
+ *
+ * Output:
+ * {
+ *   assignments: [{ id, title, ... }],
+ *   students: [{
+ *     id, username, joinedAt,
+ *     assignments: { [assignmentId]: { status, attempts, bestPassed, total, lastSubmittedAt } }
+ *   }]
+ * }
+ */
+router.get('/:id/roster', (req, res) => {
+  const cls = loadClass(req, res, { instructorOnly: true });
+  if (!cls) return;
+
+  res.json({ assignments: listAssignments(cls.id), students: getRoster(cls.id) });
+});
+
+/**
+ * GET /classes/:id/analytics
+ *
+ * Output:
+ * {
+ *   class,
+ *   assignments: [{
+ *     id, title, maxHintLevel,
+ *     status: { solved, attempted, notStarted },
+ *     errorTypes: [{ type, count, students }],       // most common first
+ *     stuckConcepts: [{ concept, students }],
+ *     hintUsage: { average, reachedLimit, distribution: [{ hints: "0" ... "5+", students }] },
+ *     timeOnTask: { averageMinutes, medianMinutes },
+ *     flaggedStudents: [{ id, username, flags: [string] }]
+ *   }],
+ *   errorTypes, stuckConcepts, hintUsage, timeOnTask,   // the same across the whole class
+ *   understanding: { struggling, learning, confident, unknown },
+ *   students: [{
+ *     id, username, understanding, strugglingConcepts, recentErrors,
+ *     hintRequests, minutesOnTask, solved, attempted, flags,
+ *     assignments: { [assignmentId]: { status, attempts, bestPassed, total, hintRequests,
+ *                                      highestHint, minutesOnTask, topErrorType, errorTypes,
+ *                                      stuckConcepts, flags } }
+ *   }]
+ * }
+ */
+router.get('/:id/analytics', (req, res) => {
+  const cls = loadClass(req, res, { instructorOnly: true });
+  if (!cls) return;
+
+  res.json({ class: cls, ...getClassAnalytics(cls.id) });
+});
+
+/**
+ * GET /classes/:id/analytics.csv
+ *
+ * Output: text/csv attachment, one row per student and assignment
+ */
+router.get('/:id/analytics.csv', (req, res) => {
+  const cls = loadClass(req, res, { instructorOnly: true });
+  if (!cls) return;
+
+  const filename = `${cls.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'class'}-analytics.csv`;
+  res.type('text/csv');
+  res.attachment(filename);
+  res.send(toCSV(getAnalyticsRows(cls.name, getClassAnalytics(cls.id))));
+});
+
+module.exports = router;
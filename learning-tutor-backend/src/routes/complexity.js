@@ -0,0 +1,101 @@
+/**
+ * Complexity Routes
+ *
+ * POST /complexity - Estimate the time complexity of a piece of code,
+ *                    optionally measuring one function on growing inputs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { analyzeComplexity } = require('../utils/complexityAnalyzer');
+const { measureComplexity } = require('../services/empiricalComplexityService');
+const { validateComplexityRequest, normalizeLanguage } = require('../utils/validators');
+
+/**
+ * POST /complexity
+ *
+ * Input:
+ * {
+ *   code: string,
+ *   language: "python" | "c" | "cpp" | "java",
+ *   mode?: "static" | "empirical",     // default "static"
+ *   functionName?: string,             // empirical: the function to time
+ *   input?: {                          // empirical: what to call it with
+ *     type: "array" | "string" | "integer",
+ *     order?: "random" | "sorted" | "reversed",   // arrays only
+ *     min?: number, max?: number,                 // array value range
+ *     maxN?: number,                              // largest size to try
+ *     args?: ["input", "n"]                       // call arguments (default: C arrays get (input, n))
+ *   }
+ * }
+ *
+ * Output:
+ * {
+ *   best: string,          // e.g. "O(1)"
+ *   average: string,
+ *   worst: string,         // e.g. "O(n²)"
+ *   explanation: string,   // what dominates the estimate
+ *   functions: [{ name, line, best, average, worst, explanation, recurrence? }],
+ *   evidence: [{ line, kind, text, function }],  // loops, recursion and costly calls
+ *   empirical?: {                  // only in empirical mode
+ *     functionName, input,
+ *     bestFit: string,             // e.g. "O(n log n)"
+ *     confidence: "high" | "medium" | "low",
+ *     fits: [{ complexity, error, base? }],   // relative fit error per curve
+ *     timings: [{ n, timeMs }],
+ *     staticEstimate: { best, average, worst },
+ *     agreesWithStatic: boolean,
+ *     note?: string,               // why measuring stopped early
+ *     error?: string, stderr?: string
+ *   }
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateComplexityRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const { code, language, mode, functionName, input } = req.body;
+    const normalizedLanguage = normalizeLanguage(language);
+    const result = analyzeComplexity(code, normalizedLanguage);
+
+    console.log(`[Complexity] ${language}: ${result.worst} (${result.functions.length} function(s))`);
+
+    if (mode !== 'empirical') {
+      return res.json(result);
+    }
+
+    const fn = result.functions.find(f => f.name === functionName);
+    if (!fn) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: [`function "${functionName}" was not found in the code`]
+      });
+    }
+
+    const empirical = await measureComplexity({
+      code,
+      language: normalizedLanguage,
+      functionName,
+      input,
+      staticEstimate: { best: fn.best, average: fn.average, worst: fn.worst }
+    });
+
+    console.log(`[Complexity] ${functionName}() measured: ${empirical.bestFit || empirical.error}`);
+
+    res.json({ ...result, empirical });
+
+  } catch (error) {
+    console.error('[Complexity] Error:', error);
+    res.status(500).json({
+      error: 'Failed to analyze complexity: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+/**
+ * Exercise Routes
+ *
+ * The exercise library: curated problems per language and difficulty,
+ * with starter code, samples and hidden tests. Asking the tutor about one
+ * uses POST /analyze with an exerciseId.
+ *
+ * GET  /exercises               - The catalogue (?language=&difficulty=&concept=)
+ * GET  /exercises/:id           - An exercise (hidden tests left out)
+ * POST /exercises/:id/submit    - Judge code against the samples and hidden tests
+ */
+
+const express = require('express');
+const router = express.Router();
+const { listExercises, getExercise, toStudentExercise, exerciseProblemId } = require('../exercises');
+const { judgeCode } = require('../services/judgeService');
+const { getConversation } = require('../services/conversationService');
+const { resetHintLadder } = require('../services/hintLadderService');
+const { analyzeComplexity } = require('../utils/complexityAnalyzer');
+const { normalizeLanguage, SUPPORTED_LANGUAGES, SUPPORTED_LEVELS } = require('../utils/validators');
+
+/**
+ * The exercise in :id, or a 404
+ */
+function loadExercise(req, res) {
+  const exercise = getExercise(req.params.id);
+  if (!exercise) {
+    res.status(404).json({ error: 'Exercise not found' });
+    return null;
+  }
+  return exercise;
+}
+
+/**
+ * GET /exercises
+ *
+ * Query (all optional):
+ *   language: "python" | "c" | "cpp" | "java"
+ *   difficulty: "basic" | "moderate" | "complex"
+ *   concept: string                  // e.g. "loops"
+ *
+ * Output: { exercises: [{ id, title, difficulty, concepts, languages, complexity: { time, space } }] }
+ */
+router.get('/', (req, res) => {
+  const { language, difficulty, concept } = req.query;
+  const errors = [];
+  if (language !== undefined && !SUPPORTED_LANGUAGES.includes(normalizeLanguage(String(language)))) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+  if (difficulty !== undefined && !SUPPORTED_LEVELS.includes(difficulty)) {
+    errors.push(`difficulty must be one of: ${SUPPORTED_LEVELS.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: errors
+    });
+  }
+
+  res.json({
+    exercises: listExercises({
+      language: language && normalizeLanguage(String(language)),
+      difficulty,
+      concept: concept && String(concept)
+    })
+  });
+});
+
+/**
+ * GET /exercises/:id
+ *
+ * Query: language (optional - starterCode is then that language's code instead of a map)
+ *
+ * Output:
+ * {
+ *   exercise: { id, title, difficulty, concepts, languages, complexity, statement,
+ *               starterCode, samples: [{ input, expectedOutput }], comparison, testCount }
+ * }
+ */
+router.get('/:id', (req, res) => {
+  const exercise = loadExercise(req, res);
+  if (!exercise) return;
+
+  const language = req.query.language && normalizeLanguage(String(req.query.language));
+  if (language && exercise.starterCode[language] === undefined) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: [`this exercise is in ${Object.keys(exercise.starterCode).join(', ')}`]
+    });
+  }
+
+  res.json({ exercise: toStudentExercise(exercise, language) });
+});
+
+/**
+ * POST /exercises/:id/submit
+ *
+ * Input:
+ * {
+ *   code: string,
+ *   language: "python" | "c" | "cpp" | "java",
+ *   sessionId: string (optional - an Accepted verdict resets this session's hint ladder for the exercise)
+ * }
+ *
+ * Output:
+ * {
+ *   verdict, passed, total,
+ *   results: [{
+ *     index, verdict, executionTime, sample: boolean,
+ *     input, expectedOutput, actualOutput, stderr, diff   // failed samples only - hidden tests stay hidden
+ *   }],
+ *   concepts: string[],                                  // Accepted only - what the exercise practises
+ *   complexity: { reference: { time, space }, estimated } // Accepted only - estimated = worst case of this code
+ * }
+ */
+router.post('/:id/submit', async (req, res) => {
+  const exercise = loadExercise(req, res);
+  if (!exercise) return;
+
+  const { code, sessionId } = req.body || {};
+  const language = typeof req.body?.language === 'string' ? normalizeLanguage(req.body.language) : null;
+  const errors = [];
+  if (typeof code !== 'string' || !code.trim()) {
+    errors.push('code is required');
+  }
+  if (!language || exercise.starterCode[language] === undefined) {
+    errors.push(`language must be one of: ${Object.keys(exercise.starterCode).join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: errors
+    });
+  }
+
+  try {
+    console.log(`[Exercises] Judging ${language} submission for "${exercise.id}"`);
+
+    const result = await judgeCode({
+      code,
+      language,
+      testCases: [...exercise.samples, ...exercise.tests],
+      comparison: exercise.comparison
+    });
+
+    console.log(`[Exercises] Verdict: ${result.verdict} (${result.passed}/${result.total})`);
+
+    const solved = result.verdict === 'Accepted';
+    const conversation = getConversation(sessionId, req.user?.id);
+    if (conversation && solved) {
+      resetHintLadder(conversation, exerciseProblemId(exercise.id));
+    }
+
+    res.json({
+      verdict: result.verdict,
+      passed: result.passed,
+      total: result.total,
+      ...(result.compileError && { compileError: result.compileError }),
+      results: result.results.map(caseResult => {
+        const sample = caseResult.index < exercise.samples.length;
+        if (sample) return { ...caseResult, sample };
+        const { index, verdict, executionTime } = caseResult;
+        return { index, verdict, executionTime, sample };
+      }),
+      ...(solved && {
+        concepts: exercise.concepts,
+        complexity: {
+          reference: exercise.complexity,
+          estimated: analyzeComplexity(code, language).worst
+        }
+      })
+    });
+
+  } catch (error) {
+    console.error('[Exercises] Submit error:', error);
+    res.status(500).json({ error: 'Failed to judge submission: ' + error.message });
+  }
+});
+
+module.exports = router;
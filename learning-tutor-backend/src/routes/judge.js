@@ -0,0 +1,87 @@
+/**
+ * Judge Routes
+ *
+ * POST /judge - Run code against test cases and return per-case verdicts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { judgeCode } = require('../services/judgeService');
+const { validateJudgeRequest, normalizeLanguage } = require('../utils/validators');
+const { getConversation } = require('../services/conversationService');
+const { resetHintLadder } = require('../services/hintLadderService');
+
+/**
+ * POST /judge
+ *
+ * Input:
+ * {
+ *   code: string,
+ *   language: "python" | "c" | "cpp" | "java",
+ *   comparison: "exact" | "whitespace" | "float" | "unordered" (optional, default "exact"),
+ *   tolerance: number (optional - for "float" comparison, default 1e-6),
+ *   sessionId: string (optional - with problemId, an Accepted verdict resets that hint ladder),
+ *   problemId: string (optional - see POST /analyze),
+ *   testCases: [{
+ *     input: string,            // stdin
+ *     expectedOutput: string,
+ *     timeLimitMs: number,      // optional, default 2000
+ *     comparison: string        // optional per-case override
+ *   }]
+ * }
+ *
+ * Output:
+ * {
+ *   verdict: "Accepted" | "Wrong Answer" | "Runtime Error" | "Time Limit Exceeded" | "Memory Limit Exceeded" |
+ *            "Compilation Error",
+ *   passed: number,
+ *   total: number,
+ *   compileError: string,       // Compilation Error only - results is then empty
+ *   results: [{
+ *     index, verdict, executionTime, comparison,
+ *     input, expectedOutput, actualOutput, stderr,   // failed cases only
+ *     diff: [{ line, expected, actual }]             // Wrong Answer only
+ *   }]
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateJudgeRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const { code, language, testCases, comparison, tolerance, sessionId, problemId } = req.body;
+
+    console.log(`[Judge] Judging ${language} code against ${testCases.length} test case(s)`);
+
+    const result = await judgeCode({
+      code,
+      language: normalizeLanguage(language),
+      testCases,
+      comparison,
+      tolerance
+    });
+
+    console.log(`[Judge] Verdict: ${result.verdict} (${result.passed}/${result.total})`);
+
+    // Solved - the next hint for this problem starts from a nudge again
+    const conversation = getConversation(sessionId, req.user?.id);
+    if (conversation && result.verdict === 'Accepted') {
+      resetHintLadder(conversation, problemId);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('[Judge] Error:', error);
+    res.status(500).json({
+      error: 'Failed to judge code: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
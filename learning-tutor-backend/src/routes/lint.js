@@ -0,0 +1,81 @@
+/**
+ * Lint Routes
+ *
+ * POST /lint       - Quick parser-based check of the code while the student types.
+ *                    No AI and no execution, so it is cheap enough to call on
+ *                    every pause in typing.
+ * GET  /lint/rules - The rules the checks are made of, built-in and from rule packs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { detectErrors } = require('../utils/errorDetector');
+const { listRules } = require('../rules');
+const { validateLintRequest, normalizeLanguage } = require('../utils/validators');
+
+/**
+ * POST /lint
+ *
+ * Input:
+ * {
+ *   code: string,
+ *   language: "python" | "c" | "cpp" | "java",
+ *   hintLevel?: number (1-5),             // which of each rule's hints to return
+ *   rules?: { [ruleId]: boolean }         // turn individual rules on/off for this request
+ * }
+ *
+ * Output:
+ * {
+ *   issues: [{
+ *     rule: string,                       // id of the rule that found it
+ *     concept: string,                    // e.g. "unreachable-code"
+ *     type: "syntax" | "typo" | "logic" | "structure" | "style",
+ *     severity: "error" | "warning" | "info",
+ *     line, column, endLine, endColumn,   // 1-based, end column exclusive
+ *     hint: string,                       // points at the problem, never the fix
+ *     description: string                 // fuller explanation
+ *   }]
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateLintRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const { code, language, hintLevel, rules } = req.body;
+    const issues = code.trim()
+      ? await detectErrors(code, normalizeLanguage(language), { hintLevel, rules })
+      : [];
+
+    res.json({ issues });
+
+  } catch (error) {
+    console.error('[Lint] Error:', error);
+    res.status(500).json({
+      error: 'Failed to lint code: ' + error.message
+    });
+  }
+});
+
+/**
+ * GET /lint/rules
+ *
+ * Output:
+ * {
+ *   rules: [{
+ *     id, pack, languages, concept, type, severity,
+ *     enabled: boolean,                   // on unless a request turns it off
+ *     hintLevels: number                  // how many distinct hints it has
+ *   }]
+ * }
+ */
+router.get('/rules', (req, res) => {
+  res.json({ rules: listRules() });
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+/**
+ * Profile Routes
+ *
+ * Server-side copy of a signed-in student's learning profile. The frontend
+ * keeps working from localStorage and syncs with these endpoints whenever
+ * it is online; the newer copy of each document wins.
+ *
+ * GET /profile               - The stored progress and learning state
+ * PUT /profile               - Sync local documents, get the merged profile back
+ * GET /profile/conversations - Stored conversation history (see /sessions/:id)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PROFILE_DOCUMENTS, getProfile, syncProfile } = require('../services/profileService');
+const { listConversations } = require('../services/conversationService');
+const { requireAuth } = require('../middleware/auth');
+const { validateProfileSync } = require('../utils/validators');
+
+router.use(requireAuth);
+
+/**
+ * GET /profile
+ *
+ * Output:
+ * {
+ *   progress: { data: object | null, updatedAt: number },      // data is null until first synced
+ *   learningState: { data: object | null, updatedAt: number }  // updatedAt in ms since the epoch
+ * }
+ */
+router.get('/', (req, res) => {
+  res.json(getProfile(req.user.id));
+});
+
+/**
+ * PUT /profile
+ *
+ * Send the documents that changed locally since the last sync (either may
+ * be omitted). Each one is stored only if its updatedAt is newer than the
+ * server's; the response is the merged profile, to replace the local copy.
+ *
+ * Input:
+ * {
+ *   progress: { data: object, updatedAt: number } (optional),
+ *   learningState: { data: object, updatedAt: number } (optional)
+ * }
+ *
+ * Output: same as GET /profile
+ */
+router.put('/', (req, res) => {
+  const documents = req.body || {};
+  const validation = validateProfileSync(documents, PROFILE_DOCUMENTS);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: validation.errors
+    });
+  }
+
+  try {
+    const profile = syncProfile(req.user.id, documents);
+    console.log(`[Profile] Synced ${Object.keys(documents).join(', ') || 'nothing'} for ${req.user.username}`);
+    res.json(profile);
+  } catch (error) {
+    console.error('[Profile] Sync error:', error);
+    res.status(500).json({ error: 'Failed to sync profile: ' + error.message });
+  }
+});
+
+/**
+ * GET /profile/conversations
+ *
+ * Output:
+ * {
+ *   conversations: [{ sessionId, title, messageCount, createdAt, updatedAt }]  // newest first
+ * }
+ */
+router.get('/conversations', (req, res) => {
+  res.json({ conversations: listConversations(req.user.id) });
+});
+
+module.exports = router;
@@ -2,11 +2,37 @@
  * Run Code Routes
  *
  * POST /run - Execute code and return output
+ *
+ * Interactive runs (stdin typed while the program runs) are a WebSocket at
+ * /run/interactive - see services/interactiveRunService.js
  */
 
 const express = require('express');
 const router = express.Router();
 const { runCode, checkCompilers } = require('../services/compilerService');
+const { parseDiagnostics } = require('../utils/diagnosticsParser');
+const { checkProjectFiles } = require('../utils/validators');
+const { assignmentScope } = require('../middleware/classroom');
+const { recordActivity } = require('../services/analyticsService');
+
+/**
+ * The error shown for a run a time or memory limit stopped (output
+ * truncation keeps stderr, which ends with a note)
+ */
+function limitMessage({ limitExceeded, limits, stderr }) {
+  const seconds = (ms) => `${ms / 1000} second${ms === 1000 ? '' : 's'}`;
+  switch (limitExceeded) {
+    case 'cpuTime':
+      return `Time limit exceeded: the program was still computing after ${seconds(limits.cpuTimeMs)}`;
+    case 'wallTime':
+      return `Time limit exceeded: the program was still running after ${seconds(limits.wallTimeMs)}, mostly waiting`;
+    case 'memory':
+      return `Memory limit exceeded${limits?.memoryMb ? `: the program needed more than ${limits.memoryMb} MB` : ''}`
+        + (stderr ? `\n\n${stderr}` : '');
+    default:
+      return null;
+  }
+}
 
 /**
  * POST /run
@@ -15,24 +41,50 @@ const { runCode, checkCompilers } = require('../services/compilerService');
  * Input:
  * {
  *   code: string,
+ *   files: [{ name, content }] (optional, instead of code - a multi-file project: .py modules,
+ *          .c/.cpp sources with their .h headers, or several .java classes; names are
+ *          relative paths like "lib/util.h", plus .txt/.csv data files the program can open),
+ *   entry: string (optional - the file that starts the program: by default main.py, the Java
+ *          class with main, or for C/C++ the file defining main - every source is compiled),
  *   language: "python" | "c" | "cpp" | "java",
- *   input: string (optional - stdin input)
+ *   input: string (optional - stdin input),
+ *   assignmentId: number (optional, signed in - a classroom assignment: language defaults to,
+ *                 and must match, the assignment's)
  * }
  *
  * Output:
  * {
  *   success: boolean,
  *   output: string,
- *   error: string,
- *   executionTime: number
+ *   error: string,          // raw stderr, or what a limit stopped
+ *   executionTime: number,  // the whole request, in ms
+ *   exitCode: number,
+ *   signal: string | null,  // e.g. "SIGSEGV"
+ *   outputTruncated: boolean,
+ *   limitExceeded: "cpuTime" | "wallTime" | "memory" | "output" | null,
+ *   usage: {                // measured by the executor; null where it can't tell
+ *     compileTimeMs, cpuTimeMs, wallTimeMs, peakMemoryKb
+ *   },
+ *   limits: { cpuTimeMs, wallTimeMs, memoryMb, outputKb },   // null values are unknown
+ *   diagnostics: [{         // parsed from stderr, empty on success
+ *     phase: "compile" | "runtime",
+ *     file, line, column,   // null when the output doesn't say; file is project-relative
+ *     errorClass: string,   // e.g. "error", "NameError", "Segmentation fault"
+ *     message: string,
+ *     type: "syntax" | "typo" | "logic" | "structure" | "style",
+ *     concept: string,      // e.g. "undeclared-identifier", "index-out-of-range"
+ *     severity: "error" | "warning",
+ *     description: string
+ *   }]
  * }
  */
-router.post('/', async (req, res) => {
+router.post('/', assignmentScope, async (req, res) => {
   try {
-    const { code, language, input } = req.body;
+    const { code, input, files, entry } = req.body;
+    const language = req.body.language || req.assignment?.language;
 
     // Validate request
-    if (!code || typeof code !== 'string') {
+    if (files === undefined && (!code || typeof code !== 'string')) {
       return res.status(400).json({
         success: false,
         error: 'Code is required'
@@ -54,29 +106,49 @@ router.post('/', async (req, res) => {
       });
     }
 
-    console.log(`[Run] Executing ${language} code (${code.length} chars)`);
+    if (files !== undefined) {
+      const errors = checkProjectFiles(files, language.toLowerCase(), entry);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request',
+          details: errors
+        });
+      }
+    }
+
+    const size = files ? `${files.length} files` : `${code.length} chars`;
+    console.log(`[Run] Executing ${language} code (${size})${req.assignment ? ` for assignment ${req.assignment.id}` : ''}`);
 
     const startTime = Date.now();
-    const result = await runCode(code, language, input || '');
+    const result = await runCode(files || code, language, input || '', { entry });
     const executionTime = Date.now() - startTime;
 
-    console.log(`[Run] Completed in ${executionTime}ms, success: ${result.success}`);
+    console.log(`[Run] Completed in ${executionTime}ms, success: ${result.success}${result.limitExceeded ? ` (${result.limitExceeded} limit exceeded)` : ''}`);
 
-    if (result.timedOut) {
-      return res.json({
-        success: false,
-        output: result.stdout,
-        error: 'Execution timed out (5 second limit)',
-        executionTime
+    const diagnostics = result.success ? [] : parseDiagnostics(result, language.toLowerCase());
+
+    // Runs on an assignment feed the instructor's analytics
+    if (req.assignment) {
+      recordActivity(req.assignment.id, req.user.id, {
+        kind: 'run',
+        errorType: diagnostics[0]?.type || null,
+        concept: diagnostics[0]?.concept || null
       });
     }
 
     res.json({
       success: result.success,
       output: result.stdout,
-      error: result.stderr,
+      error: limitMessage(result) || result.stderr,
       executionTime,
-      exitCode: result.exitCode
+      exitCode: result.exitCode,
+      signal: result.signal || null,
+      outputTruncated: Boolean(result.outputTruncated),
+      limitExceeded: result.limitExceeded || null,
+      usage: result.usage || null,
+      limits: result.limits || null,
+      diagnostics
     });
 
   } catch (error) {
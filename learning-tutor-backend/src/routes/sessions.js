@@ -0,0 +1,55 @@
+/**
+ * Session Routes
+ *
+ * Conversation sessions used by /analyze for multi-turn memory.
+ * Sessions are also created implicitly by /analyze when no sessionId is sent.
+ * A session started while signed in belongs to that account: it is stored
+ * in the database, and only requests with the account's token can see it.
+ *
+ * POST   /sessions      - Start a new conversation
+ * GET    /sessions/:id  - Get the stored history
+ * DELETE /sessions/:id  - Forget a conversation
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createConversation,
+  getConversation,
+  deleteConversation
+} = require('../services/conversationService');
+const { listHintLadders } = require('../services/hintLadderService');
+
+router.post('/', (req, res) => {
+  const conversation = createConversation(req.user?.id);
+  res.status(201).json({ sessionId: conversation.id });
+});
+
+router.get('/:id', (req, res) => {
+  const conversation = getConversation(req.params.id, req.user?.id);
+  if (!conversation) {
+    return res.status(404).json({
+      error: 'Session not found',
+      hint: 'Sessions expire after a period of inactivity - start a new one'
+    });
+  }
+
+  res.json({
+    sessionId: conversation.id,
+    summary: conversation.summary,
+    messages: conversation.messages,
+    hintLadders: listHintLadders(conversation),
+    createdAt: new Date(conversation.createdAt).toISOString(),
+    updatedAt: new Date(conversation.updatedAt).toISOString()
+  });
+});
+
+router.delete('/:id', (req, res) => {
+  const deleted = deleteConversation(req.params.id, req.user?.id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json({ deleted: true });
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Trace Routes
+ *
+ * POST /trace - Run a small program step by step and record what happens on
+ *               each line: its variables, the call stack and what it printed.
+ *               Python runs under sys.settrace, C under gdb. Needs
+ *               CODE_EXECUTOR=local.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supportsTrace, traceCode } = require('../services/compilerService');
+const { parseDiagnostics } = require('../utils/diagnosticsParser');
+const { validateTraceRequest, normalizeLanguage } = require('../utils/validators');
+
+/**
+ * POST /trace
+ *
+ * Input:
+ * {
+ *   code: string,
+ *   files: [{ name, content }] (optional, instead of code - a project, as for POST /run),
+ *   entry: string (optional - as for POST /run),
+ *   language: "python" | "c",
+ *   input: string (optional - stdin input),
+ *   maxSteps: number (optional - fewer steps than the server's TRACE_MAX_STEPS)
+ * }
+ *
+ * Output:
+ * {
+ *   success: boolean,
+ *   steps: [{
+ *     file, line,                 // the line about to run (project-relative file)
+ *     event: "line" | "return" | "signal",   // return: Python function returning; signal: C crash
+ *     function: string,
+ *     stack: [{                   // the student's frames, outermost first
+ *       function, file, line,
+ *       locals: [{ name, type, value }]       // value is a printed form, cut at 200 chars
+ *     }],
+ *     stdout: string,             // printed since the previous step
+ *     returnValue?: { type, value },
+ *     signal?: string             // e.g. "SIGSEGV"
+ *   }],
+ *   stepLimitReached: boolean,    // the program ran longer than the steps recorded
+ *   output: string,
+ *   error: string,                // raw stderr
+ *   exitCode: number | null,
+ *   executionTime: number,
+ *   diagnostics: [...]            // as for POST /run
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validation = validateTraceRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    if (!supportsTrace()) {
+      return res.status(400).json({
+        error: 'Tracing needs CODE_EXECUTOR=local'
+      });
+    }
+
+    const { code, files, entry, input, maxSteps } = req.body;
+    const language = normalizeLanguage(req.body.language);
+
+    const size = files ? `${files.length} files` : `${code.length} chars`;
+    console.log(`[Trace] Tracing ${language} code (${size})`);
+
+    const startTime = Date.now();
+    const result = await traceCode(files || code, language, input || '', { entry, maxSteps });
+    const executionTime = Date.now() - startTime;
+
+    console.log(`[Trace] ${result.steps.length} steps in ${executionTime}ms, success: ${result.success}`);
+
+    // A crash report rarely says where it happened; the last step does
+    const diagnostics = result.success ? [] : parseDiagnostics(result, language);
+    const lastStep = result.steps[result.steps.length - 1];
+    for (const diagnostic of diagnostics) {
+      if (diagnostic.phase === 'runtime' && !diagnostic.line && lastStep) {
+        diagnostic.file = lastStep.file;
+        diagnostic.line = lastStep.line;
+      }
+    }
+
+    res.json({
+      success: result.success,
+      steps: result.steps,
+      stepLimitReached: result.stepLimitReached,
+      output: result.stdout,
+      error: result.timedOut ? 'Tracing timed out' : result.stderr,
+      exitCode: result.exitCode,
+      executionTime,
+      diagnostics
+    });
+
+  } catch (error) {
+    console.error('[Trace] Error:', error);
+    res.status(500).json({
+      error: 'Failed to trace code: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * C/C++ Rules
+ *
+ * Program structure checks for C and C++.
+ */
+
+const { nodeRange } = require('../utils/codeParser');
+
+/**
+ * A whole program (it has an #include) without a main() function
+ */
+function detectMissingMain({ root, findAll }) {
+  const hasInclude = findAll(['preproc_include']).length > 0;
+  const hasMain = findAll(['function_definition']).some(fn => {
+    const declarator = fn.childForFieldName('declarator');
+    const name = declarator && declarator.childForFieldName('declarator');
+    return Boolean(name) && name.text === 'main';
+  });
+  return hasInclude && !hasMain ? [nodeRange(root.firstNamedChild || root)] : [];
+}
+
+module.exports = {
+  name: 'c',
+  rules: [
+    {
+      id: 'c-missing-main',
+      languages: ['c', 'cpp'],
+      concept: 'missing-entry-point',
+      type: 'structure',
+      severity: 'info',
+      messages: {
+        description: 'C/C++ programs need a main() function as the entry point',
+        hints: [
+          'Where does a C/C++ program start running?',
+          'Every C/C++ program starts in a function with one specific name. Is it in this file?',
+          'That function returns an int, and your other functions are called from it.'
+        ]
+      },
+      detect: detectMissingMain
+    }
+  ]
+};
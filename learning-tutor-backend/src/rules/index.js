@@ -0,0 +1,172 @@
+/**
+ * Rule Registry
+ *
+ * Every check the error detector runs is a rule:
+ *   id: string                  // unique, kebab-case ("no-goto")
+ *   languages: string[]         // any of python, c, cpp, java
+ *   concept: string             // what the student should learn ("unreachable-code")
+ *   type: "syntax" | "typo" | "logic" | "structure" | "style"
+ *   severity: "error" | "warning" | "info"
+ *   enabled?: boolean           // false = off unless a request turns it on
+ *   messages: {
+ *     description: string | (finding) => string,
+ *     hints: Array<string | (finding) => string>   // first hint = hint level 1
+ *   }
+ *   detect(context) -> findings
+ *
+ * context: { root, code, lines, language, analysis, findAll(types) }
+ *   root is the tree-sitter root node and analysis the scope analysis.
+ * finding: { node } or { line, column, endLine, endColumn }. It may override
+ *   description, hints, severity, type or concept, and any other fields are
+ *   passed to message functions.
+ *
+ * Rules come in packs: a CommonJS file exporting { name, rules }. The built-in
+ * packs live next to this file; extra packs (course-specific rules) are loaded
+ * from every .js file in RULE_PACKS_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_LANGUAGES } = require('../utils/validators');
+
+const CONFIG = {
+  // Directory of extra rule packs, one .js file per pack
+  packsDir: process.env.RULE_PACKS_DIR || path.join(__dirname, '..', '..', 'rule-packs')
+};
+
+const BUILT_IN_PACKS = [
+  require('./syntax'),
+  require('./names'),
+  require('./logic'),
+  require('./python'),
+  require('./c'),
+  require('./java')
+];
+
+const ISSUE_TYPES = ['syntax', 'typo', 'logic', 'structure', 'style'];
+const SEVERITIES = ['error', 'warning', 'info'];
+const RULE_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// id -> rule, in registration order
+const rules = new Map();
+let loaded = false;
+
+/**
+ * Throws if a rule is missing a field or has one of the wrong kind
+ */
+function validateRule(rule) {
+  const name = rule && typeof rule.id === 'string' ? `Rule '${rule.id}'` : 'Rule';
+  const fail = message => { throw new Error(`${name} ${message}`); };
+
+  if (!rule || typeof rule !== 'object') fail('must be an object');
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) fail('needs a kebab-case id');
+  if (!Array.isArray(rule.languages) || rule.languages.length === 0 ||
+      !rule.languages.every(l => SUPPORTED_LANGUAGES.includes(l))) {
+    fail(`languages must be a list of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+  if (typeof rule.concept !== 'string' || !rule.concept) fail('needs a concept');
+  if (!ISSUE_TYPES.includes(rule.type)) fail(`type must be one of: ${ISSUE_TYPES.join(', ')}`);
+  if (!SEVERITIES.includes(rule.severity)) fail(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') fail('enabled must be true or false');
+  if (typeof rule.detect !== 'function') fail('needs a detect(context) function');
+
+  const messages = rule.messages || {};
+  const isMessage = m => typeof m === 'string' || typeof m === 'function';
+  if (!isMessage(messages.description)) fail('needs messages.description');
+  if (!Array.isArray(messages.hints) || messages.hints.length === 0 || !messages.hints.every(isMessage)) {
+    fail('needs at least one hint in messages.hints');
+  }
+}
+
+/**
+ * Adds every rule of a pack, or none of them if one is invalid
+ */
+function registerPack(pack, source = 'pack') {
+  if (!pack || typeof pack.name !== 'string' || !Array.isArray(pack.rules)) {
+    throw new Error(`${source} must export { name, rules }`);
+  }
+
+  const ids = new Set();
+  for (const rule of pack.rules) {
+    validateRule(rule);
+    if (rules.has(rule.id) || ids.has(rule.id)) {
+      throw new Error(`Rule '${rule.id}' is already registered`);
+    }
+    ids.add(rule.id);
+  }
+
+  for (const rule of pack.rules) {
+    rules.set(rule.id, { ...rule, pack: pack.name });
+  }
+  return pack.rules.length;
+}
+
+/**
+ * Loads every .js file in a directory as a rule pack
+ * A broken pack is logged and skipped so it can't take the server down
+ */
+function loadRulePacks(dir) {
+  if (!fs.existsSync(dir)) return;
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    try {
+      const count = registerPack(require(path.resolve(dir, file)), file);
+      console.log(`[Rules] Loaded ${count} rule(s) from ${file}`);
+    } catch (error) {
+      console.error(`[Rules] Skipping ${file}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Registers the built-in packs and the packs in RULE_PACKS_DIR (once)
+ */
+function loadRules() {
+  if (loaded) return;
+  loaded = true;
+
+  for (const pack of BUILT_IN_PACKS) {
+    registerPack(pack, `built-in pack ${pack.name}`);
+  }
+  loadRulePacks(CONFIG.packsDir);
+}
+
+/**
+ * Rules to run for a language
+ * overrides maps rule ids to true/false for this request; unknown ids are
+ * ignored so clients can send toggles for packs a server doesn't have
+ */
+function rulesFor(language, overrides = {}) {
+  loadRules();
+  return [...rules.values()].filter(rule => {
+    if (!rule.languages.includes(language)) return false;
+    const override = overrides[rule.id];
+    return typeof override === 'boolean' ? override : rule.enabled !== false;
+  });
+}
+
+/**
+ * Public description of every registered rule (no functions)
+ */
+function listRules() {
+  loadRules();
+  return [...rules.values()].map(rule => ({
+    id: rule.id,
+    pack: rule.pack,
+    languages: rule.languages,
+    concept: rule.concept,
+    type: rule.type,
+    severity: rule.severity,
+    enabled: rule.enabled !== false,
+    hintLevels: rule.messages.hints.length
+  }));
+}
+
+module.exports = {
+  registerPack,
+  loadRulePacks,
+  loadRules,
+  rulesFor,
+  listRules
+};
@@ -0,0 +1,94 @@
+/**
+ * Java Rules
+ *
+ * String comparison with ==, and the class + main method every Java program
+ * needs.
+ */
+
+const { nodeRange } = require('../utils/codeParser');
+
+const TYPE_DECLARATIONS = ['class_declaration', 'interface_declaration', 'enum_declaration', 'record_declaration'];
+
+/**
+ * == or != with a String on either side
+ */
+function detectStringEquality({ analysis, findAll }) {
+  const isString = side => Boolean(side) && (side.type === 'string_literal' ||
+    (side.type === 'identifier' && analysis.bindingOf(side)?.typeText === 'String'));
+
+  return findAll(['binary_expression'])
+    .map(comparison => ({ comparison, operator: comparison.childForFieldName('operator') }))
+    .filter(({ comparison, operator }) => operator && ['==', '!='].includes(operator.type) &&
+      (isString(comparison.childForFieldName('left')) || isString(comparison.childForFieldName('right'))))
+    .map(({ operator }) => ({ node: operator }));
+}
+
+/**
+ * Statements written outside any class (short snippets are let through)
+ */
+function detectMissingClass({ root, code, findAll }) {
+  if (findAll(TYPE_DECLARATIONS).length > 0 || code.trim().length <= 50) return [];
+  return [nodeRange(root.firstNamedChild || root)];
+}
+
+/**
+ * A class but no static main method anywhere
+ */
+function detectMissingMain({ findAll }) {
+  const firstClass = findAll(['class_declaration'])[0];
+  const hasMain = findAll(['method_declaration']).some(method =>
+    method.childForFieldName('name').text === 'main' &&
+    method.namedChildren.some(c => c.type === 'modifiers' && /\bstatic\b/.test(c.text)));
+  return firstClass && !hasMain ? [{ node: firstClass.childForFieldName('name') }] : [];
+}
+
+module.exports = {
+  name: 'java',
+  rules: [
+    {
+      id: 'java-string-equality',
+      languages: ['java'],
+      concept: 'string-comparison',
+      type: 'logic',
+      severity: 'error',
+      messages: {
+        description: 'In Java, compare Strings using .equals() not ==',
+        hints: [
+          '== checks whether two Strings are the same object. How do you compare their contents?',
+          'Two different String objects can hold the same letters. Which String method checks the letters?'
+        ]
+      },
+      detect: detectStringEquality
+    },
+    {
+      id: 'java-missing-class',
+      languages: ['java'],
+      concept: 'program-structure',
+      type: 'structure',
+      severity: 'info',
+      messages: {
+        description: 'Java code must be inside a class',
+        hints: [
+          'In Java, where does every method and statement have to live?',
+          'Wrap your methods in a class whose name matches the file name.'
+        ]
+      },
+      detect: detectMissingClass
+    },
+    {
+      id: 'java-missing-main',
+      languages: ['java'],
+      concept: 'missing-entry-point',
+      type: 'structure',
+      severity: 'info',
+      messages: {
+        description: 'Java programs need a main method: public static void main(String[] args)',
+        hints: [
+          'Which method does Java run first, and does this class have it?',
+          'The method Java starts from has a fixed name, and it must be static.'
+        ]
+      },
+      detect: detectMissingMain
+    }
+  ]
+};
@@ -0,0 +1,246 @@
+/**
+ * Logic Rules
+ *
+ * Code that parses but can't do what the student meant: statements after a
+ * return, loops that never end, constant indexes past the end of an array,
+ * and assignments where a comparison belongs.
+ */
+
+const { spanRange } = require('../utils/codeParser');
+
+const STATEMENT_BLOCKS = {
+  python: ['block', 'module'],
+  c: ['compound_statement', 'case_statement'],
+  cpp: ['compound_statement', 'case_statement'],
+  java: ['block', 'switch_block_statement_group']
+};
+
+const JUMP_STATEMENTS = {
+  python: ['return_statement', 'raise_statement', 'break_statement', 'continue_statement'],
+  c: ['return_statement', 'break_statement', 'continue_statement', 'goto_statement'],
+  cpp: ['return_statement', 'break_statement', 'continue_statement', 'goto_statement', 'throw_statement'],
+  java: ['return_statement', 'throw_statement', 'break_statement', 'continue_statement']
+};
+
+// Nodes inside a block that are not statements of their own
+const NON_STATEMENTS = ['comment', 'switch_label'];
+
+// Places control can jump to even after a return/break
+const ENTRY_POINTS = ['labeled_statement', 'case_statement', 'ERROR'];
+
+/**
+ * Statements that come after a return/break/raise in the same block
+ */
+function detectUnreachableCode({ language, findAll }) {
+  const findings = [];
+
+  for (const block of findAll(STATEMENT_BLOCKS[language])) {
+    const caseValue = block.type === 'case_statement' ? block.childForFieldName('value') : null;
+    const statements = block.namedChildren
+      .filter(n => !NON_STATEMENTS.includes(n.type) && !(caseValue && n.id === caseValue.id));
+
+    const jump = statements.findIndex(n => JUMP_STATEMENTS[language].includes(n.type));
+    if (jump === -1 || jump === statements.length - 1) continue;
+    if (ENTRY_POINTS.includes(statements[jump + 1].type)) continue;
+
+    let last = jump + 1;
+    while (last + 1 < statements.length && !ENTRY_POINTS.includes(statements[last + 1].type)) last++;
+
+    findings.push({
+      ...spanRange(statements[jump + 1], statements[last]),
+      keyword: statements[jump].firstChild.text,
+      // javac refuses to compile unreachable statements
+      ...(language === 'java' && { severity: 'error' })
+    });
+  }
+
+  return findings;
+}
+
+const LOOP_TYPES = ['while_statement', 'for_statement', 'do_statement', 'for_range_loop', 'enhanced_for_statement'];
+const NESTED_DEFINITIONS = ['function_definition', 'lambda', 'lambda_expression', 'class_definition', 'method_declaration', 'class_declaration'];
+const EXIT_CALL = /^(exit|_exit|abort|quit|sys\.exit|os\._exit|System\.exit)$/;
+
+/**
+ * Loops whose condition is always true and whose body never leaves
+ */
+function detectInfiniteLoops({ language, findAll }) {
+  const findings = [];
+
+  for (const loop of findAll(['while_statement', 'for_statement', 'do_statement'])) {
+    if (language === 'python' && loop.type === 'for_statement') continue;
+
+    const condition = loop.childForFieldName('condition');
+    let header;
+    if (loop.type === 'for_statement') {
+      // for (;;)
+      if (condition) continue;
+      header = loop.children.find(c => c.type === ')');
+    } else {
+      if (!isAlwaysTrue(condition)) continue;
+      header = condition;
+    }
+
+    const body = loop.childForFieldName('body');
+    if (!body || !header || leavesLoop(body, true)) continue;
+
+    findings.push({
+      ...(loop.type === 'do_statement' ? { node: header } : spanRange(loop, header)),
+      loop: loop.type === 'for_statement' ? 'for(;;)' : 'while(true)'
+    });
+  }
+
+  return findings;
+}
+
+function isAlwaysTrue(condition) {
+  if (!condition) return false;
+  let node = condition;
+  while (['parenthesized_expression', 'condition', 'condition_clause'].includes(node.type) && node.namedChildCount === 1) {
+    node = node.firstNamedChild;
+  }
+  return node.type === 'true' || node.text === '1' || node.text === 'True';
+}
+
+/**
+ * True if anything in the body can end the loop: a break that belongs to
+ * it, a return/raise/throw/goto, or a call that exits the program
+ */
+function leavesLoop(body, ownLoop) {
+  // An explicit stack, so deeply nested code can't overflow the call stack
+  const stack = [[body, ownLoop]];
+  while (stack.length > 0) {
+    const [node, own] = stack.pop();
+    for (const child of node.namedChildren) {
+      if (NESTED_DEFINITIONS.includes(child.type)) continue;
+      if (['return_statement', 'raise_statement', 'throw_statement', 'goto_statement'].includes(child.type)) return true;
+      // Labelled breaks (Java) can leave any enclosing loop
+      if (child.type === 'break_statement' && (own || child.namedChildCount > 0)) return true;
+      if (['call', 'call_expression', 'method_invocation'].includes(child.type)) {
+        const name = child.type === 'method_invocation'
+          ? child.text.split('(')[0].replace(/\s+/g, '')
+          : (child.childForFieldName('function') || child).text;
+        if (EXIT_CALL.test(name)) return true;
+      }
+      // A break inside a nested loop or switch only leaves that one
+      const nested = LOOP_TYPES.includes(child.type) || ['switch_statement', 'switch_expression'].includes(child.type);
+      stack.push([child, own && !nested]);
+    }
+  }
+  return false;
+}
+
+/**
+ * Constant indexes past the end of an array declared with a constant size
+ */
+function detectOutOfBoundsIndexes({ analysis, findAll }) {
+  const findings = [];
+
+  for (const access of findAll(['subscript_expression', 'array_access'])) {
+    const array = access.childForFieldName('argument') || access.childForFieldName('array');
+    const index = access.childForFieldName('index');
+    if (!array || !index || array.type !== 'identifier' || !/^\d+$/.test(index.text)) continue;
+
+    const binding = analysis.bindingOf(array);
+    if (!binding || binding.arraySize === undefined) continue;
+
+    if (parseInt(index.text) >= binding.arraySize) {
+      findings.push({ node: access, index: index.text, size: binding.arraySize });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * `if (x = 5)` in C, C++ and Java - an assignment where a comparison belongs
+ * Doubled parentheses `if ((x = next()))` mark a deliberate assignment
+ */
+function detectConditionAssignments({ findAll }) {
+  const findings = [];
+
+  for (const statement of findAll(['if_statement', 'while_statement', 'do_statement', 'for_statement'])) {
+    let condition = statement.childForFieldName('condition');
+    if (condition && ['parenthesized_expression', 'condition', 'condition_clause'].includes(condition.type)) {
+      condition = condition.childForFieldName('value') || condition.firstNamedChild;
+    }
+    if (!condition || condition.type !== 'assignment_expression') continue;
+
+    const operator = condition.childForFieldName('operator') || condition.children.find(c => c.type === '=');
+    if (!operator || operator.type !== '=') continue;
+
+    findings.push({ node: operator });
+  }
+
+  return findings;
+}
+
+module.exports = {
+  name: 'logic',
+  rules: [
+    {
+      id: 'unreachable-code',
+      languages: ['python', 'c', 'cpp', 'java'],
+      concept: 'unreachable-code',
+      type: 'logic',
+      severity: 'warning',
+      messages: {
+        description: ({ keyword }) => `This code can never run: it comes right after a '${keyword}' statement`,
+        hints: [
+          'Can the program ever reach this line? Look at the statement just above it.',
+          ({ keyword }) => `What happens to the rest of the block once '${keyword}' runs?`,
+          'Decide whether these lines belong before the jump, in another branch, or not at all.'
+        ]
+      },
+      detect: detectUnreachableCode
+    },
+    {
+      id: 'infinite-loop',
+      languages: ['python', 'c', 'cpp', 'java'],
+      concept: 'infinite-loop',
+      type: 'logic',
+      severity: 'warning',
+      messages: {
+        description: ({ loop }) => `Potential infinite loop: ${loop} without visible break statement`,
+        hints: [
+          'How does this loop ever stop?',
+          'The condition is always true. Which line inside the body is meant to end the loop?',
+          'A loop like this needs a break (or return) that runs once the work is done.'
+        ]
+      },
+      detect: detectInfiniteLoops
+    },
+    {
+      id: 'index-out-of-bounds',
+      languages: ['python', 'c', 'cpp', 'java'],
+      concept: 'index-out-of-range',
+      type: 'logic',
+      severity: 'error',
+      messages: {
+        description: ({ index, size }) =>
+          `Array index ${index} is out of bounds for array of size ${size} (valid indices: 0 to ${size - 1})`,
+        hints: [
+          ({ size }) => `An array of size ${size} starts counting at 0. What is its last valid index?`,
+          'Count the elements from 0 on your fingers. Which index does the last one get?'
+        ]
+      },
+      detect: detectOutOfBoundsIndexes
+    },
+    {
+      id: 'assignment-in-condition',
+      languages: ['c', 'cpp', 'java'],
+      concept: 'assignment-in-condition',
+      type: 'logic',
+      severity: 'warning',
+      messages: {
+        description: 'Using assignment (=) instead of comparison (==) in condition',
+        hints: [
+          'Is this condition storing a value or comparing two values?',
+          'One = and two == mean different things. Which one asks a question?',
+          'An assignment inside a condition changes the variable and then tests the new value. Is that what you meant?'
+        ]
+      },
+      detect: detectConditionAssignments
+    }
+  ]
+};
@@ -0,0 +1,243 @@
+/**
+ * Name Rules
+ *
+ * Names used but never defined, variables stored but never read, and
+ * likely misspellings. Built on the scope analysis, so a name is only
+ * "undefined" if no scope this line can see declares it.
+ */
+
+const { closest } = require('../utils/codeParser');
+const { knownNames, suggestNames, formatSuggestions } = require('../utils/typoSuggester');
+
+/**
+ * Names used but never defined - only trustworthy once the code parses cleanly
+ */
+function detectUndefinedNames({ root, language, analysis }) {
+  if (root.hasError()) return [];
+
+  const candidates = [...knownNames(language, 'names'), ...analysis.declaredNames];
+  return analysis.undefinedNames.map(({ node, name, kind }) => ({
+    node,
+    name,
+    kind,
+    language,
+    suggestions: suggestNames(name, candidates, analysis.declaredNames),
+    // Our list of C/C++ library names can't cover every header
+    severity: language === 'c' || language === 'cpp' ? 'warning' : 'error'
+  }));
+}
+
+function undefinedNameDescription({ name, kind, language, suggestions }) {
+  let description = `'${name}' is used but never declared`;
+  if (language === 'python') description = `Name '${name}' is not defined`;
+  if (kind === 'method') description = `Method '${name}()' is not defined in this class`;
+  return suggestions.length > 0 ? `${description} - did you mean ${formatSuggestions(suggestions)}?` : description;
+}
+
+/**
+ * Variables stored but never read
+ */
+function detectUnusedVariables({ root, analysis }) {
+  if (root.hasError()) return [];
+
+  return analysis.unusedVariables.map(({ node, name, loopVariable }) => ({
+    node,
+    name,
+    loopVariable,
+    ...(loopVariable && {
+      severity: 'info',
+      hints: [
+        'Is this loop variable needed inside the loop?',
+        'If the loop only repeats, the variable can keep a name that says "unused". Should the body use it instead?'
+      ]
+    })
+  }));
+}
+
+// Where a name after a dot sits: [parent type, field]
+const MEMBER_FIELDS = {
+  python: [['attribute', 'attribute']],
+  c: [['field_expression', 'field']],
+  cpp: [['field_expression', 'field']],
+  java: [['method_invocation', 'name'], ['field_access', 'field']]
+};
+
+// Parents of a C/C++ type name that declare it rather than use it
+const C_TYPE_DECLARATIONS = [
+  'struct_specifier', 'union_specifier', 'enum_specifier', 'class_specifier', 'type_definition',
+  'alias_declaration', 'type_parameter_declaration', 'optional_type_parameter_declaration'
+];
+
+const JAVA_TYPE_DECLARATIONS = [
+  'class_declaration', 'interface_declaration', 'enum_declaration', 'record_declaration',
+  'annotation_type_declaration', 'type_parameter'
+];
+
+/**
+ * Names close to a known name but matching nothing: names after a dot,
+ * type names, and - while the code doesn't parse, so the undefined-name
+ * rule is quiet - plain names too
+ */
+function detectTypos({ root, language, analysis, findAll }) {
+  const findings = [];
+  const own = analysis.declaredNames;
+  const report = (node, candidates) => {
+    const suggestions = suggestNames(node.text, candidates, own);
+    if (suggestions.length > 0) findings.push({ node, suggestions });
+  };
+
+  if (root.hasError()) {
+    const names = [...knownNames(language, 'names'), ...own];
+    analysis.undefinedNames.forEach(({ node }) => report(node, names));
+  }
+
+  const knownMembers = knownNames(language, 'members');
+  const ownMembers = new Set([...own, ...assignedAttributes(language, findAll)]);
+  for (const node of memberNames(language, findAll)) {
+    if (node.text.startsWith('_') || ownMembers.has(node.text) || knownMembers.has(node.text)) continue;
+    report(node, [...knownMembers, ...ownMembers]);
+  }
+
+  if (language !== 'python') {
+    const knownTypes = knownNames(language, 'types');
+    const { uses, declared } = typeNames(language, findAll);
+    for (const node of uses) {
+      if (declared.has(node.text) || own.has(node.text) || knownTypes.has(node.text)) continue;
+      report(node, [...knownTypes, ...declared]);
+    }
+  }
+
+  // `esle:` parses as a Python variable annotation, so it looks declared
+  if (language === 'python') {
+    const keywords = [...knownNames('python', 'names')].filter(name => /^[a-z]+$/.test(name));
+    for (const assignment of findAll(['assignment'])) {
+      const left = assignment.childForFieldName('left');
+      if (left && left.type === 'identifier' && assignment.childForFieldName('type') && !assignment.childForFieldName('right')) {
+        report(left, keywords);
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Identifiers that follow a dot (obj.name, obj.method())
+ */
+function memberNames(language, findAll) {
+  const fields = MEMBER_FIELDS[language] || [];
+  return findAll(fields.map(([type]) => type))
+    .filter(node => node.type !== 'method_invocation' || node.childForFieldName('object'))
+    .map(node => node.childForFieldName(fields.find(([type]) => type === node.type)[1]))
+    .filter(Boolean);
+}
+
+/**
+ * Python attributes the code assigns (self.total = 0), which makes them its own
+ */
+function assignedAttributes(language, findAll) {
+  if (language !== 'python') return [];
+  return findAll(['assignment'])
+    .map(assignment => assignment.childForFieldName('left'))
+    .filter(left => left && left.type === 'attribute')
+    .map(left => left.childForFieldName('attribute').text);
+}
+
+/**
+ * Type names the code uses, and the ones it declares (classes, structs,
+ * typedefs, type parameters, Java imports)
+ */
+function typeNames(language, findAll) {
+  const declared = new Set();
+  const uses = [];
+
+  if (language === 'java') {
+    for (const node of findAll(JAVA_TYPE_DECLARATIONS)) {
+      const name = node.childForFieldName('name') || node.namedChildren.find(c => c.type === 'type_identifier' || c.type === 'identifier');
+      if (name) declared.add(name.text);
+    }
+    for (const node of findAll(['import_declaration'])) {
+      const path = node.namedChildren.find(c => c.type === 'scoped_identifier');
+      if (path && path.childForFieldName('name')) declared.add(path.childForFieldName('name').text);
+    }
+    // Class names used as values (Sytem.out) are plain identifiers in Java
+    for (const node of findAll(['type_identifier', 'identifier'])) {
+      if (node.type === 'identifier' && !/^[A-Z][a-z]/.test(node.text)) continue;
+      if (isJavaDeclarationName(node)) continue;
+      uses.push(node);
+    }
+  } else {
+    for (const node of findAll(['type_identifier'])) {
+      if (C_TYPE_DECLARATIONS.includes(node.parent.type)) declared.add(node.text);
+      else uses.push(node);
+    }
+  }
+
+  return { uses, declared };
+}
+
+/**
+ * True for the name in a Java declaration, import or package line
+ */
+function isJavaDeclarationName(node) {
+  const parent = node.parent;
+  if (JAVA_TYPE_DECLARATIONS.includes(parent.type)) return true;
+  // Variables, methods and parameters: `name` is declared unless it is called or read
+  const name = parent.childForFieldName('name');
+  if (name && name.id === node.id && !['method_invocation', 'field_access'].includes(parent.type)) return true;
+  return Boolean(closest(node, ['import_declaration', 'package_declaration']));
+}
+
+module.exports = {
+  name: 'names',
+  rules: [
+    {
+      id: 'undefined-name',
+      languages: ['python', 'c', 'cpp', 'java'],
+      concept: 'undeclared-identifier',
+      type: 'typo',
+      severity: 'error',
+      messages: {
+        description: undefinedNameDescription,
+        hints: [
+          'Where is this name created? Check its spelling, and that it is defined where this line can see it.',
+          'Compare this name letter by letter (and capital by capital) with the place where you created it.',
+          'A name must be defined (or imported/included) before this line runs, in this block or one around it.'
+        ]
+      },
+      detect: detectUndefinedNames
+    },
+    {
+      id: 'unused-variable',
+      languages: ['python', 'c', 'cpp', 'java'],
+      concept: 'unused-variable',
+      type: 'style',
+      severity: 'warning',
+      messages: {
+        description: ({ name, loopVariable }) => (loopVariable
+          ? `Loop variable '${name}' is never used`
+          : `Variable '${name}' is assigned but never used`),
+        hints: [
+          'This value is stored but never read. Is a later line meant to use it?',
+          'Follow this variable through the code. Did you mean to use it, or use a different variable by mistake?'
+        ]
+      },
+      detect: detectUnusedVariables
+    },
+    {
+      id: 'typo',
+      languages: ['python', 'c', 'cpp', 'java'],
+      concept: 'spelling',
+      type: 'typo',
+      severity: 'warning',
+      messages: {
+        description: ({ suggestions }) => `Possible typo: Did you mean ${formatSuggestions(suggestions)}?`,
+        hints: [
+          'Check the spelling of this word letter by letter.',
+          'Two letters in this word may be swapped or missing. Compare it with the name you meant.'
+        ]
+      },
+      detect: detectTypos
+    }
+  ]
+};
@@ -0,0 +1,71 @@
+/**
+ * Python Rules
+ *
+ * Python 2 habits (print/exec statements) and indentation that mixes tabs
+ * with spaces.
+ */
+
+const { nodeRange, lineRange, closest } = require('../utils/codeParser');
+
+/**
+ * Python 2 style print/exec statements
+ */
+function detectPython2Statements({ findAll }) {
+  return findAll(['print_statement', 'exec_statement']).map(statement => ({
+    ...nodeRange(statement.firstChild),
+    keyword: statement.firstChild.text
+  }));
+}
+
+/**
+ * Lines indented with both tabs and spaces, outside multi-line strings
+ */
+function detectMixedIndentation({ root, lines }) {
+  const findings = [];
+
+  lines.forEach((line, index) => {
+    if (!/^\t+ /.test(line) && !/^ +\t/.test(line)) return;
+    const node = root.descendantForPosition({ row: index, column: 0 });
+    if (node && (node.type === 'string' || closest(node, ['string']))) return;
+    findings.push(lineRange(index, 0, line.match(/^\s*/)[0].length));
+  });
+
+  return findings;
+}
+
+module.exports = {
+  name: 'python',
+  rules: [
+    {
+      id: 'python2-print',
+      languages: ['python'],
+      concept: 'python3-functions',
+      type: 'syntax',
+      severity: 'error',
+      messages: {
+        description: ({ keyword }) => `In Python 3, ${keyword} is a function: use ${keyword}() with parentheses`,
+        hints: [
+          ({ keyword }) => `In Python 3, ${keyword} is a function. How do you call a function?`,
+          'Look at how you call len() or input(). What does this line leave out?'
+        ]
+      },
+      detect: detectPython2Statements
+    },
+    {
+      id: 'mixed-indentation',
+      languages: ['python'],
+      concept: 'indentation',
+      type: 'style',
+      severity: 'warning',
+      messages: {
+        description: 'Mixing tabs and spaces for indentation can cause issues',
+        hints: [
+          'This indentation mixes tabs and spaces. Pick one and use it everywhere.',
+          'Python compares indentation character by character, so a tab and four spaces are not the same.',
+          'Most editors can show whitespace or convert tabs to spaces for the whole file.'
+        ]
+      },
+      detect: detectMixedIndentation
+    }
+  ]
+};
@@ -0,0 +1,251 @@
+/**
+ * Syntax Rules
+ *
+ * Turns the parser's ERROR and MISSING nodes into messages a beginner can
+ * act on: unbalanced brackets, a lost semicolon or colon, `=` in a Python
+ * condition, and a generic "can't make sense of" for the rest.
+ */
+
+const { nodeRange, lineRange, walk } = require('../utils/codeParser');
+
+// Syntax errors cascade - after the first few the rest are usually noise
+const MAX_SYNTAX_ISSUES = 3;
+
+const LANGUAGE_NAMES = { python: 'Python', c: 'C', cpp: 'C++', java: 'Java' };
+
+const PYTHON_BLOCK_KEYWORDS = ['if', 'elif', 'else', 'for', 'while', 'def', 'class', 'try', 'except', 'finally', 'with'];
+
+/**
+ * Range of a node, cut at the end of its first line
+ */
+function firstLineRange(node, lines) {
+  const range = nodeRange(node);
+  if (range.endLine === range.line) return range;
+  const line = lines[range.line - 1] || '';
+  return { ...range, endLine: range.line, endColumn: Math.max(line.trimEnd().length, range.column) + 1 };
+}
+
+/**
+ * Unbalanced brackets first (everything else the parser complains about is
+ * then a knock-on effect), otherwise the tokens the parser found missing or
+ * could not fit anywhere
+ */
+function detectSyntaxErrors({ root, language, lines }) {
+  if (!root.hasError()) return [];
+
+  const bracketBalance = checkBracketBalance(root);
+  if (!bracketBalance.balanced) {
+    return [{
+      node: bracketBalance.node,
+      concept: 'unbalanced-brackets',
+      description: `Unbalanced ${bracketBalance.type}: ${bracketBalance.message}`,
+      hints: [
+        bracketBalance.hint,
+        'Match each bracket with its partner, starting from the innermost pair.',
+        'Brackets close in the reverse order they were opened: ( [ { ... } ] ).'
+      ]
+    }];
+  }
+
+  const findings = [];
+  walk(root, node => {
+    if (node.isMissing()) {
+      findings.push(describeMissing(node, language));
+      return false;
+    }
+    if (node.type === 'ERROR') {
+      findings.push(describeErrorNode(node, root, language, lines));
+      return false;
+    }
+  });
+
+  return findings.slice(0, MAX_SYNTAX_ISSUES);
+}
+
+/**
+ * Check bracket balance over the real bracket tokens (never inside strings or comments)
+ * Returns { balanced } or { balanced: false, type, message, hint, node }
+ */
+function checkBracketBalance(root) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const closers = Object.values(pairs);
+  const stack = [];
+  let problem = null;
+
+  walk(root, node => {
+    if (problem) return false;
+    if (node.childCount > 0 || node.isMissing()) return;
+    if (pairs[node.type]) {
+      stack.push(node);
+    } else if (closers.includes(node.type)) {
+      if (stack.length === 0) {
+        problem = {
+          message: `Unexpected '${node.type}'`,
+          hint: 'This closing bracket has no partner. Which opening bracket was it meant to close?',
+          node
+        };
+        return;
+      }
+      const last = stack.pop();
+      if (pairs[last.type] !== node.type) {
+        problem = {
+          message: `Expected '${pairs[last.type]}' but found '${node.type}'`,
+          hint: 'The brackets here don\'t pair up. Which one was opened most recently?',
+          node
+        };
+      }
+    }
+  });
+
+  if (!problem && stack.length > 0) {
+    problem = {
+      message: `Unclosed: ${stack.map(n => n.type).join(', ')}`,
+      hint: 'This bracket is never closed. Where should its block or expression end?',
+      node: stack[stack.length - 1]
+    };
+  }
+
+  return problem ? { balanced: false, type: 'bracket', ...problem } : { balanced: true };
+}
+
+/**
+ * A token the parser had to assume was there
+ */
+function describeMissing(node, language) {
+  const range = nodeRange(node);
+  if (node.type === ';') {
+    return missingSemicolon(range, language);
+  }
+  if (node.type === ':' && language === 'python') {
+    return missingColon(range);
+  }
+  return {
+    ...range,
+    concept: 'missing-punctuation',
+    description: `Something is missing here: the code expects ${node.type === 'identifier' ? 'a name' : `'${node.type}'`}`,
+    hints: [
+      'Read this line aloud. What should come next?',
+      'Compare this line with a similar one that works. Which piece is missing?'
+    ]
+  };
+}
+
+function missingSemicolon(range, language) {
+  return {
+    ...range,
+    concept: 'missing-punctuation',
+    description: 'This statement is missing a semicolon (;) at the end',
+    hints: [
+      `How does a statement end in ${LANGUAGE_NAMES[language]}?`,
+      'Look at the end of this line. Does it finish the same way as the statements around it?',
+      `Every simple statement in ${LANGUAGE_NAMES[language]} needs a terminator; blocks ending in } don't.`
+    ]
+  };
+}
+
+function missingColon(range) {
+  return {
+    ...range,
+    concept: 'missing-punctuation',
+    description: 'Python requires a colon (:) at the end of this statement',
+    hints: [
+      'Lines that start a block end with a special character in Python. Is it here?',
+      'Compare this line with another if/for/def line. What does it end with?',
+      'Every line that opens an indented block (if, for, while, def, class...) needs the same ending symbol.'
+    ]
+  };
+}
+
+/**
+ * Code the parser could not fit into the language's grammar
+ */
+function describeErrorNode(node, root, language, lines) {
+  if (language === 'python') {
+    // `if x = 5:` - an assignment where a comparison belongs
+    const parent = node.parent;
+    const equals = node.children.find(c => c.type === '=');
+    if (equals && parent && ['if_statement', 'elif_clause', 'while_statement'].includes(parent.type)) {
+      return {
+        node: equals,
+        type: 'logic',
+        concept: 'assignment-in-condition',
+        description: 'Are you assigning (=) when you meant to compare (==)?',
+        hints: [
+          'Is this condition storing a value or comparing two values?',
+          'Python has one operator for storing a value and a different one for checking equality.'
+        ]
+      };
+    }
+
+    const header = findHeaderWithoutColon(node, root, lines);
+    if (header) {
+      return missingColon(lineRange(header.row, header.end - 1, header.end));
+    }
+  } else {
+    // A statement that runs into the next line usually lost its semicolon
+    const row = node.endPosition.row;
+    let next = node.nextSibling;
+    while (next && next.type === 'comment') next = next.nextSibling;
+    const code = codeOnLine(root, lines, row);
+    if (next && next.startPosition.row > row && code && !/[;{},]$/.test(code)) {
+      return missingSemicolon(lineRange(row, code.length - 1, code.length), language);
+    }
+  }
+
+  const snippet = node.text.split('\n')[0].trim();
+  return {
+    ...firstLineRange(node, lines),
+    description: snippet
+      ? `Syntax error: ${LANGUAGE_NAMES[language]} can't make sense of '${snippet.length > 30 ? `${snippet.slice(0, 30)}...` : snippet}'`
+      : `Syntax error: ${LANGUAGE_NAMES[language]} can't make sense of the code here`
+  };
+}
+
+/**
+ * First block header (if/for/def...) inside an error that doesn't end in a colon
+ * Returns { row, end } with end the 0-based column after the header's last character
+ */
+function findHeaderWithoutColon(node, root, lines) {
+  for (let row = node.startPosition.row; row <= node.endPosition.row; row++) {
+    const line = lines[row] || '';
+    const indent = line.length - line.trimStart().length;
+    const first = root.descendantForPosition({ row, column: indent });
+    if (!first || !PYTHON_BLOCK_KEYWORDS.includes(first.type)) continue;
+
+    const code = codeOnLine(root, lines, row);
+    if (!code.endsWith(':')) return { row, end: code.length };
+  }
+  return null;
+}
+
+/**
+ * A line's text without a trailing comment or whitespace
+ */
+function codeOnLine(root, lines, row) {
+  const line = lines[row] || '';
+  const comment = root.descendantsOfType('comment', { row, column: 0 }, { row, column: line.length })
+    .find(c => c.startPosition.row === row);
+  return (comment ? line.slice(0, comment.startPosition.column) : line).trimEnd();
+}
+
+module.exports = {
+  name: 'syntax',
+  rules: [
+    {
+      id: 'syntax-error',
+      languages: ['python', 'c', 'cpp', 'java'],
+      concept: 'syntax-error',
+      type: 'syntax',
+      severity: 'error',
+      messages: {
+        description: 'Syntax error: the code here breaks the language\'s rules',
+        hints: [
+          'Something on this line breaks the language\'s rules. Compare it with a similar line that works.',
+          'Check the symbols on this line: brackets, quotes, colons, semicolons and commas.',
+          'Read the line one word at a time. Which word or symbol is out of place for this kind of statement?'
+        ]
+      },
+      detect: detectSyntaxErrors
+    }
+  ]
+};
@@ -0,0 +1,127 @@
+/**
+ * Account Service
+ *
+ * Local accounts: a username and password per student, and bearer tokens
+ * for signed-in requests. Passwords are stored as salted scrypt hashes;
+ * tokens are random and only their SHA-256 is stored, so a copy of the
+ * database can't be used to sign in.
+ *
+ * An account is a student or an instructor; instructors run classes
+ * (see classroomService).
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getDatabase } = require('./database');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL_MS = (parseInt(process.env.AUTH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Account roles
+const ROLES = ['student', 'instructor'];
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * "scrypt$salt$hash" for a password (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const key = await scrypt(password, salt, KEY_BYTES);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * True if the password matches a stored hash
+ */
+async function checkPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const key = await scrypt(password, salt, KEY_BYTES);
+  return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public view of a user row
+ */
+function toAccount(row) {
+  return { id: row.id, username: row.username, role: row.role, createdAt: new Date(row.created_at).toISOString() };
+}
+
+/**
+ * Creates an account. Returns the account, or null if the username is taken
+ */
+async function createUser(username, password, role = 'student') {
+  const db = getDatabase();
+  if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) return null;
+
+  const passwordHash = await hashPassword(password);
+  try {
+    const { lastInsertRowid } = db.prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)')
+      .run(username, passwordHash, role, Date.now());
+    return toAccount(db.prepare('SELECT * FROM users WHERE id = ?').get(lastInsertRowid));
+  } catch (error) {
+    // Someone took the name between the check and the insert
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') return null;
+    throw error;
+  }
+}
+
+/**
+ * The account for a username and password, or null if they don't match
+ */
+async function verifyCredentials(username, password) {
+  const row = getDatabase().prepare('SELECT * FROM users WHERE username = ?').get(username);
+  if (!row || !(await checkPassword(password, row.password_hash))) return null;
+  return toAccount(row);
+}
+
+/**
+ * Issues a sign-in token for a user
+ * Returns { token, expiresAt } - the token itself is never stored
+ */
+function issueToken(userId) {
+  const db = getDatabase();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  db.prepare('DELETE FROM auth_tokens WHERE expires_at <= ?').run(now);
+  db.prepare('INSERT INTO auth_tokens (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now, now + TOKEN_TTL_MS);
+
+  return { token, expiresAt: new Date(now + TOKEN_TTL_MS).toISOString() };
+}
+
+/**
+ * The account a token belongs to, or null if it is unknown or expired
+ */
+function verifyToken(token) {
+  if (!token) return null;
+  const row = getDatabase().prepare(`
+    SELECT users.* FROM auth_tokens JOIN users ON users.id = auth_tokens.user_id
+    WHERE auth_tokens.token_hash = ? AND auth_tokens.expires_at > ?
+  `).get(hashToken(token), Date.now());
+  return row ? toAccount(row) : null;
+}
+
+/**
+ * Signs a token out. Returns true if it existed.
+ */
+function revokeToken(token) {
+  return getDatabase().prepare('DELETE FROM auth_tokens WHERE token_hash = ?').run(hashToken(token)).changes > 0;
+}
+
+module.exports = {
+  ROLES,
+  createUser,
+  verifyCredentials,
+  issueToken,
+  verifyToken,
+  revokeToken
+};
@@ -2,86 +2,330 @@
  * AI Service
  *
  * The brain of the tutor system. Handles all AI interactions.
- * Uses Groq API when available, falls back to heuristic responses when not.
+ * Uses the configured LLM provider when available (see services/llm),
+ * falls back to heuristic responses when not.
  *
  * CRITICAL: This service NEVER returns complete code solutions.
  */
 
-const OpenAI = require('openai');
-const { SYSTEM_PROMPT, buildAnalysisPrompt } = require('../prompts/analysisPrompts');
+const { SYSTEM_PROMPT, SOCRATIC_SYSTEM_PROMPT, STREAM_META_MARKER, buildAnalysisPrompt } = require('../prompts/analysisPrompts');
 const { detectErrors } = require('../utils/errorDetector');
+const { analyzeComplexity } = require('../utils/complexityAnalyzer');
 const { normalizeLanguage } = require('../utils/validators');
+const { findEntryFile } = require('../utils/projectFiles');
+const { CONFIG: LEAK_CONFIG, detectLeaks, redactLeaks, logIntervention } = require('../utils/leakDetector');
+const { isLLMAvailable, chatCompletion, streamCompletion } = require('./llm');
+const { getOrCreateConversation, getConversationContext, recordTurn } = require('./conversationService');
+const { climbHintLadder } = require('./hintLadderService');
+const { assignmentProblemId } = require('./classroomService');
+const { exerciseProblemId } = require('../exercises');
+const { recordSocraticTurn, endSocraticDialogue, shouldReveal, getFallbackSocratic } = require('./socraticService');
 
-// Initialize Groq client (uses OpenAI-compatible API)
-let groqClient = null;
-const AI_MODEL = process.env.AI_MODEL || 'llama-3.3-70b-versatile';
-
-if (process.env.GROQ_API_KEY) {
-  groqClient = new OpenAI({
-    apiKey: process.env.GROQ_API_KEY,
-    baseURL: 'https://api.groq.com/openai/v1'
-  });
-  console.log(`[AI Service] Groq client initialized with model: ${AI_MODEL}`);
-} else {
-  console.log('[AI Service] No GROQ_API_KEY found - using fallback responses');
-  console.log('[AI Service] Get your free key at: https://console.groq.com/keys');
-}
+// Error types shared with errorDetector
+const ERROR_TYPES = ['syntax', 'typo', 'logic', 'structure', 'style'];
 
 /**
  * Main analysis function
  * Analyzes code and returns educational feedback (NO code solutions!)
  * Now includes learning state for pedagogical effectiveness
  */
-async function analyzeCode({ code, language, level, hintLevel, userQuestion, learningState }) {
+async function analyzeCode({ code, files, activeFile, language, level, mode = 'explain', hintLevel: requestedHintLevel, hintRequest, problemId, userQuestion, learningState, sessionId, userId, assignment, exercise, diagnostics, debugState, rules }) {
   // Normalize the language
   const normalizedLang = normalizeLanguage(language);
 
-  const codeText = typeof code === 'string' ? code.trim() : '';
+  const project = resolveProject({ code, files, activeFile, language: normalizedLang });
+  const codeText = project.code.trim();
   const hasCode = codeText.length > 0;
   const hasQuestion = typeof userQuestion === 'string' && userQuestion.trim().length > 0;
 
+  // Server-side conversation memory
+  const conversation = getOrCreateConversation(sessionId, userId);
+
   // Check for simple greetings first
   if (hasQuestion && !isCodeRelatedQuestion(userQuestion)) {
     const greeting = buildGeneralResponse(userQuestion);
-    if (greeting) return greeting;
+    if (greeting) return { ...greeting, sessionId: conversation.id };
   }
 
-  // Detect errors using heuristics
-  const detectedErrors = hasCode ? detectErrors(codeText, normalizedLang) : [];
+  const hints = await resolveHintLevel(conversation, {
+    requestedHintLevel, hintRequest, problemId, assignment, exercise, code: codeText, language: normalizedLang
+  });
+  const hintLevel = hints.hintLevel;
+
+  // Detect errors from a parse of the code
+  const detectedErrors = hasCode ? await detectErrors(codeText, normalizedLang, { hintLevel, rules }) : [];
+  const runDiagnostics = cleanDiagnostics(diagnostics);
+  const complexity = hasCode && isPerformanceQuestion(userQuestion) ? analyzeComplexity(codeText, normalizedLang) : null;
+  const conversationContext = getConversationContext(conversation);
+  const socratic = socraticContext(conversation, mode);
+  const params = {
+    code: codeText,
+    language: normalizedLang,
+    level,
+    hintLevel,
+    detectedErrors,
+    diagnostics: runDiagnostics,
+    debugState: cleanDebugState(debugState),
+    userQuestion,
+    learningState,
+    complexity,
+    mode,
+    socratic,
+    assignment,
+    exercise,
+    project: project.files ? project : null
+  };
 
   // Try AI-powered analysis first, fall back to heuristics
-  let aiResponse;
-  if (groqClient) {
-    aiResponse = await getAIAnalysis({
-      code: codeText,
-      language: normalizedLang,
-      level,
-      hintLevel,
-      detectedErrors,
-      userQuestion,
-      learningState
-    });
-  } else {
-    aiResponse = getFallbackAnalysis({
-      code: codeText,
-      language: normalizedLang,
-      level,
-      hintLevel,
-      detectedErrors,
-      userQuestion,
-      learningState
+  const aiResponse = isLLMAvailable()
+    ? await getAIAnalysis({ ...params, conversation: conversationContext })
+    : getFallbackReply(params);
+
+  // Socratic state first, so recordTurn stores it along with the turn
+  const socraticTurn = socratic && recordSocraticTurn(conversation, aiResponse);
+  recordTurn(conversation, {
+    userQuestion,
+    code: codeText,
+    reply: aiResponse.reply || formatFallbackReply(aiResponse)
+  });
+
+  const { answerEvaluation, socraticMove, concept, ...reply } = aiResponse;
+  return {
+    ...reply,
+    ...(socraticTurn && { socratic: socraticTurn }),
+    ...(complexity && { complexity }),
+    errorType: runDiagnostics[0]?.type || detectedErrors[0]?.type || null,
+    ...hints,
+    sessionId: conversation.id
+  };
+}
+
+/**
+ * Streaming analysis function
+ * Same inputs as analyzeCode, but the reply is pushed to onToken(text) as it
+ * is generated. Resolves with the final structured result once the reply is done.
+ * Pass an AbortSignal to stop generation when the client disconnects.
+ */
+async function streamAnalysis({ code, files, activeFile, language, level, mode = 'explain', hintLevel: requestedHintLevel, hintRequest, problemId, userQuestion, learningState, sessionId, userId, assignment, exercise, diagnostics, debugState, rules, onToken, signal }) {
+  const normalizedLang = normalizeLanguage(language);
+
+  const project = resolveProject({ code, files, activeFile, language: normalizedLang });
+  const codeText = project.code.trim();
+  const hasCode = codeText.length > 0;
+  const hasQuestion = typeof userQuestion === 'string' && userQuestion.trim().length > 0;
+
+  const conversation = getOrCreateConversation(sessionId, userId);
+
+  if (hasQuestion && !isCodeRelatedQuestion(userQuestion)) {
+    const greeting = buildGeneralResponse(userQuestion);
+    if (greeting) {
+      onToken(greeting.reply);
+      return { ...greeting, errorType: null, sessionId: conversation.id };
+    }
+  }
+
+  const hints = await resolveHintLevel(conversation, {
+    requestedHintLevel, hintRequest, problemId, assignment, exercise, code: codeText, language: normalizedLang
+  });
+  const hintLevel = hints.hintLevel;
+
+  const detectedErrors = hasCode ? await detectErrors(codeText, normalizedLang, { hintLevel, rules }) : [];
+  const runDiagnostics = cleanDiagnostics(diagnostics);
+  const complexity = hasCode && isPerformanceQuestion(userQuestion) ? analyzeComplexity(codeText, normalizedLang) : null;
+  const params = {
+    code: codeText,
+    language: normalizedLang,
+    level,
+    hintLevel,
+    detectedErrors,
+    diagnostics: runDiagnostics,
+    debugState: cleanDebugState(debugState),
+    userQuestion,
+    learningState,
+    complexity,
+    mode,
+    socratic: socraticContext(conversation, mode),
+    assignment,
+    exercise,
+    project: project.files ? project : null
+  };
+
+  let result = null;
+  if (isLLMAvailable()) {
+    result = await getStreamingAIAnalysis({
+      ...params,
+      conversation: getConversationContext(conversation),
+      onToken,
+      signal
     });
   }
 
+  // No AI, or AI failed before sending anything - stream the heuristic reply instead
+  if (!result) {
+    result = getFallbackReply(params);
+    result.reply = result.reply || formatFallbackReply(result);
+    emitInChunks(result.reply, onToken);
+  }
+
+  // A cancelled reply was never fully seen, so it is not remembered
+  const recorded = !result.cancelled;
+  // Socratic state first, so recordTurn stores it along with the turn
+  const socraticTurn = params.socratic && recorded && recordSocraticTurn(conversation, result);
+  if (recorded) {
+    recordTurn(conversation, { userQuestion, code: codeText, reply: result.reply });
+  }
+
+  const { answerEvaluation, socraticMove, concept, ...reply } = result;
   return {
-    ...aiResponse,
-    hintLevel
+    ...reply,
+    ...(socraticTurn && { socratic: socraticTurn }),
+    ...(complexity && { complexity }),
+    errorType: runDiagnostics[0]?.type || detectedErrors[0]?.type || null,
+    ...hints,
+    sessionId: conversation.id
   };
 }
 
+/**
+ * Socratic state to prompt with, or null outside Socratic mode
+ * Leaving Socratic mode closes any open question
+ */
+function socraticContext(conversation, mode) {
+  if (mode !== 'socratic') {
+    endSocraticDialogue(conversation);
+    return null;
+  }
+  return { ...conversation.socratic, reveal: shouldReveal(conversation.socratic) };
+}
+
+/**
+ * Heuristic reply when the model is unavailable, in the requested mode
+ */
+function getFallbackReply(params) {
+  return params.mode === 'socratic'
+    ? getFallbackSocratic({ state: params.socratic, detectedErrors: params.detectedErrors, diagnostics: params.diagnostics })
+    : getFallbackAnalysis(params);
+}
+
+/**
+ * Rung of the session's hint ladder to answer on
+ * A hintLevel sent by the client still wins for this reply, but the
+ * ladder keeps counting so hintsRemaining stays meaningful. An assignment
+ * has its own ladder, which stops at the assignment's maxHintLevel - and
+ * so does a hintLevel sent for it. A library exercise has its own ladder too.
+ */
+async function resolveHintLevel(conversation, { requestedHintLevel, hintRequest, problemId, assignment, exercise, code, language }) {
+  const ladderId = assignment ? assignmentProblemId(assignment.id)
+    : exercise ? exerciseProblemId(exercise.id)
+    : problemId;
+  const ladder = await climbHintLadder(conversation, {
+    problemId: ladderId,
+    maxRung: assignment?.maxHintLevel,
+    code,
+    language,
+    hintRequest
+  });
+  if (!requestedHintLevel) return ladder;
+  const hintLevel = parseInt(requestedHintLevel);
+  return { ...ladder, hintLevel: assignment ? Math.min(hintLevel, assignment.maxHintLevel) : hintLevel };
+}
+
+/**
+ * Whether the student is asking about speed or Big-O
+ */
+function isPerformanceQuestion(question) {
+  if (typeof question !== 'string') return false;
+  return /complexity|big[\s-]?o\b|\bo\(|efficien|performance|\bfast|\bslow|optimi[sz]|\bscal(e|able)\b|how long|runtime|run time|time limit|\btle\b/i.test(question);
+}
+
+/**
+ * A multi-file project as { code, files, activeFile } - code is the file the
+ * student is looking at (activeFile, else the entry file) unless it was sent.
+ * Without a project of two or more files it is just { code }.
+ */
+function resolveProject({ code, files, activeFile, language }) {
+  const sentCode = typeof code === 'string' ? code : '';
+  if (!Array.isArray(files) || files.length === 0) return { code: sentCode };
+
+  const active = files.find(file => file.name === activeFile) || findEntryFile(files, language) || files[0];
+  return {
+    code: sentCode.trim() ? sentCode : active.content,
+    ...(files.length > 1 && { files, activeFile: active.name })
+  };
+}
+
+/**
+ * All of the student's own code, so the leak detector doesn't flag any of it
+ */
+function projectCode(code, project) {
+  return project ? project.files.map(file => file.content).join('\n') : code;
+}
+
+/**
+ * Keeps only the known fields of client-supplied diagnostics (from POST /run)
+ */
+function cleanDiagnostics(diagnostics) {
+  if (!Array.isArray(diagnostics)) return [];
+  const clip = (value, max = 300) => (typeof value === 'string' ? value.slice(0, max) : null);
+  const toNumber = value => (Number.isInteger(value) && value > 0 ? value : null);
+
+  return diagnostics.slice(0, 5).map(d => ({
+    phase: d.phase === 'compile' ? 'compile' : 'runtime',
+    file: clip(d.file, 100),
+    line: toNumber(d.line),
+    column: toNumber(d.column),
+    errorClass: clip(d.errorClass, 80),
+    message: clip(d.message),
+    type: ERROR_TYPES.includes(d.type) ? d.type : 'logic',
+    concept: clip(d.concept, 60) || 'runtime-error',
+    severity: d.severity === 'warning' ? 'warning' : 'error'
+  }));
+}
+
+/**
+ * Keeps only the known fields of a client-supplied debugger pause (from the
+ * /debug WebSocket), or null
+ */
+function cleanDebugState(debugState) {
+  if (!debugState || typeof debugState !== 'object') return null;
+  const clip = (value, max = 200) => (typeof value === 'string' ? value.slice(0, max) : null);
+
+  return {
+    file: clip(debugState.file, 100),
+    line: debugState.line,
+    function: clip(debugState.function, 100),
+    exception: clip(debugState.exception, 300),
+    locals: debugState.locals.slice(0, 30).map(local => ({ name: clip(local.name, 60), value: clip(local.value) })),
+    watches: (debugState.watches || []).slice(0, 10).map(watch => ({
+      expression: clip(watch.expression),
+      ...(typeof watch.value === 'string' ? { value: clip(watch.value) } : { error: clip(watch.error) })
+    }))
+  };
+}
+
+/**
+ * Explains a complexity estimate without an LLM
+ * Points at the lines behind the estimate and leaves the reasoning to the student
+ */
+function buildComplexityReply(complexity) {
+  const lines = [
+    `**Complexity estimate:** worst case ${complexity.worst}, best case ${complexity.best}.`,
+    '',
+    `**Why:** ${complexity.explanation}.`
+  ];
+
+  if (complexity.evidence.length > 0) {
+    lines.push('', '**Lines to look at:**');
+    complexity.evidence.slice(0, 5).forEach(e => lines.push(`- Line ${e.line} (${e.kind.replace(/-/g, ' ')}): \`${e.text}\``));
+  }
+
+  lines.push('', '**Check it yourself:** For each of these lines, ask how many times it runs when the input doubles in size.');
+  return lines.join('\n');
+}
+
 function isCodeRelatedQuestion(question) {
   const q = question.toLowerCase().trim();
-  // Only simple greetings should skip AI - everything else goes to Groq
+  // Only simple greetings should skip AI - everything else goes to the LLM
   const simpleGreetings = ['hi', 'hello', 'hey', 'hi!', 'hello!', 'hey!'];
   return !simpleGreetings.includes(q);
 }
@@ -107,10 +351,11 @@ function buildGeneralResponse(question) {
 }
 
 /**
- * Get AI-powered analysis from Groq
+ * Get AI-powered analysis from the LLM provider
  * Includes learning state for personalized teaching
  */
-async function getAIAnalysis({ code, language, level, hintLevel, detectedErrors, userQuestion, learningState }) {
+async function getAIAnalysis({ code, language, level, hintLevel, detectedErrors, diagnostics, debugState, userQuestion, learningState, complexity, conversation, mode, socratic, assignment, exercise, project }) {
+  const systemPrompt = mode === 'socratic' ? SOCRATIC_SYSTEM_PROMPT : SYSTEM_PROMPT;
   try {
     const prompt = buildAnalysisPrompt({
       code,
@@ -118,55 +363,270 @@ async function getAIAnalysis({ code, language, level, hintLevel, detectedErrors,
       level,
       hintLevel,
       detectedErrors,
+      diagnostics,
+      debugState,
       userQuestion,
-      learningState
+      learningState,
+      complexity,
+      conversation,
+      mode,
+      socratic,
+      assignment,
+      exercise,
+      project
     });
 
-    console.log('[AI Service] Calling Groq API...');
-
-    // Use Promise.race with a timeout
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Groq API timeout - 5 seconds exceeded')), 5000)
-    );
+    console.log('[AI Service] Calling LLM...');
 
-    const apiPromise = groqClient.chat.completions.create({
-      model: AI_MODEL,
+    // Timeout and provider/model fallback are handled by the LLM service
+    const { content, provider, model } = await chatCompletion({
       messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'system', content: systemPrompt },
         { role: 'user', content: prompt }
       ],
       temperature: 0.7,
-      max_tokens: 800,
-      response_format: { type: 'json_object' }
+      maxTokens: 800,
+      json: true
     });
 
-    const response = await Promise.race([apiPromise, timeoutPromise]);
+    let parsed = JSON.parse(content);
+    const leakContext = { studentCode: projectCode(code, project), problemText: userQuestion, language };
 
-    const content = response.choices[0].message.content;
-    const parsed = JSON.parse(content);
+    // Ask once for a rewrite before falling back to redaction
+    if (LEAK_CONFIG.mode === 'regenerate') {
+      const leak = findLeak(parsed, leakContext);
+      if (leak) {
+        logIntervention({ action: 'regenerate', score: leak.score, reasons: leak.reasons });
+        try {
+          const retry = await chatCompletion({
+            messages: [
+              { role: 'system', content: systemPrompt },
+              { role: 'user', content: prompt },
+              { role: 'assistant', content },
+              { role: 'user', content: `Your reply contains a complete solution (${leak.reasons.join('; ')}). Rewrite it in the same JSON format without working code: use a syntax template with ___ blanks or pseudocode instead.` }
+            ],
+            temperature: 0.5,
+            maxTokens: 800,
+            json: true
+          });
+          parsed = JSON.parse(retry.content);
+        } catch (error) {
+          console.log('[Leak Detector] Regeneration failed, redacting instead:', error.message);
+        }
+      }
+    }
 
     // Safety check: ensure no code leaked through
-    const result = sanitizeResponse(parsed);
+    const result = sanitizeResponse(parsed, leakContext);
 
-    console.log('[AI Service] Groq response successful');
+    console.log(`[AI Service] ${provider}/${model} response successful`);
     return result;
   } catch (error) {
-    console.error('[AI Service] Groq error:', error.message);
+    console.error('[AI Service] LLM error:', error.message);
     console.log('[AI Service] Falling back to heuristic analysis');
     // Fall back to heuristic response on error
-    return getFallbackAnalysis({ code, language, level, hintLevel, detectedErrors, userQuestion, learningState });
+    return getFallbackReply({ code, language, level, hintLevel, detectedErrors, diagnostics, userQuestion, learningState, complexity, mode, socratic });
+  }
+}
+
+/**
+ * Stream an analysis from the LLM provider
+ * Returns the structured result, or null if the stream failed before any
+ * token was sent (so the caller can fall back without duplicating text).
+ */
+async function getStreamingAIAnalysis({ code, language, level, hintLevel, detectedErrors, diagnostics, debugState, userQuestion, learningState, complexity, conversation, mode, socratic, assignment, exercise, project, onToken, signal }) {
+  const systemPrompt = mode === 'socratic' ? SOCRATIC_SYSTEM_PROMPT : SYSTEM_PROMPT;
+  const leakContext = { studentCode: projectCode(code, project), problemText: userQuestion, language };
+  let reply = '';
+  let pending = '';
+  let fenced = '';
+  let metaText = '';
+  let sentAny = false;
+
+  const emit = (text) => {
+    if (!text) return;
+    reply += text;
+    sentAny = true;
+    onToken(text);
+  };
+
+  // Code blocks are held back until they close and have been leak-checked;
+  // the text around them streams as it arrives
+  const release = (text, final) => {
+    fenced += text;
+    let open;
+    while ((open = fenced.indexOf('```')) !== -1) {
+      const close = fenced.indexOf('```', open + 3);
+      if (close === -1) break;
+      emit(fenced.slice(0, open));
+      emit(sanitizeResponse({ reply: fenced.slice(open, close + 3) }, leakContext).reply);
+      fenced = fenced.slice(close + 3);
+    }
+
+    if (final) {
+      // A block the model never closed is checked as if it had been
+      if (open !== -1) {
+        emit(fenced.slice(0, open));
+        const block = fenced.slice(open).replace(/\n?$/, '\n```');
+        fenced = sanitizeResponse({ reply: block }, leakContext).reply;
+      }
+      emit(fenced);
+      fenced = '';
+    } else {
+      // Outside a block, only trailing backticks might still become a fence
+      const ready = open !== -1 ? open : fenced.length - fenced.match(/`{0,2}$/)[0].length;
+      emit(fenced.slice(0, ready));
+      fenced = fenced.slice(ready);
+    }
+  };
+
+  // Hold back enough characters that a partially received marker is never shown
+  const flush = (final) => {
+    const markerIndex = pending.indexOf(STREAM_META_MARKER);
+    if (markerIndex !== -1) {
+      metaText += pending.slice(markerIndex + STREAM_META_MARKER.length);
+      pending = pending.slice(0, markerIndex);
+    }
+    const keep = final || markerIndex !== -1 ? 0 : STREAM_META_MARKER.length - 1;
+    const ready = pending.slice(0, Math.max(0, pending.length - keep));
+    pending = pending.slice(ready.length);
+    release(ready, final || markerIndex !== -1);
+    return markerIndex !== -1;
+  };
+
+  try {
+    const prompt = buildAnalysisPrompt({
+      code,
+      language,
+      level,
+      hintLevel,
+      detectedErrors,
+      diagnostics,
+      debugState,
+      userQuestion,
+      learningState,
+      complexity,
+      conversation,
+      mode,
+      socratic,
+      assignment,
+      exercise,
+      project,
+      stream: true
+    });
+
+    console.log('[AI Service] Streaming from LLM...');
+
+    const stream = streamCompletion({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.7,
+      maxTokens: 1500,
+      signal
+    });
+
+    let inMeta = false;
+    for await (const text of stream) {
+      if (inMeta) {
+        metaText += text;
+      } else {
+        pending += text;
+        inMeta = flush(false);
+      }
+    }
+    if (!inMeta) flush(true);
+
+    let meta = {};
+    try {
+      meta = metaText.trim() ? JSON.parse(metaText.trim()) : {};
+    } catch (error) {
+      console.log('[AI Service] Could not parse stream metadata:', error.message);
+    }
+
+    // The reply's code blocks were checked before they were sent, so the
+    // reply is what the student saw; only the metadata is left to check
+    const result = {
+      reply: reply.trim(),
+      ...sanitizeResponse({
+        conceptsTaught: Array.isArray(meta.conceptsTaught) ? meta.conceptsTaught : [],
+        suggestedNextConcept: meta.suggestedNextConcept || '',
+        ...(mode === 'socratic' && {
+          answerEvaluation: meta.answerEvaluation,
+          socraticMove: meta.socraticMove,
+          concept: meta.concept
+        })
+      }, leakContext)
+    };
+
+    console.log('[AI Service] LLM stream complete');
+    return result;
+  } catch (error) {
+    if (signal?.aborted) {
+      console.log('[AI Service] Stream cancelled by client');
+      return { reply, conceptsTaught: [], suggestedNextConcept: '', cancelled: true };
+    }
+    console.error('[AI Service] LLM stream error:', error.message);
+    if (sentAny) {
+      throw error;
+    }
+    console.log('[AI Service] Falling back to heuristic analysis');
+    return null;
+  }
+}
+
+/**
+ * Sends a complete reply through onToken a few words at a time,
+ * so fallback replies render the same way as streamed ones
+ */
+function emitInChunks(text, onToken) {
+  const words = text.split(/(\s+)/);
+  for (let i = 0; i < words.length; i += 8) {
+    onToken(words.slice(i, i + 8).join(''));
   }
 }
 
+/**
+ * Turns a structured fallback response into a single markdown reply
+ */
+function formatFallbackReply(response) {
+  const sections = [
+    response.explanation && `**What's happening:**\n${response.explanation}`,
+    response.analogy && `**Think of it like this:**\n${response.analogy}`,
+    response.hint && `**Hint:**\n${response.hint}`,
+    response.nextStep && `**Next step:**\n${response.nextStep}`
+  ];
+  return sections.filter(Boolean).join('\n\n');
+}
+
 /**
  * Fallback analysis when AI is not available
  * Uses detected errors to generate helpful responses
  * Considers learning state for better pedagogical approach
  */
-function getFallbackAnalysis({ code, language, level, hintLevel, detectedErrors, userQuestion, learningState }) {
+function getFallbackAnalysis({ code, language, level, hintLevel, detectedErrors, diagnostics = [], userQuestion, learningState, complexity }) {
+  // A real compiler or runtime error beats any guess from the code
+  if (diagnostics.length > 0 && !complexity) {
+    const main = diagnostics[0];
+    return {
+      explanation: main.phase === 'compile'
+        ? `${describeDiagnostic(main)} ${getExplanationForError(main, language, level)}`
+        : `${describeDiagnostic(main)} Your code compiled - this problem only shows up while it runs, with this input.`,
+      analogy: getAnalogyForError(main, level),
+      hint: getDiagnosticHint(main, hintLevel),
+      syntax: getSyntaxGuidance(main.type, language),
+      nextStep: getNextStep(main.type, level),
+      conceptsTaught: [main.concept],
+      suggestedNextConcept: getNextConceptFromError(main.type)
+    };
+  }
+
   // If user asked a specific question, try to address it
   if (userQuestion) {
-    const base = generateQuestionResponse(userQuestion, code, language, level, hintLevel, learningState);
+    const base = complexity
+      ? { reply: buildComplexityReply(complexity) }
+      : generateQuestionResponse(userQuestion, code, language, level, hintLevel, learningState);
     return {
       ...base,
       syntax: getSyntaxGuidance('general', language),
@@ -466,6 +926,109 @@ function getHintForError(error, hintLevel) {
   return hints[index];
 }
 
+/**
+ * Says where a compiler/runtime error happened, quoting the message
+ */
+function describeDiagnostic(diagnostic) {
+  const where = diagnostic.line
+    ? ` at line ${diagnostic.line}${diagnostic.column ? `, column ${diagnostic.column}` : ''}`
+    : '';
+  return diagnostic.phase === 'compile'
+    ? `The compiler stopped${where}: "${diagnostic.message}".`
+    : `The program stopped with ${diagnostic.errorClass}${where}: "${diagnostic.message}".`;
+}
+
+/**
+ * Hints for specific compiler/runtime error concepts
+ * (hint levels 1-2, 3-4 and 5 get the first, second and third hint)
+ */
+const DIAGNOSTIC_HINTS = {
+  'missing-punctuation': [
+    "Look at the line in the message - and at the line just before it.",
+    "The compiler expected a symbol it didn't find. Compare the end of that statement with a similar one that works.",
+    "Check whether the previous statement is properly finished: a semicolon, a colon, or a closing bracket."
+  ],
+  'indentation': [
+    "Python reads the spaces at the start of each line. Look at the line in the message.",
+    "Every line in the same block must start at the same column. Does this line line up with its neighbours?",
+    "Lines inside an if/for/def are indented one level deeper than the header, and go back when the block ends."
+  ],
+  'undeclared-identifier': [
+    "The name in this message is one the language doesn't know at that point.",
+    "Check its spelling and capitalisation against the place where you created it.",
+    "Make sure it is declared (or imported/included) before this line, in a scope this line can see."
+  ],
+  'type-mismatch': [
+    "Look at the kinds of values on that line - numbers, text, lists...",
+    "One value on that line is a different type from what the operation expects. Which one?",
+    "Convert the value to the expected type first, or check that the variable holds what you think it holds."
+  ],
+  'index-out-of-range': [
+    "Look at which index is used on that line and how big the collection is at that moment.",
+    "Valid indices go from 0 to size - 1. What is the largest index your code can reach?",
+    "Check your loop bounds and any +1/-1 on the index - the last iteration is usually the culprit."
+  ],
+  'division-by-zero': [
+    "Look at what you divide by on that line.",
+    "For some input, the divisor is 0. When can that happen?",
+    "Handle the zero case before dividing, or check why that value became 0."
+  ],
+  'infinite-recursion': [
+    "Your function keeps calling itself. What should make it stop?",
+    "Check the base case: is it there, and can the arguments actually reach it?",
+    "Each recursive call must move the argument closer to the base case."
+  ],
+  'infinite-loop': [
+    "Something keeps running. Which loop might never end - or is the program waiting for input?",
+    "For each loop, what changes on every iteration that will eventually make the condition false?",
+    "Print the loop variable inside the loop and see whether it moves toward the exit condition."
+  ],
+  'memory-limit': [
+    "The program asked for more memory than it is allowed. What does it store?",
+    "Look for a collection that keeps growing - in a loop that never ends, or in recursion - or one sized far beyond the input.",
+    "Store only what you need: reuse one buffer, or keep a running result instead of every value."
+  ],
+  'invalid-memory-access': [
+    "The program touched memory it doesn't own. Think about arrays and pointers.",
+    "Check array indices against the array size, and pointers that might be NULL or uninitialized.",
+    "Add prints before the suspicious lines to find the last one that runs before the crash."
+  ],
+  'null-reference': [
+    "Something on that line has no object behind it.",
+    "Which variable on that line could still be null when it is used?",
+    "Make sure the object is created (new ...) before you call methods on it."
+  ],
+  'missing-input': [
+    "The program tried to read input that wasn't there.",
+    "How many values does your code read, and how many did you provide in the input box?",
+    "Check the input format: each read needs a matching value (and int parsing needs a number)."
+  ],
+  'missing-return': [
+    "Follow every path through the function. Does each one end with a return?",
+    "Look at the if/else branches - one of them may fall through without returning.",
+    "Add a return for the case that currently reaches the end of the function."
+  ],
+  'missing-entry-point': [
+    "The program has no starting point.",
+    "Every C/C++ program starts in a function with one specific name.",
+    "Add a main function that calls your code."
+  ],
+  'uninitialized-variable': [
+    "A variable on that line is used before it gets a value.",
+    "Which path through the code reaches this line without assigning the variable?",
+    "Give the variable a starting value when you declare it."
+  ]
+};
+
+/**
+ * Progressive hint for a compiler/runtime error, falling back to the error-type hints
+ */
+function getDiagnosticHint(diagnostic, hintLevel) {
+  const hints = DIAGNOSTIC_HINTS[diagnostic.concept];
+  if (!hints) return getHintForError(diagnostic, hintLevel);
+  return hints[Math.min(Math.floor((hintLevel - 1) / 2), hints.length - 1)];
+}
+
 /**
  * Generic hints when no specific errors detected
  */
@@ -481,19 +1044,46 @@ function getGenericHint(hintLevel) {
   return hints[Math.min(hintLevel - 1, hints.length - 1)];
 }
 
+/**
+ * First leaking code block in any text field of a response, or null
+ */
+function findLeak(response, context) {
+  for (const value of Object.values(response)) {
+    const { leaked, blocks } = detectLeaks(value, context);
+    if (leaked) return blocks[0];
+  }
+  return null;
+}
+
 /**
  * Safety function to ensure no COMPLETE code solutions leak into response
  * ALLOWS: partial syntax with blanks (___), small snippets for learning
  * BLOCKS: complete function implementations, full solutions
+ * Leaking code blocks are turned into ___ templates (see utils/leakDetector)
  */
-function sanitizeResponse(response) {
-  let sanitized = { ...response };
+function sanitizeResponse(response, context = {}) {
+  const sanitized = { ...response };
+  if (LEAK_CONFIG.mode === 'off') return sanitized;
+
+  for (const [field, value] of Object.entries(sanitized)) {
+    if (typeof value !== 'string') continue;
+
+    if (LEAK_CONFIG.mode === 'log') {
+      detectLeaks(value, context).blocks.forEach(block =>
+        logIntervention({ action: 'detected', field, score: block.score, reasons: block.reasons }));
+      continue;
+    }
+
+    const { text, interventions } = redactLeaks(value, context);
+    interventions.forEach(({ score, reasons }) =>
+      logIntervention({ action: 'redacted', field, score, reasons }));
+    sanitized[field] = text;
+  }
 
-  // Sanitizer disabled to allow better code explanations for loops and examples
-  // We trust the system prompt to guide the AI not to give direct homework answers
   return sanitized;
 }
 
 module.exports = {
-  analyzeCode
+  analyzeCode,
+  streamAnalysis
 };
@@ -0,0 +1,317 @@
+/**
+ * Analytics Service
+ *
+ * What an instructor sees about a class. Two sources feed it:
+ *  - assignment activity, recorded by the server whenever a student runs
+ *    code, asks the tutor or submits while working on an assignment
+ *    (error types, concepts, hint rungs, timestamps)
+ *  - each student's learning state, synced from the frontend (struggling
+ *    concepts, current understanding, recent errors)
+ *
+ * Time on task is the sum of gaps between a student's consecutive events
+ * on an assignment; a gap longer than IDLE_MINUTES counts as a break and
+ * adds only IDLE_MINUTES.
+ */
+
+const { getDatabase } = require('./database');
+const { listAssignments, getRoster, STATUSES } = require('./classroomService');
+
+// Kinds of assignment activity
+const ACTIVITY_KINDS = ['tutor', 'run', 'submit'];
+
+const IDLE_MINUTES = parseInt(process.env.ANALYTICS_IDLE_MINUTES) || 10;
+
+// When a student gets flagged on an assignment they haven't solved
+const FLAG_THRESHOLDS = {
+  repeatedError: 3,     // the same error type this many times
+  failedSubmissions: 3  // this many submissions without an Accepted
+};
+
+// Hint requests per student are bucketed 0, 1, ... up to this (and "N+")
+const HINT_BUCKETS = 5;
+
+/**
+ * Records one event on an assignment
+ * activity: { kind, errorType?, concept?, hintLevel?, hintRequest? }
+ */
+function recordActivity(assignmentId, userId, { kind, errorType = null, concept = null, hintLevel = null, hintRequest = false }) {
+  getDatabase().prepare(`
+    INSERT INTO assignment_activity (assignment_id, user_id, kind, error_type, concept, hint_level, hint_request, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(assignmentId, userId, kind, errorType, concept, hintLevel, hintRequest ? 1 : 0, Date.now());
+}
+
+/**
+ * [{ key, count }] sorted by count (then key), from a Map of counts
+ */
+function ranked(counts) {
+  return [...counts]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+}
+
+function increment(counts, key, by = 1) {
+  counts.set(key, (counts.get(key) || 0) + by);
+}
+
+/**
+ * Minutes on task from a sorted list of event timestamps
+ */
+function minutesOnTask(timestamps) {
+  let ms = 0;
+  for (let i = 1; i < timestamps.length; i++) {
+    ms += Math.min(timestamps[i] - timestamps[i - 1], IDLE_MINUTES * 60 * 1000);
+  }
+  return Math.round(ms / 6000) / 10;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) * 5) / 10;
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10 : 0;
+}
+
+/**
+ * Students per hint-request bucket: [{ hints: "0", students }, ..., { hints: "5+", students }]
+ */
+function hintDistribution(hintCounts) {
+  const buckets = Array.from({ length: HINT_BUCKETS + 1 }, (_, i) => ({
+    hints: i === HINT_BUCKETS ? `${HINT_BUCKETS}+` : String(i),
+    students: 0
+  }));
+  hintCounts.forEach(count => { buckets[Math.min(count, HINT_BUCKETS)].students += 1; });
+  return buckets;
+}
+
+/**
+ * One student's activity on one assignment, summarized
+ */
+function summarizeStudentAssignment(events, submission, assignment) {
+  const errorTypes = new Map();
+  const concepts = new Map();
+  let hintRequests = 0;
+  let highestHint = 0;
+
+  for (const event of events) {
+    if (event.error_type) increment(errorTypes, event.error_type);
+    if (event.concept) increment(concepts, event.concept);
+    if (event.hint_request) hintRequests += 1;
+    if (event.hint_request && event.hint_level) highestHint = Math.max(highestHint, event.hint_level);
+  }
+
+  const solved = submission.status === STATUSES.SOLVED;
+  const topError = ranked(errorTypes)[0];
+  const flags = [];
+  if (!solved) {
+    if (highestHint >= assignment.maxHintLevel) flags.push('used every hint');
+    if (topError && topError.count >= FLAG_THRESHOLDS.repeatedError) flags.push(`repeated ${topError.key} errors`);
+    if (submission.attempts >= FLAG_THRESHOLDS.failedSubmissions) flags.push(`${submission.attempts} failed submissions`);
+  }
+
+  return {
+    ...submission,
+    hintRequests,
+    highestHint,
+    minutesOnTask: minutesOnTask(events.map(e => e.created_at)),
+    topErrorType: topError ? topError.key : null,
+    errorTypes: Object.fromEntries(errorTypes),
+    // A concept that keeps coming back is one the student is stuck on
+    stuckConcepts: ranked(concepts).filter(c => c.count >= 2).map(c => c.key),
+    flags
+  };
+}
+
+/**
+ * Members' synced learning state: Map userId -> state (or null if never synced)
+ */
+function loadLearningStates(classId) {
+  const rows = getDatabase().prepare(`
+    SELECT class_members.user_id, profiles.learning_state
+    FROM class_members LEFT JOIN profiles ON profiles.user_id = class_members.user_id
+    WHERE class_members.class_id = ?
+  `).all(classId);
+  return new Map(rows.map(row => [row.user_id, row.learning_state ? JSON.parse(row.learning_state) : null]));
+}
+
+/**
+ * The instructor dashboard for a class
+ * Returns {
+ *   assignments: [{ id, title, maxHintLevel, status: { solved, attempted, notStarted },
+ *                   errorTypes, stuckConcepts, hintUsage, timeOnTask, flaggedStudents }],
+ *   errorTypes: [{ type, count, students }],
+ *   stuckConcepts: [{ concept, students }],
+ *   understanding: { struggling, learning, confident, unknown },
+ *   hintUsage: { average, distribution },
+ *   timeOnTask: { averageMinutes, medianMinutes },
+ *   students: [{ id, username, understanding, strugglingConcepts, recentErrors, hintRequests,
+ *                minutesOnTask, solved, attempted, flags,
+ *                assignments: { [id]: { status, attempts, bestPassed, total, hintRequests, highestHint,
+ *                                       minutesOnTask, topErrorType, errorTypes, stuckConcepts, flags } } }]
+ * }
+ */
+function getClassAnalytics(classId) {
+  const assignments = listAssignments(classId);
+  const roster = getRoster(classId);
+  const learningStates = loadLearningStates(classId);
+
+  const events = getDatabase().prepare(`
+    SELECT assignment_activity.* FROM assignment_activity
+    JOIN assignments ON assignments.id = assignment_activity.assignment_id
+    WHERE assignments.class_id = ?
+    ORDER BY created_at
+  `).all(classId);
+
+  const eventsFor = new Map();
+  for (const event of events) {
+    const key = `${event.assignment_id}:${event.user_id}`;
+    if (!eventsFor.has(key)) eventsFor.set(key, []);
+    eventsFor.get(key).push(event);
+  }
+
+  // Per student, per assignment
+  const students = roster.map(student => {
+    const state = learningStates.get(student.id);
+    const perAssignment = Object.fromEntries(assignments.map(assignment => [
+      assignment.id,
+      summarizeStudentAssignment(eventsFor.get(`${assignment.id}:${student.id}`) || [], student.assignments[assignment.id], assignment)
+    ]));
+    const summaries = assignments.map(assignment => perAssignment[assignment.id]);
+
+    const flags = summaries.flatMap((summary, i) => summary.flags.map(flag => `${assignments[i].title}: ${flag}`));
+    if (state?.currentUnderstanding === 'struggling') flags.unshift('learning state: struggling');
+
+    return {
+      id: student.id,
+      username: student.username,
+      understanding: state?.currentUnderstanding || null,
+      strugglingConcepts: state?.strugglingConcepts || [],
+      recentErrors: state?.errorHistory || [],
+      hintRequests: summaries.reduce((sum, s) => sum + s.hintRequests, 0),
+      minutesOnTask: Math.round(summaries.reduce((sum, s) => sum + s.minutesOnTask, 0) * 10) / 10,
+      solved: summaries.filter(s => s.status === STATUSES.SOLVED).length,
+      attempted: summaries.filter(s => s.status !== STATUSES.NOT_STARTED).length,
+      flags,
+      assignments: perAssignment
+    };
+  });
+
+  // Per assignment, across students
+  const assignmentAnalytics = assignments.map(assignment => {
+    const summaries = students.map(student => ({ student, summary: student.assignments[assignment.id] }));
+    const errorTypes = new Map();
+    const errorStudents = new Map();
+    const stuck = new Map();
+
+    for (const { summary } of summaries) {
+      for (const [type, count] of Object.entries(summary.errorTypes)) {
+        increment(errorTypes, type, count);
+        increment(errorStudents, type);
+      }
+      summary.stuckConcepts.forEach(concept => increment(stuck, concept));
+    }
+
+    const active = summaries.filter(({ summary }) => summary.status !== STATUSES.NOT_STARTED || summary.minutesOnTask > 0);
+    return {
+      id: assignment.id,
+      title: assignment.title,
+      maxHintLevel: assignment.maxHintLevel,
+      status: {
+        solved: summaries.filter(({ summary }) => summary.status === STATUSES.SOLVED).length,
+        attempted: summaries.filter(({ summary }) => summary.status === STATUSES.ATTEMPTED).length,
+        notStarted: summaries.filter(({ summary }) => summary.status === STATUSES.NOT_STARTED).length
+      },
+      errorTypes: ranked(errorTypes).map(({ key, count }) => ({ type: key, count, students: errorStudents.get(key) })),
+      stuckConcepts: ranked(stuck).map(({ key, count }) => ({ concept: key, students: count })),
+      hintUsage: {
+        average: average(summaries.map(({ summary }) => summary.hintRequests)),
+        reachedLimit: summaries.filter(({ summary }) => summary.highestHint >= assignment.maxHintLevel).length,
+        distribution: hintDistribution(summaries.map(({ summary }) => summary.hintRequests))
+      },
+      timeOnTask: {
+        averageMinutes: average(active.map(({ summary }) => summary.minutesOnTask)),
+        medianMinutes: median(active.map(({ summary }) => summary.minutesOnTask))
+      },
+      flaggedStudents: summaries
+        .filter(({ summary }) => summary.flags.length > 0)
+        .map(({ student, summary }) => ({ id: student.id, username: student.username, flags: summary.flags }))
+    };
+  });
+
+  // Whole class
+  const errorTypes = new Map();
+  const errorStudents = new Map();
+  const stuckConcepts = new Map();
+  const understanding = { struggling: 0, learning: 0, confident: 0, unknown: 0 };
+
+  for (const student of students) {
+    const types = new Map();
+    Object.values(student.assignments).forEach(summary => {
+      for (const [type, count] of Object.entries(summary.errorTypes)) increment(types, type, count);
+    });
+    for (const [type, count] of types) {
+      increment(errorTypes, type, count);
+      increment(errorStudents, type);
+    }
+    // Stuck = struggling per the learning state, or recurring on an assignment
+    const stuck = new Set([
+      ...student.strugglingConcepts,
+      ...Object.values(student.assignments).flatMap(summary => summary.stuckConcepts)
+    ]);
+    stuck.forEach(concept => increment(stuckConcepts, concept));
+    understanding[student.understanding in understanding ? student.understanding : 'unknown'] += 1;
+  }
+
+  const activeStudents = students.filter(student => student.attempted > 0 || student.minutesOnTask > 0);
+
+  return {
+    assignments: assignmentAnalytics,
+    errorTypes: ranked(errorTypes).map(({ key, count }) => ({ type: key, count, students: errorStudents.get(key) })),
+    stuckConcepts: ranked(stuckConcepts).map(({ key, count }) => ({ concept: key, students: count })),
+    understanding,
+    hintUsage: {
+      average: average(students.map(student => student.hintRequests)),
+      distribution: hintDistribution(students.map(student => student.hintRequests))
+    },
+    timeOnTask: {
+      averageMinutes: average(activeStudents.map(student => student.minutesOnTask)),
+      medianMinutes: median(activeStudents.map(student => student.minutesOnTask))
+    },
+    students
+  };
+}
+
+/**
+ * One row per student and assignment, for CSV export
+ */
+function getAnalyticsRows(className, analytics) {
+  const titles = new Map(analytics.assignments.map(a => [String(a.id), a.title]));
+  return analytics.students.flatMap(student => Object.entries(student.assignments).map(([assignmentId, summary]) => ({
+    class: className,
+    assignment: titles.get(assignmentId),
+    student: student.username,
+    status: summary.status,
+    submissions: summary.attempts,
+    best_passed: summary.bestPassed,
+    tests: summary.total ?? '',
+    hint_requests: summary.hintRequests,
+    highest_hint: summary.highestHint,
+    minutes_on_task: summary.minutesOnTask,
+    top_error_type: summary.topErrorType || '',
+    stuck_concepts: summary.stuckConcepts.join('; '),
+    understanding: student.understanding || '',
+    struggling_concepts: student.strugglingConcepts.join('; '),
+    flags: summary.flags.join('; ')
+  })));
+}
+
+module.exports = {
+  ACTIVITY_KINDS,
+  recordActivity,
+  getClassAnalytics,
+  getAnalyticsRows
+};
@@ -0,0 +1,374 @@
+/**
+ * Benchmark Harness
+ *
+ * Wraps a student's program so that, instead of running their main program,
+ * it calls one of their functions on generated inputs of growing size and
+ * prints how long each call took:
+ *
+ *   __TIMING__ <n> <milliseconds per call>
+ *   __BENCH_ERROR__ <n> <message>      - the function crashed at this size
+ *   __BENCH_MISSING__                  - the function could not be found
+ *
+ * The student's own output is discarded while measuring. The harness stops
+ * growing n once one size takes longer than sizeBudgetMs, or all sizes
+ * together take longer than totalBudgetMs.
+ */
+
+// Each size is timed over repeated calls until at least this much time has passed,
+// unless preparing the inputs (copying large arrays) is what eats the time.
+// The fastest call is reported - slower ones were interrupted by something else
+const MIN_SAMPLE_MS = 5;
+const MAX_SAMPLE_WALL_MS = 50;
+const MAX_REPETITIONS = 1000;
+
+const DEFAULT_RANGE = { min: 0, max: 1000000 };
+
+/**
+ * Parameter list of a function definition, as written in the source
+ */
+function findParameters(code, functionName) {
+  const match = code.match(new RegExp(`\\b${functionName}\\s*\\(([^)]*)\\)\\s*(?:const\\s*)?(?:throws[^{]*)?[{:]`));
+  return match ? match[1] : '';
+}
+
+/**
+ * Default call arguments when the request does not give any
+ * C functions take (array, length); everything else takes just the input
+ */
+function defaultArgs(language, type, parameters) {
+  if (type === 'array' && (language === 'c' || (language === 'cpp' && !/vector/.test(parameters)))) {
+    return ['input', 'n'];
+  }
+  return ['input'];
+}
+
+/**
+ * Python: the student's code is exec'd into its own namespace with empty
+ * stdin, so top-level input() calls fail harmlessly and only the definitions remain
+ */
+function buildPythonHarness({ code, functionName, input, args, sizes, sizeBudgetMs, totalBudgetMs }) {
+  const { min, max } = { ...DEFAULT_RANGE, ...input };
+  const makers = {
+    array: `values = [_bench_random.randint(${min}, ${max}) for _ in range(n)]
+    ${input.order === 'sorted' ? 'values.sort()' : input.order === 'reversed' ? 'values.sort(reverse=True)' : 'pass'}
+    return values`,
+    string: "return ''.join(_bench_random.choice('abcdefghijklmnopqrstuvwxyz') for _ in range(n))",
+    integer: 'return n'
+  };
+  const callArgs = args.map(arg => (arg === 'input' ? '_bench_arg' : '_bench_n')).join(', ');
+
+  return `import io as _bench_io, os as _bench_os, random as _bench_random, sys as _bench_sys, time as _bench_time
+
+_bench_sys.setrecursionlimit(20000)
+_bench_out = _bench_sys.stdout
+_bench_null = open(_bench_os.devnull, 'w')
+_bench_ns = {'__name__': '__student__'}
+
+_bench_sys.stdout, _bench_sys.stdin = _bench_null, _bench_io.StringIO('')
+try:
+    exec(compile(${JSON.stringify(code)}, 'main.py', 'exec'), _bench_ns)
+except BaseException:
+    pass
+_bench_sys.stdout = _bench_out
+
+def _bench_make(n):
+    ${makers[input.type]}
+
+if ${JSON.stringify(functionName)} not in _bench_ns:
+    print('__BENCH_MISSING__', flush=True)
+    _bench_sys.exit(0)
+
+_bench_fn = _bench_ns[${JSON.stringify(functionName)}]
+_bench_random.seed(1)
+_bench_start = _bench_time.perf_counter()
+for _bench_n in [${sizes.join(', ')}]:
+    _bench_input = _bench_make(_bench_n)
+    _bench_total, _bench_best, _bench_reps, _bench_size_start = 0.0, float('inf'), 0, _bench_time.perf_counter()
+    try:
+        while (_bench_total * 1000 < ${MIN_SAMPLE_MS} and _bench_reps < ${MAX_REPETITIONS}
+               and (_bench_time.perf_counter() - _bench_size_start) * 1000 < ${MAX_SAMPLE_WALL_MS}):
+            _bench_arg = list(_bench_input) if isinstance(_bench_input, list) else _bench_input
+            _bench_sys.stdout = _bench_null
+            _bench_t0 = _bench_time.perf_counter()
+            _bench_fn(${callArgs})
+            _bench_elapsed = _bench_time.perf_counter() - _bench_t0
+            _bench_sys.stdout = _bench_out
+            _bench_total += _bench_elapsed
+            _bench_best = min(_bench_best, _bench_elapsed)
+            _bench_reps += 1
+    except BaseException as _bench_error:
+        _bench_sys.stdout = _bench_out
+        print('__BENCH_ERROR__', _bench_n, (type(_bench_error).__name__ + ': ' + str(_bench_error))[:200], flush=True)
+        break
+    _bench_ms = _bench_best * 1000
+    print('__TIMING__', _bench_n, _bench_ms, flush=True)
+    if _bench_ms > ${sizeBudgetMs} or (_bench_time.perf_counter() - _bench_start) * 1000 > ${totalBudgetMs}:
+        break
+`;
+}
+
+/**
+ * C and C++: the student's main is renamed out of the way and the function
+ * is called through a volatile pointer so -O2 cannot drop or inline the calls
+ */
+function buildCHarness({ code, language, functionName, input, args, sizes, sizeBudgetMs, totalBudgetMs }) {
+  const { min, max } = { ...DEFAULT_RANGE, ...input };
+  const parameters = findParameters(code, functionName);
+  const useVector = language === 'cpp' && input.type === 'array' && /vector/.test(parameters);
+  const useString = language === 'cpp' && input.type === 'string' && /string/.test(parameters);
+
+  const generate = {
+    array: `int *_bench_input = (int *)malloc(sizeof(int) * (_bench_n + 1));
+        for (long _bench_i = 0; _bench_i < _bench_n; _bench_i++) _bench_input[_bench_i] = (int)(${min} + rand() % (${max}LL - ${min}LL + 1));
+        ${input.order === 'sorted' || input.order === 'reversed' ? 'qsort(_bench_input, _bench_n, sizeof(int), _bench_compare);' : ''}
+        ${input.order === 'reversed' ? 'for (long _bench_i = 0; _bench_i < _bench_n / 2; _bench_i++) { int _bench_t = _bench_input[_bench_i]; _bench_input[_bench_i] = _bench_input[_bench_n - 1 - _bench_i]; _bench_input[_bench_n - 1 - _bench_i] = _bench_t; }' : ''}
+        ${useVector ? '' : 'int *_bench_arg = (int *)malloc(sizeof(int) * (_bench_n + 1));'}`,
+    string: `char *_bench_input = (char *)malloc(_bench_n + 1);
+        for (long _bench_i = 0; _bench_i < _bench_n; _bench_i++) _bench_input[_bench_i] = 'a' + rand() % 26;
+        _bench_input[_bench_n] = '\\0';
+        ${useString ? '' : 'char *_bench_arg = (char *)malloc(_bench_n + 1);'}`,
+    integer: ''
+  }[input.type];
+
+  const copy = {
+    array: useVector
+      ? 'std::vector<int> _bench_arg(_bench_input, _bench_input + _bench_n);'
+      : 'memcpy(_bench_arg, _bench_input, sizeof(int) * _bench_n);',
+    string: useString
+      ? 'std::string _bench_arg(_bench_input);'
+      : 'memcpy(_bench_arg, _bench_input, _bench_n + 1);',
+    integer: ''
+  }[input.type];
+
+  const release = {
+    array: useVector ? 'free(_bench_input);' : 'free(_bench_input); free(_bench_arg);',
+    string: useString ? 'free(_bench_input);' : 'free(_bench_input); free(_bench_arg);',
+    integer: ''
+  }[input.type];
+
+  const callArgs = args
+    .map(arg => (arg === 'n' || input.type === 'integer' ? '_bench_n' : '_bench_arg'))
+    .join(', ');
+
+  return `#define main _bench_student_main
+${code}
+#undef main
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <time.h>
+#include <unistd.h>
+${useVector ? '#include <vector>' : ''}
+${useString ? '#include <string>' : ''}
+
+static double _bench_now(void) {
+    struct timespec ts;
+    clock_gettime(CLOCK_MONOTONIC, &ts);
+    return ts.tv_sec + ts.tv_nsec / 1e9;
+}
+
+static int _bench_compare(const void *a, const void *b) {
+    int x = *(const int *)a, y = *(const int *)b;
+    return (x > y) - (x < y);
+}
+
+int main(void) {
+    static const long _bench_sizes[] = { ${sizes.join(', ')} };
+    const int _bench_count = ${sizes.length};
+
+    /* Silence the student's output; timings go to a copy of the real stdout */
+    fflush(stdout);
+    FILE *_bench_out = fdopen(dup(1), "w");
+    if (!freopen("/dev/null", "w", stdout)) return 1;
+
+    __typeof__(&${functionName}) volatile _bench_fn = &${functionName};
+    srand(1);
+    double _bench_start = _bench_now();
+
+    for (int _bench_s = 0; _bench_s < _bench_count; _bench_s++) {
+        long _bench_n = _bench_sizes[_bench_s];
+        ${generate}
+        double _bench_total = 0, _bench_best = 1e9, _bench_size_start = _bench_now();
+        long _bench_reps = 0;
+        while (_bench_total * 1000 < ${MIN_SAMPLE_MS} && _bench_reps < ${MAX_REPETITIONS} &&
+               (_bench_now() - _bench_size_start) * 1000 < ${MAX_SAMPLE_WALL_MS}) {
+            ${copy}
+            double _bench_t0 = _bench_now();
+            _bench_fn(${callArgs});
+            double _bench_elapsed = _bench_now() - _bench_t0;
+            _bench_total += _bench_elapsed;
+            if (_bench_elapsed < _bench_best) _bench_best = _bench_elapsed;
+            _bench_reps++;
+        }
+        ${release}
+        double _bench_ms = _bench_best * 1000;
+        fprintf(_bench_out, "__TIMING__ %ld %.6f\\n", _bench_n, _bench_ms);
+        fflush(_bench_out);
+        if (_bench_ms > ${sizeBudgetMs} || (_bench_now() - _bench_start) * 1000 > ${totalBudgetMs}) break;
+    }
+    return 0;
+}
+`;
+}
+
+/**
+ * Java: a new main() is added to the class that holds the student's main,
+ * and the function is found and called through reflection
+ */
+function buildJavaHarness({ code, functionName, input, args, sizes, sizeBudgetMs, totalBudgetMs }) {
+  const { min, max } = { ...DEFAULT_RANGE, ...input };
+
+  const generate = {
+    array: `int[] _benchInput = new int[_benchN];
+            for (int i = 0; i < _benchN; i++) _benchInput[i] = (int) (${min} + (long) (_benchRandom.nextDouble() * (${max}L - ${min}L + 1)));
+            ${input.order === 'sorted' || input.order === 'reversed' ? 'java.util.Arrays.sort(_benchInput);' : ''}
+            ${input.order === 'reversed' ? 'for (int i = 0; i < _benchN / 2; i++) { int t = _benchInput[i]; _benchInput[i] = _benchInput[_benchN - 1 - i]; _benchInput[_benchN - 1 - i] = t; }' : ''}`,
+    string: `StringBuilder _benchBuilder = new StringBuilder();
+            for (int i = 0; i < _benchN; i++) _benchBuilder.append((char) ('a' + _benchRandom.nextInt(26)));
+            String _benchInput = _benchBuilder.toString();`,
+    integer: 'int _benchInput = _benchN;'
+  }[input.type];
+
+  const callArgs = args
+    .map((arg, i) => (arg === 'n' ? `_benchConvert(_benchTypes[${i}], _benchN)` : `_benchConvert(_benchTypes[${i}], _benchInput)`))
+    .join(', ');
+
+  const harness = `
+    static volatile Object _benchSink;
+
+    static Object _benchConvert(Class<?> type, Object value) {
+        if (value instanceof int[]) {
+            int[] values = ((int[]) value).clone();
+            if (type == long[].class) return java.util.Arrays.stream(values).asLongStream().toArray();
+            if (java.util.List.class.isAssignableFrom(type)) {
+                java.util.List<Integer> list = new java.util.ArrayList<>();
+                for (int v : values) list.add(v);
+                return list;
+            }
+            return values;
+        }
+        if (value instanceof Integer && (type == long.class || type == Long.class)) return ((Integer) value).longValue();
+        return value;
+    }
+
+    public static void main(String[] _benchArgs) throws Exception {
+        java.io.PrintStream _benchOut = System.out;
+        System.setOut(new java.io.PrintStream(java.io.OutputStream.nullOutputStream()));
+
+        Class<?> _benchClass = java.lang.invoke.MethodHandles.lookup().lookupClass();
+        java.lang.reflect.Method _benchFn = null;
+        for (java.lang.reflect.Method m : _benchClass.getDeclaredMethods()) {
+            if (m.getName().equals(${JSON.stringify(functionName)}) && m.getParameterCount() == ${args.length}) _benchFn = m;
+        }
+        if (_benchFn == null) {
+            _benchOut.println("__BENCH_MISSING__");
+            return;
+        }
+        _benchFn.setAccessible(true);
+        Object _benchTarget = java.lang.reflect.Modifier.isStatic(_benchFn.getModifiers())
+            ? null
+            : _benchClass.getDeclaredConstructor().newInstance();
+        Class<?>[] _benchTypes = _benchFn.getParameterTypes();
+
+        java.util.Random _benchRandom = new java.util.Random(1);
+        long[] _benchSizes = { ${sizes.join(', ')} };
+        long _benchStart = System.nanoTime();
+
+        for (long _benchSize : _benchSizes) {
+            int _benchN = (int) _benchSize;
+            ${generate}
+            double _benchTotal = 0, _benchBest = Double.MAX_VALUE;
+            long _benchReps = 0, _benchSizeStart = System.nanoTime();
+            try {
+                while (_benchTotal * 1000 < ${MIN_SAMPLE_MS} && _benchReps < ${MAX_REPETITIONS}
+                        && (System.nanoTime() - _benchSizeStart) / 1e6 < ${MAX_SAMPLE_WALL_MS}) {
+                    Object[] _benchCall = { ${callArgs} };
+                    long _benchT0 = System.nanoTime();
+                    _benchSink = _benchFn.invoke(_benchTarget, _benchCall);
+                    double _benchElapsed = (System.nanoTime() - _benchT0) / 1e9;
+                    _benchTotal += _benchElapsed;
+                    _benchBest = Math.min(_benchBest, _benchElapsed);
+                    _benchReps++;
+                }
+            } catch (Throwable _benchError) {
+                Throwable cause = _benchError.getCause() != null ? _benchError.getCause() : _benchError;
+                String message = (cause.getClass().getSimpleName() + ": " + cause.getMessage());
+                _benchOut.println("__BENCH_ERROR__ " + _benchN + " " + message.substring(0, Math.min(200, message.length())));
+                _benchOut.flush();
+                break;
+            }
+            double _benchMs = _benchBest * 1000;
+            _benchOut.println("__TIMING__ " + _benchN + " " + _benchMs);
+            _benchOut.flush();
+            if (_benchMs > ${sizeBudgetMs} || (System.nanoTime() - _benchStart) / 1e6 > ${totalBudgetMs}) break;
+        }
+    }
+`;
+
+  // Keep the student's main callable, but out of the way
+  const renamed = code.replace(/static\s+void\s+main\s*\(/, 'static void _benchStudentMain(');
+
+  // Insert before the closing brace of the class that holds main (or the public class)
+  const classMatch = renamed.match(/public\s+(?:final\s+)?class\s+\w+/) || renamed.match(/class\s+\w+/);
+  if (!classMatch) return null;
+  const open = renamed.indexOf('{', classMatch.index);
+  let depth = 0;
+  for (let i = open; i < renamed.length; i++) {
+    if (renamed[i] === '{') depth++;
+    else if (renamed[i] === '}' && --depth === 0) {
+      return renamed.slice(0, i) + harness + renamed.slice(i);
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the benchmark program for a language
+ * options: { code, language, functionName, input: { type, order?, min?, max? }, args?, sizes, sizeBudgetMs, totalBudgetMs }
+ * Returns the program source, or null if the code cannot be wrapped
+ */
+function buildHarness(options) {
+  const parameters = findParameters(options.code, options.functionName);
+  const args = options.args || defaultArgs(options.language, options.input.type, parameters);
+  const params = { ...options, args };
+
+  switch (options.language) {
+    case 'python':
+      return buildPythonHarness(params);
+    case 'c':
+    case 'cpp':
+      return buildCHarness(params);
+    case 'java':
+      return buildJavaHarness(params);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads the harness output
+ * Returns { timings: [{ n, timeMs }], error: { n, message } | null, missing: boolean }
+ */
+function parseHarnessOutput(stdout) {
+  const timings = [];
+  let error = null;
+  let missing = false;
+
+  for (const line of (stdout || '').split('\n')) {
+    const parts = line.trim().split(' ');
+    if (parts[0] === '__TIMING__' && parts.length >= 3) {
+      timings.push({ n: Number(parts[1]), timeMs: Number(parts[2]) });
+    } else if (parts[0] === '__BENCH_ERROR__') {
+      error = { n: Number(parts[1]), message: parts.slice(2).join(' ') };
+    } else if (parts[0] === '__BENCH_MISSING__') {
+      missing = true;
+    }
+  }
+
+  return { timings: timings.filter(t => Number.isFinite(t.n) && Number.isFinite(t.timeMs)), error, missing };
+}
+
+module.exports = {
+  buildHarness,
+  parseHarnessOutput
+};
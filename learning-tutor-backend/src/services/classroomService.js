@@ -0,0 +1,268 @@
+/**
+ * Classroom Service
+ *
+ * Classes for labs: an instructor creates a class, students join it with
+ * its join code, and the instructor publishes assignments - a problem
+ * statement, the language, starter code, hidden test cases and the most
+ * direct hint the tutor may give. Students submit against the hidden
+ * tests; their submissions are what the instructor's status view shows.
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+// Join codes skip look-alike characters (0/O, 1/I/L) so they can be read out in a lab
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+// Where a student stands on one assignment
+const STATUSES = {
+  NOT_STARTED: 'not-started',
+  ATTEMPTED: 'attempted',
+  SOLVED: 'solved'
+};
+
+function generateJoinCode() {
+  return Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Public view of a class row; the join code is only shown to its instructor
+ */
+function toClass(row, role) {
+  return {
+    id: row.id,
+    name: row.name,
+    role,
+    instructor: row.instructor_name,
+    ...(role === 'instructor' && { joinCode: row.join_code }),
+    studentCount: row.student_count,
+    assignmentCount: row.assignment_count,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+const CLASS_QUERY = `
+  SELECT classes.*, users.username AS instructor_name,
+    (SELECT COUNT(*) FROM class_members WHERE class_id = classes.id) AS student_count,
+    (SELECT COUNT(*) FROM assignments WHERE class_id = classes.id) AS assignment_count
+  FROM classes JOIN users ON users.id = classes.instructor_id
+`;
+
+/**
+ * Full assignment (hidden tests included) from a row
+ */
+function toAssignment(row) {
+  return {
+    id: row.id,
+    classId: row.class_id,
+    title: row.title,
+    statement: row.statement,
+    language: row.language,
+    starterCode: row.starter_code,
+    testCases: JSON.parse(row.test_cases),
+    comparison: row.comparison,
+    maxHintLevel: row.max_hint_level,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+/**
+ * What a student may see of an assignment: everything but the tests
+ */
+function toStudentAssignment(assignment) {
+  const { testCases, ...visible } = assignment;
+  return { ...visible, testCount: testCases.length };
+}
+
+/**
+ * Creates a class with a fresh join code
+ */
+function createClass(instructorId, name) {
+  const db = getDatabase();
+  const insert = db.prepare('INSERT INTO classes (name, instructor_id, join_code, created_at) VALUES (?, ?, ?, ?)');
+
+  // A clash is unlikely (31^6 codes); just draw again
+  for (;;) {
+    try {
+      const { lastInsertRowid } = insert.run(name, instructorId, generateJoinCode(), Date.now());
+      return toClass(db.prepare(`${CLASS_QUERY} WHERE classes.id = ?`).get(lastInsertRowid), 'instructor');
+    } catch (error) {
+      if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw error;
+    }
+  }
+}
+
+/**
+ * Classes a user teaches or has joined, newest first
+ */
+function listClasses(userId) {
+  return getDatabase().prepare(`
+    ${CLASS_QUERY}
+    WHERE classes.instructor_id = @userId
+       OR classes.id IN (SELECT class_id FROM class_members WHERE user_id = @userId)
+    ORDER BY classes.created_at DESC
+  `).all({ userId }).map(row => toClass(row, row.instructor_id === userId ? 'instructor' : 'student'));
+}
+
+/**
+ * Adds a student to the class with this join code (joining twice is a no-op)
+ * Returns the class, or null if no class has the code
+ */
+function joinClass(userId, joinCode) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT id FROM classes WHERE join_code = ?').get(joinCode.trim().toUpperCase());
+  if (!row) return null;
+
+  db.prepare('INSERT OR IGNORE INTO class_members (class_id, user_id, joined_at) VALUES (?, ?, ?)')
+    .run(row.id, userId, Date.now());
+  return getClass(row.id, userId);
+}
+
+/**
+ * A class as seen by this user, or null if they neither teach nor joined it
+ */
+function getClass(classId, userId) {
+  const row = getDatabase().prepare(`
+    ${CLASS_QUERY}
+    WHERE classes.id = @classId AND (
+      classes.instructor_id = @userId
+      OR EXISTS (SELECT 1 FROM class_members WHERE class_id = @classId AND user_id = @userId)
+    )
+  `).get({ classId, userId });
+  if (!row) return null;
+  return toClass(row, row.instructor_id === userId ? 'instructor' : 'student');
+}
+
+/**
+ * Publishes an assignment to a class
+ */
+function createAssignment(classId, { title, statement, language, starterCode = '', testCases, comparison = 'exact', maxHintLevel }) {
+  const db = getDatabase();
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO assignments (class_id, title, statement, language, starter_code, test_cases, comparison, max_hint_level, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(classId, title, statement, language, starterCode, JSON.stringify(testCases), comparison, maxHintLevel, Date.now());
+  return getAssignment(lastInsertRowid);
+}
+
+/**
+ * An assignment with its hidden tests, or null
+ */
+function getAssignment(assignmentId) {
+  const row = getDatabase().prepare('SELECT * FROM assignments WHERE id = ?').get(assignmentId);
+  return row ? toAssignment(row) : null;
+}
+
+/**
+ * An assignment and the user's role in its class, or null if they aren't in it
+ * Returns { assignment, role: "instructor" | "student" }
+ */
+function getAssignmentForUser(assignmentId, userId) {
+  const assignment = getAssignment(assignmentId);
+  if (!assignment) return null;
+  const cls = getClass(assignment.classId, userId);
+  return cls ? { assignment, role: cls.role } : null;
+}
+
+/**
+ * Assignments of a class, oldest first, without their tests
+ */
+function listAssignments(classId) {
+  return getDatabase().prepare('SELECT * FROM assignments WHERE class_id = ? ORDER BY created_at, id')
+    .all(classId)
+    .map(row => toStudentAssignment(toAssignment(row)));
+}
+
+/**
+ * Stores the outcome of a submission against the hidden tests
+ */
+function recordSubmission(assignmentId, userId, code, { verdict, passed, total }) {
+  getDatabase().prepare(`
+    INSERT INTO submissions (assignment_id, user_id, code, verdict, passed, total, submitted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(assignmentId, userId, code, verdict, passed, total, Date.now());
+}
+
+/**
+ * Per-student, per-assignment submission stats for a class:
+ * Map "assignmentId:userId" -> { status, attempts, bestPassed, total, lastSubmittedAt }
+ */
+function submissionStats(classId) {
+  const rows = getDatabase().prepare(`
+    SELECT assignment_id, user_id, COUNT(*) AS attempts, MAX(passed) AS best_passed, MAX(total) AS total,
+      MAX(submitted_at) AS last_submitted_at, MAX(verdict = 'Accepted') AS solved
+    FROM submissions
+    WHERE assignment_id IN (SELECT id FROM assignments WHERE class_id = ?)
+    GROUP BY assignment_id, user_id
+  `).all(classId);
+
+  return new Map(rows.map(row => [`${row.assignment_id}:${row.user_id}`, {
+    status: row.solved ? STATUSES.SOLVED : STATUSES.ATTEMPTED,
+    attempts: row.attempts,
+    bestPassed: row.best_passed,
+    total: row.total,
+    lastSubmittedAt: new Date(row.last_submitted_at).toISOString()
+  }]));
+}
+
+const NOT_STARTED = { status: STATUSES.NOT_STARTED, attempts: 0, bestPassed: 0, total: null, lastSubmittedAt: null };
+
+/**
+ * A student's status on each assignment of a class: { [assignmentId]: status }
+ */
+function getStudentProgress(classId, userId) {
+  const stats = submissionStats(classId);
+  return Object.fromEntries(listAssignments(classId).map(assignment => [
+    assignment.id,
+    stats.get(`${assignment.id}:${userId}`) || NOT_STARTED
+  ]));
+}
+
+/**
+ * The class roster with every student's status on every assignment:
+ * [{ id, username, joinedAt, assignments: { [assignmentId]: status } }]
+ */
+function getRoster(classId) {
+  const stats = submissionStats(classId);
+  const assignments = listAssignments(classId);
+
+  return getDatabase().prepare(`
+    SELECT users.id, users.username, class_members.joined_at
+    FROM class_members JOIN users ON users.id = class_members.user_id
+    WHERE class_members.class_id = ?
+    ORDER BY users.username
+  `).all(classId).map(student => ({
+    id: student.id,
+    username: student.username,
+    joinedAt: new Date(student.joined_at).toISOString(),
+    assignments: Object.fromEntries(assignments.map(assignment => [
+      assignment.id,
+      stats.get(`${assignment.id}:${student.id}`) || NOT_STARTED
+    ]))
+  }));
+}
+
+/**
+ * Hint-ladder key for an assignment, so its hints climb separately
+ */
+function assignmentProblemId(assignmentId) {
+  return `assignment-${assignmentId}`;
+}
+
+module.exports = {
+  STATUSES,
+  createClass,
+  listClasses,
+  joinClass,
+  getClass,
+  createAssignment,
+  getAssignment,
+  getAssignmentForUser,
+  listAssignments,
+  toStudentAssignment,
+  recordSubmission,
+  getStudentProgress,
+  getRoster,
+  assignmentProblemId
+};
@@ -1,110 +1,111 @@
 /**
- * Compiler Service (Piston API Version)
- * 
- * Executes code using the Piston Execution API (https://github.com/engineer-man/piston)
- * This avoids the need for local compilers (gcc, python, etc.) on the Render server.
+ * Compiler Service
+ *
+ * Entry point for code execution. Delegates to the executor backend selected
+ * by CODE_EXECUTOR:
+ * - piston: remote Piston API (default, no local compilers needed)
+ * - local:  sandboxed gcc/g++/python3/javac on this machine
  */
 
-const axios = require('axios');
+const { getExecutor } = require('./executors');
 
-const PISTON_API = 'https://emkc.org/api/v2/piston';
-
-// Language mapping: Frontend Language -> Piston Language Configuration
-const LANGUAGE_CONFIG = {
-  python: { language: 'python', version: '3.10.0' },
-  c: { language: 'c', version: '10.2.0' },
-  cpp: { language: 'cpp', version: '10.2.0' },
-  java: { language: 'java', version: '15.0.2' },
-  javascript: { language: 'javascript', version: '18.15.0' }
-};
+const executor = getExecutor();
+console.log(`[Compiler] Using ${executor.name} executor`);
 
 /**
- * Execute code using Piston API
+ * Execute code with the configured executor
+ * code: string, or a multi-file project [{ name, content }]
+ * options: { timeLimitMs, entry } - per-run time limit, project file that starts the program
  */
-async function runCode(code, language, input = '') {
-  try {
-    const langKey = language.toLowerCase();
-    const config = LANGUAGE_CONFIG[langKey] || LANGUAGE_CONFIG.python; // Default to python
+async function runCode(code, language, input = '', options = {}) {
+  return executor.execute(code, language, input, options);
+}
 
-    // Java requires the filename to match the class name, but Piston handles basic execution.
-    // However, Piston usually runs "main.extension".
-    // For Java, ensuring the class is "Main" is safest, or Piston runs it anyway if it compiles.
+/**
+ * Run code once per entry of runs ([{ input, timeLimitMs? }]), compiling once
+ * where the executor can keep the build between runs (Piston compiles per
+ * request, so there each run compiles again)
+ * Returns { compileError, results } - see executeBatch in executors/index.js
+ */
+async function runBatch(code, language, runs, options = {}) {
+  if (typeof executor.executeBatch === 'function') {
+    return executor.executeBatch(code, language, runs, options);
+  }
 
-    console.log(`[Compiler] Sending ${config.language} code to Piston API...`);
+  const results = [];
+  for (const { input = '', timeLimitMs } of runs) {
+    const startTime = Date.now();
+    const result = await executor.execute(code, language, input, { ...options, timeLimitMs });
+    // Every run would fail to compile the same way
+    if (result.compilationError) return { compileError: result, results: [] };
+    results.push({ ...result, executionTime: Date.now() - startTime });
+  }
+  return { compileError: null, results };
+}
 
-    const response = await axios.post(`${PISTON_API}/execute`, {
-      language: config.language,
-      version: config.version,
-      files: [
-        {
-          content: code
-        }
-      ],
-      stdin: input,
-      run_timeout: 5000,
-      compile_timeout: 10000
-    });
+/**
+ * Whether the configured executor can run code interactively
+ */
+function supportsInteractive() {
+  return typeof executor.startInteractive === 'function';
+}
 
-    const { run, compile } = response.data;
+/**
+ * Start an interactive run with the configured executor
+ * handlers: { onStatus, onOutput, onExit } - returns { write, endInput, kill }
+ * options: { entry } - as for runCode
+ */
+function startInteractiveRun(code, language, handlers, options = {}) {
+  if (!supportsInteractive()) {
+    throw new Error(`The ${executor.name} executor cannot run code interactively`);
+  }
+  return executor.startInteractive(code, language, handlers, options);
+}
 
-    // Handle compilation error
-    if (compile && compile.code !== 0) {
-      return {
-        success: false,
-        stdout: '',
-        stderr: compile.stderr || compile.stdout || 'Compilation failed',
-        exitCode: compile.code,
-        compilationError: true
-      };
-    }
+/**
+ * Whether the configured executor can trace programs step by step
+ */
+function supportsTrace() {
+  return typeof executor.trace === 'function';
+}
 
-    // Handle runtime result
-    return {
-      success: run.code === 0,
-      stdout: run.stdout,
-      stderr: run.stderr,
-      exitCode: run.code,
-      timedOut: run.signal === 'SIGKILL' // Piston kills process on timeout
-    };
+/**
+ * Run code under a tracer with the configured executor
+ * Resolves with runCode()'s result plus { steps, stepLimitReached }
+ * options: { entry, maxSteps }
+ */
+async function traceCode(code, language, input = '', options = {}) {
+  if (!supportsTrace()) {
+    throw new Error(`The ${executor.name} executor cannot trace code`);
+  }
+  return executor.trace(code, language, input, options);
+}
 
-  } catch (error) {
-    console.error('[Compiler] Piston API Error:', error.message);
-    if (error.response) {
-      console.error('[Compiler] Response:', error.response.data);
-    }
+/**
+ * Whether the configured executor can run programs under a debugger
+ */
+function supportsDebug() {
+  return typeof executor.startDebug === 'function';
+}
 
-    return {
-      success: false,
-      stdout: '',
-      stderr: 'Failed to execute code via remote compiler service. ' + error.message,
-      exitCode: -1
-    };
+/**
+ * Start a debug session with the configured executor
+ * handlers: { onStatus, onOutput, onBreakpoints, onPaused, onExit }
+ * - returns { setBreakpoints, resume, evaluate, kill }
+ * options: { entry, breakpoints, stopOnEntry }
+ */
+function startDebugSession(code, language, input, handlers, options = {}) {
+  if (!supportsDebug()) {
+    throw new Error(`The ${executor.name} executor cannot debug code`);
   }
+  return executor.startDebug(code, language, input, handlers, options);
 }
 
 /**
- * Check compilers - For Piston, we just check if API is reachable
+ * Check which compilers the configured executor can use
  */
 async function checkCompilers() {
-  try {
-    await axios.get(`${PISTON_API}/runtimes`);
-    return {
-      python: true,
-      c: true,
-      cpp: true,
-      java: true,
-      note: 'Using Piston API'
-    };
-  } catch (error) {
-    console.error('Piston API unreachable');
-    return {
-      python: false,
-      c: false,
-      cpp: false,
-      java: false,
-      error: 'Remote compiler unreachable'
-    };
-  }
+  return executor.checkCompilers();
 }
 
-module.exports = { runCode, checkCompilers };
+module.exports = { runCode, runBatch, supportsInteractive, startInteractiveRun, supportsTrace, traceCode, supportsDebug, startDebugSession, checkCompilers };
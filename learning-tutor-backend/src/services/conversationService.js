@@ -0,0 +1,320 @@
+/**
+ * Conversation Service
+ *
+ * Keeps the message history of each tutoring conversation on the server so
+ * follow-up questions ("what did you mean by that?") have real context.
+ *
+ * Conversations live in memory and expire after a period of inactivity.
+ * When a conversation grows past its token budget, the oldest turns are
+ * folded into a short running summary instead of being sent in full. When
+ * the latest exchange alone is over it, its code snapshots are cut, then its
+ * text. The least recently used conversations leave memory first.
+ *
+ * A signed-in student's conversations are also written to the database, so
+ * their history (with hint ladders and any open Socratic question) survives
+ * restarts and follows them to other devices. Only their owner can read or continue them.
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+const TOKEN_BUDGET = parseInt(process.env.CONVERSATION_TOKEN_BUDGET) || 1500;
+const TTL_MS = (parseInt(process.env.CONVERSATION_TTL_MINUTES) || 120) * 60 * 1000;
+const MAX_CONVERSATIONS = parseInt(process.env.MAX_CONVERSATIONS) || 1000;
+
+// Summaries are capped too, so very long conversations stay bounded
+const MAX_SUMMARY_CHARS = 800;
+
+// A code snapshot cut shorter than this is dropped instead
+const MIN_SNAPSHOT_TOKENS = 40;
+const CUT_MARKER = '\n... (cut to fit the conversation budget)';
+
+const conversations = new Map();
+
+/**
+ * Socratic mode state of a new conversation: no open question (see socraticService)
+ */
+function newSocraticState() {
+  return { awaitingAnswer: false, question: '', concept: null, followUps: 0 };
+}
+
+/**
+ * Rough token estimate (~4 characters per token for English and code)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Tokens a message costs when rendered into the prompt
+ */
+function messageTokens(message) {
+  return estimateTokens(message.content) + estimateTokens(message.code);
+}
+
+/**
+ * Removes expired conversations, and the least recently used ones if over capacity
+ */
+function pruneConversations() {
+  const now = Date.now();
+  for (const [id, conversation] of conversations) {
+    if (now - conversation.updatedAt > TTL_MS) {
+      conversations.delete(id);
+    }
+  }
+
+  // Map keeps insertion order and getConversation re-inserts on every use,
+  // so the first entries are the least recently used
+  while (conversations.size > MAX_CONVERSATIONS) {
+    conversations.delete(conversations.keys().next().value);
+  }
+}
+
+/**
+ * Creates a new, empty conversation (owned by userId when signed in)
+ */
+function createConversation(userId = null) {
+  pruneConversations();
+
+  const conversation = {
+    id: crypto.randomUUID(),
+    userId,
+    summary: '',
+    messages: [],
+    // problem id -> hint ladder (see hintLadderService)
+    hintLadders: new Map(),
+    // Open question in Socratic mode (see socraticService)
+    socratic: newSocraticState(),
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  conversations.set(conversation.id, conversation);
+  return conversation;
+}
+
+/**
+ * Returns the conversation with this id, or null if unknown/expired
+ * A signed-in student's conversation is reloaded from the database once
+ * it has left memory, and is never returned to anyone else
+ */
+function getConversation(id, userId = null) {
+  if (!id) return null;
+  let conversation = conversations.get(id);
+  if (conversation && Date.now() - conversation.updatedAt > TTL_MS) {
+    conversations.delete(id);
+    conversation = null;
+  }
+  if (!conversation && userId) {
+    conversation = loadConversation(id, userId);
+  }
+  if (!conversation || (conversation.userId && conversation.userId !== userId)) return null;
+  conversations.delete(id);
+  conversations.set(id, conversation);
+  return conversation;
+}
+
+/**
+ * Returns the existing conversation, or starts a new one
+ */
+function getOrCreateConversation(id, userId = null) {
+  return getConversation(id, userId) || createConversation(userId);
+}
+
+/**
+ * Deletes a conversation. Returns true if it existed.
+ */
+function deleteConversation(id, userId = null) {
+  const conversation = getConversation(id, userId);
+  if (!conversation) return false;
+  conversations.delete(id);
+  if (conversation.userId) {
+    getDatabase().prepare('DELETE FROM conversations WHERE id = ? AND user_id = ?').run(id, conversation.userId);
+  }
+  return true;
+}
+
+/**
+ * Reads a stored conversation back into memory, or returns null
+ */
+function loadConversation(id, userId) {
+  const row = getDatabase().prepare('SELECT * FROM conversations WHERE id = ? AND user_id = ?').get(id, userId);
+  if (!row) return null;
+
+  const conversation = {
+    id: row.id,
+    userId: row.user_id,
+    summary: row.summary,
+    messages: JSON.parse(row.messages),
+    hintLadders: new Map(Object.entries(JSON.parse(row.hint_ladders))),
+    socratic: { ...newSocraticState(), ...JSON.parse(row.socratic) },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  conversations.set(id, conversation);
+  return conversation;
+}
+
+/**
+ * Writes a signed-in student's conversation to the database
+ */
+function saveConversation(conversation) {
+  getDatabase().prepare(`
+    INSERT INTO conversations (id, user_id, summary, messages, hint_ladders, socratic, created_at, updated_at)
+    VALUES (@id, @userId, @summary, @messages, @hintLadders, @socratic, @createdAt, @updatedAt)
+    ON CONFLICT (id) DO UPDATE SET summary = @summary, messages = @messages, hint_ladders = @hintLadders,
+      socratic = @socratic, updated_at = @updatedAt
+  `).run({
+    ...conversation,
+    messages: JSON.stringify(conversation.messages),
+    hintLadders: JSON.stringify(Object.fromEntries(conversation.hintLadders)),
+    socratic: JSON.stringify(conversation.socratic)
+  });
+}
+
+/**
+ * Writes state that changed outside recordTurn (e.g. a hint ladder reset)
+ * A conversation without turns is left to its first recordTurn
+ */
+function persistConversation(conversation) {
+  if (conversation.userId && (conversation.messages.length > 0 || conversation.summary)) {
+    saveConversation(conversation);
+  }
+}
+
+/**
+ * A student's stored conversations, newest first:
+ * [{ sessionId, title, messageCount, createdAt, updatedAt }]
+ */
+function listConversations(userId) {
+  return getDatabase().prepare(
+    'SELECT * FROM conversations WHERE user_id = ? ORDER BY updated_at DESC'
+  ).all(userId).map(row => {
+    const messages = JSON.parse(row.messages);
+    const first = messages.find(m => m.role === 'user');
+    return {
+      sessionId: row.id,
+      title: summarizeMessage(first ? first.content : row.summary),
+      messageCount: messages.length,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  });
+}
+
+/**
+ * First sentence (or first 120 chars) of a message, without markdown noise
+ */
+function summarizeMessage(content) {
+  const plain = (content || '')
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/[*#`>_]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const sentence = plain.match(/^.*?[.!?](\s|$)/);
+  return (sentence ? sentence[0] : plain).slice(0, 120).trim();
+}
+
+/**
+ * Cuts text to about this many tokens, saying that it was cut
+ */
+function cutText(text, tokens) {
+  const maxChars = Math.max(0, tokens * 4 - CUT_MARKER.length);
+  return text.length <= maxChars ? text : text.slice(0, maxChars) + CUT_MARKER;
+}
+
+/**
+ * Folds the oldest messages into the summary until the history fits the budget
+ * The most recent exchange is always kept; if it alone is over the budget,
+ * its code snapshots are cut (or dropped - the prompt carries the current
+ * code anyway), then the longest texts.
+ */
+function trimToBudget(conversation) {
+  let total = conversation.messages.reduce((sum, m) => sum + messageTokens(m), 0)
+    + estimateTokens(conversation.summary);
+
+  while (total > TOKEN_BUDGET && conversation.messages.length > 2) {
+    const oldest = conversation.messages.shift();
+    total -= messageTokens(oldest);
+
+    const speaker = oldest.role === 'user' ? 'Student asked' : 'Tutor explained';
+    const line = `${speaker}: ${summarizeMessage(oldest.content)}`;
+    const previousSummaryTokens = estimateTokens(conversation.summary);
+    conversation.summary = `${conversation.summary}\n${line}`.trim().slice(-MAX_SUMMARY_CHARS);
+    total += estimateTokens(conversation.summary) - previousSummaryTokens;
+  }
+
+  for (const message of conversation.messages) {
+    if (total <= TOKEN_BUDGET || !message.code) continue;
+    const before = estimateTokens(message.code);
+    const keep = before - (total - TOKEN_BUDGET);
+    if (keep < MIN_SNAPSHOT_TOKENS) {
+      delete message.code;
+    } else {
+      message.code = cutText(message.code, keep);
+    }
+    total -= before - estimateTokens(message.code);
+  }
+
+  while (total > TOKEN_BUDGET) {
+    const longest = conversation.messages.reduce((a, b) => (b.content.length > a.content.length ? b : a));
+    const before = estimateTokens(longest.content);
+    const cut = cutText(longest.content, Math.max(0, before - (total - TOKEN_BUDGET)));
+    if (cut.length >= longest.content.length) break;
+    longest.content = cut;
+    total -= before - estimateTokens(cut);
+  }
+}
+
+/**
+ * Records one student question and the tutor's reply
+ * The code snapshot is only stored when it changed since the last one.
+ */
+function recordTurn(conversation, { userQuestion, code, reply }) {
+  const lastCode = [...conversation.messages].reverse().find(m => m.code)?.code;
+  const codeSnapshot = code && code !== lastCode ? code : undefined;
+
+  conversation.messages.push({
+    role: 'user',
+    content: userQuestion || 'Please look at my code',
+    code: codeSnapshot,
+    timestamp: new Date().toISOString()
+  });
+  conversation.messages.push({
+    role: 'assistant',
+    content: reply || '',
+    timestamp: new Date().toISOString()
+  });
+  conversation.updatedAt = Date.now();
+
+  trimToBudget(conversation);
+
+  if (conversation.userId) {
+    saveConversation(conversation);
+  }
+}
+
+/**
+ * History in the shape buildAnalysisPrompt expects
+ * Returns { summary, messages } or null for a new conversation
+ */
+function getConversationContext(conversation) {
+  if (!conversation || (conversation.messages.length === 0 && !conversation.summary)) {
+    return null;
+  }
+  return {
+    summary: conversation.summary,
+    messages: conversation.messages.map(({ role, content, code }) => ({ role, content, code }))
+  };
+}
+
+module.exports = {
+  createConversation,
+  getConversation,
+  getOrCreateConversation,
+  deleteConversation,
+  listConversations,
+  recordTurn,
+  persistConversation,
+  getConversationContext,
+  estimateTokens
+};
@@ -0,0 +1,160 @@
+/**
+ * Database
+ *
+ * One SQLite file holds everything that must outlive the process: user
+ * accounts, sign-in tokens, learning profiles, the conversation history
+ * of signed-in students, and classes with their assignments, submissions
+ * and the activity instructor analytics are built from. Anonymous use
+ * never touches it.
+ *
+ * The schema is created on first open; every statement is idempotent, so
+ * adding a table is just another CREATE ... IF NOT EXISTS. Columns added
+ * to an existing table go in ADDED_COLUMNS, for databases created before.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const CONFIG = {
+  // SQLite file (":memory:" for a throwaway database)
+  path: process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'tutor.db')
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'student',
+  created_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS profiles (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  progress TEXT,
+  progress_updated_at INTEGER NOT NULL DEFAULT 0,
+  learning_state TEXT,
+  learning_state_updated_at INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  summary TEXT NOT NULL DEFAULT '',
+  messages TEXT NOT NULL DEFAULT '[]',
+  hint_ladders TEXT NOT NULL DEFAULT '{}',
+  socratic TEXT NOT NULL DEFAULT '{}',
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS conversations_by_user ON conversations (user_id, updated_at);
+
+CREATE TABLE IF NOT EXISTS classes (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  instructor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  join_code TEXT NOT NULL UNIQUE,
+  created_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS class_members (
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  joined_at INTEGER NOT NULL,
+  PRIMARY KEY (class_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS assignments (
+  id INTEGER PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  statement TEXT NOT NULL,
+  language TEXT NOT NULL,
+  starter_code TEXT NOT NULL DEFAULT '',
+  test_cases TEXT NOT NULL,
+  comparison TEXT NOT NULL DEFAULT 'exact',
+  max_hint_level INTEGER NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS submissions (
+  id INTEGER PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  verdict TEXT NOT NULL,
+  passed INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  submitted_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS submissions_by_assignment ON submissions (assignment_id, user_id);
+
+CREATE TABLE IF NOT EXISTS assignment_activity (
+  id INTEGER PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL,
+  error_type TEXT,
+  concept TEXT,
+  hint_level INTEGER,
+  hint_request INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS activity_by_assignment ON assignment_activity (assignment_id, user_id, created_at);
+`;
+
+// Columns added after their table first shipped: [table, column, definition]
+const ADDED_COLUMNS = [
+  ['users', 'role', "TEXT NOT NULL DEFAULT 'student'"],
+  ['conversations', 'hint_ladders', "TEXT NOT NULL DEFAULT '{}'"],
+  ['conversations', 'socratic', "TEXT NOT NULL DEFAULT '{}'"]
+];
+
+/**
+ * Adds any ADDED_COLUMNS an older database is missing
+ */
+function addMissingColumns(database) {
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    const columns = database.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!columns.includes(column)) {
+      database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+let db = null;
+
+/**
+ * The open database (opened and migrated on first use)
+ */
+function getDatabase() {
+  if (db) return db;
+
+  if (CONFIG.path !== ':memory:') {
+    fs.mkdirSync(path.dirname(CONFIG.path), { recursive: true });
+  }
+  db = new Database(CONFIG.path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  addMissingColumns(db);
+
+  console.log(`[Database] Using ${CONFIG.path}`);
+  return db;
+}
+
+module.exports = {
+  CONFIG,
+  getDatabase
+};
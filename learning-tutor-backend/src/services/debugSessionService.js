@@ -0,0 +1,185 @@
+/**
+ * Debug Session Service
+ *
+ * Runs code under a breakpoint debugger over a WebSocket at /debug - pdb for
+ * Python, gdb for C/C++, jdb for Java - so the student can stop at a line,
+ * step over, into and out of calls, and look at variables and watch
+ * expressions while the program is paused. Needs CODE_EXECUTOR=local.
+ *
+ * Messages are JSON. The client sends:
+ *   { type: "start", code, language, input?, breakpoints?, watches?, stopOnEntry? }
+ *       // first, once (or files + entry instead of code, as for POST /run)
+ *       // breakpoints: [{ file, line }], watches: [expression]
+ *   { type: "continue" | "stepOver" | "stepInto" | "stepOut" }   // while paused
+ *   { type: "setBreakpoints", breakpoints }   // applied now if paused, else at the next pause
+ *   { type: "setWatches", watches }           // evaluated now if paused
+ *   { type: "evaluate", id, expression, frame? }   // while paused; frame 0 = innermost
+ *   { type: "stop" }                          // end the program
+ *
+ * The server sends:
+ *   { type: "status", phase: "compiling" | "running" }
+ *   { type: "stdout" | "stderr", data: string }
+ *   { type: "breakpoints", breakpoints: [{ file, line, verified }] }
+ *   { type: "paused", reason, file, line, function, exception, stack, watches }
+ *       // reason: "entry" | "breakpoint" | "step" | "exception"
+ *       // stack: [{ function, file, line, locals: [{ name, type, value }] }], innermost first
+ *       // watches: [{ expression, value } | { expression, error }], in the innermost frame
+ *   { type: "watches", watches }   // after setWatches while paused
+ *   { type: "evaluation", id, expression, value?, valueType?, error? }
+ *   { type: "exit", ... }    // as for /run/interactive, then closes
+ *   { type: "error", error, details? }   // then closes
+ */
+
+const { supportsDebug, startDebugSession } = require('./compilerService');
+const { attachSessions, exitMessage } = require('./socketSessions');
+const { toProject } = require('../utils/projectFiles');
+const { normalizeLanguage, checkBreakpoints, checkWatches, isExpression } = require('../utils/validators');
+
+const PATH = '/debug';
+const MAX_SESSIONS = parseInt(process.env.MAX_DEBUG_SESSIONS) || 10;
+const RESUME_ACTIONS = ['continue', 'stepOver', 'stepInto', 'stepOut'];
+
+/**
+ * Errors in the debugger options of a start message
+ */
+function validateStart(message) {
+  const errors = [];
+  if (message.input !== undefined && typeof message.input !== 'string') {
+    errors.push('input must be a string');
+  }
+  if (message.breakpoints !== undefined) {
+    const fileNames = Array.isArray(message.files) ? message.files.map(file => file?.name) : null;
+    errors.push(...checkBreakpoints(message.breakpoints, fileNames));
+  }
+  if (message.watches !== undefined) {
+    errors.push(...checkWatches(message.watches));
+  }
+  if (message.stopOnEntry !== undefined && typeof message.stopOnEntry !== 'boolean') {
+    errors.push('stopOnEntry must be true or false');
+  }
+  return errors;
+}
+
+/**
+ * Starts the program of a start message under the debugger and relays
+ * debugger commands to it
+ */
+function startSession(message, { send, end }) {
+  const language = normalizeLanguage(message.language);
+  // Breakpoints in a single-file program are all in its one file
+  const singleFile = message.files ? null : toProject(message.code, language).entry.name;
+  let paused = false;
+  let watches = message.watches || [];
+  // Breakpoints changed while the program runs, set at the next pause
+  let pendingBreakpoints = null;
+  // Debugger commands run one at a time
+  let work = Promise.resolve();
+  let debug = null;
+
+  const enqueue = (task) => {
+    work = work.then(task).catch((error) => console.error('[Debug] Command failed:', error.message));
+  };
+  const inFile = (breakpoints) => (singleFile ? breakpoints.map(({ line }) => ({ file: singleFile, line })) : breakpoints);
+
+  const evaluateWatches = async () => {
+    const results = [];
+    for (const expression of watches) {
+      results.push({ expression, ...(await debug.evaluate(expression, 0)) });
+    }
+    return results;
+  };
+
+  const handlePaused = async ({ reason, stack, exception }) => {
+    paused = true;
+    if (pendingBreakpoints) {
+      await debug.setBreakpoints(pendingBreakpoints);
+      pendingBreakpoints = null;
+    }
+    const top = stack[0] || {};
+    send({
+      type: 'paused',
+      reason,
+      file: top.file || null,
+      line: top.line || null,
+      function: top.function || null,
+      exception: exception || null,
+      stack,
+      watches: await evaluateWatches()
+    });
+  };
+
+  const breakpoints = inFile(message.breakpoints || []);
+  const size = message.files ? `${message.files.length} files` : `${message.code.length} chars`;
+  console.log(`[Debug] ${language} session (${size}, ${breakpoints.length} breakpoint${breakpoints.length === 1 ? '' : 's'})`);
+  const startTime = Date.now();
+
+  debug = startDebugSession(message.files || message.code, language, message.input || '', {
+    onStatus: (phase) => send({ type: 'status', phase }),
+    onOutput: (stream, data) => send({ type: stream, data }),
+    onBreakpoints: (verified) => send({ type: 'breakpoints', breakpoints: verified }),
+    onPaused: (pause) => enqueue(() => handlePaused(pause)),
+    onExit: (result) => {
+      paused = false;
+      const executionTime = Date.now() - startTime;
+      console.log(`[Debug] Session finished after ${executionTime}ms, success: ${result.success}`);
+      send(exitMessage(result, language, executionTime));
+      end();
+    }
+  }, { entry: message.entry, breakpoints, stopOnEntry: Boolean(message.stopOnEntry) });
+
+  const receive = (message) => {
+    const type = message.type;
+    if (RESUME_ACTIONS.includes(type)) {
+      enqueue(async () => {
+        if (!paused) return;
+        paused = false;
+        await debug.resume(type);
+      });
+    } else if (type === 'setBreakpoints') {
+      if (checkBreakpoints(message.breakpoints, null).length > 0) return;
+      const changed = inFile(message.breakpoints);
+      enqueue(async () => {
+        if (paused) await debug.setBreakpoints(changed);
+        else pendingBreakpoints = changed;
+      });
+    } else if (type === 'setWatches') {
+      if (checkWatches(message.watches).length > 0) return;
+      enqueue(async () => {
+        watches = message.watches;
+        if (paused) send({ type: 'watches', watches: await evaluateWatches() });
+      });
+    } else if (type === 'evaluate') {
+      if (!isExpression(message.expression)) return;
+      const frame = Number.isInteger(message.frame) && message.frame >= 0 ? message.frame : 0;
+      enqueue(async () => {
+        const { value, type: valueType, error } = paused
+          ? await debug.evaluate(message.expression, frame)
+          : { error: 'The program is running - pause it first' };
+        send({ type: 'evaluation', id: message.id ?? null, expression: message.expression, value, valueType, error });
+      });
+    } else if (type === 'stop') {
+      debug.kill();
+    }
+    // Unknown messages mid-session are ignored rather than ending the program
+  };
+
+  return { receive, kill: () => debug.kill() };
+}
+
+/**
+ * Serves debug sessions on the HTTP server's /debug upgrades
+ */
+function attachDebugSessions(server) {
+  return attachSessions(server, {
+    path: PATH,
+    label: '[Debug]',
+    isAvailable: supportsDebug,
+    unavailableError: 'Debugging needs CODE_EXECUTOR=local',
+    maxSessions: MAX_SESSIONS,
+    busyError: 'Too many debug sessions right now - try again in a moment',
+    validateStart,
+    start: startSession
+  });
+}
+
+module.exports = { attachDebugSessions, PATH };
@@ -0,0 +1,236 @@
+/**
+ * Empirical Complexity Service
+ *
+ * Measures how a student's function actually scales: runs it on generated
+ * inputs of growing size through the code runner, then fits the timings
+ * against the usual complexity curves. Complements the static estimate from
+ * complexityAnalyzer, which only looks at the code's structure.
+ */
+
+const { runCode } = require('./compilerService');
+const { buildHarness, parseHarnessOutput } = require('./benchmarkHarness');
+
+const CONFIG = {
+  // Total time the benchmark may spend inside the runner (Piston caps runs at 3s)
+  budgetMs: parseInt(process.env.EMPIRICAL_BUDGET_MS) || 2000
+};
+
+// Largest n tried by default for each input type
+const DEFAULT_MAX_N = {
+  array: 100000,
+  string: 100000,
+  integer: 1000000
+};
+
+// Sizes grow geometrically so both slow and fast functions get enough points
+const SIZE_GROWTH = 1.5;
+const MIN_POINTS = 4;
+
+// A simpler curve wins if it fits within this factor of the best error
+const SIMPLICITY_TOLERANCE = 1.25;
+
+// Timings are off by about this much however fast the call was (timer
+// overhead and rounding), so calls faster than it barely count in a fit
+const TIMING_FLOOR_MS = 0.001;
+
+const log2 = n => Math.log2(n + 1);
+
+// Candidate curves, simplest first
+const MODELS = [
+  { complexity: 'O(1)', g: () => 0 },
+  { complexity: 'O(log n)', g: n => log2(n) },
+  { complexity: 'O(n)', g: n => n },
+  { complexity: 'O(n log n)', g: n => n * log2(n) },
+  { complexity: 'O(n²)', g: n => n * n },
+  // Exponential curves overflow quickly - only worth trying when n stayed small.
+  // The base is fitted too (Fibonacci-style recursion grows like 1.62^n)
+  { complexity: 'O(2^n)', exponential: true, maxN: 60 }
+];
+
+// Exponential bases tried when fitting c^n
+const MIN_BASE = 1.2;
+const MAX_BASE = 4;
+const BASE_STEP = 0.02;
+
+/**
+ * Input sizes from 1 up to maxN
+ */
+function buildSizes(maxN) {
+  const sizes = [];
+  for (let size = 1; size <= maxN; size = Math.max(size + 1, Math.round(size * SIZE_GROWTH))) {
+    sizes.push(size);
+  }
+  if (sizes[sizes.length - 1] !== maxN) sizes.push(maxN);
+  return sizes;
+}
+
+/**
+ * Fits t = a·g(n) + b by weighted least squares: each timing is trusted to
+ * within a fraction of itself, but never better than TIMING_FLOOR_MS
+ * Returns { a, b, error } where error is the RMS relative error
+ */
+function fitModel(model, timings) {
+  const points = timings.map(({ n, timeMs }) => ({
+    x: model.g(n),
+    t: timeMs,
+    w: 1 / (timeMs * timeMs + TIMING_FLOOR_MS * TIMING_FLOOR_MS)
+  }));
+
+  let sw = 0, sx = 0, st = 0, sxx = 0, sxt = 0;
+  for (const { x, t, w } of points) {
+    sw += w; sx += w * x; st += w * t; sxx += w * x * x; sxt += w * x * t;
+  }
+
+  let a = 0;
+  let b = st / sw;
+  const det = sw * sxx - sx * sx;
+  if (det > 0 && Number.isFinite(det)) {
+    const slope = (sw * sxt - sx * st) / det;
+    // A negative slope means the curve grows faster than the data
+    if (slope > 0) {
+      a = slope;
+      b = (st - a * sx) / sw;
+    }
+  }
+
+  const squared = points.reduce((sum, { x, t, w }) => sum + w * Math.pow(a * x + b - t, 2), 0);
+  return { a, b, error: Math.sqrt(squared / points.length) };
+}
+
+/**
+ * Fits c^n over a range of bases and keeps the best one
+ * Labelled like the static analyzer: the base rounded, at least 2
+ */
+function fitExponential(timings) {
+  let best = null;
+  for (let base = MIN_BASE; base <= MAX_BASE; base += BASE_STEP) {
+    const fit = fitModel({ g: n => Math.pow(base, n) }, timings);
+    if (!best || fit.error < best.error) best = { ...fit, base };
+  }
+  return {
+    complexity: `O(${Math.max(2, Math.round(best.base))}^n)`,
+    error: best.error,
+    base: Math.round(best.base * 100) / 100
+  };
+}
+
+/**
+ * Picks the curve that best explains the timings
+ * Returns { bestFit, confidence, fits: [{ complexity, error }] }
+ */
+function fitTimings(timings) {
+  const largest = Math.max(...timings.map(t => t.n));
+  const fits = MODELS
+    .filter(model => !model.maxN || largest <= model.maxN)
+    .map(model => model.exponential
+      ? fitExponential(timings)
+      : { complexity: model.complexity, error: fitModel(model, timings).error });
+
+  const ranked = [...fits].sort((a, b) => a.error - b.error);
+  const bestError = ranked[0].error;
+  const best = fits.find(fit => fit.error <= bestError * SIMPLICITY_TOLERANCE + 1e-9);
+
+  // Confidence: how clearly the winner beats every other curve
+  const others = fits.filter(fit => fit !== best).map(fit => fit.error);
+  const gap = Math.min(...others) / Math.max(best.error, 1e-3);
+  let confidence = 'low';
+  if (timings.length >= 6 && gap >= 2) confidence = 'high';
+  else if (gap >= 1.3) confidence = 'medium';
+
+  return {
+    bestFit: best.complexity,
+    confidence,
+    fits: fits.map(fit => ({
+      complexity: fit.complexity,
+      error: Math.round(fit.error * 1000) / 1000,
+      ...(fit.base && { base: fit.base })
+    }))
+  };
+}
+
+/**
+ * Runs a function on growing inputs and fits its timings
+ *
+ * options: {
+ *   code, language, functionName,
+ *   input: { type: 'array' | 'string' | 'integer', order?, min?, max?, args?, maxN? },
+ *   staticEstimate?: { best, average, worst }
+ * }
+ * Returns { functionName, input, bestFit?, confidence?, fits?, timings, staticEstimate?, agreesWithStatic?, note?, error?, stderr? }
+ */
+async function measureComplexity({ code, language, functionName, input, staticEstimate }) {
+  const maxN = input.maxN || DEFAULT_MAX_N[input.type];
+  const sizes = buildSizes(maxN);
+  const spec = { type: input.type, order: input.order || 'random', maxN };
+  if (input.min !== undefined) spec.min = input.min;
+  if (input.max !== undefined) spec.max = input.max;
+  if (input.args) spec.args = input.args;
+
+  const harness = buildHarness({
+    code,
+    language,
+    functionName,
+    input: spec,
+    args: input.args,
+    sizes,
+    sizeBudgetMs: Math.round(CONFIG.budgetMs / 8),
+    totalBudgetMs: CONFIG.budgetMs
+  });
+
+  const base = { functionName, input: spec, timings: [] };
+  if (!harness) {
+    return { ...base, error: `Could not build a benchmark for this ${language} program` };
+  }
+
+  const startTime = Date.now();
+  const result = await runCode(harness, language, '', { timeLimitMs: CONFIG.budgetMs + 1000 });
+  console.log(`[Empirical] ${language} ${functionName}(): finished in ${Date.now() - startTime}ms`);
+
+  if (result.compilationError) {
+    return { ...base, error: 'The benchmark did not compile', stderr: result.stderr };
+  }
+
+  const { timings, error, missing } = parseHarnessOutput(result.stdout);
+  if (missing) {
+    return { ...base, error: `Function "${functionName}" was not found when running the code` };
+  }
+
+  const notes = [];
+  if (error) notes.push(`Stopped at n = ${error.n}: ${error.message}`);
+  else if (result.timedOut) notes.push('Stopped early: the time budget ran out');
+
+  if (timings.length < MIN_POINTS) {
+    return {
+      ...base,
+      timings,
+      error: `Only ${timings.length} input size(s) finished - not enough to fit a curve`,
+      ...(notes.length && { note: notes.join('. ') }),
+      ...(result.stderr && !timings.length && { stderr: result.stderr })
+    };
+  }
+
+  if (timings[timings.length - 1].n < maxN && !error && !result.timedOut) {
+    notes.push(`Stopped at n = ${timings[timings.length - 1].n} to stay within the time budget`);
+  }
+
+  const fit = fitTimings(timings);
+  const timingTable = timings.map(t => ({ n: t.n, timeMs: Math.round(t.timeMs * 10000) / 10000 }));
+
+  return {
+    ...base,
+    ...fit,
+    timings: timingTable,
+    ...(staticEstimate && {
+      staticEstimate,
+      agreesWithStatic: [staticEstimate.average, staticEstimate.worst].includes(fit.bestFit)
+    }),
+    ...(notes.length && { note: notes.join('. ') })
+  };
+}
+
+module.exports = {
+  CONFIG,
+  measureComplexity,
+  fitTimings,
+  buildSizes
+};
@@ -0,0 +1,304 @@
+/**
+ * C / C++ Debugger Adapter
+ *
+ * Drives gdb over its machine interface (gdb/MI): commands go in as
+ * "<token>-command args", results come back as "<token>^done,..." and stops
+ * as "*stopped,reason=...". The program is built with -g -O0 so every line
+ * can be stopped on and every local read.
+ */
+
+const path = require('path');
+
+const MAX_VALUE_LENGTH = 500;
+
+// Session actions -> MI commands
+const COMMANDS = {
+  continue: '-exec-continue',
+  stepOver: '-exec-next',
+  stepInto: '-exec-step',
+  stepOut: '-exec-finish'
+};
+
+const COMPILERS = {
+  c: (sources) => ['gcc', ['-g', '-O0', '-o', 'main', ...sources, '-lm']],
+  cpp: (sources) => ['g++', ['-g', '-O0', '-std=c++17', '-o', 'main', ...sources]]
+};
+
+// ============================================================
+// MI OUTPUT PARSING
+// ============================================================
+
+/**
+ * Reads a C string starting at text[pos] === '"'
+ * gdb escapes non-ASCII bytes as octal, so bytes are collected and decoded
+ */
+function parseCString(text, pos) {
+  const bytes = [];
+  const escapes = { n: 10, t: 9, r: 13, '"': 34, '\\': 92, a: 7, b: 8, f: 12, v: 11, e: 27 };
+  let i = pos + 1;
+  while (i < text.length && text[i] !== '"') {
+    if (text[i] === '\\') {
+      const octal = text.slice(i + 1, i + 4).match(/^[0-7]{1,3}/);
+      if (octal) {
+        bytes.push(parseInt(octal[0], 8));
+        i += 1 + octal[0].length;
+        continue;
+      }
+      const next = text[i + 1];
+      bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+      i += 2;
+      continue;
+    }
+    bytes.push(...Buffer.from(text[i]));
+    i += 1;
+  }
+  return [Buffer.from(bytes).toString(), i + 1];
+}
+
+/**
+ * Reads a value: "string", {name=value,...} or [value,...] / [name=value,...]
+ */
+function parseValue(text, pos) {
+  if (text[pos] === '"') return parseCString(text, pos);
+  if (text[pos] === '{') {
+    const [results, end] = parseResults(text, pos + 1, '}');
+    return [results, end + 1];
+  }
+  if (text[pos] === '[') {
+    const list = [];
+    let i = pos + 1;
+    while (i < text.length && text[i] !== ']') {
+      // List items are values or name=value results; keep the values
+      const name = text.slice(i).match(/^([\w-]+)=/);
+      if (name) i += name[0].length;
+      const [value, end] = parseValue(text, i);
+      list.push(value);
+      i = text[end] === ',' ? end + 1 : end;
+    }
+    return [list, i + 1];
+  }
+  return [null, pos + 1];
+}
+
+/**
+ * Reads name=value pairs up to the closing character (or the end)
+ */
+function parseResults(text, pos, close) {
+  const results = {};
+  let i = pos;
+  while (i < text.length && text[i] !== close) {
+    const name = text.slice(i).match(/^([\w-]+)=/);
+    if (!name) break;
+    const [value, end] = parseValue(text, i + name[0].length);
+    results[name[1]] = value;
+    i = text[end] === ',' ? end + 1 : end;
+  }
+  return [results, i];
+}
+
+/**
+ * One MI output line -> { token, kind, className, results } or a stream
+ * record { kind: "~" | "@" | "&", text }, or null for the "(gdb)" prompt
+ */
+function parseRecord(line) {
+  if (!line || line.startsWith('(gdb)')) return null;
+  const match = line.match(/^(\d*)([\^*+=~@&])(.*)$/);
+  if (!match) return null;
+  const [, token, kind, rest] = match;
+  if ('~@&'.includes(kind)) {
+    return { kind, text: rest.startsWith('"') ? parseCString(rest, 0)[0] : rest };
+  }
+  const comma = rest.indexOf(',');
+  const className = comma === -1 ? rest : rest.slice(0, comma);
+  const results = comma === -1 ? {} : parseResults(rest, comma + 1, null)[0];
+  return { token: token ? Number(token) : null, kind, className, results };
+}
+
+// MI commands take C-string arguments
+function quote(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
+
+function clip(text) {
+  return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH - 3) + '...' : text;
+}
+
+// ============================================================
+// SESSION
+// ============================================================
+
+function createSession({ write, workDir, stdio }, { onPaused, onBreakpoints, onExited }) {
+  let buffer = '';
+  let nextToken = 1;
+  const pending = new Map();
+  let breakpointNumbers = [];
+  let stopOnEntry = false;
+  let started = false;
+  let finished = false;
+  // gdb frame level of each frame in the last paused stack
+  let frameLevels = [];
+  // Stops are handled one at a time, in order
+  let stops = Promise.resolve();
+
+  const command = (text) => new Promise((resolve) => {
+    const token = nextToken++;
+    pending.set(token, resolve);
+    write(`${token}${text}\n`);
+  });
+
+  const inProject = (frame) => Boolean(frame?.fullname) && frame.fullname.startsWith(`${workDir}/`);
+  const projectPath = (fullname) => path.relative(workDir, fullname);
+
+  const setBreakpoints = async (breakpoints) => {
+    if (breakpointNumbers.length > 0) {
+      await command(`-break-delete ${breakpointNumbers.join(' ')}`);
+    }
+    breakpointNumbers = [];
+    const result = [];
+    for (const breakpoint of breakpoints) {
+      const reply = await command(`-break-insert ${quote(`${breakpoint.file}:${breakpoint.line}`)}`);
+      const bkpt = reply.results.bkpt;
+      if (reply.className === 'done' && bkpt) {
+        breakpointNumbers.push(bkpt.number);
+        // gdb moves a breakpoint on a blank line to the next line with code
+        result.push({ file: breakpoint.file, line: Number(bkpt.line) || breakpoint.line, verified: true });
+      } else {
+        result.push({ file: breakpoint.file, line: breakpoint.line, verified: false });
+      }
+    }
+    onBreakpoints(result);
+  };
+
+  const describeFrame = async (frame) => {
+    const reply = await command(`-stack-list-variables --thread 1 --frame ${frame.level} --simple-values`);
+    const locals = [];
+    for (const variable of reply.results.variables || []) {
+      let value = variable.value;
+      if (value === undefined) {
+        // Arrays and structs come back without a value under --simple-values
+        const evaluated = await command(`-data-evaluate-expression --thread 1 --frame ${frame.level} ${quote(variable.name)}`);
+        value = evaluated.className === 'done' ? evaluated.results.value : '<unavailable>';
+      }
+      locals.push({ name: variable.name, type: variable.type || '', value: clip(String(value)) });
+    }
+    return {
+      function: frame.func || '??',
+      file: projectPath(frame.fullname),
+      line: Number(frame.line),
+      locals
+    };
+  };
+
+  const handleStop = async (results) => {
+    const reason = results.reason || '';
+
+    if (reason.startsWith('exited')) {
+      finished = true;
+      onExited({
+        exitCode: reason === 'exited-signalled' ? null : parseInt(results['exit-code'] || '0', 8),
+        signal: results['signal-name'] || null
+      });
+      await command('-gdb-exit');
+      return;
+    }
+
+    if (!started) {
+      // The temporary breakpoint on main: make stdout unbuffered so output
+      // shows up as it is printed, then run on unless stopping on entry
+      started = true;
+      await command(`-data-evaluate-expression ${quote('(int) setvbuf(*(void **) &stdout, (char *) 0, 2, 0)')}`);
+      if (!stopOnEntry) {
+        await command('-exec-continue');
+        return;
+      }
+    }
+
+    const framesReply = await command('-stack-list-frames');
+    const frames = (framesReply.results.stack || []).filter(inProject);
+    if (frames.length === 0) {
+      // Stopped outside the student's code (e.g. stepping out of main)
+      await command('-exec-continue');
+      return;
+    }
+
+    const stack = [];
+    for (const frame of frames) {
+      stack.push(await describeFrame(frame));
+    }
+    frameLevels = frames.map(frame => frame.level);
+
+    const signalled = reason === 'signal-received';
+    onPaused({
+      reason: signalled ? 'exception'
+        : reason === 'breakpoint-hit' ? (results.disp === 'del' ? 'entry' : 'breakpoint')
+          : 'step',
+      stack,
+      exception: signalled ? `${results['signal-name']}: ${results['signal-meaning']}` : null
+    });
+  };
+
+  const handle = (record) => {
+    if (record.kind === '^' && record.token !== null && pending.has(record.token)) {
+      const resolve = pending.get(record.token);
+      pending.delete(record.token);
+      resolve(record);
+    } else if (record.kind === '*' && record.className === 'stopped') {
+      stops = stops.then(() => handleStop(record.results)).catch((error) => {
+        console.error('[Debug] gdb stop handling failed:', error.message);
+      });
+    }
+  };
+
+  return {
+    receive(text) {
+      buffer += text;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const record = parseRecord(buffer.slice(0, newline).replace(/\r$/, ''));
+        buffer = buffer.slice(newline + 1);
+        if (record) handle(record);
+      }
+    },
+    async start(breakpoints, entry) {
+      stopOnEntry = entry;
+      await command('-gdb-set confirm off');
+      // Runs through the shell, so the redirections apply to the program
+      await command(`-exec-arguments < ${stdio.stdin} > ${stdio.stdout} 2> ${stdio.stderr}`);
+      await setBreakpoints(breakpoints);
+      await command('-break-insert -t main');
+      await command('-exec-run');
+    },
+    setBreakpoints,
+    async resume(action) {
+      const reply = await command(COMMANDS[action]);
+      // "finish" is not meaningful in main - carry on instead
+      if (reply.className === 'error' && action === 'stepOut') {
+        await command('-exec-continue');
+      }
+    },
+    async evaluate(expression, frame = 0) {
+      if (finished) return { error: 'The program has finished' };
+      const level = frameLevels[frame] ?? frameLevels[0] ?? 0;
+      const reply = await command(`-data-evaluate-expression --thread 1 --frame ${level} ${quote(expression)}`);
+      return reply.className === 'done'
+        ? { value: clip(String(reply.results.value)) }
+        : { error: reply.results.msg || 'Could not evaluate that expression' };
+    }
+  };
+}
+
+/**
+ * Adapter for C or C++
+ */
+function gdbDebugger(language) {
+  return {
+    name: 'gdb',
+    compile: COMPILERS[language],
+    launch: () => ['gdb', ['--interpreter=mi', '-q', '-nx', './main']],
+    // gdb itself needs more address space than the program
+    memoryMb: 1024,
+    createSession
+  };
+}
+
+module.exports = { gdbDebugger, parseRecord };
@@ -0,0 +1,46 @@
+/**
+ * Debugger Registry
+ *
+ * Each language's debugger is an adapter with the same interface:
+ *   name: string
+ *   compile?(sources) -> [command, args]      // a debug build (-g), run in the project directory
+ *   launch(entry, { memoryMb, stdio }) -> [command, args]
+ *   jvm?: boolean                             // no address-space limit (see localExecutor)
+ *   memoryMb?: number                         // more memory for the debugger itself
+ *   filterOutput?(text) -> text               // drops the debugger's own lines from the program's stdout
+ *   createSession({ write, workDir, files, entry, stdio }, { onPaused, onBreakpoints, onExited })
+ *     -> { receive(text), start(breakpoints, stopOnEntry), setBreakpoints(breakpoints),
+ *          resume(action), evaluate(expression, frame) -> { value, type? } | { error } }
+ *
+ * The session writes commands with write() and is fed the debugger's stdout
+ * through receive(). The program reads stdio.stdin and writes stdio.stdout
+ * and stdio.stderr, files in the project directory, so its output never
+ * mixes with the debugger's. Sessions report:
+ *   onBreakpoints([{ file, line, verified }])
+ *   onPaused({ reason, stack, exception })   // reason: entry | breakpoint | step | exception
+ *                                             // stack: [{ function, file, line, locals }], innermost first
+ *   onExited({ exitCode, signal })
+ * resume(action) takes continue | stepOver | stepInto | stepOut, and frame
+ * counts from 0 = innermost. Commands other than setBreakpoints are only
+ * sent while the program is paused.
+ */
+
+const pythonDebugger = require('./pythonDebugger');
+const { gdbDebugger } = require('./gdbDebugger');
+const jdbDebugger = require('./jdbDebugger');
+
+const DEBUGGERS = {
+  python: pythonDebugger,
+  c: gdbDebugger('c'),
+  cpp: gdbDebugger('cpp'),
+  java: jdbDebugger
+};
+
+/**
+ * The adapter for a language, or null
+ */
+function getDebugger(language) {
+  return DEBUGGERS[language.toLowerCase()] || null;
+}
+
+module.exports = { getDebugger, DEBUGGERS };
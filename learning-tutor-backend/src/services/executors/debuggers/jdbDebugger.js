@@ -0,0 +1,262 @@
+/**
+ * Java Debugger Adapter
+ *
+ * Starts the program suspended with the JDWP agent listening on a local
+ * port, then attaches jdb to it, so the program's stdin and stdout stay
+ * separate from jdb's prompt. jdb is a text interface: every reply ends in a
+ * prompt ("> " while running, "main[1] " while paused), and stops are
+ * announced as "Breakpoint hit:", "Step completed:" or "Exception occurred:".
+ * Classes are compiled with -g so locals can be read.
+ */
+
+const { javaClassOf } = require('../../../utils/projectFiles');
+
+const MAX_VALUE_LENGTH = 500;
+
+// Session actions -> jdb commands
+const COMMANDS = {
+  continue: 'cont',
+  stepOver: 'next',
+  stepInto: 'step',
+  stepOut: 'step up'
+};
+
+const PROMPT = /(?:^|\n)(?:> |[^\s[\]]+\[\d+\] )$/;
+const STOP = /^(Breakpoint hit|Step completed|Exception occurred):.*?"thread=[^"]*", ([\w$.]+)\.([\w$<>]+)\(\), line=([\d,]+)/m;
+const EXCEPTION = /^Exception occurred: ([\w$.]+)/m;
+const EXITED = /The application (exited|has been disconnected)/;
+// "  [2] Main.main (Main.java:10)"
+const FRAME = /^\s*\[(\d+)\] ([\w$.]+)\.([\w$<>]+) \(([^:)]+)(?::([\d,]+))?\)/;
+const LISTENING = /^Listening for transport dt_socket at address: .*\n?/m;
+
+function clip(text) {
+  return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH - 3) + '...' : text;
+}
+
+const outerClass = (className) => className.split('$')[0];
+const toNumber = (text) => Number(String(text).replace(/,/g, ''));
+
+/**
+ * Reads "name = value" lines from `locals` (argument and local sections alike)
+ */
+function parseLocals(text) {
+  const locals = [];
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*([\w$]+) = (.*)$/);
+    if (match) locals.push({ name: match[1], type: '', value: match[2].trim() });
+  }
+  return locals;
+}
+
+function createSession({ write, files, entry }, { onPaused, onBreakpoints, onExited }) {
+  let buffer = '';
+  // Commands run one at a time; each resolves with the text before the next prompt
+  let inflight = null;
+  let queue = Promise.resolve();
+  let ready;
+  const started = new Promise((resolve) => { ready = resolve; });
+  let breakpointSpecs = [];
+  let entryClass = null;
+  let stopOnEntry = false;
+  let uncaught = false;
+  let finished = false;
+  // jdb frame number (1 = innermost) of each frame in the last paused stack
+  let frameNumbers = [];
+  let currentFrame = 1;
+  let stops = Promise.resolve();
+
+  const classOf = (name) => {
+    const file = files.find(candidate => candidate.name === name);
+    return file ? javaClassOf(file) : name.replace(/\.java$/, '').replace(/\//g, '.');
+  };
+  const fileOf = (className) => {
+    const file = files.find(candidate => candidate.name.endsWith('.java') && javaClassOf(candidate) === outerClass(className));
+    return file ? file.name : null;
+  };
+
+  const command = (text) => {
+    const reply = queue.then(() => new Promise((resolve) => {
+      inflight = resolve;
+      write(`${text}\n`);
+    }));
+    queue = reply.catch(() => {});
+    return reply;
+  };
+
+  const selectFrame = async (number) => {
+    if (number > currentFrame) await command(`up ${number - currentFrame}`);
+    if (number < currentFrame) await command(`down ${currentFrame - number}`);
+    currentFrame = number;
+  };
+
+  const setBreakpoints = async (breakpoints) => {
+    for (const spec of breakpointSpecs) {
+      await command(`clear ${spec}`);
+    }
+    breakpointSpecs = [];
+    const result = [];
+    for (const breakpoint of breakpoints) {
+      const spec = `${classOf(breakpoint.file)}:${breakpoint.line}`;
+      const reply = await command(`stop at ${spec}`);
+      // Classes not loaded yet get a deferred breakpoint, set when they load
+      const verified = /^(Set|Deferring) breakpoint/m.test(reply);
+      if (verified) breakpointSpecs.push(spec);
+      result.push({ file: breakpoint.file, line: breakpoint.line, verified });
+    }
+    onBreakpoints(result);
+  };
+
+  const describeFrame = async (number, frame) => {
+    await selectFrame(number);
+    const locals = parseLocals(await command('locals'));
+    for (const local of locals) {
+      // Arrays print as "instance of int[3] (id=...)"; dump shows the elements
+      if (/^instance of [\w$.]+\[\d+\]/.test(local.value)) {
+        const match = (await command(`dump ${local.name}`)).match(/^\s*[\w$]+ = ([\s\S]*)$/m);
+        if (match) local.value = match[1].trim();
+      }
+      local.value = clip(local.value);
+    }
+    return { ...frame, locals };
+  };
+
+  const handleStop = async (text) => {
+    const stop = text.match(STOP);
+    const [, kind, className, method] = stop;
+
+    if (kind === 'Exception occurred') uncaught = true;
+
+    const frames = [];
+    for (const line of (await command('where')).split('\n')) {
+      const match = line.match(FRAME);
+      const file = match && match[5] ? fileOf(match[2]) : null;
+      if (file) {
+        frames.push({ number: Number(match[1]), frame: { function: match[3], file, line: toNumber(match[5]) } });
+      }
+    }
+    currentFrame = 1;
+
+    if (frames.length === 0) {
+      // Stopped outside the student's code
+      write(`${COMMANDS.continue}\n`);
+      return;
+    }
+
+    const stack = [];
+    for (const { number, frame } of frames) {
+      stack.push(await describeFrame(number, frame));
+    }
+    await selectFrame(1);
+    frameNumbers = frames.map(frame => frame.number);
+
+    let reason = 'step';
+    if (kind === 'Exception occurred') reason = 'exception';
+    else if (kind === 'Breakpoint hit') {
+      const isEntry = entryClass && className === entryClass && method === 'main';
+      reason = isEntry ? 'entry' : 'breakpoint';
+      if (isEntry) {
+        await command(`clear ${entryClass}.main`);
+        entryClass = null;
+      }
+    }
+
+    onPaused({
+      reason,
+      stack,
+      exception: kind === 'Exception occurred' ? (text.match(EXCEPTION) || [])[1] || 'Exception' : null
+    });
+  };
+
+  const handleChunk = (text) => {
+    if (EXITED.test(text)) {
+      if (!finished) {
+        finished = true;
+        // jdb can't see System.exit's status: report failure for a crash only
+        onExited({ exitCode: uncaught ? 1 : 0, signal: null });
+      }
+      return;
+    }
+    if (STOP.test(text)) {
+      stops = stops.then(() => handleStop(text)).catch((error) => {
+        console.error('[Debug] jdb stop handling failed:', error.message);
+      });
+    }
+    if (inflight) {
+      const resolve = inflight;
+      inflight = null;
+      resolve(text);
+    } else if (!STOP.test(text)) {
+      ready();
+    }
+  };
+
+  return {
+    receive(text) {
+      buffer += text.replace(/\r/g, '');
+      if (EXITED.test(buffer)) {
+        // No prompt follows the exit
+        handleChunk(buffer);
+        buffer = '';
+        return;
+      }
+      if (PROMPT.test(buffer)) {
+        const chunk = buffer.replace(PROMPT, '');
+        buffer = '';
+        handleChunk(chunk);
+      }
+    },
+    async start(breakpoints, entryStop) {
+      stopOnEntry = entryStop;
+      await started;
+      await setBreakpoints(breakpoints);
+      if (stopOnEntry) {
+        // The VM waits at startup; a stop in main lets stepping begin there
+        entryClass = javaClassOf(entry);
+        await command(`stop in ${entryClass}.main`);
+      }
+      const reply = await command('run');
+      if (/already running/i.test(reply)) write(`${COMMANDS.continue}\n`);
+    },
+    setBreakpoints,
+    async resume(action) {
+      await selectFrame(1);
+      // The reply is the next stop, handled as it arrives
+      await queue;
+      write(`${COMMANDS[action]}\n`);
+    },
+    async evaluate(expression, frame = 0) {
+      if (finished) return { error: 'The program has finished' };
+      await selectFrame(frameNumbers[frame] || 1);
+      const reply = (await command(`print ${expression.replace(/\n/g, ' ')}`)).trim();
+      const match = reply.match(/^[\s\S]*? = ([\s\S]*)$/);
+      if (!match || /Exception|unknown|not (?:found|valid)|Unable/i.test(reply.split(' = ')[0])) {
+        return { error: reply || 'Could not evaluate that expression' };
+      }
+      return { value: clip(match[1].trim()) };
+    }
+  };
+}
+
+/**
+ * A shell script: start the JVM suspended, wait for its debug port, attach jdb
+ */
+function launchScript(mainClass, { memoryMb, stdio }) {
+  return [
+    `java -Xmx${memoryMb}m -agentlib:jdwp=transport=dt_socket,server=y,suspend=y,address=127.0.0.1:0 -cp classes ${mainClass}`
+      + ` < ${stdio.stdin} > ${stdio.stdout} 2> ${stdio.stderr} &`,
+    'pid=$!',
+    `until grep -q 'Listening for transport' ${stdio.stdout}; do kill -0 $pid 2>/dev/null || exit 1; sleep 0.1; done`,
+    `port=$(grep 'Listening for transport' ${stdio.stdout} | grep -o '[0-9]*$')`,
+    'exec jdb -J-Xmx128m -attach 127.0.0.1:$port'
+  ].join('\n');
+}
+
+module.exports = {
+  name: 'jdb',
+  compile: (sources) => ['javac', ['-J-Xmx256m', '-g', '-d', 'classes', ...sources]],
+  launch: (entry, context) => ['sh', ['-c', launchScript(javaClassOf(entry), context)]],
+  jvm: true,
+  // The JDWP agent announces its port on the program's stdout
+  filterOutput: (text) => text.replace(LISTENING, ''),
+  createSession
+};
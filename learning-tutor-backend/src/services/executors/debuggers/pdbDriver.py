@@ -0,0 +1,242 @@
+"""
+Python debugger driver for the /debug WebSocket
+
+Runs the student's program under bdb (the debugger engine pdb is built on)
+and talks JSON lines on stdin/stdout instead of pdb's text prompt. The
+program's own stdin, stdout and stderr are the files .debug-stdin,
+.debug-stdout and .debug-stderr. Only files in the project are stopped in;
+library code runs without stopping.
+
+Commands, one JSON object per line:
+  {"command": "breakpoints", "breakpoints": [{"file", "line"}]}   replaces them all
+  {"command": "start", "stopOnEntry": bool}                        once, first
+  {"command": "continue" | "next" | "step" | "return"}             while paused
+  {"command": "evaluate", "id", "expression", "frame"}             while paused, frame 0 = innermost
+Events:
+  {"event": "breakpoints", "breakpoints": [{"file", "line", "verified"}]}
+  {"event": "paused", "reason": "entry" | "breakpoint" | "step" | "exception",
+   "stack": [{"function", "file", "line", "locals"}], "exception"?}   innermost frame first
+  {"event": "evaluated", "id", "value"?, "type"?, "error"?}
+  {"event": "exited", "exitCode"}
+
+Usage: python3 -u pdbDriver.py <entry file>   (from the project directory)
+"""
+
+import bdb
+import json
+import linecache
+import os
+import sys
+import traceback
+import types
+
+ENTRY = sys.argv[1]
+ROOT = os.getcwd()
+MAX_VALUE_LENGTH = 500
+
+# Names the program didn't create itself: modules, functions and classes
+HIDDEN_TYPES = (types.ModuleType, types.FunctionType, types.BuiltinFunctionType, type)
+
+# The protocol keeps the driver's stdin/stdout; the program gets the files
+commands = os.fdopen(os.dup(0), 'r')
+events = os.fdopen(os.dup(1), 'w')
+for fd, name, flags in ((0, '.debug-stdin', os.O_RDONLY),
+                        (1, '.debug-stdout', os.O_WRONLY | os.O_CREAT | os.O_TRUNC),
+                        (2, '.debug-stderr', os.O_WRONLY | os.O_CREAT | os.O_TRUNC)):
+    file_fd = os.open(name, flags, 0o644)
+    os.dup2(file_fd, fd)
+    os.close(file_fd)
+
+
+def send(message):
+    events.write(json.dumps(message) + '\n')
+    events.flush()
+
+
+def receive():
+    line = commands.readline()
+    if not line:
+        # The session is gone
+        os._exit(1)
+    try:
+        return json.loads(line)
+    except ValueError:
+        return {}
+
+
+def in_project(filename):
+    return not filename.startswith('<') and os.path.abspath(filename).startswith(ROOT + os.sep)
+
+
+def project_path(filename):
+    return os.path.relpath(os.path.abspath(filename), ROOT)
+
+
+def describe(value):
+    try:
+        text = repr(value)
+    except Exception:
+        text = '<unprintable>'
+    if len(text) > MAX_VALUE_LENGTH:
+        text = text[:MAX_VALUE_LENGTH - 3] + '...'
+    return {'type': type(value).__name__, 'value': text}
+
+
+def variables(frame):
+    result = []
+    for name, value in list(frame.f_locals.items()):
+        if name.startswith('__') or isinstance(value, HIDDEN_TYPES):
+            continue
+        result.append({'name': name, **describe(value)})
+    return result
+
+
+def project_frames(frame):
+    """The student's frames from this one outwards"""
+    frames = []
+    while frame is not None:
+        if in_project(frame.f_code.co_filename):
+            frames.append(frame)
+        frame = frame.f_back
+    return frames
+
+
+def describe_stack(frames, lines=None):
+    return [{
+        'function': frame.f_code.co_name,
+        'file': project_path(frame.f_code.co_filename),
+        'line': lines[index] if lines else frame.f_lineno,
+        'locals': variables(frame)
+    } for index, frame in enumerate(frames)]
+
+
+def is_code_line(filename, line):
+    text = linecache.getline(filename, line).strip()
+    return bool(text) and not text.startswith('#')
+
+
+class Driver(bdb.Bdb):
+    def set_breakpoints(self, breakpoints):
+        self.clear_all_breaks()
+        result = []
+        for breakpoint in breakpoints:
+            filename = self.canonic(os.path.join(ROOT, breakpoint['file']))
+            line = breakpoint['line']
+            verified = is_code_line(filename, line) and self.set_break(filename, line) is None
+            result.append({'file': breakpoint['file'], 'line': line, 'verified': verified})
+        send({'event': 'breakpoints', 'breakpoints': result})
+
+    def stop_here(self, frame):
+        return in_project(frame.f_code.co_filename) and super().stop_here(frame)
+
+    def user_line(self, frame):
+        if self.first_stop:
+            self.first_stop = False
+            if not self.stop_on_entry and not self.get_breaks(self.canonic(frame.f_code.co_filename), frame.f_lineno):
+                self.continuing = True
+                self.set_continue()
+                return
+            reason = 'entry' if self.stop_on_entry else 'breakpoint'
+        elif self.get_breaks(self.canonic(frame.f_code.co_filename), frame.f_lineno) and self.continuing:
+            reason = 'breakpoint'
+        else:
+            reason = 'step'
+        self.interaction(project_frames(frame), reason)
+
+    def user_return(self, frame, return_value):
+        # Stop on the caller's next line rather than on the return itself
+        if in_project(frame.f_code.co_filename) and not self.continuing:
+            self.set_step()
+
+    def interaction(self, frames, reason, exception=None, lines=None):
+        """Paused: answer evaluate/breakpoints until told to resume"""
+        message = {'event': 'paused', 'reason': reason, 'stack': describe_stack(frames, lines)}
+        if exception:
+            message['exception'] = exception
+        send(message)
+
+        while True:
+            command = receive()
+            kind = command.get('command')
+            if kind == 'evaluate':
+                self.evaluate(frames, command)
+            elif kind == 'breakpoints':
+                self.set_breakpoints(command.get('breakpoints', []))
+            elif kind in ('continue', 'next', 'step', 'return'):
+                if exception is None:
+                    self.resume(kind, frames[0])
+                return
+
+    def resume(self, kind, frame):
+        self.continuing = kind == 'continue'
+        if kind == 'continue':
+            self.set_continue()
+        elif kind == 'next':
+            self.set_next(frame)
+        elif kind == 'step':
+            self.set_step()
+        else:
+            self.set_return(frame)
+
+    def evaluate(self, frames, command):
+        reply = {'event': 'evaluated', 'id': command.get('id')}
+        index = command.get('frame') or 0
+        frame = frames[index] if 0 <= index < len(frames) else frames[0]
+        try:
+            reply.update(describe(eval(command.get('expression', ''), frame.f_globals, frame.f_locals)))
+        except BaseException as error:
+            reply['error'] = ''.join(traceback.format_exception_only(type(error), error)).strip()
+        send(reply)
+
+    def run_program(self, stop_on_entry):
+        self.stop_on_entry = stop_on_entry
+        self.first_stop = True
+        self.continuing = False
+
+        sys.argv = [ENTRY]
+        sys.path[0] = ROOT
+        main_globals = {'__name__': '__main__', '__file__': ENTRY, '__builtins__': __builtins__}
+        exit_code = 0
+        try:
+            with open(ENTRY, 'rb') as source:
+                code = compile(source.read(), ENTRY, 'exec')
+            self.run(code, main_globals)
+        except SystemExit as error:
+            exit_code = error.code if isinstance(error.code, int) else (0 if error.code is None else 1)
+        except BaseException as error:
+            sys.settrace(None)
+            # Report it the way python3 would, without the driver's frames
+            tb = error.__traceback__
+            while tb is not None and not in_project(tb.tb_frame.f_code.co_filename):
+                tb = tb.tb_next
+            traceback.print_exception(type(error), error, tb)
+            exit_code = 1
+            # Post-mortem: show where it failed before the program ends
+            crash_frames, lines = [], []
+            while tb is not None:
+                if in_project(tb.tb_frame.f_code.co_filename):
+                    crash_frames.insert(0, tb.tb_frame)
+                    lines.insert(0, tb.tb_lineno)
+                tb = tb.tb_next
+            if crash_frames:
+                description = ''.join(traceback.format_exception_only(type(error), error)).strip()
+                self.interaction(crash_frames, 'exception', exception=description, lines=lines)
+
+        sys.stdout.flush()
+        sys.stderr.flush()
+        send({'event': 'exited', 'exitCode': exit_code})
+
+
+def main():
+    driver = Driver()
+    while True:
+        command = receive()
+        if command.get('command') == 'breakpoints':
+            driver.set_breakpoints(command.get('breakpoints', []))
+        elif command.get('command') == 'start':
+            driver.run_program(bool(command.get('stopOnEntry')))
+            break
+    os._exit(0)
+
+
+main()
@@ -0,0 +1,88 @@
+/**
+ * Python Debugger Adapter
+ *
+ * Drives pdbDriver.py (bdb, the engine under pdb) over JSON lines.
+ */
+
+const { scriptPath } = require('../sandbox');
+
+// Session actions -> driver commands
+const COMMANDS = {
+  continue: 'continue',
+  stepOver: 'next',
+  stepInto: 'step',
+  stepOut: 'return'
+};
+
+function createSession({ write }, { onPaused, onBreakpoints, onExited }) {
+  let buffer = '';
+  let nextId = 1;
+  const evaluations = new Map();
+
+  const send = (command) => write(JSON.stringify(command) + '\n');
+
+  const handle = (message) => {
+    switch (message.event) {
+      case 'paused':
+        onPaused({ reason: message.reason, stack: message.stack, exception: message.exception || null });
+        break;
+      case 'breakpoints':
+        onBreakpoints(message.breakpoints);
+        break;
+      case 'evaluated': {
+        const resolve = evaluations.get(message.id);
+        evaluations.delete(message.id);
+        if (resolve) {
+          resolve(message.error ? { error: message.error } : { value: message.value, type: message.type });
+        }
+        break;
+      }
+      case 'exited':
+        for (const resolve of evaluations.values()) resolve({ error: 'The program has finished' });
+        evaluations.clear();
+        onExited({ exitCode: message.exitCode, signal: null });
+        break;
+      default:
+        break;
+    }
+  };
+
+  return {
+    receive(text) {
+      buffer += text;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        try {
+          handle(JSON.parse(line));
+        } catch (error) {
+          console.error('[Debug] Unreadable pdb driver output:', line.slice(0, 200));
+        }
+      }
+    },
+    start(breakpoints, stopOnEntry) {
+      send({ command: 'breakpoints', breakpoints });
+      send({ command: 'start', stopOnEntry });
+    },
+    setBreakpoints(breakpoints) {
+      send({ command: 'breakpoints', breakpoints });
+    },
+    resume(action) {
+      send({ command: COMMANDS[action] });
+    },
+    evaluate(expression, frame = 0) {
+      return new Promise((resolve) => {
+        const id = nextId++;
+        evaluations.set(id, resolve);
+        send({ command: 'evaluate', id, expression, frame });
+      });
+    }
+  };
+}
+
+module.exports = {
+  name: 'pdb',
+  launch: (entry) => ['python3', ['-u', scriptPath('debuggers', 'pdbDriver.py'), entry.name]],
+  createSession
+};
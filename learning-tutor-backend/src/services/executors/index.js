@@ -0,0 +1,58 @@
+/**
+ * Executor Registry
+ *
+ * Every executor backend exposes the same interface:
+ *   name: string
+ *   execute(code, language, input, options) -> { success, stdout, stderr, exitCode, compilationError?, timedOut?,
+ *                                                signal?, outputTruncated?, limitExceeded?, usage?, limits? }
+ *     limitExceeded: "cpuTime" | "wallTime" | "memory" | "output" - the limit that stopped the program
+ *     usage: { compileTimeMs, cpuTimeMs, wallTimeMs, peakMemoryKb }   // null where not measured
+ *     limits: { cpuTimeMs, wallTimeMs, memoryMb, outputKb }           // the limits the run had
+ *   checkCompilers() -> { python, c, cpp, java, note?, error? }
+ * and may expose
+ *   executeBatch(code, language, runs, options) -> { compileError, results }
+ *     compiles once and runs the program once per { input, timeLimitMs? } in runs;
+ *     compileError: execute()'s result when compiling failed (results is then empty)
+ *     results: execute()'s result plus executionTime, per run
+ *   code: string, or a multi-file project [{ name, content }] (see utils/projectFiles.js)
+ *   options: { timeLimitMs?, entry? }   // entry: the project file that starts the program
+ *
+ * Backends that can keep a program's stdin open also expose
+ *   startInteractive(code, language, { onStatus, onOutput, onExit }, options) -> { write, endInput, kill }
+ * (local only - Piston takes all of stdin with the request), and backends that
+ * can step through a program expose
+ *   trace(code, language, input, options) -> execute()'s result plus { steps, stepLimitReached }
+ * where options may also set maxSteps (local only, Python and C - see POST /trace), and
+ *   startDebug(code, language, input, handlers, options) -> { setBreakpoints, resume, evaluate, kill }
+ * runs a program under a breakpoint debugger (local only - see debuggers/index.js).
+ *
+ * The active backend is chosen with CODE_EXECUTOR (piston | local). In
+ * production the local backend only starts when its sandbox works (see
+ * sandbox.js): otherwise student code could read .env and reach the network.
+ */
+
+const pistonExecutor = require('./pistonExecutor');
+const localExecutor = require('./localExecutor');
+
+const EXECUTORS = {
+  piston: pistonExecutor,
+  local: localExecutor
+};
+
+/**
+ * Returns the configured executor, falling back to Piston
+ */
+function getExecutor(name = process.env.CODE_EXECUTOR) {
+  const key = (name || 'piston').toLowerCase();
+  if (!EXECUTORS[key]) {
+    console.warn(`[Compiler] Unknown CODE_EXECUTOR "${name}" - using piston`);
+    return pistonExecutor;
+  }
+  if (key === 'local' && !localExecutor.isSandboxed() && process.env.NODE_ENV === 'production') {
+    throw new Error('CODE_EXECUTOR=local needs the sandbox in production (unshare with network, mount '
+      + 'and user namespaces - see the README), or use CODE_EXECUTOR=piston');
+  }
+  return EXECUTORS[key];
+}
+
+module.exports = { getExecutor, EXECUTORS };
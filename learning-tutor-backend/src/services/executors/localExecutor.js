@@ -0,0 +1,877 @@
+/**
+ * Local Executor
+ *
+ * Compiles and runs code on this machine inside a throwaway temp directory.
+ * Code is a string or a multi-file project (see utils/projectFiles.js).
+ * Used when the Piston API is not reachable (e.g. campus networks without
+ * outbound traffic). Every process is started through `prlimit` so CPU time,
+ * memory, process count and file size are capped by the kernel, and the
+ * wall-clock timer plus output cap are enforced here. The sandbox (see
+ * sandbox.js) takes away the network, the backend's files and privileges. measure.py wraps each
+ * one to report the CPU time and memory it used, and which limit stopped it.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { getDebugger, DEBUGGERS } = require('./debuggers');
+const { isSandboxed, sandboxed, scriptPath } = require('./sandbox');
+const { toProject, sourceFiles, javaClassOf } = require('../../utils/projectFiles');
+const { isOutOfMemory } = require('../../utils/diagnosticsParser');
+
+// Limits (overridable through .env)
+const LIMITS = {
+  cpuTimeSeconds: parseInt(process.env.EXEC_CPU_TIME_LIMIT) || 5,
+  wallTimeMs: parseInt(process.env.EXEC_WALL_TIME_LIMIT_MS) || 5000,
+  compileTimeMs: parseInt(process.env.EXEC_COMPILE_TIME_LIMIT_MS) || 10000,
+  memoryMb: parseInt(process.env.EXEC_MEMORY_LIMIT_MB) || 256,
+  maxProcesses: parseInt(process.env.EXEC_MAX_PROCESSES) || 64,
+  maxOutputBytes: (parseInt(process.env.EXEC_MAX_OUTPUT_KB) || 64) * 1024,
+  // Interactive runs wait on the student typing, so they get a longer wall
+  // clock; the CPU limit still stops busy loops
+  interactiveWallTimeMs: parseInt(process.env.EXEC_INTERACTIVE_TIME_LIMIT_MS) || 120000,
+  // Traced programs run much slower, and each trace records at most this many steps
+  traceWallTimeMs: parseInt(process.env.EXEC_TRACE_TIME_LIMIT_MS) || 15000,
+  traceMaxSteps: parseInt(process.env.TRACE_MAX_STEPS) || 500,
+  // Debug sessions sit paused while the student looks around
+  debugWallTimeMs: parseInt(process.env.EXEC_DEBUG_TIME_LIMIT_MS) || 600000
+};
+
+// The JVM spawns a thread pool and reserves a large address space up front,
+// so Java gets a heap flag instead of an address-space limit.
+// compile() gets every source file of the project, run() the entry file.
+// bufferedStdio: the C library buffers stdout in blocks when it is a pipe,
+// so interactive runs turn that off with stdbuf (see startInteractive).
+const LANGUAGE_CONFIG = {
+  python: {
+    run: (entry) => ['python3', ['-u', entry.name]],
+    versionCheck: ['python3', ['--version']]
+  },
+  c: {
+    compile: (sources) => ['gcc', ['-O2', '-o', 'main', ...sources, '-lm']],
+    run: () => ['./main', []],
+    versionCheck: ['gcc', ['--version']],
+    bufferedStdio: true
+  },
+  cpp: {
+    compile: (sources) => ['g++', ['-O2', '-std=c++17', '-o', 'main', ...sources]],
+    run: () => ['./main', []],
+    versionCheck: ['g++', ['--version']],
+    bufferedStdio: true
+  },
+  java: {
+    // Classes go to their package directories under classes/, wherever the sources sit
+    compile: (sources) => ['javac', ['-J-Xmx256m', '-d', 'classes', ...sources]],
+    run: (entry) => ['java', [`-Xmx${LIMITS.memoryMb}m`, '-cp', 'classes', javaClassOf(entry)]],
+    versionCheck: ['javac', ['-version']],
+    jvm: true
+  }
+};
+
+// Tracing (POST /trace): Python runs under sys.settrace, C is built without
+// optimisation and stepped through in gdb. The tracers write JSON lines to
+// TRACE_FILE; see the scripts in tracers/ for the format.
+const TRACE_FILE = '.trace.jsonl';
+// Half the file size limit, so a long trace stops cleanly instead of failing to write
+const maxTraceBytes = () => LIMITS.maxOutputBytes * 8;
+const TRACE_CONFIG = {
+  python: {
+    run: (entry, maxSteps) => ['python3', [
+      '-u', scriptPath('tracers', 'pythonTracer.py'),
+      TRACE_FILE, String(maxSteps), String(maxTraceBytes()), entry.name
+    ]]
+  },
+  c: {
+    compile: (sources) => ['gcc', ['-g', '-O0', '-o', 'main', ...sources, '-lm']],
+    run: (entry, maxSteps) => ['gdb', [
+      '-batch', '-nx', '-q',
+      '-ex', `python import sys; sys.argv = ['cTracer', '${TRACE_FILE}', '${maxSteps}', '${maxTraceBytes()}']`,
+      '-x', scriptPath('tracers', 'cTracer.py'),
+      './main'
+    ]],
+    // The program's stdin and output are files, so they don't mix with gdb's
+    stdio: { stdin: '.trace-stdin', stdout: '.trace-stdout', stderr: '.trace-stderr' },
+    // gdb itself needs more address space than the program
+    memoryMb: 1024
+  }
+};
+
+// Appended to stderr (and streamed, for live sessions) when output hits the cap
+const OUTPUT_TRUNCATED_NOTE = `\n[Output truncated after ${LIMITS.maxOutputBytes / 1024} KB]`;
+
+// Every process runs under measure.py, which reports its CPU time, wall time
+// and peak memory (see the script)
+const MEASURE_SCRIPT = path.join(__dirname, 'measure.py');
+
+// Debugging (the /debug WebSocket): the debugger adapters are in debuggers/.
+// The program reads and writes these files in the project directory, so its
+// output never mixes with the debugger's (pdbDriver.py uses the same names).
+const DEBUG_STDIO = { stdin: '.debug-stdin', stdout: '.debug-stdout', stderr: '.debug-stderr' };
+
+/**
+ * Writes a project's files into workDir, creating their directories
+ */
+async function writeProject(workDir, files) {
+  for (const file of files) {
+    const filePath = path.join(workDir, file.name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, file.content);
+  }
+}
+
+/**
+ * Runs task(workDir) in a new per-run directory (tutor-<prefix>-... in the
+ * temp directory, where the sandbox expects it) and removes it afterwards
+ */
+async function withRunDir(prefix, task) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), `tutor-${prefix}-`));
+  try {
+    return await task(workDir);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * withRunDir() with code's project (see toProject) written into the directory
+ * task gets { workDir, files, entry }
+ */
+function withProject(prefix, code, langKey, entryName, task) {
+  return withRunDir(prefix, async (workDir) => {
+    const { files, entry } = toProject(code, langKey, entryName);
+    await writeProject(workDir, files);
+    return task({ workDir, files, entry });
+  });
+}
+
+/**
+ * Compiler and runtime messages name files by absolute path in the temp
+ * directory; make them project-relative ("lib/util.c:3:5: error ...")
+ */
+function relativeToProject(text, workDir) {
+  return text.split(`${workDir}/`).join('');
+}
+
+/**
+ * Builds the prlimit arguments for a process
+ */
+function buildLimitArgs({ cpuTimeSeconds, memoryMb, jvm }) {
+  const args = [
+    `--cpu=${cpuTimeSeconds}`,
+    `--nproc=${jvm ? Math.max(LIMITS.maxProcesses, 256) : LIMITS.maxProcesses}`,
+    `--fsize=${LIMITS.maxOutputBytes * 16}`,
+    '--core=0'
+  ];
+  if (!jvm) {
+    args.push(`--as=${memoryMb * 1024 * 1024}`);
+  }
+  return args;
+}
+
+/**
+ * Which limit stopped a process, if any: "cpuTime" | "wallTime" | "memory" | "output"
+ * killedBy is what this side killed it for ("wallTime", "output" or "request")
+ */
+function limitExceededBy({ exitCode, signal, stderr, usage, killedBy, memoryMb, cpuTimeSeconds }) {
+  // Out of wall time while computing the whole time is a CPU-bound program
+  // whose CPU limit was about to run out too
+  if (killedBy === 'wallTime' && usage && usage.cpuTimeMs >= usage.wallTimeMs * 0.9) return 'cpuTime';
+  if (killedBy) return killedBy === 'request' ? null : killedBy;
+  if (exitCode === 0 && !signal) return null;
+  // RLIMIT_CPU delivers SIGXCPU, then SIGKILL once the hard limit is hit
+  if (signal === 'SIGXCPU') return 'cpuTime';
+  if (isOutOfMemory(stderr)) return 'memory';
+  // A process near the memory limit that fails ran out, whatever it printed
+  if (usage && usage.peakMemoryKb >= memoryMb * 1024 * 0.9) return 'memory';
+  if (signal === 'SIGKILL') {
+    // Nothing here killed it: the CPU limit, unless it had CPU time to spare (the kernel's OOM killer)
+    return !usage || usage.cpuTimeMs >= cpuTimeSeconds * 1000 * 0.9 ? 'cpuTime' : 'memory';
+  }
+  return null;
+}
+
+/**
+ * Spawns a process with resource limits and collects its output
+ * Resolves with { stdout, stderr, exitCode, signal, timedOut, outputTruncated, limitExceeded, usage }
+ * usage: { cpuTimeMs, wallTimeMs, peakMemoryKb }, from measure.py (null if it
+ * couldn't report); timedOut is limitExceeded "cpuTime" or "wallTime"
+ *
+ * For interactive runs, onOutput(stream, text) gets output as it arrives and
+ * onSpawn({ write, endInput, kill }) gets the process's controls; stdin then
+ * stays open instead of being sent `input` up front. maxOutputBytes raises the
+ * output cap for processes whose output is a protocol, like a debugger's.
+ */
+function spawnLimited(command, args, { cwd, input = '', wallTimeMs, cpuTimeSeconds, memoryMb = LIMITS.memoryMb, jvm = false, maxOutputBytes = LIMITS.maxOutputBytes, onOutput, onSpawn }) {
+  return new Promise((resolve) => {
+    const limitArgs = buildLimitArgs({ cpuTimeSeconds, memoryMb, jvm });
+
+    const [sandboxCommand, sandboxArgs] = sandboxed('prlimit', [...limitArgs, '--', command, ...args], cwd);
+    const child = spawn('python3', ['-I', '-S', MEASURE_SCRIPT, sandboxCommand, ...sandboxArgs], {
+      cwd,
+      detached: true, // away from the server's process group (measure.py puts the program in its own)
+      // fd 3 carries measure.py's report
+      stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+      env: {
+        PATH: process.env.PATH,
+        HOME: cwd,
+        TMPDIR: cwd,
+        LANG: 'C.UTF-8'
+      }
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let outputBytes = 0;
+    let outputTruncated = false;
+    let killedBy = null;
+    let report = '';
+    let settled = false;
+
+    // measure.py kills the program's whole process group on SIGTERM
+    const killTree = (reason = 'request') => {
+      killedBy = killedBy || reason;
+      try {
+        process.kill(child.pid, 'SIGTERM');
+      } catch (error) {
+        // Process already exited
+      }
+    };
+
+    const timer = setTimeout(() => killTree('wallTime'), wallTimeMs);
+
+    const collect = (chunk, stream) => {
+      if (outputTruncated) return;
+      const remaining = maxOutputBytes - outputBytes;
+      let text = chunk.toString();
+      if (chunk.length > remaining) {
+        text = chunk.subarray(0, remaining).toString();
+        outputTruncated = true;
+        killTree('output');
+      }
+      outputBytes += Math.min(chunk.length, remaining);
+      if (stream === 'stdout') stdout += text;
+      else stderr += text;
+      if (onOutput && text) onOutput(stream, text);
+    };
+
+    child.stdout.on('data', (chunk) => collect(chunk, 'stdout'));
+    child.stderr.on('data', (chunk) => collect(chunk, 'stderr'));
+    child.stdio[3].on('data', (chunk) => { report += chunk; });
+
+    child.stdin.on('error', () => {
+      // Program exited without reading all of its input
+    });
+    if (onSpawn) {
+      onSpawn({
+        write: (text) => child.stdin.writable && child.stdin.write(text),
+        endInput: () => child.stdin.end(),
+        kill: () => killTree()
+      });
+    } else {
+      child.stdin.end(input);
+    }
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ stdout, stderr, timedOut: false, outputTruncated, limitExceeded: null, usage: null, ...result });
+    };
+
+    child.on('error', (error) => {
+      finish({ exitCode: -1, signal: null, stderr: stderr + error.message });
+    });
+
+    child.on('close', (exitCode, signal) => {
+      let usage = null;
+      try {
+        usage = JSON.parse(report);
+      } catch (error) {
+        // measure.py was killed before it could report
+      }
+      const limitExceeded = limitExceededBy({
+        exitCode, signal, stderr, usage, killedBy, memoryMb, cpuTimeSeconds
+      });
+      finish({
+        exitCode: exitCode === null ? -1 : exitCode,
+        signal,
+        timedOut: limitExceeded === 'cpuTime' || limitExceeded === 'wallTime',
+        limitExceeded,
+        usage
+      });
+    });
+  });
+}
+
+/**
+ * Compiles the project's sources in workDir, if the language needs it
+ * Returns null on success, or an execute()-shaped compilation error
+ */
+async function compileIn(workDir, config, sources) {
+  if (!config.compile) return null;
+
+  const [compiler, compileArgs] = config.compile(sources);
+  const compile = await spawnLimited(compiler, compileArgs, {
+    cwd: workDir,
+    wallTimeMs: LIMITS.compileTimeMs,
+    cpuTimeSeconds: Math.ceil(LIMITS.compileTimeMs / 1000),
+    memoryMb: Math.max(LIMITS.memoryMb, 512),
+    jvm: config.jvm
+  });
+
+  if (compile.exitCode === 0 && !compile.timedOut) return null;
+  return {
+    success: false,
+    stdout: '',
+    stderr: compile.timedOut
+      ? 'Compilation timed out'
+      : relativeToProject(compile.stderr || compile.stdout, workDir) || 'Compilation failed',
+    exitCode: compile.exitCode,
+    compilationError: true
+  };
+}
+
+/**
+ * Compiles a live session's project (interactive runs, debug sessions),
+ * passing compiler errors on as output
+ * Returns the result to end the session with - the compilation error, or a
+ * stopped one if the session was killed meanwhile - or null to run the program
+ */
+async function compileLive(workDir, config, sources, { onStatus, onOutput }, isKilled) {
+  if (config.compile) onStatus('compiling');
+  const compileError = await compileIn(workDir, config, sources);
+  if (compileError) {
+    onOutput('stderr', compileError.stderr);
+    return compileError;
+  }
+  if (isKilled()) {
+    return { success: false, stdout: '', stderr: '', exitCode: -1, signal: 'SIGKILL' };
+  }
+  return null;
+}
+
+/**
+ * Runs the compiled (or interpreted) entry in workDir with input on stdin
+ * timeLimitMs overrides the configured wall/CPU time
+ */
+async function runIn(workDir, config, entry, input, timeLimitMs, compileTimeMs) {
+  const wallTimeMs = timeLimitMs || LIMITS.wallTimeMs;
+  const cpuTimeSeconds = timeLimitMs
+    ? Math.ceil(timeLimitMs / 1000)
+    : LIMITS.cpuTimeSeconds;
+
+  const [runner, runArgs] = config.run(entry);
+  const run = await spawnLimited(runner, runArgs, {
+    cwd: workDir,
+    input,
+    wallTimeMs,
+    cpuTimeSeconds,
+    jvm: config.jvm
+  });
+
+  let stderr = relativeToProject(run.stderr, workDir);
+  if (run.outputTruncated) stderr += OUTPUT_TRUNCATED_NOTE;
+
+  return {
+    success: run.exitCode === 0 && !run.limitExceeded,
+    stdout: run.stdout,
+    stderr,
+    exitCode: run.exitCode,
+    signal: run.signal,
+    timedOut: run.timedOut,
+    outputTruncated: run.outputTruncated,
+    limitExceeded: run.limitExceeded,
+    usage: {
+      compileTimeMs,
+      cpuTimeMs: run.usage?.cpuTimeMs ?? null,
+      wallTimeMs: run.usage?.wallTimeMs ?? null,
+      peakMemoryKb: run.usage?.peakMemoryKb ?? null
+    },
+    limits: {
+      cpuTimeMs: cpuTimeSeconds * 1000,
+      wallTimeMs,
+      memoryMb: LIMITS.memoryMb,
+      outputKb: LIMITS.maxOutputBytes / 1024
+    }
+  };
+}
+
+/**
+ * Compile (if needed) once, then run code once per entry of runs, in an
+ * isolated temp directory
+ * runs: [{ input, timeLimitMs? }] - timeLimitMs as options.timeLimitMs in execute()
+ * Returns { compileError, results }: compileError is execute()'s compilation
+ * error result (then results is empty), results has one execute() result,
+ * plus executionTime, per run
+ */
+async function executeBatch(code, language, runs, options = {}) {
+  const langKey = language.toLowerCase();
+  const config = LANGUAGE_CONFIG[langKey] || LANGUAGE_CONFIG.python;
+
+  try {
+    return await withProject('run', code, langKey, options.entry, async ({ workDir, files, entry }) => {
+      console.log(`[Compiler] Running ${langKey} code locally in ${workDir} (${files.length} file${files.length === 1 ? '' : 's'}, ${runs.length} run${runs.length === 1 ? '' : 's'})`);
+
+      const compileStart = Date.now();
+      const compileError = await compileIn(workDir, config, sourceFiles(files, langKey));
+      const compileTimeMs = config.compile ? Date.now() - compileStart : null;
+      if (compileError) {
+        return {
+          compileError: { ...compileError, usage: { compileTimeMs, cpuTimeMs: null, wallTimeMs: null, peakMemoryKb: null } },
+          results: []
+        };
+      }
+
+      // One program, many inputs: a run must not see files an earlier run wrote
+      const pristine = new Set(await fs.readdir(workDir));
+      const results = [];
+      for (const { input = '', timeLimitMs } of runs) {
+        for (const name of await fs.readdir(workDir)) {
+          if (!pristine.has(name)) await fs.rm(path.join(workDir, name), { recursive: true, force: true });
+        }
+        const startTime = Date.now();
+        const result = await runIn(workDir, config, entry, input, timeLimitMs, compileTimeMs);
+        results.push({ ...result, executionTime: Date.now() - startTime });
+      }
+      return { compileError: null, results };
+    });
+  } catch (error) {
+    console.error('[Compiler] Local execution error:', error.message);
+    const failed = {
+      success: false,
+      stdout: '',
+      stderr: 'Failed to execute code locally. ' + error.message,
+      exitCode: -1
+    };
+    return { compileError: null, results: runs.map(() => ({ ...failed, executionTime: 0 })) };
+  }
+}
+
+/**
+ * Compile (if needed) and run code in an isolated temp directory
+ * code is a string or a project [{ name, content }]
+ * options.timeLimitMs overrides the configured wall/CPU time for the run step
+ * options.entry names the project file that starts the program (found if omitted)
+ */
+async function execute(code, language, input = '', options = {}) {
+  const { compileError, results } = await executeBatch(code, language, [{ input, timeLimitMs: options.timeLimitMs }], options);
+  if (compileError) return compileError;
+  const { executionTime, ...result } = results[0];
+  return result;
+}
+
+/**
+ * Compile (if needed) and run code with stdin left open, so the student can
+ * type input as the program asks for it
+ *
+ * handlers:
+ *   onStatus(phase)          // "compiling" | "running"
+ *   onOutput(stream, text)   // stream: "stdout" | "stderr"
+ *   onExit(result)           // execute()-shaped result, once
+ *
+ * Returns { write(text), endInput(), kill() } straight away; input written
+ * while the code is still compiling is held until the program starts.
+ * code and options.entry are as for execute().
+ */
+function startInteractive(code, language, { onStatus = () => {}, onOutput = () => {}, onExit = () => {} }, options = {}) {
+  const langKey = language.toLowerCase();
+  const config = LANGUAGE_CONFIG[langKey] || LANGUAGE_CONFIG.python;
+  const pending = [];
+  let controls = null;
+  let killed = false;
+
+  const session = {
+    write: (text) => (controls ? controls.write(text) : pending.push(text)),
+    endInput: () => (controls ? controls.endInput() : pending.push(null)),
+    kill: () => {
+      killed = true;
+      if (controls) controls.kill();
+    }
+  };
+
+  const run = () => withProject('run', code, langKey, options.entry, async ({ workDir, files, entry }) => {
+    console.log(`[Compiler] Running ${langKey} code interactively in ${workDir} (${files.length} file${files.length === 1 ? '' : 's'})`);
+
+    const stopped = await compileLive(workDir, config, sourceFiles(files, langKey), { onStatus, onOutput }, () => killed);
+    if (stopped) return stopped;
+
+    onStatus('running');
+    let [runner, runArgs] = config.run(entry);
+    // Unbuffered, a prompt without a newline shows before the program waits for input
+    if (config.bufferedStdio) {
+      [runner, runArgs] = ['stdbuf', ['-o0', '-e0', runner, ...runArgs]];
+    }
+    const result = await spawnLimited(runner, runArgs, {
+      cwd: workDir,
+      wallTimeMs: LIMITS.interactiveWallTimeMs,
+      cpuTimeSeconds: LIMITS.cpuTimeSeconds,
+      jvm: config.jvm,
+      onOutput: (stream, text) => onOutput(stream, relativeToProject(text, workDir)),
+      onSpawn: (processControls) => {
+        controls = processControls;
+        for (const text of pending.splice(0)) {
+          if (text === null) controls.endInput();
+          else controls.write(text);
+        }
+        if (killed) controls.kill();
+      }
+    });
+
+    let stderr = relativeToProject(result.stderr, workDir);
+    if (result.outputTruncated) {
+      stderr += OUTPUT_TRUNCATED_NOTE;
+      onOutput('stderr', OUTPUT_TRUNCATED_NOTE);
+    }
+
+    return {
+      success: result.exitCode === 0 && !result.limitExceeded,
+      stdout: result.stdout,
+      stderr,
+      exitCode: result.exitCode,
+      signal: result.signal,
+      // A SIGKILL from kill() is the student stopping it, not a limit
+      timedOut: result.timedOut && !killed,
+      outputTruncated: result.outputTruncated,
+      limitExceeded: result.limitExceeded,
+      usage: result.usage
+    };
+  });
+
+  run()
+    .catch((error) => {
+      console.error('[Compiler] Interactive execution error:', error.message);
+      return {
+        success: false,
+        stdout: '',
+        stderr: 'Failed to execute code locally. ' + error.message,
+        exitCode: -1
+      };
+    })
+    .then(onExit);
+
+  return session;
+}
+
+/**
+ * Turns the tracer's JSON lines into steps, giving each step the stdout
+ * printed since the previous one (the tracers report a running byte count)
+ */
+function readTrace(text, stdout) {
+  const output = Buffer.from(stdout);
+  const steps = [];
+  let stepLimitReached = false;
+  let end = null;
+  let printed = 0;
+
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      break; // cut off mid-line when the tracer was killed
+    }
+    if (record.type === 'limit') {
+      stepLimitReached = true;
+    } else if (record.type === 'end') {
+      end = record;
+    } else {
+      const { stdoutBytes, ...step } = record;
+      const upTo = Math.max(printed, Math.min(stdoutBytes, output.length));
+      steps.push({ ...step, stdout: output.subarray(printed, upTo).toString() });
+      printed = upTo;
+    }
+  }
+
+  return { steps, stepLimitReached, end };
+}
+
+/**
+ * Compile (if needed) and run code under a tracer, recording each step
+ * code, input and options.entry are as for execute(); options.maxSteps
+ * lowers the configured step cap
+ * Resolves with execute()'s fields plus { steps, stepLimitReached }
+ */
+async function trace(code, language, input = '', options = {}) {
+  const langKey = language.toLowerCase();
+  const config = TRACE_CONFIG[langKey];
+  if (!config) {
+    throw new Error(`Tracing supports ${Object.keys(TRACE_CONFIG).join(', ')}`);
+  }
+  const maxSteps = Math.min(options.maxSteps || LIMITS.traceMaxSteps, LIMITS.traceMaxSteps);
+  return withProject('trace', code, langKey, options.entry, async ({ workDir, files, entry }) => {
+    console.log(`[Compiler] Tracing ${langKey} code locally in ${workDir} (up to ${maxSteps} steps)`);
+
+    const compileError = await compileIn(workDir, config, sourceFiles(files, langKey));
+    if (compileError) return { ...compileError, steps: [], stepLimitReached: false };
+
+    if (config.stdio) {
+      await fs.writeFile(path.join(workDir, config.stdio.stdin), input);
+    }
+
+    const [runner, runArgs] = config.run(entry, maxSteps);
+    const run = await spawnLimited(runner, runArgs, {
+      cwd: workDir,
+      input: config.stdio ? '' : input,
+      wallTimeMs: LIMITS.traceWallTimeMs,
+      cpuTimeSeconds: Math.ceil(LIMITS.traceWallTimeMs / 1000),
+      memoryMb: Math.max(LIMITS.memoryMb, config.memoryMb || 0)
+    });
+
+    const readOutput = (name) => fs.readFile(path.join(workDir, name), 'utf8').catch(() => '');
+    const clip = (text) => text.slice(0, LIMITS.maxOutputBytes);
+    const stdout = config.stdio ? clip(await readOutput(config.stdio.stdout)) : run.stdout;
+    let stderr = relativeToProject(config.stdio ? clip(await readOutput(config.stdio.stderr)) : run.stderr, workDir);
+    const { steps, stepLimitReached, end } = readTrace(await readOutput(TRACE_FILE), stdout);
+
+    const debuggerFailed = Boolean(config.stdio) && !end && !stepLimitReached && !run.timedOut;
+    if (debuggerFailed) {
+      // gdb failed before the program ran; its own output says why
+      console.error('[Compiler] Tracer failed:', run.stderr.trim());
+      stderr += 'The debugger could not run the program. ' + relativeToProject(run.stderr, workDir).trim();
+    }
+    if (run.outputTruncated) stderr += OUTPUT_TRUNCATED_NOTE;
+
+    const exitCode = end ? end.exitCode : run.exitCode;
+    const signal = end ? end.signal : run.signal;
+    return {
+      // Stopping at the step cap is not a failure - the trace is just shorter
+      success: !run.timedOut && !run.outputTruncated && !debuggerFailed && (stepLimitReached || (exitCode === 0 && !signal)),
+      stdout,
+      stderr,
+      exitCode,
+      signal,
+      timedOut: run.timedOut,
+      outputTruncated: run.outputTruncated,
+      steps,
+      stepLimitReached
+    };
+  });
+}
+
+/**
+ * Follows a file the program writes, passing on new text as it appears
+ * Returns { flush(), stop() }; flush() resolves once the file has been read to its end
+ */
+function followFile(filePath, onText) {
+  const decoder = new StringDecoder('utf8');
+  let offset = 0;
+  let reading = Promise.resolve();
+
+  const read = () => {
+    reading = reading.then(async () => {
+      let handle;
+      try {
+        handle = await fs.open(filePath, 'r');
+        const { size } = await handle.stat();
+        if (size <= offset) return;
+        const buffer = Buffer.alloc(size - offset);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+        offset += bytesRead;
+        const text = decoder.write(buffer.subarray(0, bytesRead));
+        if (text) onText(text);
+      } catch (error) {
+        // Not created yet
+      } finally {
+        if (handle) await handle.close();
+      }
+    });
+    return reading;
+  };
+
+  const timer = setInterval(read, 200);
+  return { flush: read, stop: () => clearInterval(timer) };
+}
+
+/**
+ * Compile (if needed) with debug info and run code under the language's
+ * debugger (see debuggers/index.js), paused at breakpoints
+ *
+ * handlers:
+ *   onStatus(phase)                       // "compiling" | "running"
+ *   onOutput(stream, text)                // the program's stdout / stderr
+ *   onBreakpoints([{ file, line, verified }])
+ *   onPaused({ reason, stack, exception }) // output printed so far is sent first
+ *   onExit(result)                        // execute()-shaped result, once
+ * options: { entry, breakpoints: [{ file, line }], stopOnEntry }
+ *
+ * Returns { setBreakpoints(breakpoints), resume(action), evaluate(expression, frame), kill() }
+ * straight away; all but kill() are for while the program is paused.
+ * code, input and options.entry are as for execute().
+ */
+function startDebug(code, language, input = '', { onStatus = () => {}, onOutput = () => {}, onBreakpoints = () => {}, onPaused = () => {}, onExit = () => {} }, options = {}) {
+  const langKey = language.toLowerCase();
+  const adapter = getDebugger(langKey);
+  if (!adapter) {
+    throw new Error(`Debugging supports ${Object.keys(DEBUGGERS).join(', ')}`);
+  }
+  let session = null;
+  let controls = null;
+  let killed = false;
+  // What the debugger reported when the program ended
+  let exited = null;
+
+  const notRunning = { error: 'The program is not paused' };
+  const debug = {
+    setBreakpoints: (breakpoints) => session && session.setBreakpoints(breakpoints),
+    resume: (action) => session && session.resume(action),
+    evaluate: async (expression, frame) => (session && !exited ? session.evaluate(expression, frame) : notRunning),
+    kill: () => {
+      killed = true;
+      if (controls) controls.kill();
+    }
+  };
+
+  const run = () => withProject('debug', code, langKey, options.entry, async ({ workDir, files, entry }) => {
+    const follows = [];
+    try {
+      console.log(`[Compiler] Debugging ${langKey} code locally with ${adapter.name} in ${workDir}`);
+
+      const stopped = await compileLive(workDir, adapter, sourceFiles(files, langKey), { onStatus, onOutput }, () => killed);
+      if (stopped) return stopped;
+
+      await fs.writeFile(path.join(workDir, DEBUG_STDIO.stdin), input);
+
+      // The program's output, capped like any other run
+      const output = { stdout: '', stderr: '' };
+      let outputBytes = 0;
+      let outputTruncated = false;
+      const forward = (stream) => (text) => {
+        if (outputTruncated) return;
+        let forwarded = relativeToProject(stream === 'stdout' && adapter.filterOutput ? adapter.filterOutput(text) : text, workDir);
+        const bytes = Buffer.byteLength(forwarded);
+        if (outputBytes + bytes > LIMITS.maxOutputBytes) {
+          forwarded = Buffer.from(forwarded).subarray(0, LIMITS.maxOutputBytes - outputBytes).toString();
+          outputTruncated = true;
+          if (controls) controls.kill();
+        }
+        outputBytes += Buffer.byteLength(forwarded);
+        output[stream] += forwarded;
+        if (forwarded) onOutput(stream, forwarded);
+      };
+      follows.push(followFile(path.join(workDir, DEBUG_STDIO.stdout), forward('stdout')));
+      follows.push(followFile(path.join(workDir, DEBUG_STDIO.stderr), forward('stderr')));
+      const flush = () => Promise.all(follows.map(follow => follow.flush()));
+
+      onStatus('running');
+      const [runner, runArgs] = adapter.launch(entry, { memoryMb: LIMITS.memoryMb, stdio: DEBUG_STDIO });
+      const result = await spawnLimited(runner, runArgs, {
+        cwd: workDir,
+        wallTimeMs: LIMITS.debugWallTimeMs,
+        // Stepping runs the program (and the debugger) far slower than normal
+        cpuTimeSeconds: LIMITS.cpuTimeSeconds * 4,
+        memoryMb: Math.max(LIMITS.memoryMb, adapter.memoryMb || 0),
+        jvm: adapter.jvm,
+        maxOutputBytes: LIMITS.maxOutputBytes * 64,
+        onOutput: (stream, text) => {
+          if (stream === 'stdout' && session) session.receive(text);
+        },
+        onSpawn: (processControls) => {
+          controls = processControls;
+          session = adapter.createSession({ write: controls.write, workDir, files, entry, stdio: DEBUG_STDIO }, {
+            onBreakpoints,
+            onPaused: (pause) => flush().then(() => onPaused(pause)),
+            onExited: (report) => {
+              exited = report;
+              // The debugger exits by itself; make sure of it
+              controls.endInput();
+              setTimeout(controls.kill, 2000).unref();
+            }
+          });
+          if (killed) {
+            controls.kill();
+            return;
+          }
+          Promise.resolve(session.start(options.breakpoints || [], Boolean(options.stopOnEntry))).catch((error) => {
+            console.error('[Compiler] Debugger failed to start:', error.message);
+          });
+        }
+      });
+
+      follows.forEach(follow => follow.stop());
+      await flush();
+
+      let stderr = output.stderr;
+      const debuggerFailed = !exited && !killed && !outputTruncated && !result.timedOut;
+      if (debuggerFailed) {
+        // The debugger quit before the program finished; its own output says why
+        console.error('[Compiler] Debugger failed:', result.stderr.trim());
+        const note = 'The debugger could not run the program. ' + relativeToProject(result.stderr, workDir).trim();
+        stderr += note;
+        onOutput('stderr', note);
+      }
+      if (outputTruncated) {
+        stderr += OUTPUT_TRUNCATED_NOTE;
+        onOutput('stderr', OUTPUT_TRUNCATED_NOTE);
+      }
+
+      const exitCode = exited ? exited.exitCode : result.exitCode;
+      const signal = exited ? exited.signal : result.signal;
+      return {
+        success: Boolean(exited) && exitCode === 0 && !signal && !outputTruncated,
+        stdout: output.stdout,
+        stderr,
+        exitCode,
+        signal,
+        // The debugger being stopped (by the student or after the program ended) is not a limit
+        timedOut: result.timedOut && !exited && !killed && !outputTruncated,
+        outputTruncated
+      };
+    } finally {
+      follows.forEach(follow => follow.stop());
+    }
+  });
+
+  run()
+    .catch((error) => {
+      console.error('[Compiler] Debug session error:', error.message);
+      return {
+        success: false,
+        stdout: '',
+        stderr: 'Failed to debug code locally. ' + error.message,
+        exitCode: -1
+      };
+    })
+    .then(onExit);
+
+  return debug;
+}
+
+/**
+ * Check compilers - runs each toolchain's version command
+ */
+async function checkCompilers() {
+  const results = { note: 'Using local sandbox' };
+
+  await withRunDir('check', async (workDir) => {
+    for (const [langKey, config] of Object.entries(LANGUAGE_CONFIG)) {
+      const [command, args] = config.versionCheck;
+      const check = await spawnLimited(command, args, {
+        cwd: workDir,
+        wallTimeMs: 5000,
+        cpuTimeSeconds: 5,
+        jvm: config.jvm
+      });
+      results[langKey] = check.exitCode === 0;
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  name: 'local',
+  execute,
+  executeBatch,
+  startInteractive,
+  trace,
+  startDebug,
+  checkCompilers,
+  isSandboxed,
+  spawnLimited,
+  LIMITS,
+  LANGUAGE_CONFIG,
+  TRACE_CONFIG
+};
@@ -0,0 +1,115 @@
+"""
+Runs a command and reports the resources it used
+
+    python3 measure.py COMMAND [ARGS...]
+
+localExecutor starts every sandboxed process through this script. The
+command runs in a session of its own, so it and its children can be killed
+as a group, and when it ends one JSON line goes to file descriptor 3:
+
+    {"cpuTimeMs": 12, "wallTimeMs": 40, "peakMemoryKb": 9120}
+
+SIGTERM to this script kills the command's whole process group. The script
+then ends the way the command did - with its exit status or its signal - so
+to the caller it looks like the command itself.
+
+A process forked from this interpreter keeps the interpreter's memory in its
+peak (ru_maxrss survives exec), so the command is started by setsid --fork
+instead. setsid exits straight away; this script, as the child subreaper,
+adopts the command and waits for it, and the peak is the command's own.
+"""
+
+import ctypes
+import json
+import os
+import resource
+import signal
+import sys
+import time
+
+PR_SET_CHILD_SUBREAPER = 36
+
+child = None
+stop_requested = False
+
+
+def stop(signum, frame):
+    global stop_requested
+    stop_requested = True
+    if child is None:
+        return
+    for kill in (os.killpg, os.kill):
+        try:
+            kill(child, signal.SIGKILL)
+        except (ProcessLookupError, PermissionError):
+            pass
+
+
+def report(usage):
+    try:
+        with os.fdopen(3, 'w') as out:
+            json.dump(usage, out)
+    except OSError:
+        pass  # run by hand, without the report pipe
+
+
+def adopted_child():
+    """The command, once setsid has handed it over (an exited one is still
+    listed), or None when setsid could not start it"""
+    me = os.getpid()
+    with open(f'/proc/{me}/task/{me}/children') as children:
+        pids = children.read().split()
+    return int(pids[0]) if pids else None
+
+
+def main():
+    global child
+    try:
+        # The command must not be able to write the report
+        os.set_inheritable(3, False)
+    except OSError:
+        pass
+    # A crash of the command is re-raised here; it must not dump core
+    resource.setrlimit(resource.RLIMIT_CORE, (0, 0))
+    signal.signal(signal.SIGTERM, stop)
+    ctypes.CDLL(None).prctl(PR_SET_CHILD_SUBREAPER, 1, 0, 0, 0)
+
+    started = time.monotonic()
+    starter = os.fork()
+    if starter == 0:
+        signal.signal(signal.SIGTERM, signal.SIG_DFL)
+        # The command gets a session of its own, so its pid is its process group
+        try:
+            os.execvp('setsid', ['setsid', '--fork', *sys.argv[1:]])
+        except OSError as error:
+            sys.stderr.write(f'setsid: {error.strerror}\n')
+            os._exit(127)
+    _, starter_status = os.waitpid(starter, 0)
+
+    pid = adopted_child()
+    if pid is None:
+        sys.exit(os.waitstatus_to_exitcode(starter_status) or 127)
+    child = pid
+    if stop_requested:
+        stop(signal.SIGTERM, None)
+
+    _, status, usage = os.wait4(pid, 0)
+    report({
+        'cpuTimeMs': round((usage.ru_utime + usage.ru_stime) * 1000),
+        'wallTimeMs': round((time.monotonic() - started) * 1000),
+        'peakMemoryKb': usage.ru_maxrss
+    })
+
+    if os.WIFSIGNALED(status):
+        signum = os.WTERMSIG(status)
+        try:
+            signal.signal(signum, signal.SIG_DFL)
+        except (OSError, ValueError):
+            pass  # SIGKILL and SIGSTOP can't be changed
+        os.kill(os.getpid(), signum)
+        sys.exit(128 + signum)
+    sys.exit(os.waitstatus_to_exitcode(status))
+
+
+if __name__ == '__main__':
+    main()
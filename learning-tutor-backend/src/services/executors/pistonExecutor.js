@@ -0,0 +1,149 @@
+/**
+ * Piston Executor
+ *
+ * Executes code using the Piston Execution API (https://github.com/engineer-man/piston)
+ * This avoids the need for local compilers (gcc, python, etc.) on the Render server.
+ */
+
+const axios = require('axios');
+const { toProject } = require('../../utils/projectFiles');
+const { isOutOfMemory } = require('../../utils/diagnosticsParser');
+
+const PISTON_API = process.env.PISTON_API_URL || 'https://emkc.org/api/v2/piston';
+
+// Language mapping: Frontend Language -> Piston Language Configuration
+const LANGUAGE_CONFIG = {
+  python: { language: 'python', version: '3.10.0' },
+  c: { language: 'c', version: '10.2.0' },
+  cpp: { language: 'cpp', version: '10.2.0' },
+  java: { language: 'java', version: '15.0.2' },
+  javascript: { language: 'javascript', version: '18.15.0' }
+};
+
+const COMPILE_TIMEOUT_MS = 10000;
+
+/**
+ * Which limit stopped a Piston run, if any
+ * Newer Piston versions set status: TO (timeout), OL/EL (stdout/stderr too long)
+ * and report cpu_time/wall_time; older ones only kill with SIGKILL
+ */
+function limitExceededBy(run, timeLimitMs) {
+  if (run.status === 'OL' || run.status === 'EL') return 'output';
+  if (run.status === 'TO' || (!run.status && run.signal === 'SIGKILL')) {
+    return run.cpu_time >= timeLimitMs ? 'cpuTime' : 'wallTime';
+  }
+  if (run.code !== 0 && isOutOfMemory(run.stderr)) return 'memory';
+  return null;
+}
+
+/**
+ * Execute code using Piston API
+ * code is a string or a project [{ name, content }]
+ * options.timeLimitMs overrides the default 5 second run timeout
+ * options.entry names the project file that starts the program (found if omitted)
+ */
+async function execute(code, language, input = '', options = {}) {
+  try {
+    const langKey = language.toLowerCase();
+    const config = LANGUAGE_CONFIG[langKey] || LANGUAGE_CONFIG.python; // Default to python
+    const timeLimitMs = options.timeLimitMs || 5000;
+
+    // Java requires the filename to match the class name, but Piston handles basic execution.
+    // However, Piston usually runs "main.extension".
+    // For Java, ensuring the class is "Main" is safest, or Piston runs it anyway if it compiles.
+
+    // Piston runs the first file, so a project's entry file goes first
+    let files = [{ content: code }];
+    if (Array.isArray(code)) {
+      const { entry } = toProject(code, langKey, options.entry);
+      files = [entry, ...code.filter(file => file !== entry)].map(({ name, content }) => ({ name, content }));
+    }
+
+    console.log(`[Compiler] Sending ${config.language} code to Piston API (${files.length} file${files.length === 1 ? '' : 's'})...`);
+
+    const response = await axios.post(`${PISTON_API}/execute`, {
+      language: config.language,
+      version: config.version,
+      files,
+      stdin: input,
+      run_timeout: timeLimitMs,
+      compile_timeout: COMPILE_TIMEOUT_MS
+    });
+
+    const { run, compile } = response.data;
+    // Measured by Piston where it reports them (memory in bytes); null otherwise
+    const usage = {
+      compileTimeMs: compile?.wall_time ?? null,
+      cpuTimeMs: run?.cpu_time ?? null,
+      wallTimeMs: run?.wall_time ?? null,
+      peakMemoryKb: run?.memory != null ? Math.round(run.memory / 1024) : null
+    };
+
+    // Handle compilation error
+    if (compile && compile.code !== 0) {
+      return {
+        success: false,
+        stdout: '',
+        stderr: compile.stderr || compile.stdout || 'Compilation failed',
+        exitCode: compile.code,
+        compilationError: true,
+        usage
+      };
+    }
+
+    // Handle runtime result
+    const limitExceeded = limitExceededBy(run, timeLimitMs);
+    return {
+      success: run.code === 0 && !limitExceeded,
+      stdout: run.stdout,
+      stderr: run.stderr,
+      exitCode: run.code,
+      signal: run.signal,
+      timedOut: limitExceeded === 'cpuTime' || limitExceeded === 'wallTime',
+      outputTruncated: limitExceeded === 'output',
+      limitExceeded,
+      usage,
+      limits: { cpuTimeMs: timeLimitMs, wallTimeMs: timeLimitMs, memoryMb: null, outputKb: null }
+    };
+
+  } catch (error) {
+    console.error('[Compiler] Piston API Error:', error.message);
+    if (error.response) {
+      console.error('[Compiler] Response:', error.response.data);
+    }
+
+    return {
+      success: false,
+      stdout: '',
+      stderr: 'Failed to execute code via remote compiler service. ' + error.message,
+      exitCode: -1
+    };
+  }
+}
+
+/**
+ * Check compilers - For Piston, we just check if API is reachable
+ */
+async function checkCompilers() {
+  try {
+    await axios.get(`${PISTON_API}/runtimes`);
+    return {
+      python: true,
+      c: true,
+      cpp: true,
+      java: true,
+      note: 'Using Piston API'
+    };
+  } catch (error) {
+    console.error('Piston API unreachable');
+    return {
+      python: false,
+      c: false,
+      cpp: false,
+      java: false,
+      error: 'Remote compiler unreachable'
+    };
+  }
+}
+
+module.exports = { name: 'piston', execute, checkCompilers };
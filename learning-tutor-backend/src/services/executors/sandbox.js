@@ -0,0 +1,156 @@
+/**
+ * Local Executor Sandbox
+ *
+ * prlimit caps what a program may use, not what it may see. Sandboxed
+ * processes also get:
+ *   - a network namespace of their own, with no network at all
+ *   - a mount namespace where the backend's directory (.env, the database)
+ *     is hidden under an empty tmpfs, and so is the temp directory - apart
+ *     from the program's own project directory
+ *   - none of the server's privileges: they run as nobody when the server is
+ *     root, otherwise in a user namespace with every capability dropped
+ *
+ * Helper scripts the sandboxed processes run (tracers, the pdb driver) are
+ * mounted read-only at SCRIPTS_DIR - use scriptPath() for them.
+ *
+ * EXEC_SANDBOX=off turns the sandbox off for development. Without it the
+ * local executor refuses to start in production (see executors/index.js).
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EXECUTORS_DIR = __dirname;
+const BACKEND_DIR = path.resolve(__dirname, '../../..');
+const SCRIPTS_DIR = '/mnt';
+const NOBODY = '65534';
+
+// Runs inside the new namespaces, before dropping privileges:
+//   sh -c SCRIPT sh <scripts dir> <temp dir> <dirs to hide...> -- <chown?> <command...>
+// It starts in the project directory, inside the temp directory.
+const SETUP_SCRIPT = [
+  'set -e',
+  'work=$(pwd)',
+  `mount --bind "$1" ${SCRIPTS_DIR}`,
+  `mount -o remount,bind,ro ${SCRIPTS_DIR}`,
+  // Loopback only (jdb attaches to the JVM over it); nothing leaves the namespace
+  'ip link set lo up 2>/dev/null || true',
+  // Other runs' project directories go; "." still names this one, mounted back in place
+  'mount -t tmpfs -o size=1m,mode=1777 tmpfs "$2"',
+  'mkdir -p "$work" && mount --no-canonicalize --bind . "$work" && cd "$work"',
+  'shift 2',
+  'while [ "$1" != -- ]; do mount -t tmpfs -o size=16k,mode=700 tmpfs "$1"; shift; done',
+  'shift',
+  // The unprivileged program must own its project directory
+  `if [ "$1" = chown ]; then chown -R ${NOBODY}:${NOBODY} .; fi`,
+  'shift',
+  'exec "$@"'
+].join('\n');
+
+const MODES = {
+  // The server is root: new namespaces, then run as nobody
+  root: {
+    unshare: ['--net', '--mount', '--propagation', 'private'],
+    drop: ['--reuid', NOBODY, '--regid', NOBODY, '--clear-groups', '--no-new-privs'],
+    chown: true
+  },
+  // Anyone else: a user namespace, root inside it only until the capabilities go
+  user: {
+    unshare: ['--user', '--map-root-user', '--net', '--mount', '--propagation', 'private'],
+    drop: ['--bounding-set=-all', '--inh-caps=-all', '--no-new-privs'],
+    chown: false
+  }
+};
+
+// Detected on first use: "root" | "user" | null (no sandbox)
+let mode;
+
+// Per-run directories are made with fs.mkdtemp(path.join(os.tmpdir(), 'tutor-...'))
+const RUN_DIR_PREFIX = 'tutor-';
+
+const isInside = (dir, parent) => {
+  const relative = path.relative(parent, dir);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Directories the program must not see: the backend, the server's working
+ * directory (where dotenv finds .env) and the database's directory - never
+ * one that holds the temp directory the program runs in
+ */
+function hiddenDirs() {
+  const dirs = [BACKEND_DIR, process.cwd()];
+  if (process.env.DATABASE_PATH) dirs.push(path.dirname(path.resolve(process.env.DATABASE_PATH)));
+  return [...new Set(dirs)].filter(dir => fs.existsSync(dir) && !isInside(os.tmpdir(), dir));
+}
+
+/**
+ * Throws unless cwd is a per-run directory directly inside the temp directory -
+ * the sandbox mounts it back in place and, as root, hands it to nobody
+ */
+function checkRunDir(cwd) {
+  const dir = path.resolve(cwd || '.');
+  if (path.dirname(dir) !== path.resolve(os.tmpdir()) || !path.basename(dir).startsWith(RUN_DIR_PREFIX)) {
+    throw new Error(`Sandboxed processes must run in a ${RUN_DIR_PREFIX}* directory inside ${os.tmpdir()}, not ${dir}`);
+  }
+}
+
+function wrap(modeName, command, args, cwd) {
+  checkRunDir(cwd);
+  const { unshare, drop, chown } = MODES[modeName];
+  return ['unshare', [
+    ...unshare, '--', 'sh', '-c', SETUP_SCRIPT, 'sh',
+    EXECUTORS_DIR, os.tmpdir(), ...hiddenDirs(), '--', chown ? 'chown' : '-',
+    'setpriv', ...drop, '--', command, ...args
+  ]];
+}
+
+/**
+ * Tries each way of sandboxing this server can use, once
+ */
+function detectMode() {
+  if (process.env.EXEC_SANDBOX === 'off') return null;
+  const candidates = process.getuid?.() === 0 ? ['root', 'user'] : ['user'];
+  const probeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tutor-sandbox-'));
+  try {
+    for (const candidate of candidates) {
+      const [command, args] = wrap(candidate, 'true', [], probeDir);
+      const probe = spawnSync(command, args, { cwd: probeDir, timeout: 5000, stdio: 'ignore' });
+      if (probe.status === 0) {
+        console.log(`[Sandbox] Running code in namespaces (${candidate === 'root' ? 'as nobody' : 'user namespace'}, no network)`);
+        return candidate;
+      }
+    }
+  } finally {
+    fs.rmSync(probeDir, { recursive: true, force: true });
+  }
+  console.warn('[Sandbox] Namespaces are not available - code runs with the server\'s access to files and network');
+  return null;
+}
+
+/**
+ * Whether sandboxed processes are isolated (see the top of this file)
+ */
+function isSandboxed() {
+  if (mode === undefined) mode = detectMode();
+  return mode !== null;
+}
+
+/**
+ * [command, args] that run command inside the sandbox (unchanged without one)
+ * cwd is the per-run directory the command starts in
+ */
+function sandboxed(command, args, cwd) {
+  return isSandboxed() ? wrap(mode, command, args, cwd) : [command, args];
+}
+
+/**
+ * Path of a helper script under executors/, as a sandboxed process sees it
+ */
+function scriptPath(...segments) {
+  return path.join(isSandboxed() ? SCRIPTS_DIR : EXECUTORS_DIR, ...segments);
+}
+
+module.exports = { isSandboxed, sandboxed, scriptPath };
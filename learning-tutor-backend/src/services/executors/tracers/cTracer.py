@@ -0,0 +1,208 @@
+"""
+C step tracer for POST /trace, run inside gdb
+
+Steps through a program built with -g -O0 and writes one JSON line per step
+to the trace file: the line about to run, every frame of the student's code
+with its arguments and local variables, and how many bytes the program has
+printed so far. Calls into the C library are stepped over.
+
+Usage:
+  gdb -batch -nx -q \
+      -ex "python import sys; sys.argv = ['cTracer', <trace file>, <max steps>, <max bytes>]" \
+      -x cTracer.py ./main
+Run from the project directory. The program reads .trace-stdin and writes
+.trace-stdout and .trace-stderr. The last line is {"type": "end", exitCode,
+signal}, or {"type": "limit"} when the trace reaches max steps or max bytes.
+"""
+
+import json
+import os
+import sys
+
+import gdb
+
+TRACE_PATH, MAX_STEPS, MAX_BYTES = sys.argv[1], int(sys.argv[2]), int(sys.argv[3])
+ROOT = os.getcwd()
+MAX_VALUE_LENGTH = 200
+STDIN, STDOUT, STDERR = '.trace-stdin', '.trace-stdout', '.trace-stderr'
+
+# Filled in by the stop and exit events
+outcome = {'exitCode': None, 'signal': None}
+
+
+def on_stop(event):
+    if isinstance(event, gdb.SignalEvent):
+        outcome['signal'] = event.stop_signal
+
+
+def on_exit(event):
+    if hasattr(event, 'exit_code'):
+        outcome['exitCode'] = event.exit_code
+
+
+gdb.events.stop.connect(on_stop)
+gdb.events.exited.connect(on_exit)
+
+
+def write(trace_file, record):
+    line = json.dumps(record) + '\n'
+    trace_file.write(line)
+    trace_file.flush()
+    return len(line)
+
+
+def running():
+    inferior = gdb.selected_inferior()
+    return inferior.pid != 0 and len(inferior.threads()) > 0
+
+
+def project_file(frame):
+    """Project-relative source of a frame, or None outside the student's code"""
+    try:
+        symtab = frame.find_sal().symtab
+    except RuntimeError:
+        return None
+    if symtab is None:
+        return None
+    fullname = os.path.abspath(symtab.fullname())
+    if not fullname.startswith(ROOT + os.sep):
+        return None
+    return os.path.relpath(fullname, ROOT)
+
+
+def describe(value):
+    try:
+        text = value.format_string(max_elements=20, repeat_threshold=10)
+    except (gdb.error, gdb.MemoryError, AttributeError):
+        try:
+            text = str(value)
+        except (gdb.error, gdb.MemoryError):
+            text = '<unavailable>'
+    if len(text) > MAX_VALUE_LENGTH:
+        text = text[:MAX_VALUE_LENGTH - 3] + '...'
+    return text
+
+
+def variables(frame, line):
+    """Arguments and the locals declared up to this line, outer blocks first"""
+    try:
+        block = frame.block()
+    except RuntimeError:
+        return []
+    blocks = []
+    seen = set()
+    while block is not None:
+        names = []
+        for symbol in block:
+            if not (symbol.is_argument or symbol.is_variable) or symbol.name in seen:
+                continue
+            if not symbol.is_argument and symbol.line > line:
+                continue
+            seen.add(symbol.name)
+            try:
+                value = describe(symbol.value(frame))
+            except (gdb.error, gdb.MemoryError):
+                value = '<unavailable>'
+            names.append({'name': symbol.name, 'type': str(symbol.type), 'value': value})
+        blocks.insert(0, names)
+        if block.function is not None:
+            break
+        block = block.superblock
+    return [variable for names in blocks for variable in names]
+
+
+def call_stack(frame):
+    """The student's frames, outermost first"""
+    frames = []
+    while frame is not None:
+        file = project_file(frame)
+        if file is not None:
+            line = frame.find_sal().line
+            frames.append({
+                'function': frame.name() or '??',
+                'file': file,
+                'line': line,
+                'locals': variables(frame, line)
+            })
+        frame = frame.older()
+    return frames[::-1]
+
+
+def printed_bytes():
+    try:
+        return os.path.getsize(STDOUT)
+    except OSError:
+        return 0
+
+
+def main():
+    gdb.execute('set pagination off')
+    gdb.execute('set confirm off')
+    gdb.execute('set print pretty off')
+    gdb.execute('set step-mode off')
+
+    trace_file = open(TRACE_PATH, 'w')
+    gdb.execute('break main', to_string=True)
+    gdb.execute(f'run < {STDIN} > {STDOUT} 2> {STDERR}', to_string=True)
+    if running():
+        # Unbuffered stdout, so each step's output is in the file straight away
+        try:
+            gdb.execute('call (int) setvbuf(*(void **) &stdout, (char *) 0, 2, 0)', to_string=True)
+        except gdb.error:
+            pass
+
+    steps = 0
+    trace_bytes = 0
+    # Steps taken outside the student's code (e.g. returning from main) count
+    # towards a looser cap, so a program can't spin there forever
+    moves = 0
+    while running() and outcome['signal'] is None:
+        frame = gdb.selected_frame()
+        file = project_file(frame)
+        if file is not None:
+            step = {
+                'file': file,
+                'line': frame.find_sal().line,
+                'event': 'line',
+                'function': frame.name() or '??',
+                'stack': call_stack(frame),
+                'stdoutBytes': printed_bytes()
+            }
+            if steps >= MAX_STEPS or trace_bytes + len(json.dumps(step)) + 1 > MAX_BYTES:
+                write(trace_file, {'type': 'limit'})
+                gdb.execute('kill', to_string=True)
+                trace_file.close()
+                return
+            steps += 1
+            trace_bytes += write(trace_file, step)
+        moves += 1
+        if moves > MAX_STEPS * 10:
+            gdb.execute('continue', to_string=True)
+            continue
+        try:
+            gdb.execute('step', to_string=True)
+        except gdb.error:
+            break
+
+    if outcome['signal'] is not None and running():
+        # The crash: where it happened, then stop the program
+        frame = gdb.selected_frame()
+        while frame is not None and project_file(frame) is None:
+            frame = frame.older()
+        if frame is not None:
+            write(trace_file, {
+                'file': project_file(frame),
+                'line': frame.find_sal().line,
+                'event': 'signal',
+                'function': frame.name() or '??',
+                'stack': call_stack(frame),
+                'stdoutBytes': printed_bytes(),
+                'signal': outcome['signal']
+            })
+        gdb.execute('kill', to_string=True)
+
+    write(trace_file, {'type': 'end', **outcome})
+    trace_file.close()
+
+
+main()
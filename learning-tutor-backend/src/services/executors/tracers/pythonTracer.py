@@ -0,0 +1,165 @@
+"""
+Python step tracer for POST /trace
+
+Runs the student's program under sys.settrace and writes one JSON line per
+step to the trace file: the line about to run (or the value a function
+returns), every frame of the student's code with its variables, and how many
+bytes the program has printed so far. Library code is not traced.
+
+Usage: python3 -u pythonTracer.py <trace file> <max steps> <max bytes> <entry file>
+Run from the project directory; stdin, stdout and stderr are the program's.
+When the trace reaches max steps or max bytes the tracer writes
+{"type": "limit"} and exits.
+"""
+
+import json
+import os
+import runpy
+import sys
+import traceback
+import types
+
+TRACE_PATH, MAX_STEPS, MAX_BYTES, ENTRY = sys.argv[1], int(sys.argv[2]), int(sys.argv[3]), sys.argv[4]
+ROOT = os.getcwd()
+MAX_VALUE_LENGTH = 200
+
+# Names the program didn't create itself: modules, functions and classes
+HIDDEN_TYPES = (types.ModuleType, types.FunctionType, types.BuiltinFunctionType, type)
+
+
+class CountingStdout:
+    """Passes writes through to stdout, counting the bytes printed"""
+
+    def __init__(self, stream):
+        self.stream = stream
+        self.bytes = 0
+
+    def write(self, text):
+        self.bytes += len(text.encode('utf-8', 'replace'))
+        return self.stream.write(text)
+
+    def __getattr__(self, name):
+        return getattr(self.stream, name)
+
+
+stdout = CountingStdout(sys.stdout)
+trace_file = open(TRACE_PATH, 'w')
+steps = 0
+trace_bytes = 0
+
+
+def in_project(filename):
+    # "<frozen runpy>", "<string>" and the like aren't files
+    return not filename.startswith('<') and os.path.abspath(filename).startswith(ROOT + os.sep)
+
+
+def project_path(filename):
+    return os.path.relpath(os.path.abspath(filename), ROOT)
+
+
+def describe(value):
+    try:
+        text = repr(value)
+    except Exception:
+        text = '<unprintable>'
+    if len(text) > MAX_VALUE_LENGTH:
+        text = text[:MAX_VALUE_LENGTH - 3] + '...'
+    return {'type': type(value).__name__, 'value': text}
+
+
+def variables(frame):
+    result = []
+    for name, value in list(frame.f_locals.items()):
+        if name.startswith('__') or isinstance(value, HIDDEN_TYPES):
+            continue
+        result.append({'name': name, **describe(value)})
+    return result
+
+
+def call_stack(frame):
+    """The student's frames, outermost first"""
+    frames = []
+    while frame is not None:
+        if in_project(frame.f_code.co_filename):
+            frames.append({
+                'function': frame.f_code.co_name,
+                'file': project_path(frame.f_code.co_filename),
+                'line': frame.f_lineno,
+                'locals': variables(frame)
+            })
+        frame = frame.f_back
+    return frames[::-1]
+
+
+def write(line):
+    global trace_bytes
+    trace_file.write(line)
+    trace_file.flush()
+    trace_bytes += len(line)
+
+
+def stop_at_limit():
+    sys.settrace(None)
+    write(json.dumps({'type': 'limit'}) + '\n')
+    stdout.flush()
+    os._exit(0)
+
+
+def record_step(frame, event, arg):
+    global steps
+    if steps >= MAX_STEPS:
+        stop_at_limit()
+    steps += 1
+
+    step = {
+        'file': project_path(frame.f_code.co_filename),
+        'line': frame.f_lineno,
+        'event': event,
+        'function': frame.f_code.co_name,
+        'stack': call_stack(frame),
+        'stdoutBytes': stdout.bytes
+    }
+    if event == 'return':
+        step['returnValue'] = describe(arg)
+    line = json.dumps(step) + '\n'
+    if trace_bytes + len(line) > MAX_BYTES:
+        stop_at_limit()
+    write(line)
+
+
+def tracer(frame, event, arg):
+    if not in_project(frame.f_code.co_filename):
+        return None
+    if event in ('line', 'return'):
+        record_step(frame, event, arg)
+    return tracer
+
+
+def main():
+    sys.argv = [ENTRY]
+    sys.path[0] = ROOT
+    sys.stdout = stdout
+    exit_code = 0
+
+    sys.settrace(tracer)
+    try:
+        runpy.run_path(ENTRY, run_name='__main__')
+    except SystemExit as error:
+        exit_code = error.code if isinstance(error.code, int) else (0 if error.code is None else 1)
+    except BaseException:
+        sys.settrace(None)
+        # Report it the way python3 would, without the tracer's own frames
+        error_type, error, tb = sys.exc_info()
+        while tb is not None and not in_project(tb.tb_frame.f_code.co_filename):
+            tb = tb.tb_next
+        traceback.print_exception(error_type, error, tb)
+        exit_code = 1
+    finally:
+        sys.settrace(None)
+
+    stdout.flush()
+    trace_file.close()
+    sys.exit(exit_code)
+
+
+main()
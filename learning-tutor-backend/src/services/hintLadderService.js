@@ -0,0 +1,130 @@
+/**
+ * Hint Ladder Service
+ *
+ * The server decides how direct a hint is. Each conversation keeps one
+ * ladder per problem: every hint request climbs one rung, from a nudge
+ * (rung 1) to the most direct conceptual pointer, with one rung per entry
+ * in HINT_LEVEL_INSTRUCTIONS. The ladder goes back to the bottom when the
+ * code changes in a way that matters, or when the student's code passes
+ * the problem's tests. A classroom assignment can end the ladder early
+ * (its maxHintLevel). Ladders are stored with the conversation, so a
+ * signed-in student's hints survive restarts.
+ */
+
+const crypto = require('crypto');
+const { HINT_LEVEL_INSTRUCTIONS } = require('../prompts/analysisPrompts');
+const { parseCode, walk } = require('../utils/codeParser');
+const { persistConversation } = require('./conversationService');
+
+// Rungs on the ladder - the prompt has one instruction per rung
+const MAX_RUNG = Object.keys(HINT_LEVEL_INSTRUCTIONS).length;
+
+// Comment nodes across the grammars (Java splits line and block comments)
+const COMMENT_TYPES = ['comment', 'line_comment', 'block_comment'];
+
+// Ladder used when the client doesn't name a problem
+const DEFAULT_PROBLEM = 'default';
+
+/**
+ * Fingerprint of what the code does, ignoring comments and layout
+ * Re-indenting or adding a comment keeps the fingerprint; changing any
+ * token (a name, an operator, a number) changes it
+ */
+async function codeFingerprint(code, language) {
+  const tokens = [];
+  const tree = await parseCode(code, language).catch(() => null);
+
+  if (tree) {
+    walk(tree.rootNode, node => {
+      if (COMMENT_TYPES.includes(node.type)) return false;
+      if (node.childCount === 0 && node.text) tokens.push(node.text);
+    });
+    tree.delete();
+  } else {
+    tokens.push(...code.split(/\s+/).filter(Boolean));
+  }
+
+  return crypto.createHash('sha1').update(tokens.join(' ')).digest('hex');
+}
+
+/**
+ * The ladder for one problem in a conversation (created at the bottom)
+ */
+function getLadder(conversation, problemId) {
+  const key = problemId || DEFAULT_PROBLEM;
+  if (!conversation.hintLadders.has(key)) {
+    conversation.hintLadders.set(key, { rung: 0, fingerprint: null, maxRung: MAX_RUNG });
+  }
+  return conversation.hintLadders.get(key);
+}
+
+/**
+ * What a ladder reports back to the client
+ * Before the first hint the student is on rung 1 with every hint left
+ */
+function describeLadder(ladder) {
+  const hintLevel = Math.max(ladder.rung, 1);
+  return {
+    hintLevel,
+    hintsRemaining: Math.max(ladder.maxRung - ladder.rung, 0),
+    maxHintLevel: ladder.maxRung
+  };
+}
+
+/**
+ * Moves the ladder for this request and returns the rung to answer with
+ * Returns { hintLevel, hintsRemaining, maxHintLevel, hintsReset }
+ *
+ * A hint request climbs one rung (staying on the top one once there);
+ * other requests are answered on the current rung. Code that changed
+ * meaningfully since the last request sends the ladder back to the bottom
+ * first. Requests without code leave the fingerprint alone. maxRung caps
+ * the climb below the top of the ladder.
+ */
+async function climbHintLadder(conversation, { problemId, code, language, hintRequest, maxRung = MAX_RUNG }) {
+  const ladder = getLadder(conversation, problemId);
+  let hintsReset = false;
+  ladder.maxRung = maxRung;
+
+  if (code) {
+    const fingerprint = await codeFingerprint(code, language);
+    if (ladder.fingerprint && ladder.fingerprint !== fingerprint && ladder.rung > 0) {
+      ladder.rung = 0;
+      hintsReset = true;
+    }
+    ladder.fingerprint = fingerprint;
+  }
+
+  if (hintRequest) {
+    ladder.rung = Math.min(ladder.rung + 1, maxRung);
+  }
+
+  return { ...describeLadder(ladder), hintsReset };
+}
+
+/**
+ * Sends a problem's ladder back to the bottom (e.g. once its tests pass)
+ */
+function resetHintLadder(conversation, problemId) {
+  const ladder = getLadder(conversation, problemId);
+  ladder.rung = 0;
+  ladder.fingerprint = null;
+  persistConversation(conversation);
+}
+
+/**
+ * Every ladder of a conversation, keyed by problem id
+ */
+function listHintLadders(conversation) {
+  return Object.fromEntries(
+    [...conversation.hintLadders].map(([problemId, ladder]) => [problemId, describeLadder(ladder)])
+  );
+}
+
+module.exports = {
+  MAX_RUNG,
+  codeFingerprint,
+  climbHintLadder,
+  resetHintLadder,
+  listHintLadders
+};
@@ -0,0 +1,87 @@
+/**
+ * Interactive Run Service
+ *
+ * Runs code over a WebSocket at /run/interactive so programs that read input
+ * (input(), scanf, Scanner) can be used the way they are at a terminal: the
+ * output streams back as it is printed and the student types stdin as the
+ * program asks for it. Needs CODE_EXECUTOR=local.
+ *
+ * Messages are JSON. The client sends:
+ *   { type: "start", code, language }   // first, once (or files + entry instead of code, as for POST /run)
+ *   { type: "input", data: string }     // written to stdin as-is (send the "\n")
+ *   { type: "eof" }                     // close stdin (Ctrl+D)
+ *   { type: "kill" }                    // stop the program
+ *
+ * The server sends:
+ *   { type: "status", phase: "compiling" | "running" }
+ *   { type: "stdout" | "stderr", data: string }
+ *   { type: "exit", success, exitCode, signal, timedOut, outputTruncated, limitExceeded,
+ *     compilationError, executionTime, usage, diagnostics }   // then closes
+ *       // limitExceeded and usage as for POST /run
+ *   { type: "error", error, details? }                 // then closes
+ */
+
+const { supportsInteractive, startInteractiveRun } = require('./compilerService');
+const { attachSessions, exitMessage } = require('./socketSessions');
+const { normalizeLanguage } = require('../utils/validators');
+
+const PATH = '/run/interactive';
+const MAX_RUNS = parseInt(process.env.MAX_INTERACTIVE_RUNS) || 20;
+
+/**
+ * Starts the program of a start message and relays stdin to it
+ */
+function startRun(message, { send, end }) {
+  const language = normalizeLanguage(message.language);
+  const size = message.files ? `${message.files.length} files` : `${message.code.length} chars`;
+  console.log(`[Run] Interactive ${language} run (${size})`);
+  const startTime = Date.now();
+
+  const run = startInteractiveRun(message.files || message.code, language, {
+    onStatus: (phase) => send({ type: 'status', phase }),
+    onOutput: (stream, data) => send({ type: stream, data }),
+    onExit: (result) => {
+      const executionTime = Date.now() - startTime;
+      console.log(`[Run] Interactive run finished in ${executionTime}ms, success: ${result.success}`);
+      send(exitMessage(result, language, executionTime));
+      end();
+    }
+  }, { entry: message.entry });
+
+  return {
+    receive(message) {
+      switch (message.type) {
+        case 'input':
+          if (typeof message.data === 'string') run.write(message.data);
+          break;
+        case 'eof':
+          run.endInput();
+          break;
+        case 'kill':
+          run.kill();
+          break;
+        default:
+          // Unknown messages mid-run are ignored rather than ending the program
+          break;
+      }
+    },
+    kill: () => run.kill()
+  };
+}
+
+/**
+ * Serves interactive runs on the HTTP server's /run/interactive upgrades
+ */
+function attachInteractiveRuns(server) {
+  return attachSessions(server, {
+    path: PATH,
+    label: '[Run] Interactive',
+    isAvailable: supportsInteractive,
+    unavailableError: 'Interactive runs need CODE_EXECUTOR=local - use a batch run with stdin instead',
+    maxSessions: MAX_RUNS,
+    busyError: 'Too many interactive runs right now - try again in a moment',
+    start: startRun
+  });
+}
+
+module.exports = { attachInteractiveRuns, PATH };
@@ -0,0 +1,191 @@
+/**
+ * Judge Service
+ *
+ * Runs student code against a list of test cases and returns a verdict
+ * per case, the same way online judges (LeetCode, Codeforces) do.
+ * Built on top of compilerService.runBatch, so it works with any executor;
+ * the code is compiled once for all the cases where the executor allows it.
+ */
+
+const { runBatch } = require('./compilerService');
+
+const VERDICTS = {
+  ACCEPTED: 'Accepted',
+  WRONG_ANSWER: 'Wrong Answer',
+  RUNTIME_ERROR: 'Runtime Error',
+  TIME_LIMIT_EXCEEDED: 'Time Limit Exceeded',
+  MEMORY_LIMIT_EXCEEDED: 'Memory Limit Exceeded',
+  COMPILATION_ERROR: 'Compilation Error'
+};
+
+const DEFAULT_TIME_LIMIT_MS = 2000;
+const DEFAULT_FLOAT_TOLERANCE = 1e-6;
+
+// Only the first few differing lines are reported to keep responses small
+const MAX_DIFF_LINES = 10;
+
+/**
+ * Splits output into lines, ignoring trailing newlines
+ */
+function toLines(text) {
+  return (text || '').replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n');
+}
+
+/**
+ * Splits output into whitespace-separated tokens
+ */
+function toTokens(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Compares two tokens numerically when both are numbers
+ */
+function tokensMatchWithTolerance(expected, actual, tolerance) {
+  if (expected === actual) return true;
+  const a = Number(expected);
+  const b = Number(actual);
+  if (Number.isNaN(a) || Number.isNaN(b)) return false;
+  return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a));
+}
+
+/**
+ * Compares expected vs actual output with the given mode
+ * - exact:      identical apart from trailing newlines / CRLF
+ * - whitespace: same tokens, any spacing
+ * - float:      same tokens, numbers equal within tolerance
+ * - unordered:  same lines in any order (trailing spaces ignored)
+ */
+function compareOutput(expected, actual, { mode = 'exact', tolerance = DEFAULT_FLOAT_TOLERANCE } = {}) {
+  switch (mode) {
+    case 'whitespace': {
+      const e = toTokens(expected);
+      const a = toTokens(actual);
+      return e.length === a.length && e.every((token, i) => token === a[i]);
+    }
+    case 'float': {
+      const e = toTokens(expected);
+      const a = toTokens(actual);
+      return e.length === a.length && e.every((token, i) => tokensMatchWithTolerance(token, a[i], tolerance));
+    }
+    case 'unordered': {
+      const e = toLines(expected).map(l => l.trimEnd()).sort();
+      const a = toLines(actual).map(l => l.trimEnd()).sort();
+      return e.length === a.length && e.every((line, i) => line === a[i]);
+    }
+    case 'exact':
+    default:
+      return toLines(expected).join('\n') === toLines(actual).join('\n');
+  }
+}
+
+/**
+ * Builds a line-by-line diff of the first mismatching lines
+ * Returns [{ line, expected, actual }]
+ */
+function buildDiff(expected, actual) {
+  const e = toLines(expected);
+  const a = toLines(actual);
+  const diff = [];
+
+  for (let i = 0; i < Math.max(e.length, a.length) && diff.length < MAX_DIFF_LINES; i++) {
+    if (e[i] !== a[i]) {
+      diff.push({
+        line: i + 1,
+        expected: e[i] === undefined ? null : e[i],
+        actual: a[i] === undefined ? null : a[i]
+      });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Judges a single run result against one test case
+ */
+function judgeResult(result, testCase, options) {
+  if (result.limitExceeded === 'memory') {
+    return VERDICTS.MEMORY_LIMIT_EXCEEDED;
+  }
+  if (result.timedOut) {
+    return VERDICTS.TIME_LIMIT_EXCEEDED;
+  }
+  if (result.exitCode !== 0) {
+    return VERDICTS.RUNTIME_ERROR;
+  }
+  return compareOutput(testCase.expectedOutput, result.stdout, options)
+    ? VERDICTS.ACCEPTED
+    : VERDICTS.WRONG_ANSWER;
+}
+
+/**
+ * Compiles the code once, then runs it against every test case
+ * (sequentially - one sandbox at a time)
+ *
+ * testCases: [{ input, expectedOutput, timeLimitMs?, comparison?, tolerance? }]
+ * Returns { verdict, passed, total, results: [...] }, or when the code does
+ * not compile { verdict: "Compilation Error", passed: 0, total, compileError, results: [] }
+ * with the compiler's message in compileError - once, not per case
+ */
+async function judgeCode({ code, language, testCases, comparison = 'exact', tolerance }) {
+  const { compileError, results: runs } = await runBatch(code, language, testCases.map(testCase => ({
+    input: testCase.input || '',
+    timeLimitMs: testCase.timeLimitMs || DEFAULT_TIME_LIMIT_MS
+  })));
+
+  if (compileError) {
+    return {
+      verdict: VERDICTS.COMPILATION_ERROR,
+      passed: 0,
+      total: testCases.length,
+      compileError: compileError.stderr || 'Compilation failed',
+      results: []
+    };
+  }
+
+  const results = testCases.map((testCase, index) => {
+    const result = runs[index];
+    const options = {
+      mode: testCase.comparison || comparison,
+      tolerance: testCase.tolerance ?? tolerance ?? DEFAULT_FLOAT_TOLERANCE
+    };
+
+    const verdict = judgeResult(result, testCase, options);
+    const caseResult = {
+      index,
+      verdict,
+      executionTime: result.executionTime,
+      comparison: options.mode
+    };
+
+    if (verdict !== VERDICTS.ACCEPTED) {
+      caseResult.input = testCase.input || '';
+      caseResult.expectedOutput = testCase.expectedOutput;
+      caseResult.actualOutput = result.stdout || '';
+      caseResult.stderr = result.stderr || '';
+    }
+    if (verdict === VERDICTS.WRONG_ANSWER) {
+      caseResult.diff = buildDiff(testCase.expectedOutput, result.stdout);
+    }
+
+    return caseResult;
+  });
+
+  const passed = results.filter(r => r.verdict === VERDICTS.ACCEPTED).length;
+  const firstFailure = results.find(r => r.verdict !== VERDICTS.ACCEPTED);
+
+  return {
+    verdict: firstFailure ? firstFailure.verdict : VERDICTS.ACCEPTED,
+    passed,
+    total: testCases.length,
+    results
+  };
+}
+
+module.exports = {
+  judgeCode,
+  compareOutput,
+  buildDiff,
+  VERDICTS
+};
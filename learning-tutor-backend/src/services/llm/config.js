@@ -0,0 +1,69 @@
+/**
+ * LLM Configuration
+ *
+ * Reads provider selection, models, timeouts and fallback order from the
+ * environment so switching providers never needs a code change.
+ */
+
+const DEFAULT_GROQ_MODELS = ['llama-3.3-70b-versatile'];
+const DEFAULT_GROQ_VISION_MODELS = [
+  'meta-llama/llama-4-scout-17b-16e-instruct',  // Llama 4 multimodal
+  'meta-llama/llama-4-maverick-17b-128e-instruct' // Alternative Llama 4
+];
+
+/**
+ * Splits a comma-separated env value into a trimmed list
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds the LLM configuration from process.env
+ *
+ * LLM_PROVIDER            groq | openai-compatible | mock (default: groq when GROQ_API_KEY is set)
+ * LLM_FALLBACK_PROVIDERS  providers to try, in order, when the primary fails
+ * LLM_TIMEOUT_MS          per-attempt timeout for text completions (default 5000)
+ * LLM_VISION_TIMEOUT_MS   per-attempt timeout for image completions (default 30000)
+ * LLM_JSON_MODE           send response_format json_object (default true)
+ */
+function loadLLMConfig(env = process.env) {
+  const primary = (env.LLM_PROVIDER || (env.GROQ_API_KEY ? 'groq' : '')).toLowerCase();
+  const fallbacks = parseList(env.LLM_FALLBACK_PROVIDERS).map(name => name.toLowerCase());
+
+  return {
+    order: [...new Set([primary, ...fallbacks].filter(Boolean))],
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS) || 5000,
+    visionTimeoutMs: parseInt(env.LLM_VISION_TIMEOUT_MS) || 30000,
+    jsonMode: env.LLM_JSON_MODE !== 'false',
+    providers: {
+      groq: {
+        baseURL: 'https://api.groq.com/openai/v1',
+        apiKey: env.GROQ_API_KEY,
+        // AI_MODEL is kept for existing deployments; GROQ_MODELS adds fallbacks
+        models: parseList(env.GROQ_MODELS || env.AI_MODEL).length
+          ? parseList(env.GROQ_MODELS || env.AI_MODEL)
+          : DEFAULT_GROQ_MODELS,
+        visionModels: parseList(env.GROQ_VISION_MODELS).length
+          ? parseList(env.GROQ_VISION_MODELS)
+          : DEFAULT_GROQ_VISION_MODELS
+      },
+      'openai-compatible': {
+        baseURL: env.LLM_BASE_URL,
+        // Local servers (Ollama, llama.cpp) ignore the key but the SDK requires one
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        models: parseList(env.LLM_MODELS),
+        visionModels: parseList(env.LLM_VISION_MODELS)
+      },
+      mock: {
+        models: ['mock-tutor'],
+        visionModels: ['mock-vision']
+      }
+    }
+  };
+}
+
+module.exports = { loadLLMConfig, parseList };
@@ -0,0 +1,130 @@
+/**
+ * LLM Service
+ *
+ * The one place that talks to language models. aiService and the image route
+ * call chatCompletion / streamCompletion and never construct clients directly.
+ *
+ * Providers are tried in the configured order (LLM_PROVIDER, then
+ * LLM_FALLBACK_PROVIDERS); within a provider, each model is tried in order.
+ */
+
+const { loadLLMConfig } = require('./config');
+const { createOpenAICompatibleProvider } = require('./providers/openaiCompatibleProvider');
+const { createMockProvider } = require('./providers/mockProvider');
+
+const PROVIDER_FACTORIES = {
+  groq: (options) => createOpenAICompatibleProvider('groq', options),
+  'openai-compatible': (options) => createOpenAICompatibleProvider('openai-compatible', options),
+  mock: (options) => createMockProvider(options)
+};
+
+const config = loadLLMConfig();
+
+const providers = config.order
+  .map((name) => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      console.warn(`[LLM] Unknown provider "${name}" - skipping`);
+      return null;
+    }
+    const provider = factory(config.providers[name]);
+    if (!provider) {
+      console.warn(`[LLM] Provider "${name}" is not configured - skipping`);
+    }
+    return provider;
+  })
+  .filter(Boolean);
+
+if (providers.length > 0) {
+  console.log(`[LLM] Providers: ${providers.map(p => `${p.name} (${p.models.join(', ')})`).join(' -> ')}`);
+} else {
+  console.log('[LLM] No LLM provider configured - using fallback responses');
+  console.log('[LLM] Get a free Groq key at: https://console.groq.com/keys');
+}
+
+/**
+ * Whether any provider can be used
+ */
+function isLLMAvailable({ vision = false } = {}) {
+  return providers.some(p => (vision ? p.visionModels : p.models).length > 0);
+}
+
+/**
+ * Every (provider, model) pair to try, in fallback order
+ */
+function getAttempts(vision) {
+  return providers.flatMap(provider =>
+    (vision ? provider.visionModels : provider.models).map(model => ({ provider, model }))
+  );
+}
+
+/**
+ * Runs a chat completion with fallback across providers and models
+ * Returns { content, provider, model }
+ */
+async function chatCompletion({ messages, temperature = 0.7, maxTokens = 800, json = false, vision = false, signal }) {
+  const timeoutMs = vision ? config.visionTimeoutMs : config.timeoutMs;
+  let lastError = null;
+
+  for (const { provider, model } of getAttempts(vision)) {
+    try {
+      const attemptSignal = AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)].filter(Boolean));
+      const content = await provider.complete({
+        model,
+        messages,
+        temperature,
+        maxTokens,
+        json: json && config.jsonMode,
+        signal: attemptSignal
+      });
+      return { content, provider: provider.name, model };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.log(`[LLM] ${provider.name}/${model} failed: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No LLM provider configured');
+}
+
+/**
+ * Streams a chat completion, yielding text pieces
+ * Falls back to the next provider/model only if nothing has been yielded yet;
+ * the timeout applies to the wait for the first piece.
+ */
+async function* streamCompletion({ messages, temperature = 0.7, maxTokens = 1500, signal }) {
+  let lastError = null;
+
+  for (const { provider, model } of getAttempts(false)) {
+    const firstTokenTimeout = new AbortController();
+    const timer = setTimeout(() => firstTokenTimeout.abort(new Error('LLM stream timeout')), config.timeoutMs);
+    let started = false;
+
+    try {
+      const attemptSignal = AbortSignal.any([signal, firstTokenTimeout.signal].filter(Boolean));
+      for await (const text of provider.stream({ model, messages, temperature, maxTokens, signal: attemptSignal })) {
+        if (!started) {
+          started = true;
+          clearTimeout(timer);
+        }
+        yield text;
+      }
+      return;
+    } catch (error) {
+      if (started || signal?.aborted) throw error;
+      console.log(`[LLM] ${provider.name}/${model} stream failed: ${error.message}`);
+      lastError = error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  throw lastError || new Error('No LLM provider configured');
+}
+
+module.exports = {
+  isLLMAvailable,
+  chatCompletion,
+  streamCompletion
+};
@@ -0,0 +1,91 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic provider for tests and offline demos. Never calls the network;
+ * the same prompt always produces the same reply.
+ */
+
+const { STREAM_META_MARKER } = require('../../../prompts/analysisPrompts');
+
+/**
+ * Text of the last user message (image parts are ignored)
+ */
+function getLastUserText(messages) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return last.content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Builds the canned reply for a prompt
+ */
+function buildMockReply(messages) {
+  const prompt = getLastUserText(messages);
+  const question = prompt.match(/Student asked: "([^"]*)"/);
+  const topic = question ? question[1].slice(0, 80) : 'your code';
+
+  // Socratic mode: questions only, grading any answer as partly right
+  if (prompt.includes('SOCRATIC MODE')) {
+    const answering = prompt.includes('your open question was');
+    return {
+      reply: answering
+        ? 'Close - you are on the right track.\n\nWhat value does each variable hold after the first line runs?'
+        : 'What do you expect your program to print for the smallest possible input?',
+      answerEvaluation: answering ? 'partially-correct' : null,
+      socraticMove: answering ? 'follow-up' : 'ask',
+      concept: 'tracing-code',
+      conceptsTaught: ['tracing-code'],
+      suggestedNextConcept: 'problem-decomposition'
+    };
+  }
+
+  // Asked for the answer: a reply that breaks the no-solutions rule, so the
+  // leak detector has something to catch
+  if (/\bsolution\b/i.test(topic)) {
+    return {
+      reply: 'Here is the whole thing:\n\n```python\ndef add_numbers(a, b):\n    total = a + b\n    return total\n\n'
+        + 'def main():\n    x = int(input())\n    y = int(input())\n    print(add_numbers(x, y))\n\nif __name__ == "__main__":\n    main()\n```\n\n'
+        + 'Try it with two small numbers.',
+      conceptsTaught: ['functions'],
+      suggestedNextConcept: 'tracing-code'
+    };
+  }
+
+  return {
+    reply: `**Concept:**\nLet's think about ${topic} step by step.\n\n**Logic Breakdown:**\n1. Describe what the input looks like.\n2. Decide what should happen to it.\n3. Check the result with a small example.`,
+    conceptsTaught: ['problem-decomposition'],
+    suggestedNextConcept: 'tracing-code'
+  };
+}
+
+function createMockProvider({ models, visionModels }) {
+  return {
+    name: 'mock',
+    models,
+    visionModels,
+
+    async complete({ messages, json }) {
+      const reply = buildMockReply(messages);
+      return json ? JSON.stringify(reply) : reply.reply;
+    },
+
+    async *stream({ messages }) {
+      const { reply, ...meta } = buildMockReply(messages);
+      const wantsMeta = getLastUserText(messages).includes(STREAM_META_MARKER);
+      const words = reply.split(/(\s+)/);
+
+      for (let i = 0; i < words.length; i += 4) {
+        yield words.slice(i, i + 4).join('');
+      }
+      if (wantsMeta) {
+        yield `\n${STREAM_META_MARKER}${JSON.stringify(meta)}`;
+      }
+    }
+  };
+}
+
+module.exports = { createMockProvider };
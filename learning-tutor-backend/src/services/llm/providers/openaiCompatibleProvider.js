@@ -0,0 +1,61 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Talks to any server that implements the OpenAI chat completions API:
+ * Groq, OpenAI itself, or a local Ollama / llama.cpp server.
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Creates a provider for an OpenAI-compatible endpoint
+ * Returns null when the endpoint is not configured
+ */
+function createOpenAICompatibleProvider(name, { baseURL, apiKey, models, visionModels }) {
+  if (!baseURL || !apiKey || models.length === 0) {
+    return null;
+  }
+
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    models,
+    visionModels,
+
+    /**
+     * Returns the full completion text
+     */
+    async complete({ model, messages, temperature, maxTokens, json, signal }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      }, { signal });
+
+      return response.choices[0]?.message?.content || '';
+    },
+
+    /**
+     * Yields the completion text piece by piece
+     */
+    async *stream({ model, messages, temperature, maxTokens, signal }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
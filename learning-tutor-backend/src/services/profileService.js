@@ -0,0 +1,63 @@
+/**
+ * Profile Service
+ *
+ * A signed-in student's learning profile: the progress counters and the
+ * learning state the frontend keeps in localStorage. The browser copy is
+ * an offline cache; this is the copy every device syncs with.
+ *
+ * Each document carries the time it last changed (updatedAt, ms since the
+ * epoch) and the newer copy wins, one document at a time.
+ */
+
+const { getDatabase } = require('./database');
+
+// Synced documents: request/response name -> columns
+const DOCUMENTS = {
+  progress: { data: 'progress', updatedAt: 'progress_updated_at' },
+  learningState: { data: 'learning_state', updatedAt: 'learning_state_updated_at' }
+};
+
+/**
+ * The stored profile: { progress: { data, updatedAt }, learningState: { data, updatedAt } }
+ * data is null for a document that was never synced
+ */
+function getProfile(userId) {
+  const row = getDatabase().prepare('SELECT * FROM profiles WHERE user_id = ?').get(userId) || {};
+  return Object.fromEntries(Object.entries(DOCUMENTS).map(([name, columns]) => [name, {
+    data: row[columns.data] ? JSON.parse(row[columns.data]) : null,
+    updatedAt: row[columns.updatedAt] || 0
+  }]));
+}
+
+/**
+ * Merges the client's documents into the stored profile and returns the result
+ * A document is stored only if it is newer than the server's copy; the
+ * response holds the winning copy of each, for the client to cache.
+ */
+function syncProfile(userId, documents) {
+  const db = getDatabase();
+
+  // A device whose clock runs ahead must not win every future sync
+  const now = Date.now();
+
+  const merge = db.transaction(() => {
+    db.prepare('INSERT OR IGNORE INTO profiles (user_id) VALUES (?)').run(userId);
+    const stored = getProfile(userId);
+
+    for (const [name, columns] of Object.entries(DOCUMENTS)) {
+      const incoming = documents[name];
+      if (!incoming || incoming.updatedAt <= stored[name].updatedAt) continue;
+      db.prepare(`UPDATE profiles SET ${columns.data} = ?, ${columns.updatedAt} = ? WHERE user_id = ?`)
+        .run(JSON.stringify(incoming.data), Math.min(incoming.updatedAt, now), userId);
+    }
+    return getProfile(userId);
+  });
+
+  return merge();
+}
+
+module.exports = {
+  PROFILE_DOCUMENTS: Object.keys(DOCUMENTS),
+  getProfile,
+  syncProfile
+};
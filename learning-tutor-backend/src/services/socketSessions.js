@@ -0,0 +1,143 @@
+/**
+ * Socket Sessions
+ *
+ * What the WebSocket endpoints for live programs (/run/interactive, /debug)
+ * have in common: the connection waits for one { type: "start", code,
+ * language } message (or files + entry instead of code, as for POST /run),
+ * starts a session, then passes every later message to it. Messages that are
+ * not JSON, a bad start message or too many sessions end the connection with
+ *   { type: "error", error, details? }
+ * Closing the socket stops the session's program.
+ */
+
+const { WebSocketServer } = require('ws');
+const { parseDiagnostics } = require('../utils/diagnosticsParser');
+const { normalizeLanguage, checkProjectFiles, SUPPORTED_LANGUAGES } = require('../utils/validators');
+
+const MAX_MESSAGE_BYTES = 256 * 1024;
+
+/**
+ * Errors in the program part of a start message: language, and code or files
+ */
+function checkProgram(message) {
+  const errors = [];
+  const language = typeof message.language === 'string' ? normalizeLanguage(message.language) : null;
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+  if (message.files !== undefined) {
+    errors.push(...checkProjectFiles(message.files, language, message.entry));
+  } else if (typeof message.code !== 'string' || !message.code.trim()) {
+    errors.push('code is required');
+  }
+  return errors;
+}
+
+/**
+ * The "exit" message for a finished program (an execute()-shaped result)
+ */
+function exitMessage(result, language, executionTime) {
+  return {
+    type: 'exit',
+    success: result.success,
+    exitCode: result.exitCode,
+    signal: result.signal || null,
+    timedOut: Boolean(result.timedOut),
+    outputTruncated: Boolean(result.outputTruncated),
+    limitExceeded: result.limitExceeded || null,
+    compilationError: Boolean(result.compilationError),
+    executionTime,
+    usage: result.usage || null,
+    diagnostics: result.success ? [] : parseDiagnostics(result, language)
+  };
+}
+
+/**
+ * Serves one connection for attachSessions()
+ */
+function handleConnection(socket, { label, maxSessions, busyError, validateStart, start }, active) {
+  let session = null;
+  let ended = false;
+
+  const send = (message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+  const fail = (error, details) => {
+    send({ type: 'error', error, ...(details && { details }) });
+    socket.close();
+  };
+  const end = () => {
+    ended = true;
+    active.delete(session);
+    socket.close();
+  };
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return fail('Invalid request', ['messages must be JSON']);
+    }
+
+    if (session) {
+      session.receive(message || {});
+      return;
+    }
+
+    if (message?.type !== 'start') {
+      return fail('Invalid request', ['the first message must be { type: "start", code, language }']);
+    }
+    const errors = checkProgram(message);
+    if (errors.length === 0 && validateStart) errors.push(...validateStart(message));
+    if (errors.length > 0) {
+      return fail('Invalid request', errors);
+    }
+    if (active.size >= maxSessions) {
+      return fail(busyError);
+    }
+
+    session = start(message, { send, end });
+    if (!ended) active.add(session);
+  });
+
+  socket.on('close', () => {
+    if (session && active.has(session)) session.kill();
+  });
+  socket.on('error', (error) => console.error(`${label} socket error:`, error.message));
+}
+
+/**
+ * Serves live sessions on the HTTP server's upgrades to options.path
+ *
+ * options: {
+ *   path, label,                  // label prefixes log lines ("[Run]")
+ *   isAvailable(), unavailableError,
+ *   maxSessions, busyError,
+ *   validateStart?(message),      // errors beyond checkProgram()'s
+ *   start(message, { send, end }) // returns the session: { receive(message), kill() };
+ *                                 // end() once it is over closes the socket
+ * }
+ */
+function attachSessions(server, options) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  // Sessions in progress, so the limit can be checked
+  const active = new Set();
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== options.path) return;
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      if (!options.isAvailable()) {
+        ws.send(JSON.stringify({ type: 'error', error: options.unavailableError }));
+        ws.close();
+        return;
+      }
+      handleConnection(ws, options, active);
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { attachSessions, exitMessage };
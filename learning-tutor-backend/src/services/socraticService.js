@@ -0,0 +1,113 @@
+/**
+ * Socratic Service
+ *
+ * State and fallbacks for Socratic mode, where the tutor only asks guiding
+ * questions. Each reply ends with a question; the student's next message is
+ * taken as the answer, graded, and the tutor either asks a narrower
+ * follow-up or reveals the idea and moves on to the next one.
+ *
+ * The state lives on the conversation, so it expires with it, and is stored
+ * with a signed-in student's conversation by its next recordTurn.
+ */
+
+// Grades for the student's answer to the last question
+const ANSWER_EVALUATIONS = ['correct', 'partially-correct', 'wrong'];
+
+// What a Socratic reply does:
+//   ask       - opens a new line of questions (nothing to grade yet)
+//   follow-up - a narrower question about the same idea
+//   reveal    - states the idea the student was circling, then asks about the next one
+const SOCRATIC_MOVES = ['ask', 'follow-up', 'reveal'];
+
+// Follow-ups on one idea before the tutor reveals it
+const MAX_FOLLOW_UPS = parseInt(process.env.SOCRATIC_MAX_FOLLOW_UPS) || 2;
+
+// Questions for when there is no model and no detected error to ask about
+const GENERIC_QUESTIONS = [
+  'What should your program print for the simplest input you can think of? What does it print now?',
+  'Pick one line you are unsure about. What do you expect it to do, and how could you check?',
+  'Which part of the problem does each block of your code handle? Is any part missing?'
+];
+
+/**
+ * Records a Socratic reply and returns what the response reports:
+ * { evaluation, concept, move }
+ * evaluation is null when there was no open question, or the model gave
+ * no valid grade; concept is the idea the graded question was about
+ */
+function recordSocraticTurn(conversation, { reply, answerEvaluation, socraticMove, concept }) {
+  const state = conversation.socratic;
+  const evaluation = state.awaitingAnswer && ANSWER_EVALUATIONS.includes(answerEvaluation) ? answerEvaluation : null;
+  const move = SOCRATIC_MOVES.includes(socraticMove) ? socraticMove : (state.awaitingAnswer ? 'follow-up' : 'ask');
+  const answeredConcept = evaluation ? state.concept : null;
+
+  state.followUps = move === 'follow-up' ? state.followUps + 1 : 0;
+  state.awaitingAnswer = true;
+  state.question = lastQuestion(reply);
+  state.concept = typeof concept === 'string' && concept ? concept : state.concept;
+
+  return { evaluation, concept: answeredConcept, move };
+}
+
+/**
+ * Closes any open question (the student switched back to explanations)
+ */
+function endSocraticDialogue(conversation) {
+  conversation.socratic.awaitingAnswer = false;
+  conversation.socratic.followUps = 0;
+}
+
+/**
+ * True once an idea has had as many follow-ups as it gets
+ */
+function shouldReveal(state) {
+  return state.followUps >= MAX_FOLLOW_UPS;
+}
+
+/**
+ * Last question in a reply (what the student is now answering)
+ */
+function lastQuestion(reply) {
+  const questions = (reply || '').match(/[^.!?\n]*\?/g);
+  return questions ? questions[questions.length - 1].trim() : '';
+}
+
+/**
+ * Socratic reply without a model: questions from the detected errors
+ * Answers can't be graded without a model, so answerEvaluation stays null
+ */
+function getFallbackSocratic({ state, detectedErrors = [], diagnostics = [] }) {
+  const issue = diagnostics[0] || detectedErrors[0];
+  const reveal = state.awaitingAnswer && shouldReveal(state);
+  const where = issue && issue.line ? `Look at line ${issue.line}. ` : '';
+
+  let question = GENERIC_QUESTIONS[Math.min(state.followUps, GENERIC_QUESTIONS.length - 1)];
+  if (issue && issue.hint && issue.hint.trim().endsWith('?')) {
+    question = `${where}${issue.hint}`;
+  } else if (issue) {
+    question = `${where}What do you expect that line to do, and what does it actually do?`;
+  }
+
+  const reply = reveal && issue
+    ? `Here's the idea we were circling: ${(issue.description || issue.message).replace(/[.!?]+$/, '')}.\n\nSo what would you change, in your own words?`
+    : question;
+
+  return {
+    reply,
+    answerEvaluation: null,
+    socraticMove: reveal ? 'reveal' : (state.awaitingAnswer ? 'follow-up' : 'ask'),
+    concept: issue ? issue.concept || issue.type : null,
+    conceptsTaught: issue ? [issue.concept || issue.type] : [],
+    suggestedNextConcept: ''
+  };
+}
+
+module.exports = {
+  ANSWER_EVALUATIONS,
+  SOCRATIC_MOVES,
+  MAX_FOLLOW_UPS,
+  recordSocraticTurn,
+  endSocraticDialogue,
+  shouldReveal,
+  getFallbackSocratic
+};
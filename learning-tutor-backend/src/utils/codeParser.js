@@ -0,0 +1,174 @@
+/**
+ * Code Parser
+ *
+ * Parses student code into syntax trees with tree-sitter. The grammars are
+ * WebAssembly files shipped in node_modules, so parsing needs no compiler
+ * and no network. Trees keep going after syntax errors (marking ERROR and
+ * MISSING nodes), which is what lets us point at more than the first error.
+ */
+
+const Parser = require('web-tree-sitter');
+
+// Grammar file for each supported language
+const GRAMMARS = {
+  python: 'tree-sitter-python.wasm',
+  c: 'tree-sitter-c.wasm',
+  cpp: 'tree-sitter-cpp.wasm',
+  java: 'tree-sitter-java.wasm'
+};
+
+const parsers = {};
+let loading = null;
+
+/**
+ * Loads every grammar once; later calls share the same promise
+ */
+function initParsers() {
+  if (!loading) {
+    loading = (async () => {
+      await Parser.init();
+      for (const [language, file] of Object.entries(GRAMMARS)) {
+        const grammar = await Parser.Language.load(require.resolve(`tree-sitter-wasms/out/${file}`));
+        const parser = new Parser();
+        parser.setLanguage(grammar);
+        parsers[language] = parser;
+      }
+      console.log(`[Parser] Loaded grammars: ${Object.keys(parsers).join(', ')}`);
+    })().catch(error => {
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Parses code for a language
+ * Returns a tree (call tree.delete() when done) or null for unknown languages
+ */
+async function parseCode(code, language) {
+  await initParsers();
+  const parser = parsers[language];
+  return parser ? parser.parse(code) : null;
+}
+
+/**
+ * Range of a node: 1-based lines and columns, end column exclusive
+ * Zero-width nodes (MISSING tokens) cover the character just before them
+ */
+function nodeRange(node) {
+  const start = node.startPosition;
+  const end = node.endPosition;
+  if (start.row === end.row && start.column === end.column) {
+    const column = Math.max(start.column - 1, 0);
+    return { line: start.row + 1, column: column + 1, endLine: start.row + 1, endColumn: column + 2 };
+  }
+  return {
+    line: start.row + 1,
+    column: start.column + 1,
+    endLine: end.row + 1,
+    endColumn: end.column + 1
+  };
+}
+
+/**
+ * Range from the start of one node to the end of another
+ */
+function spanRange(first, last) {
+  const start = nodeRange(first);
+  const end = nodeRange(last);
+  return { line: start.line, column: start.column, endLine: end.endLine, endColumn: end.endColumn };
+}
+
+/**
+ * Range on a single line, from 0-based line index and start/end offsets
+ */
+function lineRange(lineIndex, start, end) {
+  return {
+    line: lineIndex + 1,
+    column: start + 1,
+    endLine: lineIndex + 1,
+    endColumn: Math.max(end, start + 1) + 1
+  };
+}
+
+/**
+ * Depth-first walk over every node (named and anonymous)
+ * Return false from visit to skip a node's children
+ * Uses a tree cursor rather than recursion, so deeply nested code
+ * (thousands of brackets) can't overflow the call stack
+ */
+function walk(node, visit) {
+  const cursor = node.walk();
+  try {
+    let descend = visit(cursor.currentNode()) !== false;
+    for (;;) {
+      if (!(descend && cursor.gotoFirstChild())) {
+        // Done with this subtree: on to the next sibling of the nearest ancestor that has one
+        while (!cursor.gotoNextSibling()) {
+          if (!cursor.gotoParent()) return;
+        }
+      }
+      descend = visit(cursor.currentNode()) !== false;
+    }
+  } finally {
+    cursor.delete();
+  }
+}
+
+/**
+ * All descendants (and the node itself) whose type is in the list
+ */
+function findAll(node, types) {
+  const found = [];
+  walk(node, n => {
+    if (types.includes(n.type)) found.push(n);
+  });
+  return found;
+}
+
+/**
+ * Every child stored under a field name (declarations can have several declarators)
+ */
+function fieldChildren(node, field) {
+  const children = [];
+  const cursor = node.walk();
+  if (cursor.gotoFirstChild()) {
+    do {
+      if (cursor.currentFieldName() === field) children.push(cursor.currentNode());
+    } while (cursor.gotoNextSibling());
+  }
+  cursor.delete();
+  return children;
+}
+
+/**
+ * True when node is the child stored under the given field of its parent
+ */
+function isField(node, field) {
+  const child = node.parent && node.parent.childForFieldName(field);
+  return Boolean(child) && child.id === node.id;
+}
+
+/**
+ * Nearest ancestor whose type is in the list, or null
+ */
+function closest(node, types) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (types.includes(current.type)) return current;
+  }
+  return null;
+}
+
+module.exports = {
+  initParsers,
+  parseCode,
+  nodeRange,
+  spanRange,
+  lineRange,
+  walk,
+  findAll,
+  fieldChildren,
+  isField,
+  closest
+};
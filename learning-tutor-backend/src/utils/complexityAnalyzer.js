@@ -1,193 +1,804 @@
 /**
  * Complexity Analyzer
  *
- * Estimates time complexity based on code structure (loop counting heuristics)
+ * Estimates time complexity based on code structure (loop nesting, how loop
+ * counters change, recursion and calls with a hidden cost like sort).
  * This is a simplified heuristic-based approach, not a full static analysis
+ *
+ * Every estimate keeps the source lines it was based on, so the tutor can
+ * point students at the loop or call that dominates.
  */
 
+// Costs are { poly, log, exp, fact }: n^poly * log^log n, times exp^n (when exp > 0) or n!
+const CONSTANT = { poly: 0, log: 0, exp: 0, fact: false };
+const LINEAR = { poly: 1, log: 0, exp: 0, fact: false };
+const LOGARITHMIC = { poly: 0, log: 1, exp: 0, fact: false };
+const SQRT = { poly: 0.5, log: 0, exp: 0, fact: false };
+const LINEARITHMIC = { poly: 1, log: 1, exp: 0, fact: false };
+
+// Calls whose cost is hidden behind a single line
+const COSTLY_CALLS = [
+  {
+    kind: 'sort',
+    cost: LINEARITHMIC,
+    label: 'sort call',
+    regex: /\bsorted\s*\(|\.sort\s*\(|\b(?:std::)?sort\s*\(|\bqsort\s*\(/
+  },
+  {
+    kind: 'linear-call',
+    cost: LINEAR,
+    label: 'call that scans the whole sequence',
+    regex: /\bstrlen\s*\(|\.(?:index|count|remove|indexOf)\s*\(|\.insert\s*\(\s*0\b/
+  }
+];
+
+// Counter updates that shrink or grow the range geometrically (i /= 2, lo = mid + 1)
+const HALVING_REGEX = /(?:\*|\/\/?)=\s*(?!1\b)\d+|>>=|<<=|=\s*\w+\s*(?:\*|\/\/?|>>|<<)\s*(?!1\b)\d+|\b(?:lo|low|left|l|hi|high|right|r|start|end|begin)\s*=\s*mid\b/;
+
+// Recursive call arguments that copy part of the input (slices, substrings)
+const COPYING_ARGS_REGEX = /\[[^\]]*:[^\]]*\]|\b(?:substring|substr|copyOfRange|subList|slice)\s*\(/;
+
+// Quicksort-style calls around a pivot index
+const PIVOT_ARGS_REGEX = /\b(?:pivot|pi|p|part|partition_index|pivot_index)\s*[-+]\s*1\b/;
+
+const NOT_FUNCTION_NAMES = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'else', 'sizeof', 'new', 'throw', 'case', 'delete']);
+
 /**
  * Analyzes code and estimates time complexity
- * Returns { best, worst, average } complexity strings
+ * Returns { best, worst, average, explanation, functions[], evidence[] }
+ *   functions: [{ name, line, best, worst, average, explanation, recurrence? }]
+ *   evidence:  [{ line, kind, text, function }] - the lines behind the estimate
  */
 function analyzeComplexity(code, language) {
-  // Normalize the code (remove strings to avoid false positives)
-  const cleanCode = removeStrings(code);
+  const lang = (language || '').toLowerCase();
+
+  // Normalize the code (remove strings and comments to avoid false positives)
+  const cleanCode = stripComments(removeStrings(code || ''), lang);
+  const { lines, origins } = splitStatements(cleanCode, lang);
+  const sourceLines = (code || '').split('\n');
+  // 1-based source line number of lines[index]
+  const lineOf = index => origins[index] + 1;
+
+  const functions = findFunctions(lines, lang, lineOf);
+  const owners = assignOwners(lines, functions);
+
+  const context = { lines, sourceLines, lineOf, lang, functions, owners, memo: new Map(), evidence: [] };
+
+  const results = functions.map(fn => ({ fn, result: analyzeFunction(fn, context, []) }));
 
-  // Count different loop patterns
-  const loopPatterns = detectLoopPatterns(cleanCode, language);
+  // Code outside any function (Python scripts, mostly)
+  const topLevel = { name: '(top level)', line: 1, start: -1, end: lines.length - 1 };
+  const topResult = analyzeRegion(topLevel, context, []);
+  if (topResult.contributions.length > 0) {
+    results.push({ fn: topLevel, result: topResult });
+  }
+
+  const breakdown = results.map(({ fn, result }) => ({
+    name: fn.name,
+    line: fn.line,
+    best: formatCost(result.best),
+    worst: formatCost(result.worst),
+    average: formatCost(result.average),
+    explanation: result.explanation,
+    ...(result.recurrence && { recurrence: result.recurrence })
+  }));
+
+  const evidence = dedupeEvidence(context.evidence);
+
+  // No loops at all
+  if (results.every(({ result }) => result.contributions.length === 0)) {
+    return {
+      best: 'O(1)',
+      worst: 'O(1)',
+      average: 'O(1)',
+      explanation: 'No loops or recursion detected - constant time operations',
+      functions: breakdown,
+      evidence
+    };
+  }
 
-  // Detect recursion
-  const hasRecursion = detectRecursion(cleanCode, language);
+  // The program is as slow as its slowest function
+  const dominant = results.reduce((a, b) => (compareCost(b.result.worst, a.result.worst) > 0 ? b : a));
+  const best = results.reduce((acc, { result }) => maxCost(acc, result.best), CONSTANT);
 
-  // Calculate complexity based on patterns
-  return calculateComplexity(loopPatterns, hasRecursion);
+  return {
+    best: formatCost(best),
+    worst: formatCost(dominant.result.worst),
+    average: formatCost(dominant.result.average),
+    explanation: results.length > 1
+      ? `${dominant.fn.name}: ${dominant.result.explanation}`
+      : dominant.result.explanation,
+    functions: breakdown,
+    evidence
+  };
 }
 
 /**
  * Removes string literals to avoid false pattern matches
+ * Line breaks are kept so line numbers still match the original code
  */
 function removeStrings(code) {
+  // Python docstrings / triple-quoted strings
+  let clean = code.replace(/("""|''')[\s\S]*?\1/g, match => match.replace(/[^\n]/g, ' '));
   // Remove double-quoted strings
-  let clean = code.replace(/"[^"]*"/g, '""');
+  clean = clean.replace(/"(?:[^"\\\n]|\\.)*"/g, '""');
   // Remove single-quoted strings
-  clean = clean.replace(/'[^']*'/g, "''");
-  // Remove template literals (for JS-like syntax)
-  clean = clean.replace(/`[^`]*`/g, '``');
+  clean = clean.replace(/'(?:[^'\\\n]|\\.)*'/g, "''");
   return clean;
 }
 
 /**
- * Detects loop patterns in code
+ * Removes comments, keeping line breaks
  */
-function detectLoopPatterns(code, language) {
-  const patterns = {
-    simpleLoops: 0,      // O(n) loops
-    nestedLoops: 0,      // O(n²) or more
-    halvingLoops: 0,     // O(log n) loops (dividing by 2)
-    multiplyingLoops: 0  // O(log n) loops (multiplying)
-  };
+function stripComments(code, language) {
+  if (language === 'python') {
+    return code.replace(/#.*$/gm, '');
+  }
+  return code
+    .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+    .replace(/\/\/.*$/gm, '');
+}
 
-  // Language-specific loop keywords
-  const forRegex = /\b(for)\s*\(/gi;
-  const whileRegex = /\b(while)\s*\(/gi;
+/**
+ * Splits C-like code into one statement, block opener or closing brace per
+ * line, so code written on one line ("int main(){ for(...){ s++; } }") is
+ * read like the usual layout. Python code keeps its lines.
+ * Returns { lines, origins }: origins[i] is the source line index of lines[i]
+ */
+function splitStatements(code, language) {
+  const sourceLines = code.split('\n');
+  if (language === 'python') {
+    return { lines: sourceLines, origins: sourceLines.map((_, index) => index) };
+  }
 
-  // Count for loops
-  const forMatches = code.match(forRegex) || [];
-  // Count while loops
-  const whileMatches = code.match(whileRegex) || [];
+  const lines = [];
+  const origins = [];
+  // Semicolons inside parentheses belong to a for-header
+  let parens = 0;
+  sourceLines.forEach((source, origin) => {
+    const before = lines.length;
+    let piece = '';
+    const push = () => {
+      if (piece.trim()) {
+        lines.push(piece);
+        origins.push(origin);
+      }
+      piece = '';
+    };
 
-  const totalLoops = forMatches.length + whileMatches.length;
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (char === '}') {
+        push();
+        piece = '}';
+        // "} else {" and the "} while (...);" of a do-while stay together
+        if (!/^\s*(?:else\b|while\b|[;,)])/.test(source.slice(i + 1))) push();
+        continue;
+      }
+      piece += char;
+      if (char === '(') parens++;
+      else if (char === ')') parens = Math.max(0, parens - 1);
+      else if (char === '{' || (char === ';' && parens === 0)) push();
+    }
+    push();
 
-  // Check for nested loops by looking at indentation or brace depth
-  const nestedLoopRegex = /(for|while)\s*\([^)]*\)\s*\{[^}]*(for|while)\s*\(/gi;
-  const nestedMatches = code.match(nestedLoopRegex) || [];
+    // Blank lines stay, so a one-statement line keeps its own index
+    if (lines.length === before) {
+      lines.push(source);
+      origins.push(origin);
+    }
+  });
 
-  // Check for halving patterns (i /= 2, i = i / 2, etc.)
-  const halvingRegex = /\/=\s*2|\/\s*2|>>=\s*1/g;
-  const halvingMatches = code.match(halvingRegex) || [];
+  return { lines, origins };
+}
 
-  // Check for multiplying patterns (i *= 2, i = i * 2, etc.)
-  const multiplyRegex = /\*=\s*2|\*\s*2|<<=\s*1/g;
-  const multiplyMatches = code.match(multiplyRegex) || [];
+/**
+ * Indentation width of a line (tabs count as 4 spaces)
+ */
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
 
-  patterns.simpleLoops = Math.max(0, totalLoops - nestedMatches.length);
-  patterns.nestedLoops = nestedMatches.length;
-  patterns.halvingLoops = halvingMatches.length;
-  patterns.multiplyingLoops = multiplyMatches.length;
+/**
+ * Index of the last line of the block opened at lines[index]
+ * Python blocks end by indentation; C-like blocks by braces or after one statement
+ */
+function findBlockEnd(lines, index, language) {
+  if (language === 'python') {
+    const indent = indentOf(lines[index]);
+    let end = index;
+    for (let i = index + 1; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      if (indentOf(lines[i]) <= indent) break;
+      end = i;
+    }
+    return end;
+  }
+
+  let depth = 0;
+  let opened = false;
+  for (let i = index; i < lines.length; i++) {
+    // A header like "} else {" closes the previous block first
+    const text = i === index ? lines[i].replace(/^\s*\}/, '') : lines[i];
+    for (const char of text) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+    if (opened && depth <= 0) return i;
+    if (opened) continue;
 
-  return patterns;
+    // Braceless body: the header's own statement, or the next one
+    if (i === index && /\)\s*[^{\s].*;\s*$/.test(text)) return i;
+    if (i > index && lines[i].trim()) {
+      return /^\s*(for|while|if|do)\b/.test(lines[i]) ? findBlockEnd(lines, i, language) : i;
+    }
+  }
+  return lines.length - 1;
 }
 
 /**
- * Detects potential recursion in code
+ * Finds function definitions
+ * Returns [{ name, line (1-based source line), start (header index), end }]
  */
-function detectRecursion(code, language) {
-  // Look for function definitions and calls to the same function name
-  // This is a simplified heuristic
+function findFunctions(lines, language, lineOf) {
+  const functions = [];
 
-  // Python function pattern
-  const pythonFuncRegex = /def\s+(\w+)\s*\([^)]*\):/g;
-  // C/C++/Java function pattern
-  const cFuncRegex = /\b\w+\s+(\w+)\s*\([^)]*\)\s*\{/g;
+  lines.forEach((line, index) => {
+    let name = null;
+    if (language === 'python') {
+      const match = line.match(/^\s*def\s+(\w+)\s*\(/);
+      if (match) name = match[1];
+    } else {
+      const match = line.match(/^\s*(?:[\w<>[\]*&:,]+\s+)+\**(\w+)\s*\([^;]*\)\s*(?:const\s*)?(?:throws\s+[\w.,\s]+)?\{?\s*$/);
+      const firstWord = line.trim().split(/\s+/)[0];
+      const next = lines.slice(index + 1).find(l => l.trim()) || '';
+      if (match && !NOT_FUNCTION_NAMES.has(match[1]) && !NOT_FUNCTION_NAMES.has(firstWord) &&
+        (line.includes('{') || next.trim().startsWith('{'))) {
+        name = match[1];
+      }
+    }
+
+    if (name) {
+      functions.push({ name, line: lineOf(index), start: index, end: findBlockEnd(lines, index, language) });
+    }
+  });
 
-  let match;
-  const functionNames = [];
+  return functions;
+}
 
-  while ((match = pythonFuncRegex.exec(code)) !== null) {
-    functionNames.push(match[1]);
+/**
+ * For every line, the innermost function it belongs to (or null for top level)
+ */
+function assignOwners(lines, functions) {
+  const owners = new Array(lines.length).fill(null);
+  // Outer functions first, so nested ones overwrite them
+  const ordered = [...functions].sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  for (const fn of ordered) {
+    for (let i = fn.start; i <= fn.end; i++) owners[i] = fn;
   }
+  return owners;
+}
 
-  while ((match = cFuncRegex.exec(code)) !== null) {
-    functionNames.push(match[1]);
+/**
+ * Whether a line opens a loop
+ */
+function isLoopHeader(line, language) {
+  if (language === 'python') {
+    return /^\s*(for|while)\b/.test(line);
   }
+  // "} while (cond);" closes a do-while, it does not start a loop
+  if (/^\s*\}\s*while\s*\(.*\)\s*;\s*$/.test(line)) return false;
+  return /^\s*(?:\}\s*)?(?:for|while)\s*\(/.test(line) || /^\s*do\b/.test(line);
+}
 
-  // Check if any function name appears inside its own body (recursion indicator)
-  for (const funcName of functionNames) {
-    const funcCallRegex = new RegExp(`\\b${funcName}\\s*\\(`, 'g');
-    const calls = code.match(funcCallRegex) || [];
-    // If function is called more than once (definition + recursive call)
-    if (calls.length > 1) {
-      return true;
+/**
+ * Decides how many times a loop runs
+ * Returns one of 'linear', 'logarithmic', 'sqrt', 'constant'
+ */
+function classifyLoop(header, bodyText, language) {
+  const isWhile = /^\s*(?:\}\s*)?(while|do)\b/.test(header);
+
+  if (/(\w+)\s*\*\s*\1\s*<=?/.test(header)) return 'sqrt';
+
+  if (language === 'python') {
+    if (/^\s*for\b/.test(header)) {
+      if (/\brange\s*\(\s*-?\d+\s*(,\s*-?\d+\s*)?(,\s*-?\d+\s*)?\)/.test(header)) return 'constant';
+      if (/\bin\s*[[(]/.test(header) && !/\bin\s*\(\s*range/.test(header)) return 'constant';
+      return 'linear';
     }
+  } else if (/^\s*for\s*\(/.test(header)) {
+    const parts = header.slice(header.indexOf('(') + 1, header.lastIndexOf(')')).split(';');
+    if (parts.length === 3) {
+      if (HALVING_REGEX.test(parts[2])) return 'logarithmic';
+      if (/^\s*\w+\s*<=?\s*\d+\s*$/.test(parts[1])) return 'constant';
+      return 'linear';
+    }
+    // for-each loops (for (int x : arr)) visit every element
+    return 'linear';
   }
 
-  return false;
+  if (isWhile && HALVING_REGEX.test(`${header}\n${bodyText}`)) return 'logarithmic';
+  return 'linear';
 }
 
+const LOOP_COSTS = {
+  linear: LINEAR,
+  logarithmic: LOGARITHMIC,
+  sqrt: SQRT,
+  constant: CONSTANT
+};
+
+const LOOP_EVIDENCE = {
+  linear: 'loop',
+  logarithmic: 'logarithmic-loop',
+  sqrt: 'sqrt-loop',
+  constant: 'constant-loop'
+};
+
 /**
- * Calculates complexity based on detected patterns
+ * Estimates one function, following calls into other functions
  */
-function calculateComplexity(patterns, hasRecursion) {
-  const { simpleLoops, nestedLoops, halvingLoops, multiplyingLoops } = patterns;
+function analyzeFunction(fn, context, stack) {
+  if (context.memo.has(fn)) return context.memo.get(fn);
+  const result = analyzeRegion(fn, context, [...stack, fn]);
+  context.memo.set(fn, result);
+  return result;
+}
 
-  // No loops at all
-  if (simpleLoops === 0 && nestedLoops === 0 && halvingLoops === 0 && multiplyingLoops === 0 && !hasRecursion) {
-    return {
-      best: 'O(1)',
-      worst: 'O(1)',
-      average: 'O(1)',
-      explanation: 'No loops or recursion detected - constant time operations'
-    };
+/**
+ * Estimates the lines owned by one function (or the top level)
+ * Returns { best, worst, explanation, contributions[] }
+ */
+function analyzeRegion(fn, context, stack) {
+  const { lines, lang, owners, lineOf } = context;
+  const isTopLevel = fn.start === -1;
+  const owner = isTopLevel ? null : fn;
+  const ownIndexes = [];
+  for (let i = fn.start + 1; i <= fn.end; i++) {
+    if (owners[i] === owner && lines[i].trim()) ownIndexes.push(i);
+  }
+
+  const addEvidence = (index, kind) => {
+    context.evidence.push({
+      line: lineOf(index),
+      kind,
+      text: (context.sourceLines[lineOf(index) - 1] || '').trim().slice(0, 100),
+      function: fn.name
+    });
+  };
+
+  // Loops and the lines each one encloses
+  const loops = ownIndexes
+    .filter(i => isLoopHeader(lines[i], lang))
+    .map(i => ({ start: i, end: findBlockEnd(lines, i, lang) }));
+
+  const chainFor = (index, includeHeaderLoop = true) => loops.filter(loop =>
+    loop.start <= index && index <= loop.end && (includeHeaderLoop || loop.start !== index));
+
+  for (const loop of loops) {
+    // Lines that belong to this loop and not to a loop nested inside it
+    const ownLines = ownIndexes.filter(i =>
+      i > loop.start && i <= loop.end && chainFor(i).pop() === loop);
+    const bodyText = ownLines.map(i => lines[i]).join('\n');
+    loop.kind = classifyLoop(lines[loop.start], bodyText, lang);
+    loop.earlyExit = /\bbreak\b|\breturn\b/.test(bodyText);
+  }
+
+  const contributions = [];
+  const product = (chain, best) => chain.reduce(
+    (acc, loop) => multiplyCost(acc, best && loop.earlyExit ? CONSTANT : LOOP_COSTS[loop.kind]),
+    CONSTANT
+  );
+  const describeChain = (chain) => {
+    const counted = chain.filter(loop => loop.kind !== 'constant');
+    if (counted.length > 1) {
+      return `${counted.length} nested loops (lines ${counted.map(l => lineOf(l.start)).join(', ')})`;
+    }
+    return '';
+  };
+
+  for (const loop of loops) {
+    const chain = chainFor(loop.start);
+    const nested = describeChain(chain);
+    const kindText = {
+      linear: `loop over the input (line ${lineOf(loop.start)})`,
+      logarithmic: `loop that halves/doubles its range each step (line ${lineOf(loop.start)})`,
+      sqrt: `loop that runs while i*i <= n (line ${lineOf(loop.start)})`,
+      constant: `loop with a fixed number of iterations (line ${lineOf(loop.start)})`
+    }[loop.kind];
+
+    contributions.push({
+      cost: product(chain, false),
+      best: product(chain, true),
+      description: nested && loop.kind !== 'constant' && loop.kind !== 'linear'
+        ? `${nested}, innermost is a ${kindText}`
+        : nested || kindText
+    });
+
+    addEvidence(loop.start, chain.filter(l => l.kind !== 'constant').length > 1 && loop.kind !== 'constant'
+      ? 'nested-loop'
+      : LOOP_EVIDENCE[loop.kind]);
+    if (loop.earlyExit) {
+      const exitLine = ownIndexes.find(i =>
+        i > loop.start && i <= loop.end && /\bbreak\b|\breturn\b/.test(lines[i]) && chainFor(i).pop() === loop);
+      addEvidence(exitLine, 'early-exit');
+    }
+  }
+
+  // Calls with a hidden cost, and calls into other functions
+  for (const index of ownIndexes) {
+    const line = lines[index];
+    const header = isLoopHeader(line, lang);
+    // A Python for-header evaluates its iterable once; other headers run every iteration
+    const chain = chainFor(index, !(header && lang === 'python' && /^\s*for\b/.test(line)));
+
+    for (const call of COSTLY_CALLS) {
+      const found = line.match(call.regex);
+      // The student's own sort() is analyzed as a function, not as a library call
+      if (!found || context.functions.some(f => new RegExp(`\\b${f.name}\\s*\\($`).test(found[0]))) continue;
+      const inside = describeChain(chain) || (chain.length ? 'a loop' : '');
+      contributions.push({
+        cost: multiplyCost(product(chain, false), call.cost),
+        best: multiplyCost(product(chain, true), call.cost),
+        description: inside ? `${call.label} inside ${inside} (line ${lineOf(index)})` : `${call.label} (line ${lineOf(index)})`
+      });
+      addEvidence(index, call.kind);
+    }
+
+    // List/dict/set comprehensions hide a loop inside an expression
+    if (lang === 'python' && !header && /\bfor\s+\w+(\s*,\s*\w+)*\s+in\b/.test(line)) {
+      contributions.push({
+        cost: multiplyCost(product(chain, false), LINEAR),
+        best: multiplyCost(product(chain, true), LINEAR),
+        description: `comprehension over the input (line ${lineOf(index)})`
+      });
+      addEvidence(index, 'comprehension');
+    }
+
+    for (const callee of context.functions) {
+      if (callee === fn || stack.includes(callee)) continue;
+      if (!new RegExp(`\\b${callee.name}\\s*\\(`).test(line)) continue;
+      const calleeResult = analyzeFunction(callee, context, stack);
+      if (compareCost(calleeResult.worst, CONSTANT) === 0) continue;
+      contributions.push({
+        cost: multiplyCost(product(chain, false), calleeResult.worst),
+        average: multiplyCost(product(chain, false), calleeResult.average),
+        best: multiplyCost(product(chain, true), calleeResult.best),
+        description: chain.length
+          ? `calls ${callee.name}() (${formatCost(calleeResult.worst)}) inside a loop (line ${lineOf(index)})`
+          : `calls ${callee.name}() (${formatCost(calleeResult.worst)}) at line ${lineOf(index)}`
+      });
+      addEvidence(index, 'call');
+    }
   }
 
-  // Has halving/logarithmic patterns
-  if (halvingLoops > 0 || multiplyingLoops > 0) {
-    if (nestedLoops > 0) {
-      return {
-        best: 'O(n log n)',
-        worst: 'O(n log n)',
-        average: 'O(n log n)',
-        explanation: 'Nested loop with logarithmic pattern (like merge sort)'
-      };
+  let recursion = null;
+  if (!isTopLevel) {
+    recursion = analyzeRecursion(fn, ownIndexes, contributions, context, index => chainFor(index).length > 0);
+    if (recursion) {
+      contributions.push(recursion.contribution);
+      recursion.lines.forEach(index => addEvidence(index, 'recursion'));
     }
+  }
+
+  if (contributions.length === 0) {
     return {
-      best: 'O(log n)',
-      worst: 'O(log n)',
-      average: 'O(log n)',
-      explanation: 'Loop divides/multiplies by 2 each iteration (logarithmic)'
+      best: CONSTANT,
+      worst: CONSTANT,
+      average: CONSTANT,
+      explanation: 'No loops, recursion or costly calls - constant time',
+      contributions
     };
   }
 
-  // Has nested loops
-  if (nestedLoops > 0) {
-    const depth = nestedLoops + 1;
-    const complexityStr = depth === 2 ? 'O(n²)' : `O(n^${depth})`;
+  // A recursive function costs at least its own body, so its recurrence explains it
+  const dominant = recursion
+    ? recursion.contribution
+    : contributions.reduce((a, b) => (compareCost(b.cost, a.cost) > 0 ? b : a));
+  const best = contributions.reduce((acc, c) => maxCost(acc, c.best), CONSTANT);
+  const earlyExit = loops.find(loop => loop.earlyExit);
+  const explanation = compareCost(best, dominant.cost) < 0 && earlyExit && !recursion
+    ? `${dominant.description}; best case stops early (loop at line ${lineOf(earlyExit.start)})`
+    : dominant.description;
+
+  return {
+    best: recursion ? recursion.contribution.best : best,
+    worst: dominant.cost,
+    average: dominant.average || dominant.cost,
+    explanation,
+    recurrence: recursion?.recurrence,
+    contributions
+  };
+}
+
+/**
+ * Text between the parentheses of a call, given the index of its "("
+ */
+function extractCallArgs(line, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < line.length; i++) {
+    if (line[i] === '(') depth++;
+    else if (line[i] === ')' && --depth === 0) return line.slice(openIndex + 1, i);
+  }
+  return line.slice(openIndex + 1);
+}
+
+/**
+ * How one recursive call shrinks its input, judged from its arguments
+ * Returns { type: 'divide', factor } | { type: 'subtract', amount } | { type: 'pivot' },
+ * plus copies: true when the arguments copy part of the input
+ */
+function classifyShrink(args, midpoints = []) {
+  const copies = COPYING_ARGS_REGEX.test(args);
+  const midpointRegex = new RegExp(`\\b(?:${['mid', 'middle', 'half', ...midpoints].join('|')})\\b`);
+
+  if (PIVOT_ARGS_REGEX.test(args)) return { type: 'pivot', copies };
+
+  let match = args.match(/\/\/?\s*(\d+)/);
+  if (match && Number(match[1]) > 1) return { type: 'divide', factor: Number(match[1]), copies };
+  match = args.match(/>>\s*(\d+)/);
+  if (match) return { type: 'divide', factor: 2 ** Number(match[1]), copies };
+  if (midpointRegex.test(args)) return { type: 'divide', factor: 2, copies };
+
+  match = args.match(/[-+]\s*(\d+)/) || args.match(/\[\s*(\d+)\s*:/);
+  if (match && Number(match[1]) > 0) return { type: 'subtract', amount: Number(match[1]), copies };
+
+  // No visible shrink - assume the input gets one smaller per call
+  return { type: 'subtract', amount: 1, copies, guessed: true };
+}
+
+/**
+ * Base x of x^n for T(n) = T(n-c1) + T(n-c2) + ...: the root of sum(x^-ci) = 1
+ * (2 for two calls on n-1, about 1.62 for Fibonacci's n-1 and n-2)
+ */
+function branchingBase(amounts) {
+  let low = 1;
+  let high = amounts.length + 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    const sum = amounts.reduce((acc, c) => acc + mid ** -c, 0);
+    if (sum > 1) low = mid;
+    else high = mid;
+  }
+  return Math.round(high * 100) / 100;
+}
+
+/**
+ * Solves T(n) = a*T(n/b) + f(n) with the Master theorem
+ * Returns { cost, reason }
+ */
+function solveDivide(a, b, work) {
+  if (work.exp || work.fact) {
+    return { cost: work, reason: 'the work inside each call already dominates' };
+  }
+
+  const critical = Math.log(a) / Math.log(b);
+  const k = work.poly;
+
+  if (Math.abs(k - critical) < 1e-9) {
+    const levels = a === 1 ? 'the input halves each time, so there are log n calls' : 'every level of the call tree does the same total work, and there are log n levels';
     return {
-      best: complexityStr,
-      worst: complexityStr,
-      average: complexityStr,
-      explanation: `${depth} levels of nested loops detected`
+      cost: { ...work, log: work.log + 1 },
+      reason: `${levels} (Master theorem, case 2)`
     };
   }
-
-  // Simple loops only
-  if (simpleLoops > 0) {
+  if (k < critical) {
     return {
-      best: 'O(n)',
-      worst: 'O(n)',
-      average: 'O(n)',
-      explanation: `${simpleLoops} linear loop(s) detected`
+      cost: { poly: Math.round(critical * 100) / 100, log: 0, exp: 0, fact: false },
+      reason: `the number of calls grows faster than the work per call shrinks, so the ${a}^log n = n^${Math.round(critical * 100) / 100} smallest calls dominate (Master theorem, case 1)`
     };
   }
+  return {
+    cost: work,
+    reason: 'the work done in the first call outweighs all the smaller calls together (Master theorem, case 3)'
+  };
+}
 
-  // Has recursion but no clear loop pattern
-  if (hasRecursion) {
+/**
+ * Solves T(n) = T(n-c1) + ... + T(n-ca) + f(n)
+ * Returns { cost, reason }
+ */
+function solveSubtract(amounts, work) {
+  if (amounts.length === 1) {
     return {
-      best: 'O(n)',
-      worst: 'O(2^n)',
-      average: 'O(n) to O(2^n)',
-      explanation: 'Recursion detected - complexity depends on the recursion pattern'
+      cost: multiplyCost(LINEAR, work),
+      reason: amounts[0] === 1
+        ? 'the input gets one smaller per call, so there are n calls in a chain'
+        : `the input gets ${amounts[0]} smaller per call, so there are n/${amounts[0]} calls in a chain`
     };
   }
 
+  const base = branchingBase(amounts);
+  const tighter = base < 2 && amounts.length === 2
+    ? ` (usually written O(2^n), which is a safe upper bound; the exact base is about ${base})`
+    : '';
+  // Report the familiar whole-number base; the exact one goes in the explanation
   return {
-    best: 'O(1)',
-    worst: 'O(n)',
-    average: 'O(n)',
-    explanation: 'Unable to determine exact complexity'
+    cost: { ...work, exp: Math.max(Math.ceil(base), work.exp) },
+    reason: `every call branches into ${amounts.length} calls but the input barely shrinks, so the call tree roughly multiplies by ${base} at every level${tighter}`
   };
 }
 
+/**
+ * Writes a recurrence as T(n) = ...
+ */
+function formatRecurrence(terms, work) {
+  const grouped = new Map();
+  terms.forEach(term => grouped.set(term, (grouped.get(term) || 0) + 1));
+  const calls = [...grouped].map(([term, count]) => (count > 1 ? `${count}${term}` : term)).join(' + ');
+  return `T(n) = ${calls} + ${formatCost(work)}`;
+}
+
+/**
+ * Builds and solves the recurrence of a recursive function: how many times it
+ * calls itself, how much each call shrinks the input, and the work per call
+ * Returns { contribution, recurrence, lines[] } or null when the function is not recursive
+ */
+function analyzeRecursion(fn, ownIndexes, contributions, context, inLoop) {
+  const callRegex = new RegExp(`\\b${fn.name}\\s*\\(`, 'g');
+
+  // Variables holding a midpoint (m = l + (r - l) / 2) split the range like "mid"
+  const midpoints = ownIndexes
+    .map(i => context.lines[i].match(/(\w+)\s*=\s*[^=;]*(?:\/\/?\s*2\b|>>\s*1\b)/))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+  const calls = [];
+  for (const index of ownIndexes) {
+    const line = context.lines[index];
+    let match;
+    while ((match = callRegex.exec(line)) !== null) {
+      const args = extractCallArgs(line, match.index + match[0].length - 1);
+      calls.push({
+        index,
+        returned: /\breturn\b/.test(line.slice(0, match.index)),
+        looped: inLoop(index),
+        ...classifyShrink(args, midpoints)
+      });
+    }
+  }
+  if (calls.length === 0) return null;
+
+  const lineNumbers = [...new Set(calls.map(call => context.lineOf(call.index)))];
+  const where = `line${lineNumbers.length > 1 ? 's' : ''} ${lineNumbers.join(', ')}`;
+
+  // Work done in one call besides recursing; slicing copies the input every time
+  let work = contributions.reduce((acc, c) => maxCost(acc, c.cost), CONSTANT);
+  const copies = calls.some(call => call.copies);
+  if (copies) work = maxCost(work, LINEAR);
+  const copyNote = copies ? ' Slicing copies the input, which costs O(n) per call.' : '';
+
+  const finish = (recurrence, solved, extra = {}) => ({
+    recurrence,
+    lines: calls.map(call => call.index),
+    contribution: {
+      cost: solved.cost,
+      best: extra.best || solved.cost,
+      average: extra.average || solved.cost,
+      description: `${recurrence} (${where}): ${solved.reason}.${copyNote}`
+    }
+  });
+
+  // A call inside a loop runs once per iteration: T(n) = n*T(n-1), like generating permutations
+  if (calls.some(call => call.looped && call.type !== 'divide')) {
+    return finish(`T(n) = n·T(n-1) + ${formatCost(work)}`, {
+      cost: { ...work, fact: true },
+      reason: 'the function calls itself once per loop iteration with one fewer item, so the calls multiply as n × (n-1) × ... × 1'
+    });
+  }
+
+  // "return f(a) ... return f(b)" are alternatives: only one of them runs
+  const alternatives = calls.length > 1 &&
+    calls.every(call => call.returned) &&
+    new Set(calls.map(call => call.index)).size === calls.length;
+
+  // Quicksort: the split depends on the pivot
+  if (calls.some(call => call.type === 'pivot')) {
+    const average = solveDivide(2, 2, work);
+    const worst = solveSubtract([1], work);
+    return finish(`T(n) = T(k) + T(n-k-1) + ${formatCost(work)}`, {
+      cost: worst.cost,
+      reason: `with a good pivot the halves are even, like T(n) = 2T(n/2) + ${formatCost(work)} = ${formatCost(average.cost)}; with the worst pivot one side is empty and ${worst.reason}, giving ${formatCost(worst.cost)}`
+    }, { best: average.cost, average: average.cost });
+  }
+
+  const subtracting = calls.filter(call => call.type === 'subtract');
+  if (subtracting.length > 0) {
+    const taken = alternatives ? [subtracting[0]] : subtracting;
+    const amounts = taken.map(call => call.amount);
+    const solved = solveSubtract(amounts, work);
+    const guess = taken.some(call => call.guessed) ? ' The shrink step is a guess - check what changes between calls.' : '';
+    return finish(formatRecurrence(amounts.map(c => `T(n-${c})`), work), {
+      ...solved,
+      reason: `${solved.reason}.${guess}`.replace(/\.$/, '')
+    });
+  }
+
+  // Divide and conquer: b is the smallest split, which gives the biggest sub-problem
+  const a = alternatives ? 1 : calls.length;
+  const b = Math.min(...calls.map(call => call.factor));
+  const solved = solveDivide(a, b, work);
+  return finish(formatRecurrence(new Array(a).fill(`T(n/${b})`), work), {
+    ...solved,
+    reason: a === 1
+      ? `each call throws away ${b === 2 ? 'half' : `all but 1/${b}`} of the input; ${solved.reason}`
+      : `each call splits the input into ${b} parts and recurses ${a} times; ${solved.reason}`
+  });
+}
+
+/**
+ * Cost of doing b once per step of a
+ */
+function multiplyCost(a, b) {
+  return {
+    poly: a.poly + b.poly,
+    log: a.log + b.log,
+    exp: Math.max(a.exp, b.exp),
+    fact: a.fact || b.fact
+  };
+}
+
+/**
+ * Orders costs: factorial > exponential > higher polynomial > higher log power
+ */
+function compareCost(a, b) {
+  if (a.fact !== b.fact) return a.fact ? 1 : -1;
+  if (a.exp !== b.exp) return a.exp > b.exp ? 1 : -1;
+  if (a.poly !== b.poly) return a.poly > b.poly ? 1 : -1;
+  if (a.log !== b.log) return a.log > b.log ? 1 : -1;
+  return 0;
+}
+
+function maxCost(a, b) {
+  return compareCost(a, b) >= 0 ? a : b;
+}
+
+/**
+ * Formats a cost as Big-O notation
+ */
+function formatCost({ poly, log, exp, fact }) {
+  const parts = [];
+  const whole = Math.floor(poly);
+  const fraction = Math.round((poly - whole) * 100) / 100;
+
+  if (fraction !== 0 && fraction !== 0.5) {
+    parts.push(`n^${Math.round(poly * 100) / 100}`);
+  } else {
+    if (whole === 1) parts.push('n');
+    else if (whole === 2) parts.push('n²');
+    else if (whole === 3) parts.push('n³');
+    else if (whole > 3) parts.push(`n^${whole}`);
+    if (fraction === 0.5) parts.push('√n');
+  }
+
+  if (log === 1) parts.push('log n');
+  else if (log > 1) parts.push(`log^${log} n`);
+
+  const growth = fact ? 'n!' : exp ? `${exp}^n` : '';
+  const polynomial = parts.join(' ').replace('n √n', 'n√n');
+  const text = [polynomial, growth].filter(Boolean).join(' · ');
+  return `O(${text || '1'})`;
+}
+
+/**
+ * Sorts evidence by line and drops repeats
+ */
+function dedupeEvidence(evidence) {
+  const seen = new Set();
+  return evidence
+    .filter(item => {
+      const key = `${item.line}:${item.kind}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.line - b.line);
+}
+
 module.exports = {
   analyzeComplexity
 };
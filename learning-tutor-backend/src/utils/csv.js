@@ -0,0 +1,26 @@
+/**
+ * CSV
+ *
+ * Minimal RFC 4180 writer for exports: fields with commas, quotes or
+ * line breaks are quoted, and quotes inside them doubled.
+ */
+
+function escapeField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for a list of flat objects; the columns are the first row's keys
+ */
+function toCSV(rows) {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(escapeField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toCSV
+};
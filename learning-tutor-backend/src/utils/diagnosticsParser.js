@@ -0,0 +1,407 @@
+/**
+ * Diagnostics Parser
+ *
+ * Turns raw compiler and runtime output (gcc/g++, javac/java, Python
+ * tracebacks) into structured diagnostics, so the tutor can talk about the
+ * real error instead of guessing from the code.
+ *
+ * Each diagnostic uses the same error types as errorDetector.js
+ * (syntax, typo, logic, structure, style) plus a more specific concept:
+ * { phase, file, line, column, errorClass, message, type, concept, severity, description }
+ */
+
+// Only the first errors matter - later ones are usually caused by the first
+const MAX_DIAGNOSTICS = 10;
+
+// What the runtimes print when an allocation fails under a memory limit
+const OUT_OF_MEMORY = /^MemoryError\b|java\.lang\.OutOfMemoryError|std::bad_alloc|Cannot allocate memory/m;
+
+// Signals and the exit codes shells report for them (128 + signal number)
+const SIGNALS = {
+  SIGSEGV: { exitCode: 139, errorClass: 'Segmentation fault', message: 'the program read or wrote memory it does not own' },
+  SIGFPE: { exitCode: 136, errorClass: 'Floating point exception', message: 'arithmetic error, usually an integer division by zero' },
+  SIGABRT: { exitCode: 134, errorClass: 'Aborted', message: 'the program stopped itself after a fatal error' }
+};
+
+// Message patterns -> error type and concept, first match wins
+const C_RULES = [
+  { pattern: /undefined reference to [`'‘]main['’]/, type: 'structure', concept: 'missing-entry-point' },
+  { pattern: /undefined reference to/, type: 'structure', concept: 'undefined-function' },
+  { pattern: /undeclared|was not declared|implicit declaration of function|unknown type name/, type: 'typo', concept: 'undeclared-identifier' },
+  { pattern: /No such file or directory/, type: 'structure', concept: 'missing-include' },
+  { pattern: /redefinition|redeclar|conflicting types/, type: 'structure', concept: 'duplicate-definition' },
+  { pattern: /too (few|many) arguments|no matching function for call/, type: 'logic', concept: 'function-arguments' },
+  { pattern: /incompatible|invalid conversion|conversion from|cannot convert|no match for|invalid operands/, type: 'logic', concept: 'type-mismatch' },
+  { pattern: /control reaches end of non-void function|no return statement/, type: 'logic', concept: 'missing-return' },
+  { pattern: /(may be|is) used uninitialized/, type: 'logic', concept: 'uninitialized-variable' },
+  { pattern: /suggest parentheses around assignment/, type: 'logic', concept: 'assignment-in-condition' },
+  { pattern: /unused variable|set but not used/, type: 'style', concept: 'unused-variable' },
+  { pattern: /expected|missing terminating|stray|before .* token/, type: 'syntax', concept: 'missing-punctuation' }
+];
+
+const JAVA_RULES = [
+  { pattern: /cannot find symbol/, type: 'typo', concept: 'undeclared-identifier' },
+  { pattern: /is public, should be declared in a file named/, type: 'structure', concept: 'class-name' },
+  { pattern: /non-static .* cannot be referenced from a static context/, type: 'structure', concept: 'static-context' },
+  { pattern: /already defined/, type: 'structure', concept: 'duplicate-definition' },
+  { pattern: /cannot be applied to given types/, type: 'logic', concept: 'function-arguments' },
+  { pattern: /incompatible types|bad operand types|possible lossy conversion/, type: 'logic', concept: 'type-mismatch' },
+  { pattern: /missing return statement/, type: 'logic', concept: 'missing-return' },
+  { pattern: /might not have been initialized/, type: 'logic', concept: 'uninitialized-variable' },
+  { pattern: /unreachable statement/, type: 'logic', concept: 'unreachable-code' },
+  { pattern: /reached end of file while parsing|unclosed/, type: 'syntax', concept: 'unbalanced-brackets' },
+  { pattern: /expected|illegal start of|not a statement/, type: 'syntax', concept: 'missing-punctuation' }
+];
+
+// Exception class -> error type and concept (Python, Java and C++ runtime errors)
+const EXCEPTION_RULES = [
+  { pattern: /^(IndentationError|TabError)$/, type: 'syntax', concept: 'indentation' },
+  { pattern: /^SyntaxError$/, type: 'syntax', concept: 'missing-punctuation' },
+  { pattern: /^UnboundLocalError$/, type: 'logic', concept: 'uninitialized-variable' },
+  { pattern: /^NameError$/, type: 'typo', concept: 'undeclared-identifier' },
+  { pattern: /^AttributeError$/, type: 'typo', concept: 'unknown-attribute' },
+  { pattern: /^(ModuleNotFoundError|ImportError)$/, type: 'structure', concept: 'missing-import' },
+  { pattern: /IndexOutOfBounds|^IndexError$|out_of_range/, type: 'logic', concept: 'index-out-of-range' },
+  { pattern: /^KeyError$/, type: 'logic', concept: 'missing-key' },
+  { pattern: /^ZeroDivisionError$|^ArithmeticException$|^Floating point exception$/, type: 'logic', concept: 'division-by-zero' },
+  { pattern: /^RecursionError$|^StackOverflowError$/, type: 'logic', concept: 'infinite-recursion' },
+  { pattern: /^NullPointerException$/, type: 'logic', concept: 'null-reference' },
+  { pattern: /^(EOFError|InputMismatchException|NoSuchElementException)$/, type: 'logic', concept: 'missing-input' },
+  { pattern: /^(ValueError|NumberFormatException)$/, type: 'logic', concept: 'invalid-value' },
+  { pattern: /^(TypeError|ClassCastException)$/, type: 'logic', concept: 'type-mismatch' },
+  { pattern: /^(MemoryError|OutOfMemoryError)$|bad_alloc/, type: 'logic', concept: 'memory-limit' },
+  { pattern: /^Segmentation fault$/, type: 'logic', concept: 'invalid-memory-access' }
+];
+
+/**
+ * First matching rule for a text, or a generic fallback
+ */
+function classify(rules, text, fallback = { type: 'logic', concept: 'runtime-error' }) {
+  const rule = rules.find(r => r.pattern.test(text));
+  return rule ? { type: rule.type, concept: rule.concept } : fallback;
+}
+
+/**
+ * Builds a diagnostic in the shape shared with errorDetector
+ */
+function makeDiagnostic({ phase, file = null, line = null, column = null, errorClass, message, type, concept, severity = 'error' }) {
+  return {
+    phase,
+    file,
+    line,
+    column,
+    errorClass,
+    message,
+    type,
+    concept,
+    severity,
+    description: errorClass && !['error', 'warning', 'fatal error'].includes(errorClass)
+      ? `${errorClass}: ${message}`
+      : message
+  };
+}
+
+/**
+ * File name as the student knows it: project-relative paths ("lib/util.c")
+ * are kept, absolute ones (remote sandboxes, the standard library) cut to the name
+ */
+function projectPath(path) {
+  if (/^([\\/]|[A-Za-z]:)/.test(path)) return path.split(/[\\/]/).pop();
+  return path.replace(/^\.[\\/]/, '');
+}
+
+/**
+ * gcc / g++ compiler and linker messages
+ *   main.c:5:10: error: expected ';' before '}' token
+ *   /usr/bin/ld: main.o: in function `f': undefined reference to `g'
+ */
+function parseGccOutput(stderr) {
+  const diagnostics = [];
+
+  for (const line of stderr.split('\n')) {
+    const compile = line.match(/^(.+?):(\d+):(?:(\d+):)?\s*(fatal error|error|warning):\s*(.+)$/);
+    if (compile) {
+      const [, file, lineNo, column, severity, message] = compile;
+      diagnostics.push(makeDiagnostic({
+        phase: 'compile',
+        file: projectPath(file),
+        line: parseInt(lineNo),
+        column: column ? parseInt(column) : null,
+        errorClass: severity,
+        message: message.trim(),
+        severity: severity === 'warning' ? 'warning' : 'error',
+        ...classify(C_RULES, message, { type: 'syntax', concept: 'compile-error' })
+      }));
+      continue;
+    }
+
+    const linker = line.match(/(undefined reference to .+|multiple definition of .+)$/);
+    if (linker && /ld|\.o:|\(\.text/.test(line)) {
+      diagnostics.push(makeDiagnostic({
+        phase: 'compile',
+        errorClass: 'linker error',
+        message: linker[1].trim(),
+        ...classify(C_RULES, linker[1], { type: 'structure', concept: 'duplicate-definition' })
+      }));
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * C / C++ crashes: uncaught C++ exceptions, glibc aborts and fatal signals
+ */
+function parseNativeRuntime(stderr, { exitCode, signal }) {
+  const thrown = stderr.match(/terminate called after throwing an instance of '([^']+)'(?:\s*what\(\):\s*(.+))?/);
+  if (thrown) {
+    const errorClass = thrown[1];
+    return [makeDiagnostic({
+      phase: 'runtime',
+      errorClass,
+      message: (thrown[2] || 'uncaught exception').trim(),
+      ...classify(EXCEPTION_RULES, errorClass, { type: 'logic', concept: 'uncaught-exception' })
+    })];
+  }
+
+  if (/stack smashing detected/.test(stderr)) {
+    return [makeDiagnostic({
+      phase: 'runtime',
+      errorClass: 'Stack smashing',
+      message: 'an array on the stack was written past its end',
+      type: 'logic',
+      concept: 'index-out-of-range'
+    })];
+  }
+
+  if (/double free|free\(\): invalid|corrupted/.test(stderr)) {
+    return [makeDiagnostic({
+      phase: 'runtime',
+      errorClass: 'Heap corruption',
+      message: stderr.match(/(double free[^\n]*|free\(\): invalid[^\n]*|corrupted[^\n]*)/)[1].trim(),
+      type: 'logic',
+      concept: 'invalid-memory-access'
+    })];
+  }
+
+  const name = Object.keys(SIGNALS).find(key =>
+    signal === key || exitCode === SIGNALS[key].exitCode || stderr.includes(SIGNALS[key].errorClass));
+  if (name) {
+    const { errorClass, message } = SIGNALS[name];
+    return [makeDiagnostic({
+      phase: 'runtime',
+      errorClass,
+      message,
+      ...classify(EXCEPTION_RULES, errorClass)
+    })];
+  }
+
+  return [];
+}
+
+/**
+ * javac messages, with the column taken from the ^ marker line
+ *   Main.java:5: error: ';' expected
+ *           int x = 5
+ *                    ^
+ */
+function parseJavacOutput(stderr) {
+  const diagnostics = [];
+  const lines = stderr.split('\n');
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^(.+?\.java):(\d+):\s*(error|warning):\s*(.+)$/);
+    if (!match) return;
+
+    const [, file, lineNo, severity, message] = match;
+    // Following lines: the source line, the caret, then details like "symbol: variable x"
+    let column = null;
+    const details = [];
+    for (let i = index + 1; i < lines.length && !/^.+?\.java:\d+:/.test(lines[i]); i++) {
+      if (/^\s*\^\s*$/.test(lines[i])) column = lines[i].indexOf('^') + 1;
+      else if (/^\s*(symbol|location):/.test(lines[i])) details.push(lines[i].trim().replace(/\s+/g, ' '));
+    }
+
+    const fullMessage = [message.trim(), ...details].join(' - ');
+    diagnostics.push(makeDiagnostic({
+      phase: 'compile',
+      file: projectPath(file),
+      line: parseInt(lineNo),
+      column,
+      errorClass: severity,
+      message: fullMessage,
+      severity,
+      ...classify(JAVA_RULES, message, { type: 'syntax', concept: 'compile-error' })
+    }));
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Uncaught Java exceptions, located by the first stack frame in the student's file
+ *   Exception in thread "main" java.lang.ArithmeticException: / by zero
+ *       at Main.divide(Main.java:7)
+ */
+function parseJavaRuntime(stderr) {
+  const match = stderr.match(/Exception in thread "[^"]*" ([\w.$]+)(?::\s*(.*))?/);
+  if (!match) return [];
+
+  const errorClass = match[1].split('.').pop();
+  const frame = stderr.match(/^\s*at .*\((\w+\.java):(\d+)\)/m);
+
+  return [makeDiagnostic({
+    phase: 'runtime',
+    file: frame ? frame[1] : null,
+    line: frame ? parseInt(frame[2]) : null,
+    errorClass,
+    message: (match[2] || errorClass).trim(),
+    ...classify(EXCEPTION_RULES, errorClass, { type: 'logic', concept: 'uncaught-exception' })
+  })];
+}
+
+/**
+ * Python tracebacks and syntax errors, located by the last frame outside the standard library
+ *   File "main.py", line 3, in <module>
+ *   NameError: name 'x' is not defined
+ */
+function parsePythonOutput(stderr) {
+  const lines = stderr.split('\n');
+  const exceptionIndex = lines.findLastIndex(line => /^[A-Za-z_][\w.]*(Error|Exception|Exit|Interrupt|Warning)\b(:|$)/.test(line));
+  if (exceptionIndex === -1) return [];
+
+  const exception = lines[exceptionIndex].match(/^([\w.]+)(?::\s*(.*))?$/);
+  const errorClass = exception[1].split('.').pop();
+  const message = (exception[2] || errorClass).trim();
+
+  const frames = [];
+  lines.slice(0, exceptionIndex).forEach((line, index) => {
+    const frame = line.match(/^\s*File "([^"]+)", line (\d+)/);
+    if (frame) frames.push({ file: frame[1], line: parseInt(frame[2]), index });
+  });
+  const ownFrames = frames.filter(f => !/[\\/]lib[\\/]python|<frozen/.test(f.file));
+  const frame = ownFrames[ownFrames.length - 1] || frames[frames.length - 1];
+
+  // Syntax errors point at the column with a ^ under the source line
+  let column = null;
+  if (frame) {
+    for (let i = frame.index + 1; i < exceptionIndex; i++) {
+      const caret = lines[i].match(/^(\s*)\^+\s*$/);
+      if (caret) {
+        column = caret[1].length - lines[i - 1].match(/^\s*/)[0].length + 1;
+        break;
+      }
+    }
+  }
+
+  const isSyntax = /^(SyntaxError|IndentationError|TabError)$/.test(errorClass);
+  return [makeDiagnostic({
+    phase: isSyntax ? 'compile' : 'runtime',
+    file: frame ? projectPath(frame.file) : null,
+    line: frame ? frame.line : null,
+    column: column && column > 0 ? column : null,
+    errorClass,
+    message,
+    ...classify(EXCEPTION_RULES, errorClass)
+  })];
+}
+
+/**
+ * Parses the result of compilerService.runCode
+ * result: { stderr, exitCode, signal?, compilationError?, timedOut?, limitExceeded?, usage? }
+ * Returns diagnostics, most important first (empty when the run succeeded)
+ */
+function parseDiagnostics(result, language) {
+  const stderr = result.stderr || '';
+  let diagnostics = [];
+
+  if (result.timedOut) {
+    // Out of wall time without keeping the CPU busy (see localExecutor): blocked, not looping
+    const waiting = result.limitExceeded === 'wallTime' && result.usage?.cpuTimeMs != null;
+    return [makeDiagnostic({
+      phase: 'runtime',
+      errorClass: 'Time limit exceeded',
+      message: waiting
+        ? 'the program spent its time waiting, not computing - is it reading input that never comes, or sleeping?'
+        : 'the program did not finish in time - look for a loop that never ends or input it is waiting for',
+      type: 'logic',
+      concept: waiting ? 'missing-input' : 'infinite-loop'
+    })];
+  }
+
+  switch (language) {
+    case 'c':
+    case 'cpp':
+      diagnostics = result.compilationError
+        ? parseGccOutput(stderr)
+        : parseNativeRuntime(stderr, result);
+      break;
+    case 'java':
+      diagnostics = result.compilationError ? parseJavacOutput(stderr) : parseJavaRuntime(stderr);
+      break;
+    case 'python':
+      diagnostics = parsePythonOutput(stderr);
+      break;
+  }
+
+  // Out of memory, whatever the crash looked like (a failed malloc often ends in a segfault)
+  if (result.limitExceeded === 'memory' && !diagnostics.some(d => d.concept === 'memory-limit')) {
+    diagnostics.unshift(makeDiagnostic({
+      phase: 'runtime',
+      errorClass: 'Memory limit exceeded',
+      message: 'the program needed more memory than it is allowed - look for a list or array that keeps growing, or one much bigger than the input needs',
+      type: 'logic',
+      concept: 'memory-limit'
+    }));
+  }
+
+  if (result.limitExceeded === 'output') {
+    diagnostics.unshift(makeDiagnostic({
+      phase: 'runtime',
+      errorClass: 'Output limit exceeded',
+      message: 'the program printed far more than expected and was stopped - look for a print inside a loop that never ends',
+      type: 'logic',
+      concept: 'infinite-loop'
+    }));
+  }
+
+  // A clean exit with a non-zero status - judges count this as a runtime error
+  if (diagnostics.length === 0 && !result.compilationError && result.exitCode > 0 && !stderr.trim()) {
+    diagnostics.push(makeDiagnostic({
+      phase: 'runtime',
+      errorClass: 'Non-zero exit code',
+      message: `the program ended with exit code ${result.exitCode} instead of 0`,
+      type: 'structure',
+      concept: 'exit-code'
+    }));
+  }
+
+  // Nothing recognisable, but the run still failed
+  if (diagnostics.length === 0 && (result.compilationError || (result.exitCode !== 0 && stderr.trim()))) {
+    const firstLine = stderr.trim().split('\n')[0];
+    diagnostics.push(makeDiagnostic({
+      phase: result.compilationError ? 'compile' : 'runtime',
+      errorClass: result.compilationError ? 'error' : 'Runtime error',
+      message: firstLine || 'the program failed',
+      type: result.compilationError ? 'syntax' : 'logic',
+      concept: result.compilationError ? 'compile-error' : 'runtime-error'
+    }));
+  }
+
+  // Errors before warnings, keeping the compiler's order otherwise
+  return diagnostics
+    .sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1))
+    .slice(0, MAX_DIAGNOSTICS);
+}
+
+/**
+ * Whether a failed run's output says it ran out of memory
+ */
+function isOutOfMemory(stderr) {
+  return OUT_OF_MEMORY.test(stderr || '');
+}
+
+module.exports = {
+  parseDiagnostics,
+  isOutOfMemory
+};
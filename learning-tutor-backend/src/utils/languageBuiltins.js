@@ -0,0 +1,155 @@
+/**
+ * Language Builtins
+ *
+ * Names a program may use without defining them: Python builtins, the parts
+ * of the C standard library students reach for, and what
+ * `using namespace std;` brings into a C++ file. Used by the scope analyzer
+ * so that `printf` or `len` is not reported as undefined.
+ *
+ * Keywords, common classes and common method names are here too; they are
+ * what the typo check compares a misspelt name against.
+ */
+
+const PYTHON_BUILTINS = new Set(`
+  ArithmeticError AssertionError AttributeError BaseException BaseExceptionGroup BlockingIOError
+  BrokenPipeError BufferError BytesWarning ChildProcessError ConnectionAbortedError ConnectionError
+  ConnectionRefusedError ConnectionResetError DeprecationWarning EOFError Ellipsis EncodingWarning
+  EnvironmentError Exception ExceptionGroup False FileExistsError FileNotFoundError FloatingPointError
+  FutureWarning GeneratorExit IOError ImportError ImportWarning IndentationError IndexError
+  InterruptedError IsADirectoryError KeyError KeyboardInterrupt LookupError MemoryError
+  ModuleNotFoundError NameError None NotADirectoryError NotImplemented NotImplementedError OSError
+  OverflowError PendingDeprecationWarning PermissionError ProcessLookupError RecursionError
+  ReferenceError ResourceWarning RuntimeError RuntimeWarning StopAsyncIteration StopIteration
+  SyntaxError SyntaxWarning SystemError SystemExit TabError TimeoutError True TypeError
+  UnboundLocalError UnicodeDecodeError UnicodeEncodeError UnicodeError UnicodeTranslateError
+  UnicodeWarning UserWarning ValueError Warning ZeroDivisionError
+  abs aiter all anext any ascii bin bool breakpoint bytearray bytes callable chr classmethod compile
+  complex copyright credits delattr dict dir divmod enumerate eval exec exit filter float format
+  frozenset getattr globals hasattr hash help hex id input int isinstance issubclass iter len license
+  list locals map max memoryview min next object oct open ord pow print property quit range repr
+  reversed round set setattr slice sorted staticmethod str sum super tuple type vars zip
+  __name__ __file__ __doc__ __builtins__ __spec__ __package__ __loader__ __debug__
+`.trim().split(/\s+/));
+
+// C standard library: stdio, stdlib, string, math, ctype, limits, stdbool, time, assert
+const C_BUILTINS = new Set(`
+  printf scanf fprintf fscanf sprintf snprintf sscanf puts gets fgets fputs putchar getchar getc putc
+  fgetc fputc fopen fclose fread fwrite fflush feof ferror fseek ftell rewind remove rename perror
+  stdin stdout stderr EOF FILE NULL BUFSIZ SEEK_SET SEEK_CUR SEEK_END
+  malloc calloc realloc free exit abort atexit atoi atol atoll atof strtol strtoll strtoul strtod
+  rand srand abs labs llabs div qsort bsearch system getenv EXIT_SUCCESS EXIT_FAILURE RAND_MAX
+  strlen strcpy strncpy strcat strncat strcmp strncmp strchr strrchr strstr strtok strdup memset
+  memcpy memmove memcmp memchr
+  sqrt pow fabs floor ceil round trunc fmod exp log log2 log10 sin cos tan asin acos atan atan2
+  sinh cosh tanh hypot cbrt fmin fmax INFINITY NAN HUGE_VAL M_PI M_E isnan isinf
+  isalpha isdigit isalnum isspace isupper islower ispunct isxdigit toupper tolower
+  INT_MAX INT_MIN UINT_MAX LONG_MAX LONG_MIN LLONG_MAX LLONG_MIN ULLONG_MAX CHAR_MAX CHAR_MIN
+  SHRT_MAX SHRT_MIN CHAR_BIT FLT_MAX DBL_MAX FLT_MIN DBL_MIN DBL_EPSILON FLT_EPSILON
+  bool true false time clock difftime CLOCKS_PER_SEC assert size_t errno
+  INT8_MAX INT16_MAX INT32_MAX INT64_MAX UINT8_MAX UINT16_MAX UINT32_MAX UINT64_MAX
+`.trim().split(/\s+/));
+
+// What `using namespace std;` brings in (containers, algorithms, streams)
+const CPP_STD_NAMES = new Set(`
+  cout cin cerr clog endl flush ws getline
+  vector string map set multimap multiset unordered_map unordered_set queue priority_queue stack deque
+  list pair tuple array bitset optional variant
+  make_pair make_tuple tie get swap move forward
+  unique_ptr shared_ptr weak_ptr make_unique make_shared
+  sort stable_sort reverse min max minmax min_element max_element accumulate count count_if find
+  find_if binary_search lower_bound upper_bound equal_range fill iota unique next_permutation
+  prev_permutation gcd lcm abs to_string stoi stol stoll stod stof begin end distance advance
+  numeric_limits greater less plus multiplies function hash
+  ios ios_base fixed setprecision setw setfill boolalpha
+  exception runtime_error logic_error out_of_range invalid_argument bad_alloc
+  size_t nullptr_t memset sqrt pow ceil floor log log2 exp
+`.trim().split(/\s+/));
+
+const PYTHON_KEYWORDS = new Set(`
+  False None True and as assert async await break class continue def del elif else except finally
+  for from global if import in is lambda nonlocal not or pass raise return try while with yield
+  match case
+`.trim().split(/\s+/));
+
+// Standard modules students import most
+const PYTHON_MODULES = new Set(`
+  math random sys os time datetime string collections itertools functools re json copy heapq bisect
+  statistics decimal fractions typing dataclasses
+`.trim().split(/\s+/));
+
+// Methods and attributes of str, list, dict, set, files and the common modules
+const PYTHON_MEMBERS = new Set(`
+  append extend insert remove pop clear index count sort reverse copy
+  split rsplit join strip lstrip rstrip lower upper title capitalize replace find rfind startswith
+  endswith format isdigit isalpha isalnum isspace isupper islower zfill center ljust rjust splitlines
+  encode decode
+  keys values items get setdefault update popitem fromkeys
+  add discard union intersection difference symmetric_difference issubset issuperset
+  read readline readlines write writelines close
+  sqrt floor ceil pow log log2 log10 exp sin cos tan pi inf factorial gcd isqrt fabs
+  randint choice shuffle sample uniform seed randrange
+  argv exit path
+  defaultdict deque namedtuple Counter OrderedDict most_common appendleft popleft
+  heappush heappop heapify
+`.trim().split(/\s+/));
+
+const C_KEYWORDS = new Set(`
+  auto break case char const continue default do double else enum extern float for goto if inline
+  int long register return short signed sizeof static struct switch typedef union unsigned void
+  volatile while
+`.trim().split(/\s+/));
+
+const CPP_KEYWORDS = new Set(`
+  ${[...C_KEYWORDS].join(' ')}
+  bool catch class constexpr delete explicit false friend namespace new nullptr operator private
+  protected public template this throw true try typename using virtual override
+`.trim().split(/\s+/));
+
+// Members of the standard containers, strings and streams
+const CPP_MEMBERS = new Set(`
+  push_back pop_back emplace_back push pop front back top size empty clear insert erase find count
+  begin end rbegin rend at substr length append resize reserve first second c_str compare
+`.trim().split(/\s+/));
+
+const JAVA_KEYWORDS = new Set(`
+  abstract assert boolean break byte case catch char class const continue default do double else
+  enum extends final finally float for if implements import instanceof int interface long native
+  new package private protected public return short static super switch synchronized this throw
+  throws transient try void volatile while var record true false null
+`.trim().split(/\s+/));
+
+// Classes from java.lang and java.util that students use every day
+const JAVA_STD_NAMES = new Set(`
+  System String StringBuilder Math Integer Double Long Boolean Character Float Short Byte Object
+  Exception RuntimeException IllegalArgumentException IllegalStateException ArithmeticException
+  NullPointerException ArrayIndexOutOfBoundsException IndexOutOfBoundsException NumberFormatException
+  Scanner ArrayList LinkedList List HashMap TreeMap Map HashSet TreeSet Set Arrays Collections
+  Iterator Queue Deque ArrayDeque PriorityQueue Stack Random Optional Thread Runnable Comparable
+  Comparator Iterable Override
+`.trim().split(/\s+/));
+
+// Fields and methods of the classes above
+const JAVA_MEMBERS = new Set(`
+  out in err println print printf format length charAt substring indexOf lastIndexOf equals
+  equalsIgnoreCase compareTo contains startsWith endsWith toUpperCase toLowerCase trim split
+  replace isEmpty toCharArray valueOf parseInt parseDouble parseLong toString hashCode
+  nextInt nextLine next nextDouble nextLong nextBoolean hasNext hasNextInt hasNextLine close
+  add addAll get set remove size clear containsKey containsValue put getOrDefault keySet values
+  entrySet getKey getValue push pop peek poll offer iterator sort asList fill stream
+  max min abs pow sqrt floor ceil round random append reverse insert deleteCharAt
+`.trim().split(/\s+/));
+
+module.exports = {
+  PYTHON_BUILTINS,
+  C_BUILTINS,
+  CPP_STD_NAMES,
+  PYTHON_KEYWORDS,
+  PYTHON_MODULES,
+  PYTHON_MEMBERS,
+  C_KEYWORDS,
+  CPP_KEYWORDS,
+  CPP_MEMBERS,
+  JAVA_KEYWORDS,
+  JAVA_STD_NAMES,
+  JAVA_MEMBERS
+};
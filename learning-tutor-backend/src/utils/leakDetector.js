@@ -0,0 +1,310 @@
+/**
+ * Solution Leak Detector
+ *
+ * Enforces the "never give complete code" rule on model replies.
+ * Looks at every fenced code block in a reply, scores how much it looks like
+ * a finished solution (complete function bodies, runnable programs, a fixed
+ * copy of the student's code) and turns offending blocks into ___ templates.
+ *
+ * Syntax templates and pseudocode (comments, ___ blanks, short snippets)
+ * score low and are left alone.
+ */
+
+const fs = require('fs');
+
+const CONFIG = {
+  // redact | regenerate | log | off
+  mode: (process.env.LEAK_DETECTOR_MODE || 'redact').toLowerCase(),
+  // Score at which a block counts as a leak (0-1)
+  scoreThreshold: parseFloat(process.env.LEAK_SCORE_THRESHOLD) || 0.6,
+  // Concrete lines above which a block is "long"
+  maxConcreteLines: parseInt(process.env.LEAK_MAX_CODE_LINES) || 6,
+  // Identifier overlap with the student's code that counts as "their code"
+  similarityThreshold: parseFloat(process.env.LEAK_SIMILARITY_THRESHOLD) || 0.6,
+  // Optional JSONL file that every intervention is appended to
+  logFile: process.env.LEAK_LOG_FILE || ''
+};
+
+const CODE_BLOCK_REGEX = /```(\w*)\n?([\s\S]*?)```/g;
+
+const PLACEHOLDER_REGEX = /___|\.\.\.|\bTODO\b|<[a-z]+ [a-z ]+>|\[[a-z]+ [a-z ]+\]/i;
+
+const COMMENT_PREFIX = {
+  python: '#',
+  c: '//',
+  cpp: '//',
+  java: '//'
+};
+
+const KEYWORDS = new Set([
+  'def', 'return', 'if', 'elif', 'else', 'for', 'while', 'in', 'range', 'and', 'or', 'not',
+  'int', 'char', 'float', 'double', 'void', 'long', 'bool', 'boolean', 'string', 'public',
+  'private', 'static', 'class', 'new', 'include', 'using', 'namespace', 'std', 'true', 'false',
+  'True', 'False', 'None', 'null', 'print', 'printf', 'cout', 'endl', 'import', 'from', 'main'
+]);
+
+/**
+ * Whether a line is a comment (or blank)
+ */
+function isCommentOrBlank(line) {
+  const trimmed = line.trim();
+  return !trimmed ||
+    trimmed.startsWith('#') && !trimmed.startsWith('#include') ||
+    trimmed.startsWith('//') ||
+    trimmed.startsWith('/*') ||
+    trimmed.startsWith('*');
+}
+
+/**
+ * Lines that are real code (not comments, not blanks, not placeholders)
+ */
+function getConcreteLines(code) {
+  return code.split('\n').filter(line =>
+    !isCommentOrBlank(line) &&
+    !PLACEHOLDER_REGEX.test(line) &&
+    !/^[{}\s;]*$/.test(line)
+  );
+}
+
+/**
+ * Identifier set used for similarity comparisons
+ */
+function getIdentifiers(text) {
+  const matches = (text || '').match(/[A-Za-z_][A-Za-z0-9_]*/g) || [];
+  return new Set(matches.filter(word => word.length > 1 && !KEYWORDS.has(word)));
+}
+
+/**
+ * Jaccard similarity of two identifier sets
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Finds function definitions whose body is fully written out
+ */
+function findCompleteFunctions(code) {
+  const lines = code.split('\n');
+  const functions = [];
+
+  lines.forEach((line, index) => {
+    const pythonDef = line.match(/^(\s*)def\s+(\w+)\s*\(.*\)\s*(->.*)?:\s*$/);
+    const cLikeDef = line.match(/^\s*(?:[\w<>[\]*&:]+\s+)+(\w+)\s*\([^;]*\)\s*(?:const\s*)?\{?\s*$/);
+
+    if (!pythonDef && !cLikeDef) return;
+    const name = pythonDef ? pythonDef[2] : cLikeDef[1];
+    if (['if', 'for', 'while', 'switch', 'catch'].includes(name)) return;
+
+    // Body: following lines that are more indented (Python) or until braces close (C-like)
+    const body = [];
+    if (pythonDef) {
+      const indent = pythonDef[1].length;
+      for (let i = index + 1; i < lines.length; i++) {
+        const current = lines[i];
+        if (current.trim() && current.match(/^\s*/)[0].length <= indent) break;
+        body.push(current);
+      }
+    } else {
+      let depth = (line.match(/\{/g) || []).length;
+      for (let i = index + 1; i < lines.length && (depth > 0 || i === index + 1); i++) {
+        depth += (lines[i].match(/\{/g) || []).length - (lines[i].match(/\}/g) || []).length;
+        body.push(lines[i]);
+        if (depth <= 0 && lines[i].includes('}')) break;
+      }
+    }
+
+    const hasPlaceholder = body.some(l => PLACEHOLDER_REGEX.test(l));
+    const concrete = getConcreteLines(body.join('\n'));
+    if (!hasPlaceholder && concrete.length >= 2) {
+      functions.push(name);
+    }
+  });
+
+  return functions;
+}
+
+/**
+ * Whether the block is a runnable program on its own
+ */
+function hasEntryPoint(code) {
+  return /\bint\s+main\s*\(/.test(code) ||
+    /public\s+static\s+void\s+main\s*\(/.test(code) ||
+    /if\s+__name__\s*==\s*['"]__main__['"]/.test(code);
+}
+
+/**
+ * Scores one code block
+ * Returns { score, reasons[] } - score is 0 (template) to 1 (full solution)
+ */
+function scoreBlock(block, { studentCode = '', problemText = '' } = {}) {
+  const reasons = [];
+  let score = 0;
+
+  const allLines = block.split('\n').filter(l => l.trim());
+  const concrete = getConcreteLines(block);
+  if (concrete.length === 0) {
+    return { score: 0, reasons };
+  }
+
+  const completeFunctions = findCompleteFunctions(block);
+  if (completeFunctions.length > 0) {
+    score += 0.4;
+    reasons.push(`complete function body: ${completeFunctions.join(', ')}`);
+  }
+
+  if (hasEntryPoint(block) && concrete.length >= 3) {
+    score += 0.3;
+    reasons.push('runnable program with entry point');
+  }
+
+  if (concrete.length > CONFIG.maxConcreteLines) {
+    score += 0.2;
+    reasons.push(`${concrete.length} concrete lines (max ${CONFIG.maxConcreteLines})`);
+  }
+
+  // A corrected copy of the student's own code is the most direct kind of leak
+  if (studentCode.trim()) {
+    const overlap = similarity(getIdentifiers(block), getIdentifiers(studentCode));
+    const studentLines = new Set(studentCode.split('\n').map(l => l.trim()));
+    const newLines = concrete.filter(l => !studentLines.has(l.trim()));
+    // Covering most of their program means the whole fix is handed over
+    const coverage = concrete.length / Math.max(1, getConcreteLines(studentCode).length);
+    if (overlap >= CONFIG.similarityThreshold && newLines.length >= 2) {
+      score += coverage >= 0.8 ? 0.6 : 0.3;
+      reasons.push(`rewrites the student's code (${Math.round(overlap * 100)}% identifier overlap, ${newLines.length} changed lines, ${Math.round(Math.min(1, coverage) * 100)}% of their program)`);
+    }
+  }
+
+  // Names taken from the problem statement (e.g. twoSum) suggest a direct answer
+  if (problemText.trim() && completeFunctions.length > 0) {
+    const problemIds = getIdentifiers(problemText);
+    const matched = completeFunctions.filter(name => problemIds.has(name));
+    if (matched.length > 0) {
+      score += 0.2;
+      reasons.push(`implements function named in the problem: ${matched.join(', ')}`);
+    }
+  }
+
+  // Mostly blanks and comments means it is a template, whatever its shape
+  const placeholderRatio = 1 - concrete.length / allLines.length;
+  if (placeholderRatio > 0.4) {
+    score *= 0.3;
+  }
+
+  return { score: Math.min(1, score), reasons };
+}
+
+/**
+ * Replaces the specifics of a code block with ___ blanks, keeping its shape
+ */
+function redactBlock(block, language) {
+  const comment = COMMENT_PREFIX[language] || '//';
+  const output = [];
+
+  for (const line of block.split('\n')) {
+    const indent = line.match(/^\s*/)[0];
+    const trimmed = line.trim();
+    let redacted;
+
+    if (isCommentOrBlank(line) || /^[{}\s;]*$/.test(trimmed) || /^(#include|import|from|using|package)\b/.test(trimmed)) {
+      redacted = line;
+    } else if (/^(def|function)\s+\w+/.test(trimmed)) {
+      redacted = line.replace(/\(.*\)/, '(___)');
+    } else if (/^(for|while|if|elif|else if|switch)\b/.test(trimmed)) {
+      const keyword = trimmed.match(/^(for|while|if|elif|else if|switch)/)[1];
+      const opensBlock = trimmed.endsWith('{') ? ' {' : trimmed.endsWith(':') ? ':' : '';
+      redacted = trimmed.includes('(') && language !== 'python'
+        ? `${indent}${keyword} (___)${opensBlock}`
+        : `${indent}${keyword} ___${opensBlock}`;
+    } else if (/^(else|try|finally|do)\b/.test(trimmed) || /^(except|catch)\b/.test(trimmed)) {
+      redacted = line;
+    } else if (/^(?:[\w<>[\]*&:]+\s+)+\w+\s*\([^;]*\)\s*\{?\s*$/.test(trimmed)) {
+      redacted = line.replace(/\(.*\)/, '(___)');
+    } else if (/^(class|struct|public\s+class)\b/.test(trimmed)) {
+      redacted = line;
+    } else if (/^return\b/.test(trimmed)) {
+      redacted = `${indent}return ___${trimmed.endsWith(';') ? ';' : ''}`;
+    } else {
+      redacted = `${indent}${comment} ___`;
+    }
+
+    // Collapse runs of identical blank statements
+    if (redacted !== output[output.length - 1] || !redacted.trim().endsWith('___')) {
+      output.push(redacted);
+    }
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Records an intervention so thresholds can be tuned later
+ */
+function logIntervention(entry) {
+  console.log(`[Leak Detector] ${entry.action}: score=${entry.score.toFixed(2)} - ${entry.reasons.join('; ')}`);
+
+  if (CONFIG.logFile) {
+    fs.appendFile(CONFIG.logFile, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n', (error) => {
+      if (error) console.error('[Leak Detector] Could not write log file:', error.message);
+    });
+  }
+}
+
+/**
+ * Checks a reply for leaked solutions
+ * Returns { leaked, blocks: [{ index, language, score, reasons }] }
+ */
+function detectLeaks(text, context = {}) {
+  const blocks = [];
+  if (typeof text !== 'string') return { leaked: false, blocks };
+
+  let match;
+  let index = 0;
+  CODE_BLOCK_REGEX.lastIndex = 0;
+  while ((match = CODE_BLOCK_REGEX.exec(text)) !== null) {
+    const { score, reasons } = scoreBlock(match[2], context);
+    if (score >= CONFIG.scoreThreshold) {
+      blocks.push({ index, language: match[1] || context.language, score, reasons });
+    }
+    index++;
+  }
+
+  return { leaked: blocks.length > 0, blocks };
+}
+
+/**
+ * Redacts every leaking code block in a reply
+ * Returns { text, interventions: [{ score, reasons }] }
+ */
+function redactLeaks(text, context = {}) {
+  const interventions = [];
+  if (typeof text !== 'string') return { text, interventions };
+
+  let index = 0;
+  const redacted = text.replace(CODE_BLOCK_REGEX, (full, lang, body) => {
+    const { score, reasons } = scoreBlock(body, context);
+    index++;
+    if (score < CONFIG.scoreThreshold) return full;
+
+    interventions.push({ block: index - 1, score, reasons });
+    const template = redactBlock(body.replace(/\n$/, ''), lang || context.language);
+    return `\`\`\`${lang}\n${template}\n\`\`\`\n_(I turned this into a fill-in-the-blanks template so you can write the details yourself.)_`;
+  });
+
+  return { text: redacted, interventions };
+}
+
+module.exports = {
+  CONFIG,
+  detectLeaks,
+  redactLeaks,
+  scoreBlock,
+  redactBlock,
+  logIntervention
+};
@@ -0,0 +1,131 @@
+/**
+ * Project Files
+ *
+ * A multi-file project is a list of { name, content }, where name is a
+ * relative path such as "main.c", "lib/util.h" or "shapes/Circle.java".
+ * Which files get compiled, which one starts the program and which Java
+ * class to run all follow from the language. Single-file code is a project
+ * of one file with the name the language expects.
+ */
+
+// Files compiled or run, per language
+const SOURCE_EXTENSIONS = {
+  python: ['.py'],
+  c: ['.c'],
+  cpp: ['.cpp', '.cc'],
+  java: ['.java']
+};
+
+// Files that are included rather than compiled
+const HEADER_EXTENSIONS = {
+  python: [],
+  c: ['.h'],
+  cpp: ['.h', '.hpp']
+};
+
+// Input files the program may open, in any language
+const DATA_EXTENSIONS = ['.txt', '.csv'];
+
+// Path segments of letters, digits, "_", "-" and "." that don't start with a dot (so no "..")
+const FILE_NAME = /^[A-Za-z0-9_][A-Za-z0-9_.-]*(\/[A-Za-z0-9_][A-Za-z0-9_.-]*)*$/;
+const MAX_PROJECT_FILES = 20;
+const MAX_FILE_NAME_LENGTH = 100;
+
+function extensionOf(name) {
+  const dot = name.lastIndexOf('.');
+  return dot > name.lastIndexOf('/') ? name.slice(dot).toLowerCase() : '';
+}
+
+/**
+ * Extensions a project in this language may contain
+ */
+function allowedExtensions(language) {
+  return [...SOURCE_EXTENSIONS[language], ...(HEADER_EXTENSIONS[language] || []), ...DATA_EXTENSIONS];
+}
+
+function isSourceFile(name, language) {
+  return SOURCE_EXTENSIONS[language].includes(extensionOf(name));
+}
+
+/**
+ * Names of the files to compile (or, for Python, that can be run)
+ */
+function sourceFiles(files, language) {
+  return files.filter(file => isSourceFile(file.name, language)).map(file => file.name);
+}
+
+/**
+ * Java requires the file name to match the public class
+ */
+function getJavaClassName(code) {
+  const match = code.match(/public\s+(?:final\s+|abstract\s+)*class\s+(\w+)/);
+  return match ? match[1] : 'Main';
+}
+
+/**
+ * Fully qualified class of a Java file, e.g. "shapes.Circle" for a file
+ * declaring `package shapes;`
+ */
+function javaClassOf(file) {
+  const pkg = file.content.match(/^\s*package\s+([\w.]+)\s*;/m);
+  const className = file.name.split('/').pop().replace(/\.java$/, '');
+  return pkg ? `${pkg[1]}.${className}` : className;
+}
+
+const HAS_MAIN = {
+  python: /^if\s+__name__\s*==\s*['"]__main__['"]\s*:/m,
+  c: /\bmain\s*\(/,
+  cpp: /\bmain\s*\(/,
+  java: /\bstatic\s+(?:public\s+)?void\s+main\s*\(|\bpublic\s+static\s+void\s+main\s*\(/
+};
+
+/**
+ * The file that starts the program
+ * Python: main.py, else the file with `if __name__ == "__main__":`, else the first .py
+ * Java: the class with a main method (Main.java if several have one)
+ * C/C++: the file defining main (every source is compiled either way)
+ */
+function findEntryFile(files, language) {
+  const sources = files.filter(file => isSourceFile(file.name, language));
+  if (language === 'python') {
+    const main = sources.find(file => file.name === 'main.py');
+    if (main) return main;
+  }
+  const withMain = sources.filter(file => HAS_MAIN[language].test(file.content));
+  if (language === 'java' && withMain.length > 1) {
+    const main = withMain.find(file => file.name.split('/').pop() === 'Main.java');
+    if (main) return main;
+  }
+  return withMain[0] || sources[0] || null;
+}
+
+/**
+ * Single-file code as a project: main.py, main.c, main.cpp or <PublicClass>.java
+ */
+function singleFileProject(code, language) {
+  const name = language === 'java' ? `${getJavaClassName(code)}.java` : `main.${language === 'python' ? 'py' : language}`;
+  return [{ name, content: code }];
+}
+
+/**
+ * Code (a string) or a project (a file list) as { files, entry }
+ * entryName picks the entry file of a project; otherwise it is found
+ */
+function toProject(source, language, entryName) {
+  const files = typeof source === 'string' ? singleFileProject(source, language) : source;
+  const entry = (entryName && files.find(file => file.name === entryName)) || findEntryFile(files, language);
+  return { files, entry };
+}
+
+module.exports = {
+  allowedExtensions,
+  isSourceFile,
+  sourceFiles,
+  getJavaClassName,
+  javaClassOf,
+  findEntryFile,
+  toProject,
+  FILE_NAME,
+  MAX_PROJECT_FILES,
+  MAX_FILE_NAME_LENGTH
+};
@@ -0,0 +1,652 @@
+/**
+ * Scope Analyzer
+ *
+ * Walks a syntax tree from codeParser, records where each name is declared
+ * (per scope, following each language's rules) and resolves every use of a
+ * name to its declaration. From that we learn which names are used but
+ * never defined and which variables are stored but never read.
+ *
+ * The analysis ignores statement order inside a scope: a name defined
+ * anywhere in a scope counts as defined throughout it. That misses a few
+ * use-before-assignment bugs but never reports a name that does exist.
+ */
+
+const { fieldChildren, isField, closest } = require('./codeParser');
+const { PYTHON_BUILTINS, C_BUILTINS, CPP_STD_NAMES } = require('./languageBuiltins');
+
+// Methods every Java class inherits from Object
+const JAVA_OBJECT_METHODS = new Set(['equals', 'hashCode', 'toString', 'getClass', 'clone', 'finalize', 'notify', 'notifyAll', 'wait']);
+
+// C/C++ declaration types worth reporting when unused (objects may have side effects)
+const C_VALUE_TYPES = ['primitive_type', 'sized_type_specifier', 'placeholder_type_specifier'];
+const C_VALUE_TYPE_TEXT = /^(std::)?(string|vector<.*>)$/;
+
+/**
+ * Analyzes a parsed program
+ *
+ * Returns {
+ *   undefinedNames: [{ node, name, kind: 'variable' | 'method' }],
+ *   unusedVariables: [{ node, name, loopVariable }],
+ *   declaredNames: Set of every name the code declares (variables, functions, members, methods),
+ *   bindingOf(identifierNode) -> { name, kind, typeText?, arraySize? } | null
+ * }
+ */
+function analyzeScopes(root, language) {
+  const rules = language === 'python' ? PYTHON_RULES : language === 'java' ? JAVA_RULES : C_RULES;
+  const ctx = createContext(language);
+
+  visit(root, null, ctx, rules);
+
+  const undefinedNames = [];
+  for (const use of ctx.uses) {
+    const binding = resolve(use, rules);
+    if (binding) {
+      ctx.resolved.set(use.node.id, binding);
+      if (!use.write) binding.used = true;
+    } else if (!rules.isKnown(use.node.text, use.node, ctx)) {
+      undefinedNames.push({ node: use.node, name: use.node.text, kind: 'variable' });
+    }
+  }
+
+  for (const call of ctx.calls) {
+    const name = call.node.text;
+    if (!ctx.methods.has(name) && !JAVA_OBJECT_METHODS.has(name) && !rules.isKnown(name, call.node, ctx)) {
+      undefinedNames.push({ node: call.node, name, kind: 'method' });
+    }
+  }
+
+  const unusedVariables = ctx.bindings
+    .filter(b => b.reportUnused && !b.used && !b.name.startsWith('_'))
+    .map(b => ({ node: b.node, name: b.name, loopVariable: b.kind === 'loop' }));
+
+  return {
+    undefinedNames,
+    unusedVariables,
+    declaredNames: new Set([...ctx.bindings.map(b => b.name), ...ctx.members, ...ctx.methods]),
+    bindingOf: node => ctx.resolved.get(node.id) || ctx.declaredAt.get(node.id) || null
+  };
+}
+
+function createContext(language) {
+  return {
+    language,
+    scopes: [],
+    bindings: [],
+    uses: [],
+    calls: [],
+    declared: new Set(),       // identifier node ids that declare rather than use a name
+    declaredAt: new Map(),     // declaring identifier id -> binding
+    resolved: new Map(),       // using identifier id -> binding
+    members: new Set(),        // C++ class members, usable inside methods
+    methods: new Set(),        // Java method names declared in the file
+    flags: {}
+  };
+}
+
+/**
+ * Pre-order walk: declarations are recorded on the parent before its
+ * identifiers are visited, so a declaring identifier is never taken for a use
+ * (an explicit stack, so deeply nested code can't overflow the call stack)
+ */
+function visit(root, rootScope, ctx, rules) {
+  const stack = [[root, rootScope]];
+  while (stack.length > 0) {
+    const [node, scope] = stack.pop();
+    let inner = scope;
+    const kind = rules.scopes[node.type];
+    if (kind) {
+      inner = { node, kind, parent: scope, names: new Map(), globalNames: new Set() };
+      ctx.scopes.push(inner);
+    }
+    const outer = scope || inner;
+
+    rules.declare(node, outer, inner, ctx);
+
+    if (node.type === 'identifier' && !ctx.declared.has(node.id) && rules.isReference(node, ctx)) {
+      ctx.uses.push({ node, scope: inner, write: isPlainAssignmentTarget(node) });
+    }
+
+    // Pushed last to first, so they come off the stack in source order
+    const children = node.namedChildren;
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push([children[i], inner]);
+    }
+  }
+}
+
+/**
+ * Adds a declaration to a scope; repeated declarations share one binding
+ */
+function bind(ctx, scope, node, info = {}) {
+  if (!node) return null;
+  ctx.declared.add(node.id);
+  const name = node.text;
+  let binding = scope.names.get(name);
+  if (binding) {
+    binding.reportUnused = binding.reportUnused && Boolean(info.reportUnused);
+  } else {
+    binding = { name, node, kind: info.kind || 'variable', reportUnused: Boolean(info.reportUnused), used: false };
+    if (info.typeText) binding.typeText = info.typeText;
+    if (info.arraySize !== undefined) binding.arraySize = info.arraySize;
+    scope.names.set(name, binding);
+    ctx.bindings.push(binding);
+  }
+  ctx.declaredAt.set(node.id, binding);
+  return binding;
+}
+
+/**
+ * Marks an identifier as declaring something we don't track (e.g. prototype parameters)
+ */
+function skip(ctx, node) {
+  if (node) ctx.declared.add(node.id);
+}
+
+/**
+ * Finds the binding a use refers to by walking out through enclosing scopes
+ */
+function resolve(use, rules) {
+  const name = use.node.text;
+  for (let scope = use.scope; scope; scope = scope.parent) {
+    // Python methods can't see names bound directly in their class body
+    if (rules.skipsClassScopes && scope.kind === 'class' && scope !== use.scope) continue;
+    const binding = scope.names.get(name);
+    if (binding) return binding;
+  }
+  return null;
+}
+
+/**
+ * `x = ...` writes x without reading it (C, C++ and Java)
+ */
+function isPlainAssignmentTarget(node) {
+  const parent = node.parent;
+  if (!parent || parent.type !== 'assignment_expression' || !isField(node, 'left')) return false;
+  const operator = parent.childForFieldName('operator');
+  return operator ? operator.text === '=' : parent.children.some(c => c.type === '=');
+}
+
+function moduleScope(scope) {
+  let current = scope;
+  while (current.parent) current = current.parent;
+  return current;
+}
+
+// ============================================================
+// PYTHON
+// ============================================================
+
+const PYTHON_TARGET_CONTAINERS = [
+  'pattern_list', 'tuple_pattern', 'list_pattern', 'tuple', 'list', 'parenthesized_expression',
+  'list_splat_pattern', 'list_splat', 'as_pattern_target', 'expression_list'
+];
+
+/**
+ * Names bound by an assignment target; attributes and subscripts bind nothing
+ */
+function pythonTargets(node) {
+  if (!node) return [];
+  if (node.type === 'identifier') return [node];
+  if (PYTHON_TARGET_CONTAINERS.includes(node.type)) return node.namedChildren.flatMap(pythonTargets);
+  return [];
+}
+
+function pythonParameterNames(parameter) {
+  switch (parameter.type) {
+    case 'identifier':
+      return [parameter];
+    case 'default_parameter':
+    case 'typed_default_parameter':
+      return [parameter.childForFieldName('name')];
+    case 'typed_parameter':
+    case 'list_splat_pattern':
+    case 'dictionary_splat_pattern':
+      return parameter.firstNamedChild ? pythonParameterNames(parameter.firstNamedChild) : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Binds a Python name, honouring `global` declarations in the scope
+ */
+function bindPython(ctx, scope, node, info) {
+  if (!node) return;
+  if (scope.globalNames.has(node.text)) {
+    bind(ctx, moduleScope(scope), node, { kind: 'global' });
+  } else {
+    bind(ctx, scope, node, info);
+  }
+}
+
+const PYTHON_RULES = {
+  skipsClassScopes: true,
+
+  scopes: {
+    module: 'module',
+    function_definition: 'function',
+    lambda: 'function',
+    class_definition: 'class',
+    list_comprehension: 'comprehension',
+    set_comprehension: 'comprehension',
+    dictionary_comprehension: 'comprehension',
+    generator_expression: 'comprehension'
+  },
+
+  declare(node, outer, inner, ctx) {
+    switch (node.type) {
+      case 'function_definition':
+      case 'lambda': {
+        if (node.type === 'function_definition') bindPython(ctx, outer, node.childForFieldName('name'), { kind: 'definition' });
+        const parameters = node.childForFieldName('parameters');
+        if (parameters) {
+          parameters.namedChildren.flatMap(pythonParameterNames).forEach(p => bind(ctx, inner, p, { kind: 'parameter' }));
+        }
+        break;
+      }
+      case 'class_definition':
+        bindPython(ctx, outer, node.childForFieldName('name'), { kind: 'definition' });
+        break;
+      case 'assignment':
+        pythonTargets(node.childForFieldName('left'))
+          .forEach(id => bindPython(ctx, inner, id, { kind: 'variable', reportUnused: inner.kind !== 'class' }));
+        break;
+      case 'for_statement':
+      case 'for_in_clause':
+        pythonTargets(node.childForFieldName('left'))
+          .forEach(id => bindPython(ctx, inner, id, { kind: 'loop', reportUnused: true }));
+        break;
+      case 'as_pattern':
+        pythonTargets(node.childForFieldName('alias')).forEach(id => bindPython(ctx, inner, id));
+        break;
+      case 'named_expression': {
+        // Walrus targets inside a comprehension belong to the enclosing function
+        let scope = inner;
+        while (scope.kind === 'comprehension' && scope.parent) scope = scope.parent;
+        bindPython(ctx, scope, node.childForFieldName('name'));
+        break;
+      }
+      case 'import_statement':
+      case 'import_from_statement': {
+        const moduleName = node.childForFieldName('module_name');
+        for (const child of node.namedChildren) {
+          if (moduleName && child.id === moduleName.id) continue;
+          if (child.type === 'wildcard_import') ctx.flags.wildcardImport = true;
+          if (child.type === 'aliased_import') bindPython(ctx, inner, child.childForFieldName('alias'), { kind: 'import' });
+          // `import os.path` binds os; `from m import name` binds name
+          if (child.type === 'dotted_name') bindPython(ctx, inner, child.firstNamedChild, { kind: 'import' });
+        }
+        break;
+      }
+      case 'global_statement':
+        for (const id of node.namedChildren) {
+          inner.globalNames.add(id.text);
+          bind(ctx, moduleScope(inner), id, { kind: 'global' });
+        }
+        break;
+      case 'nonlocal_statement':
+        node.namedChildren.forEach(id => skip(ctx, id));
+        break;
+    }
+  },
+
+  isReference(node) {
+    const parent = node.parent;
+    if (parent.type === 'attribute' && isField(node, 'attribute')) return false;
+    if (parent.type === 'keyword_argument' && isField(node, 'name')) return false;
+    return !closest(node, ['import_statement', 'import_from_statement', 'future_import_statement', 'case_pattern']);
+  },
+
+  isKnown(name, node, ctx) {
+    return PYTHON_BUILTINS.has(name) || Boolean(ctx.flags.wildcardImport);
+  }
+};
+
+// ============================================================
+// C / C++
+// ============================================================
+
+const C_DECLARATOR_WRAPPERS = [
+  'init_declarator', 'pointer_declarator', 'reference_declarator', 'array_declarator',
+  'parenthesized_declarator', 'attributed_declarator'
+];
+
+/**
+ * Unwraps a declarator down to the names it declares
+ * Returns { names, isFunction, parameters?, arraySize? }
+ * (a loop, so deeply nested declarators can't overflow the call stack)
+ */
+function declaratorNames(declarator) {
+  const wrappers = [];
+  let node = declarator;
+  while (node && (node.type === 'function_declarator' || C_DECLARATOR_WRAPPERS.includes(node.type))) {
+    wrappers.push(node);
+    node = node.type === 'function_declarator'
+      ? node.childForFieldName('declarator')
+      : node.childForFieldName('declarator') || node.lastNamedChild;
+  }
+
+  let result = { names: [] };
+  if (node && (node.type === 'identifier' || node.type === 'field_identifier')) {
+    result = { names: [node] };
+  } else if (node && node.type === 'structured_binding_declarator') {
+    result = { names: node.namedChildren.filter(c => c.type === 'identifier') };
+  }
+
+  // Innermost first, so the outermost function or array shape wins
+  for (const wrapper of wrappers.reverse()) {
+    if (wrapper.type === 'function_declarator') {
+      result = { names: result.names, isFunction: true, parameters: wrapper.childForFieldName('parameters') };
+    } else if (wrapper.type === 'array_declarator') {
+      const size = wrapper.childForFieldName('size');
+      if (size && size.type === 'number_literal' && /^\d+$/.test(size.text)) {
+        result.arraySize = parseInt(size.text);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Declares each parameter of a parameter_list in a scope (or skips them)
+ */
+function bindCParameters(ctx, scope, parameters) {
+  if (!parameters) return;
+  for (const parameter of parameters.namedChildren) {
+    const { names, arraySize } = declaratorNames(parameter.childForFieldName('declarator'));
+    const typeNode = parameter.childForFieldName('type');
+    names.forEach(id => scope
+      ? bind(ctx, scope, id, { kind: 'parameter', typeText: typeNode && typeNode.text, arraySize })
+      : skip(ctx, id));
+  }
+}
+
+function isCValueType(typeNode) {
+  return Boolean(typeNode) && (C_VALUE_TYPES.includes(typeNode.type) || C_VALUE_TYPE_TEXT.test(typeNode.text.replace(/\s+/g, '')));
+}
+
+const C_RULES = {
+  scopes: {
+    translation_unit: 'module',
+    function_definition: 'function',
+    lambda_expression: 'function',
+    compound_statement: 'block',
+    for_statement: 'block',
+    for_range_loop: 'block',
+    if_statement: 'block',
+    while_statement: 'block',
+    switch_statement: 'block',
+    catch_clause: 'block',
+    declaration_list: 'namespace'
+  },
+
+  declare(node, outer, inner, ctx) {
+    switch (node.type) {
+      case 'function_definition': {
+        const { names, parameters } = declaratorNames(node.childForFieldName('declarator'));
+        for (const name of names) {
+          if (name.type === 'field_identifier') {
+            ctx.members.add(name.text);
+            skip(ctx, name);
+          } else {
+            bind(ctx, outer, name, { kind: 'function' });
+          }
+        }
+        bindCParameters(ctx, inner, parameters);
+        break;
+      }
+      case 'declaration': {
+        const typeNode = node.childForFieldName('type');
+        const local = inner.kind !== 'module' && inner.kind !== 'namespace';
+        for (const declarator of fieldChildren(node, 'declarator')) {
+          const { names, isFunction, parameters, arraySize } = declaratorNames(declarator);
+          if (isFunction) {
+            names.forEach(id => bind(ctx, inner, id, { kind: 'function' }));
+            bindCParameters(ctx, null, parameters);
+          } else {
+            names.forEach(id => bind(ctx, inner, id, {
+              kind: 'variable',
+              reportUnused: local && declarator.type !== 'structured_binding_declarator' && isCValueType(typeNode),
+              typeText: typeNode && typeNode.text,
+              arraySize
+            }));
+          }
+        }
+        break;
+      }
+      case 'field_declaration':
+        for (const declarator of fieldChildren(node, 'declarator')) {
+          const { names, parameters } = declaratorNames(declarator);
+          names.forEach(id => { ctx.members.add(id.text); skip(ctx, id); });
+          bindCParameters(ctx, null, parameters);
+        }
+        break;
+      case 'parameter_declaration':
+      case 'optional_parameter_declaration':
+        // Template parameters like `int N` are usable in the templated code
+        // (template declarations don't open a scope, so they land beside it)
+        if (node.parent && node.parent.type === 'template_parameter_list') {
+          declaratorNames(node.childForFieldName('declarator')).names.forEach(id => bind(ctx, inner, id, { kind: 'parameter' }));
+        }
+        break;
+      case 'lambda_expression': {
+        const declarator = node.childForFieldName('declarator');
+        bindCParameters(ctx, inner, declarator && declarator.childForFieldName('parameters'));
+        break;
+      }
+      case 'catch_clause':
+        bindCParameters(ctx, inner, node.childForFieldName('parameters'));
+        break;
+      case 'for_range_loop': {
+        const typeNode = node.childForFieldName('type');
+        declaratorNames(node.childForFieldName('declarator')).names
+          .forEach(id => bind(ctx, inner, id, { kind: 'loop', reportUnused: true, typeText: typeNode && typeNode.text }));
+        break;
+      }
+      case 'enumerator':
+        bind(ctx, inner, node.childForFieldName('name'), { kind: 'constant' });
+        break;
+      case 'preproc_def':
+      case 'preproc_function_def':
+        bind(ctx, moduleScope(inner), node.childForFieldName('name'), { kind: 'macro' });
+        if (node.childForFieldName('parameters')) {
+          node.childForFieldName('parameters').namedChildren.forEach(id => skip(ctx, id));
+        }
+        break;
+      case 'using_declaration':
+        if (node.children.some(c => c.type === 'namespace')) {
+          // `using namespace std;` brings in the standard names we know;
+          // any other namespace brings in names we can't see
+          if (node.lastNamedChild && node.lastNamedChild.text === 'std') ctx.flags.usingStd = true;
+          else ctx.flags.unknownNames = true;
+        } else if (node.lastNamedChild && node.lastNamedChild.type === 'qualified_identifier') {
+          bind(ctx, inner, node.lastNamedChild.childForFieldName('name'), { kind: 'import' });
+        }
+        break;
+      case 'preproc_include': {
+        // A project header may declare anything
+        const path = node.childForFieldName('path');
+        if (path && path.type === 'string_literal') ctx.flags.unknownNames = true;
+        break;
+      }
+      case 'base_class_clause':
+        ctx.flags.inherits = true;
+        break;
+    }
+  },
+
+  isReference(node) {
+    for (let child = node, parent = node.parent; parent; child = parent, parent = parent.parent) {
+      if (['qualified_identifier', 'using_declaration', 'preproc_defined', 'preproc_ifdef', 'attribute'].includes(parent.type)) return false;
+      if (['preproc_if', 'preproc_elif'].includes(parent.type)) {
+        const condition = parent.childForFieldName('condition');
+        if (condition && condition.id === child.id) return false;
+      }
+      if (!['template_function', 'template_method', 'parenthesized_expression', 'binary_expression', 'unary_expression', 'call_expression', 'argument_list'].includes(parent.type)) break;
+    }
+    return true;
+  },
+
+  isKnown(name, node, ctx) {
+    if (C_BUILTINS.has(name) || name.startsWith('__') || ctx.flags.unknownNames || ctx.members.has(name)) return true;
+    if (ctx.language === 'cpp' && ctx.flags.usingStd && CPP_STD_NAMES.has(name)) return true;
+    // Inherited members are declared in a base class we may not see
+    return Boolean(ctx.flags.inherits) && Boolean(closest(node, ['field_declaration_list']) || isQualifiedMethod(node));
+  }
+};
+
+/**
+ * True inside a method defined outside its class (`int Shape::area() {...}`)
+ */
+function isQualifiedMethod(node) {
+  const fn = closest(node, ['function_definition']);
+  const declarator = fn && fn.childForFieldName('declarator');
+  return Boolean(declarator) && declarator.text.includes('::');
+}
+
+// ============================================================
+// JAVA
+// ============================================================
+
+/**
+ * Size of `new int[5]`, or undefined
+ */
+function javaArraySize(value) {
+  if (!value || value.type !== 'array_creation_expression') return undefined;
+  const dimensions = value.namedChildren.filter(c => c.type === 'dimensions_expr');
+  const size = dimensions.length === 1 && dimensions[0].firstNamedChild;
+  return size && size.type === 'decimal_integer_literal' ? parseInt(size.text) : undefined;
+}
+
+function bindJavaDeclarators(ctx, scope, node, info) {
+  const typeNode = node.childForFieldName('type');
+  for (const declarator of fieldChildren(node, 'declarator')) {
+    bind(ctx, scope, declarator.childForFieldName('name'), {
+      ...info,
+      typeText: typeNode && typeNode.text,
+      arraySize: javaArraySize(declarator.childForFieldName('value'))
+    });
+  }
+}
+
+function bindJavaParameters(ctx, scope, parameters) {
+  if (!parameters) return;
+  if (parameters.type === 'identifier') {
+    bind(ctx, scope, parameters, { kind: 'parameter' });
+    return;
+  }
+  for (const parameter of parameters.namedChildren) {
+    if (parameter.type === 'identifier') {
+      bind(ctx, scope, parameter, { kind: 'parameter' });
+    } else if (parameter.type === 'formal_parameter') {
+      const typeNode = parameter.childForFieldName('type');
+      bind(ctx, scope, parameter.childForFieldName('name'), { kind: 'parameter', typeText: typeNode && typeNode.text });
+    } else if (parameter.type === 'spread_parameter') {
+      const declarator = parameter.namedChildren.find(c => c.type === 'variable_declarator');
+      if (declarator) bind(ctx, scope, declarator.childForFieldName('name'), { kind: 'parameter' });
+    }
+  }
+}
+
+const JAVA_RULES = {
+  scopes: {
+    program: 'module',
+    class_body: 'class',
+    interface_body: 'class',
+    enum_body: 'class',
+    record_declaration: 'class',
+    method_declaration: 'function',
+    constructor_declaration: 'function',
+    lambda_expression: 'function',
+    block: 'block',
+    for_statement: 'block',
+    enhanced_for_statement: 'block',
+    catch_clause: 'block',
+    try_with_resources_statement: 'block',
+    switch_block: 'block'
+  },
+
+  declare(node, outer, inner, ctx) {
+    switch (node.type) {
+      case 'method_declaration':
+        ctx.methods.add(node.childForFieldName('name').text);
+        skip(ctx, node.childForFieldName('name'));
+        bindJavaParameters(ctx, inner, node.childForFieldName('parameters'));
+        break;
+      case 'constructor_declaration':
+      case 'record_declaration':
+        bindJavaParameters(ctx, inner, node.childForFieldName('parameters'));
+        break;
+      case 'lambda_expression':
+        bindJavaParameters(ctx, inner, node.childForFieldName('parameters'));
+        break;
+      case 'field_declaration':
+      case 'constant_declaration':
+        bindJavaDeclarators(ctx, inner, node, { kind: 'field' });
+        break;
+      case 'local_variable_declaration':
+        bindJavaDeclarators(ctx, inner, node, { kind: 'variable', reportUnused: true });
+        break;
+      case 'enhanced_for_statement': {
+        const typeNode = node.childForFieldName('type');
+        bind(ctx, inner, node.childForFieldName('name'), { kind: 'loop', reportUnused: true, typeText: typeNode && typeNode.text });
+        break;
+      }
+      case 'catch_formal_parameter':
+      case 'resource':
+      case 'instanceof_expression':
+        if (node.childForFieldName('name')) {
+          const typeNode = node.childForFieldName('type');
+          bind(ctx, inner, node.childForFieldName('name'), { typeText: typeNode && typeNode.text });
+        }
+        break;
+      case 'enum_constant':
+        bind(ctx, inner, node.childForFieldName('name'), { kind: 'constant' });
+        break;
+      case 'import_declaration':
+        if (node.children.some(c => c.type === 'static')) {
+          if (node.namedChildren.some(c => c.type === 'asterisk')) {
+            ctx.flags.staticWildcard = true;
+          } else {
+            const path = node.namedChildren.find(c => c.type === 'scoped_identifier');
+            const name = path && path.childForFieldName('name');
+            if (name) {
+              ctx.methods.add(name.text);
+              bind(ctx, inner, name, { kind: 'import' });
+            }
+          }
+        }
+        break;
+      case 'method_invocation':
+        if (!node.childForFieldName('object')) {
+          ctx.calls.push({ node: node.childForFieldName('name') });
+        }
+        break;
+    }
+  },
+
+  isReference(node) {
+    // Capitalised names are classes and constants, which come from everywhere
+    if (/^[A-Z]/.test(node.text)) return false;
+    const parent = node.parent;
+    if (parent.type === 'field_access' && isField(node, 'field')) return false;
+    if (parent.type === 'method_invocation' && isField(node, 'name')) return false;
+    if (parent.type === 'method_reference' && parent.firstNamedChild.id !== node.id) return false;
+    if (['labeled_statement', 'break_statement', 'continue_statement', 'scoped_identifier',
+      'marker_annotation', 'annotation', 'element_value_pair'].includes(parent.type)) return false;
+    return !closest(node, ['import_declaration', 'package_declaration', 'module_declaration']);
+  },
+
+  isKnown(name, node, ctx) {
+    if (ctx.flags.staticWildcard) return true;
+    // Inherited fields and methods are declared in a class we may not see
+    for (let current = closest(node, ['class_declaration', 'enum_declaration']); current; current = closest(current, ['class_declaration', 'enum_declaration'])) {
+      if (current.childForFieldName('superclass') || current.childForFieldName('interfaces')) return true;
+    }
+    return false;
+  }
+};
+
+module.exports = {
+  analyzeScopes
+};
@@ -0,0 +1,157 @@
+/**
+ * Typo Suggester
+ *
+ * "Did you mean" candidates for a name that matches nothing: the closest
+ * names by edit distance among the language's keywords, builtins and
+ * standard-library names, plus the names the student defined. It only
+ * suggests - the student's code is never rewritten.
+ */
+
+const {
+  PYTHON_BUILTINS, C_BUILTINS, CPP_STD_NAMES,
+  PYTHON_KEYWORDS, PYTHON_MODULES, PYTHON_MEMBERS,
+  C_KEYWORDS, CPP_KEYWORDS, CPP_MEMBERS,
+  JAVA_KEYWORDS, JAVA_STD_NAMES, JAVA_MEMBERS
+} = require('./languageBuiltins');
+
+// Most suggestions offered for one name
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * What a misspelt name is compared against, per language:
+ *   names   - plain names (variables, functions, keywords)
+ *   members - what can follow a dot (methods, attributes, fields)
+ *   types   - type names
+ */
+const DICTIONARIES = {
+  python: {
+    names: [PYTHON_KEYWORDS, PYTHON_BUILTINS, PYTHON_MODULES],
+    members: [PYTHON_MEMBERS],
+    types: []
+  },
+  c: {
+    names: [C_KEYWORDS, C_BUILTINS],
+    members: [],
+    types: [C_KEYWORDS, C_BUILTINS]
+  },
+  cpp: {
+    names: [CPP_KEYWORDS, C_BUILTINS, CPP_STD_NAMES],
+    members: [CPP_MEMBERS],
+    types: [CPP_KEYWORDS, C_BUILTINS, CPP_STD_NAMES]
+  },
+  java: {
+    names: [JAVA_KEYWORDS, JAVA_STD_NAMES, JAVA_MEMBERS],
+    members: [JAVA_MEMBERS],
+    types: [JAVA_KEYWORDS, JAVA_STD_NAMES]
+  }
+};
+
+/**
+ * Known names of one kind ('names', 'members' or 'types') for a language
+ */
+function knownNames(language, kind) {
+  const dictionary = DICTIONARIES[language];
+  return new Set(dictionary ? dictionary[kind].flatMap(set => [...set]) : []);
+}
+
+/**
+ * Edits needed to turn a into b: insertions, deletions, substitutions and
+ * swaps of neighbouring letters (optimal string alignment distance)
+ * Stops early and returns limit + 1 once the distance must exceed limit
+ */
+function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edits a name of this length may be away from a suggestion
+ */
+function allowedEdits(name) {
+  return name.length <= 7 ? 1 : 2;
+}
+
+/**
+ * True when b is a with two neighbouring letters swapped
+ */
+function isSwap(a, b) {
+  if (a.length !== b.length) return false;
+  const diff = [...a].map((_, i) => i).filter(i => a[i] !== b[i]);
+  return diff.length === 2 && diff[1] === diff[0] + 1 && a[diff[0]] === b[diff[1]] && a[diff[1]] === b[diff[0]];
+}
+
+/**
+ * Singular vs plural (item/items, value/values) is almost always on purpose
+ */
+function isPluralOf(a, b) {
+  return a === `${b}s` || a === `${b}es` || b === `${a}s` || b === `${a}es`;
+}
+
+/**
+ * Closest candidates to a name, best first (at most MAX_SUGGESTIONS)
+ * own is a set of the student's names: on a tie they come first
+ * Capitalisation differences are free, so `Print` suggests `print`
+ * A name that is itself a candidate is spelled right (`cout` without
+ * `using namespace std` is missing something else), so it gets none
+ */
+function suggestNames(name, candidates, own = new Set()) {
+  const pool = new Set(candidates);
+  if (pool.has(name)) return [];
+
+  // Short names are close to too many others to guess, except for two
+  // swapped letters (itn -> int)
+  const short = name.length <= 3;
+  const limit = allowedEdits(name);
+  const lower = name.toLowerCase();
+  let best = limit + 1;
+  let matches = [];
+
+  for (const candidate of pool) {
+    const other = candidate.toLowerCase();
+    if (isPluralOf(lower, other) || (short && other !== lower && !isSwap(lower, other))) continue;
+    const distance = editDistance(lower, other, Math.min(limit, best));
+    if (distance < best) {
+      best = distance;
+      matches = [candidate];
+    } else if (distance === best && distance <= limit) {
+      matches.push(candidate);
+    }
+  }
+
+  return matches
+    .sort((a, b) => Number(own.has(b)) - Number(own.has(a)) || a.localeCompare(b))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * 'a', 'a' or 'b', 'a', 'b' or 'c'
+ */
+function formatSuggestions(suggestions) {
+  const quoted = suggestions.map(s => `'${s}'`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+}
+
+module.exports = {
+  knownNames,
+  editDistance,
+  suggestNames,
+  formatSuggestions
+};
@@ -4,15 +4,69 @@
  * Validates incoming requests to ensure they have correct data
  */
 
+const {
+  allowedExtensions,
+  isSourceFile,
+  FILE_NAME,
+  MAX_PROJECT_FILES,
+  MAX_FILE_NAME_LENGTH
+} = require('./projectFiles');
+
 // Supported languages
 const SUPPORTED_LANGUAGES = ['python', 'c', 'cpp', 'java'];
 
 // Difficulty levels
 const SUPPORTED_LEVELS = ['basic', 'moderate', 'complex'];
 
+// Tutoring modes for /analyze
+const SUPPORTED_MODES = ['explain', 'socratic'];
+
 // Maximum hint level
 const MAX_HINT_LEVEL = 5;
 
+// Output comparison modes for the judge
+const SUPPORTED_COMPARISON_MODES = ['exact', 'whitespace', 'float', 'unordered'];
+
+// Judge limits (keeps one request from tying up the runner)
+const MAX_TEST_CASES = 50;
+const MAX_TEST_TIME_LIMIT_MS = 10000;
+
+// Longest problem id a hint ladder can be keyed by
+const MAX_PROBLEM_ID_LENGTH = 100;
+
+// Account credentials
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Account roles (an instructor runs classes)
+const SUPPORTED_ROLES = ['student', 'instructor'];
+
+// Classroom limits
+const MAX_CLASS_NAME_LENGTH = 100;
+const MAX_ASSIGNMENT_TITLE_LENGTH = 200;
+const MAX_STATEMENT_LENGTH = 20000;
+const MAX_STARTER_CODE_LENGTH = 20000;
+
+// Compiler/runtime diagnostics a student can ask the tutor to explain
+const MAX_DIAGNOSTICS = 20;
+
+// Empirical complexity measurement
+const SUPPORTED_COMPLEXITY_MODES = ['static', 'empirical'];
+const SUPPORTED_INPUT_TYPES = ['array', 'string', 'integer'];
+const SUPPORTED_INPUT_ORDERS = ['random', 'sorted', 'reversed'];
+const MAX_EMPIRICAL_N = 1000000;
+
+// Languages POST /trace can step through
+const TRACE_LANGUAGES = ['python', 'c'];
+
+// Debug sessions (the /debug WebSocket), and the paused state the tutor can be shown
+const MAX_BREAKPOINTS = 50;
+const MAX_WATCHES = 20;
+const MAX_EXPRESSION_LENGTH = 200;
+const MAX_DEBUG_VALUES = 50;
+const MAX_DEBUG_VALUE_LENGTH = 500;
+
 /**
  * Validates the analyze request body
  * Returns { valid: boolean, errors: string[] }
@@ -21,9 +75,9 @@ function validateAnalyzeRequest(body) {
   const errors = [];
   const hasQuestion = typeof body.userQuestion === 'string' && body.userQuestion.trim().length > 0;
 
-  // Check if code exists and is a string (required unless userQuestion is present)
+  // Check if code exists and is a string (required unless userQuestion or a project is present)
   if (!body.code) {
-    if (!hasQuestion) {
+    if (!hasQuestion && body.files === undefined) {
       errors.push('code is required');
     }
   } else if (typeof body.code !== 'string') {
@@ -39,6 +93,15 @@ function validateAnalyzeRequest(body) {
     errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
   }
 
+  // Check the project if provided - code is then the active file's
+  if (body.files !== undefined) {
+    const language = typeof body.language === 'string' ? normalizeLanguage(body.language) : null;
+    errors.push(...checkProjectFiles(body.files, language));
+    if (body.activeFile !== undefined && !(Array.isArray(body.files) && body.files.some(f => f?.name === body.activeFile))) {
+      errors.push('activeFile must be the name of one of the files');
+    }
+  }
+
   // Check if level is valid
   if (!body.level) {
     errors.push('level is required');
@@ -46,6 +109,11 @@ function validateAnalyzeRequest(body) {
     errors.push(`level must be one of: ${SUPPORTED_LEVELS.join(', ')}`);
   }
 
+  // Check tutoring mode if provided
+  if (body.mode !== undefined && !SUPPORTED_MODES.includes(body.mode)) {
+    errors.push(`mode must be one of: ${SUPPORTED_MODES.join(', ')}`);
+  }
+
   // Check hint level if provided
   if (body.hintLevel !== undefined) {
     const hint = parseInt(body.hintLevel);
@@ -54,12 +122,526 @@ function validateAnalyzeRequest(body) {
     }
   }
 
+  // Check conversation id if provided
+  if (body.sessionId !== undefined && body.sessionId !== null && typeof body.sessionId !== 'string') {
+    errors.push('sessionId must be a string');
+  }
+
+  // Check hint ladder fields if provided
+  if (body.hintRequest !== undefined && typeof body.hintRequest !== 'boolean') {
+    errors.push('hintRequest must be true or false');
+  }
+  if (body.problemId !== undefined && !isProblemId(body.problemId)) {
+    errors.push(`problemId must be a non-empty string of at most ${MAX_PROBLEM_ID_LENGTH} characters`);
+  }
+
+  // Check the classroom assignment if provided
+  if (body.assignmentId !== undefined && !isAssignmentId(body.assignmentId)) {
+    errors.push('assignmentId must be a positive integer');
+  }
+
+  // Check diagnostics (from POST /run) if provided
+  if (body.diagnostics !== undefined) {
+    if (!Array.isArray(body.diagnostics) || body.diagnostics.length > MAX_DIAGNOSTICS) {
+      errors.push(`diagnostics must be an array of at most ${MAX_DIAGNOSTICS} items`);
+    } else if (!body.diagnostics.every(d => d && typeof d === 'object' && typeof d.message === 'string')) {
+      errors.push('each diagnostic must be an object with a message');
+    }
+  }
+
+  // Check per-request rule toggles if provided
+  if (body.rules !== undefined && !isRuleToggles(body.rules)) {
+    errors.push('rules must be an object mapping rule ids to true or false');
+  }
+
+  // Check where the program is paused in the debugger, if provided
+  if (body.debugState !== undefined) {
+    errors.push(...checkDebugState(body.debugState));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the judge request body
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateJudgeRequest(body) {
+  const errors = [];
+
+  if (!body.code || typeof body.code !== 'string' || body.code.trim().length === 0) {
+    errors.push('code is required');
+  }
+
+  if (!body.language) {
+    errors.push('language is required');
+  } else if (!SUPPORTED_LANGUAGES.includes(body.language.toLowerCase())) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+
+  if (body.comparison !== undefined && !SUPPORTED_COMPARISON_MODES.includes(body.comparison)) {
+    errors.push(`comparison must be one of: ${SUPPORTED_COMPARISON_MODES.join(', ')}`);
+  }
+
+  errors.push(...checkTestCases(body.testCases));
+
+  // A passing run resets this session's hint ladder for the problem
+  if (body.sessionId !== undefined && body.sessionId !== null && typeof body.sessionId !== 'string') {
+    errors.push('sessionId must be a string');
+  }
+  if (body.problemId !== undefined && !isProblemId(body.problemId)) {
+    errors.push(`problemId must be a non-empty string of at most ${MAX_PROBLEM_ID_LENGTH} characters`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Problems with a list of judge test cases (empty when it is fine)
+ */
+function checkTestCases(testCases) {
+  const errors = [];
+
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    errors.push('testCases must be a non-empty array');
+  } else if (testCases.length > MAX_TEST_CASES) {
+    errors.push(`testCases cannot have more than ${MAX_TEST_CASES} entries`);
+  } else {
+    testCases.forEach((testCase, index) => {
+      if (!testCase || typeof testCase !== 'object') {
+        errors.push(`testCases[${index}] must be an object`);
+        return;
+      }
+      if (testCase.input !== undefined && typeof testCase.input !== 'string') {
+        errors.push(`testCases[${index}].input must be a string`);
+      }
+      if (typeof testCase.expectedOutput !== 'string') {
+        errors.push(`testCases[${index}].expectedOutput is required`);
+      }
+      if (testCase.timeLimitMs !== undefined) {
+        const limit = parseInt(testCase.timeLimitMs);
+        if (isNaN(limit) || limit < 1 || limit > MAX_TEST_TIME_LIMIT_MS) {
+          errors.push(`testCases[${index}].timeLimitMs must be between 1 and ${MAX_TEST_TIME_LIMIT_MS}`);
+        }
+      }
+      if (testCase.comparison !== undefined && !SUPPORTED_COMPARISON_MODES.includes(testCase.comparison)) {
+        errors.push(`testCases[${index}].comparison must be one of: ${SUPPORTED_COMPARISON_MODES.join(', ')}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Problems with a multi-file project [{ name, content }] (empty when it is fine)
+ * entry, if given, must name one of its source files
+ */
+function checkProjectFiles(files, language, entry) {
+  const errors = [];
+
+  if (!Array.isArray(files) || files.length === 0) {
+    return ['files must be a non-empty array'];
+  }
+  if (files.length > MAX_PROJECT_FILES) {
+    return [`files cannot have more than ${MAX_PROJECT_FILES} entries`];
+  }
+
+  const known = SUPPORTED_LANGUAGES.includes(language);
+  const names = new Set();
+  files.forEach((file, index) => {
+    if (!file || typeof file !== 'object') {
+      errors.push(`files[${index}] must be an object`);
+      return;
+    }
+    if (typeof file.name !== 'string' || !FILE_NAME.test(file.name) || file.name.length > MAX_FILE_NAME_LENGTH) {
+      errors.push(`files[${index}].name must be a relative path like "main.c" or "lib/util.h" (at most ${MAX_FILE_NAME_LENGTH} characters)`);
+    } else if (names.has(file.name)) {
+      errors.push(`files[${index}].name "${file.name}" is used twice`);
+    } else {
+      names.add(file.name);
+      if (known && !allowedExtensions(language).some(ext => file.name.toLowerCase().endsWith(ext))) {
+        errors.push(`files[${index}].name must end in one of: ${allowedExtensions(language).join(', ')}`);
+      }
+    }
+    if (typeof file.content !== 'string') {
+      errors.push(`files[${index}].content must be a string`);
+    }
+  });
+
+  if (errors.length === 0 && known) {
+    const sources = files.filter(file => isSourceFile(file.name, language));
+    if (sources.length === 0) {
+      errors.push(`files must include a ${language} source file`);
+    } else if (entry !== undefined && !sources.some(file => file.name === entry)) {
+      errors.push('entry must be the name of one of the source files');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Problems with a list of breakpoints [{ file, line }] (empty when it is fine)
+ * fileNames, if given, are the files they may be set in
+ */
+function checkBreakpoints(breakpoints, fileNames) {
+  if (!Array.isArray(breakpoints) || breakpoints.length > MAX_BREAKPOINTS) {
+    return [`breakpoints must be an array of at most ${MAX_BREAKPOINTS} items`];
+  }
+
+  const errors = [];
+  breakpoints.forEach((breakpoint, index) => {
+    if (!breakpoint || typeof breakpoint !== 'object') {
+      errors.push(`breakpoints[${index}] must be an object`);
+      return;
+    }
+    if (typeof breakpoint.file !== 'string' || (fileNames && !fileNames.includes(breakpoint.file))) {
+      errors.push(`breakpoints[${index}].file must be the name of one of the files`);
+    }
+    if (!Number.isInteger(breakpoint.line) || breakpoint.line < 1) {
+      errors.push(`breakpoints[${index}].line must be a positive integer`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Problems with a list of watch expressions (empty when it is fine)
+ */
+function checkWatches(watches) {
+  if (!Array.isArray(watches) || watches.length > MAX_WATCHES) {
+    return [`watches must be an array of at most ${MAX_WATCHES} expressions`];
+  }
+  if (!watches.every(isExpression)) {
+    return [`each watch must be a non-empty string of at most ${MAX_EXPRESSION_LENGTH} characters`];
+  }
+  return [];
+}
+
+/**
+ * Problems with a debugger pause sent to /analyze (empty when it is fine)
+ * { file?, line, function?, exception?, locals: [{ name, value, type? }], watches?: [{ expression, value?, error? }] }
+ */
+function checkDebugState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return ['debugState must be an object'];
+  }
+
+  const errors = [];
+  const isShortString = (value) => typeof value === 'string' && value.length <= MAX_DEBUG_VALUE_LENGTH;
+  if (!Number.isInteger(state.line) || state.line < 1) {
+    errors.push('debugState.line must be a positive integer');
+  }
+  for (const key of ['file', 'function', 'exception']) {
+    if (state[key] !== undefined && state[key] !== null && !isShortString(state[key])) {
+      errors.push(`debugState.${key} must be a string of at most ${MAX_DEBUG_VALUE_LENGTH} characters`);
+    }
+  }
+  if (!Array.isArray(state.locals) || state.locals.length > MAX_DEBUG_VALUES) {
+    errors.push(`debugState.locals must be an array of at most ${MAX_DEBUG_VALUES} variables`);
+  } else if (!state.locals.every(local => local && isShortString(local.name) && isShortString(local.value)
+    && (local.type === undefined || isShortString(local.type)))) {
+    errors.push('each of debugState.locals must have a name and a value');
+  }
+  if (state.watches !== undefined) {
+    if (!Array.isArray(state.watches) || state.watches.length > MAX_WATCHES) {
+      errors.push(`debugState.watches must be an array of at most ${MAX_WATCHES} items`);
+    } else if (!state.watches.every(watch => watch && isExpression(watch.expression)
+      && (isShortString(watch.value) || isShortString(watch.error)))) {
+      errors.push('each of debugState.watches must have an expression and a value or an error');
+    }
+  }
+  return errors;
+}
+
+function isExpression(expression) {
+  return typeof expression === 'string' && expression.trim().length > 0 && expression.length <= MAX_EXPRESSION_LENGTH;
+}
+
+/**
+ * Validates the trace request body
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateTraceRequest(body) {
+  const errors = [];
+
+  const language = typeof body.language === 'string' ? normalizeLanguage(body.language) : null;
+  if (!language) {
+    errors.push('language is required');
+  } else if (!TRACE_LANGUAGES.includes(language)) {
+    errors.push(`language must be one of: ${TRACE_LANGUAGES.join(', ')}`);
+  }
+
+  if (body.files !== undefined) {
+    if (TRACE_LANGUAGES.includes(language)) {
+      errors.push(...checkProjectFiles(body.files, language, body.entry));
+    }
+  } else if (!body.code || typeof body.code !== 'string' || body.code.trim().length === 0) {
+    errors.push('code is required');
+  }
+
+  if (body.input !== undefined && typeof body.input !== 'string') {
+    errors.push('input must be a string');
+  }
+
+  if (body.maxSteps !== undefined && (!Number.isInteger(body.maxSteps) || body.maxSteps < 1)) {
+    errors.push('maxSteps must be a positive integer');
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Validates the complexity request body
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateComplexityRequest(body) {
+  const errors = [];
+
+  if (!body.code || typeof body.code !== 'string' || body.code.trim().length === 0) {
+    errors.push('code is required');
+  }
+
+  if (!body.language) {
+    errors.push('language is required');
+  } else if (!SUPPORTED_LANGUAGES.includes(body.language.toLowerCase())) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+
+  if (body.mode !== undefined && !SUPPORTED_COMPLEXITY_MODES.includes(body.mode)) {
+    errors.push(`mode must be one of: ${SUPPORTED_COMPLEXITY_MODES.join(', ')}`);
+  }
+
+  if (body.mode === 'empirical') {
+    if (typeof body.functionName !== 'string' || !/^[A-Za-z_]\w*$/.test(body.functionName)) {
+      errors.push('functionName is required for empirical mode and must be an identifier');
+    }
+
+    const input = body.input;
+    if (!input || typeof input !== 'object') {
+      errors.push('input is required for empirical mode');
+    } else {
+      if (!SUPPORTED_INPUT_TYPES.includes(input.type)) {
+        errors.push(`input.type must be one of: ${SUPPORTED_INPUT_TYPES.join(', ')}`);
+      }
+      if (input.order !== undefined && !SUPPORTED_INPUT_ORDERS.includes(input.order)) {
+        errors.push(`input.order must be one of: ${SUPPORTED_INPUT_ORDERS.join(', ')}`);
+      }
+      if (input.maxN !== undefined && (!Number.isInteger(input.maxN) || input.maxN < 8 || input.maxN > MAX_EMPIRICAL_N)) {
+        errors.push(`input.maxN must be an integer between 8 and ${MAX_EMPIRICAL_N}`);
+      }
+      for (const key of ['min', 'max']) {
+        if (input[key] !== undefined && (!Number.isInteger(input[key]) || Math.abs(input[key]) > 1e9)) {
+          errors.push(`input.${key} must be an integer between -1000000000 and 1000000000`);
+        }
+      }
+      if (Number.isInteger(input.min) && Number.isInteger(input.max) && input.min > input.max) {
+        errors.push('input.min cannot be greater than input.max');
+      }
+      if (input.args !== undefined && (
+        !Array.isArray(input.args) || input.args.length === 0 || input.args.length > 2 ||
+        !input.args.every(arg => arg === 'input' || arg === 'n')
+      )) {
+        errors.push('input.args must list one or two of: "input", "n"');
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the /lint request body
+ * Empty code is allowed - it simply has no issues
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateLintRequest(body) {
+  const errors = [];
+
+  if (typeof body.code !== 'string') {
+    errors.push('code must be a string');
+  }
+
+  if (!body.language) {
+    errors.push('language is required');
+  } else if (!SUPPORTED_LANGUAGES.includes(body.language.toLowerCase())) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+
+  if (body.hintLevel !== undefined) {
+    const hint = parseInt(body.hintLevel);
+    if (isNaN(hint) || hint < 1 || hint > MAX_HINT_LEVEL) {
+      errors.push(`hintLevel must be between 1 and ${MAX_HINT_LEVEL}`);
+    }
+  }
+
+  // Check per-request rule toggles if provided
+  if (body.rules !== undefined && !isRuleToggles(body.rules)) {
+    errors.push('rules must be an object mapping rule ids to true or false');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a register/login request body
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateCredentials(body) {
+  const errors = [];
+
+  if (typeof body.username !== 'string' || !USERNAME_PATTERN.test(body.username)) {
+    errors.push('username must be 3-32 letters, digits, dots, dashes or underscores');
+  }
+
+  if (typeof body.password !== 'string' ||
+      body.password.length < MIN_PASSWORD_LENGTH || body.password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`);
+  }
+
+  if (body.role !== undefined && !SUPPORTED_ROLES.includes(body.role)) {
+    errors.push(`role must be one of: ${SUPPORTED_ROLES.join(', ')}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a new class: { name }
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateClassRequest(body) {
+  const errors = [];
+
+  if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_CLASS_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_CLASS_NAME_LENGTH} characters`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a new assignment
+ * { title, statement, language, starterCode?, testCases, comparison?, maxHintLevel? }
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateAssignmentRequest(body) {
+  const errors = [];
+
+  if (typeof body.title !== 'string' || !body.title.trim() || body.title.length > MAX_ASSIGNMENT_TITLE_LENGTH) {
+    errors.push(`title must be a non-empty string of at most ${MAX_ASSIGNMENT_TITLE_LENGTH} characters`);
+  }
+
+  if (typeof body.statement !== 'string' || !body.statement.trim() || body.statement.length > MAX_STATEMENT_LENGTH) {
+    errors.push(`statement must be a non-empty string of at most ${MAX_STATEMENT_LENGTH} characters`);
+  }
+
+  if (!body.language) {
+    errors.push('language is required');
+  } else if (!SUPPORTED_LANGUAGES.includes(body.language.toLowerCase())) {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+
+  if (body.starterCode !== undefined && (typeof body.starterCode !== 'string' || body.starterCode.length > MAX_STARTER_CODE_LENGTH)) {
+    errors.push(`starterCode must be a string of at most ${MAX_STARTER_CODE_LENGTH} characters`);
+  }
+
+  errors.push(...checkTestCases(body.testCases));
+
+  if (body.comparison !== undefined && !SUPPORTED_COMPARISON_MODES.includes(body.comparison)) {
+    errors.push(`comparison must be one of: ${SUPPORTED_COMPARISON_MODES.join(', ')}`);
+  }
+
+  // The most direct hint the tutor may give on this assignment
+  if (body.maxHintLevel !== undefined) {
+    const level = parseInt(body.maxHintLevel);
+    if (isNaN(level) || level < 1 || level > MAX_HINT_LEVEL) {
+      errors.push(`maxHintLevel must be between 1 and ${MAX_HINT_LEVEL}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a profile sync body: { progress?, learningState? }
+ * where each document is { data: object, updatedAt: number }
+ * Returns { valid: boolean, errors: string[] }
+ */
+function validateProfileSync(body, documents) {
+  const errors = [];
+
+  for (const name of Object.keys(body)) {
+    if (!documents.includes(name)) {
+      errors.push(`unknown document "${name}" - expected one of: ${documents.join(', ')}`);
+      continue;
+    }
+    const document = body[name];
+    if (!document || typeof document !== 'object') {
+      errors.push(`${name} must be an object`);
+      continue;
+    }
+    if (!document.data || typeof document.data !== 'object' || Array.isArray(document.data)) {
+      errors.push(`${name}.data must be an object`);
+    }
+    if (!Number.isInteger(document.updatedAt) || document.updatedAt < 0) {
+      errors.push(`${name}.updatedAt must be a timestamp in milliseconds`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * True for { ruleId: true | false, ... }
+ */
+function isRuleToggles(rules) {
+  return Boolean(rules) && typeof rules === 'object' && !Array.isArray(rules) &&
+    Object.values(rules).every(value => typeof value === 'boolean');
+}
+
+/**
+ * True for a non-empty string short enough to key a hint ladder
+ */
+function isProblemId(problemId) {
+  return typeof problemId === 'string' && problemId.trim().length > 0 && problemId.length <= MAX_PROBLEM_ID_LENGTH;
+}
+
+/**
+ * True for a classroom assignment id (a positive integer)
+ */
+function isAssignmentId(assignmentId) {
+  return Number.isInteger(assignmentId) && assignmentId > 0;
+}
+
 /**
  * Normalizes language names to standard format
  * e.g., "Python" -> "python", "C++" -> "cpp"
@@ -79,8 +661,26 @@ function normalizeLanguage(language) {
 
 module.exports = {
   validateAnalyzeRequest,
+  validateJudgeRequest,
+  validateComplexityRequest,
+  validateLintRequest,
+  validateTraceRequest,
+  validateCredentials,
+  validateProfileSync,
+  validateClassRequest,
+  validateAssignmentRequest,
   normalizeLanguage,
+  isAssignmentId,
+  checkProjectFiles,
+  checkBreakpoints,
+  checkWatches,
+  isExpression,
   SUPPORTED_LANGUAGES,
   SUPPORTED_LEVELS,
-  MAX_HINT_LEVEL
+  SUPPORTED_MODES,
+  SUPPORTED_COMPARISON_MODES,
+  SUPPORTED_INPUT_TYPES,
+  TRACE_LANGUAGES,
+  MAX_HINT_LEVEL,
+  MAX_TEST_CASES
 };
@@ -0,0 +1,48 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+// The signup code is read when the route loads, so each case loads its own copy
+async function register(signupCode, body) {
+  if (signupCode === undefined) delete process.env.INSTRUCTOR_SIGNUP_CODE;
+  else process.env.INSTRUCTOR_SIGNUP_CODE = signupCode;
+  delete require.cache[require.resolve('../src/routes/auth')];
+
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', require('../src/routes/auth'));
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Connection: 'close' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('instructor sign-up is closed without INSTRUCTOR_SIGNUP_CODE', async () => {
+  const { status, body } = await register(undefined, { username: 'teacher1', password: 'password123', role: 'instructor' });
+  assert.strictEqual(status, 403);
+  assert.match(body.error, /closed/);
+});
+
+test('students can still register without INSTRUCTOR_SIGNUP_CODE', async () => {
+  const { status, body } = await register(undefined, { username: 'student1', password: 'password123' });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.user.role, 'student');
+});
+
+test('instructors need the configured code', async () => {
+  const wrong = await register('open-sesame', { username: 'teacher2', password: 'password123', role: 'instructor', instructorCode: 'guess' });
+  assert.strictEqual(wrong.status, 403);
+
+  const right = await register('open-sesame', { username: 'teacher3', password: 'password123', role: 'instructor', instructorCode: 'open-sesame' });
+  assert.strictEqual(right.status, 201);
+  assert.strictEqual(right.body.user.role, 'instructor');
+});
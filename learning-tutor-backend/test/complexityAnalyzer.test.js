@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeComplexity } = require('../src/utils/complexityAnalyzer');
+
+const NESTED = 'int main(){ int n, s = 0; scanf("%d", &n); for(int i=0;i<n;i++){ for(int j=0;j<n;j++){ s++; } } printf("%d", s); return 0; }';
+const FIB = 'int fib(int n){ if(n<2) return n; return fib(n-1)+fib(n-2); }';
+
+test('a function written on one line is analyzed', () => {
+  const result = analyzeComplexity(NESTED, 'c');
+  assert.strictEqual(result.worst, 'O(n²)');
+  assert.deepStrictEqual(result.functions.map(fn => [fn.name, fn.line]), [['main', 1]]);
+  assert.ok(result.evidence.some(item => item.kind === 'nested-loop' && item.line === 1));
+});
+
+test('a recursive function written on one line is found', () => {
+  const result = analyzeComplexity(FIB, 'cpp');
+  assert.strictEqual(result.worst, 'O(2^n)');
+  assert.deepStrictEqual(result.functions.map(fn => fn.name), ['fib']);
+  assert.match(result.explanation, /T\(n-1\) \+ T\(n-2\)/);
+});
+
+test('one-line and usual layouts get the same estimate', () => {
+  const oneLine = 'int count(int a[], int n){ int c = 0; for (int i = 0; i < n; i++) { if (a[i] > 0) c++; } do { n /= 2; } while (n > 0); return c; }';
+  const usual = [
+    'int count(int a[], int n) {',
+    '    int c = 0;',
+    '    for (int i = 0; i < n; i++) {',
+    '        if (a[i] > 0) c++;',
+    '    }',
+    '    do {',
+    '        n /= 2;',
+    '    } while (n > 0);',
+    '    return c;',
+    '}'
+  ].join('\n');
+
+  const summary = ({ best, worst, average, functions, evidence }) =>
+    ({ best, worst, average, functions: functions.map(fn => fn.name), kinds: evidence.map(item => item.kind) });
+  assert.deepStrictEqual(summary(analyzeComplexity(oneLine, 'c')), summary(analyzeComplexity(usual, 'c')));
+});
@@ -0,0 +1,71 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUser } = require('../src/services/accountService');
+
+const SERVICES = ['conversationService', 'hintLadderService', 'socraticService', 'aiService']
+  .map(name => require.resolve(`../src/services/${name}`));
+
+// Fresh service modules on the same database, as after a server restart
+function restart() {
+  SERVICES.forEach(file => delete require.cache[file]);
+  return {
+    ...require('../src/services/conversationService'),
+    ...require('../src/services/hintLadderService'),
+    ...require('../src/services/aiService')
+  };
+}
+
+test('hint ladders survive a restart', async () => {
+  const { id: userId } = await createUser('ladder-student', 'password123');
+  let services = restart();
+  const conversation = services.createConversation(userId);
+
+  await services.climbHintLadder(conversation, { problemId: 'two-sum', hintRequest: true });
+  await services.climbHintLadder(conversation, { problemId: 'two-sum', hintRequest: true });
+  await services.climbHintLadder(conversation, { problemId: 'fizzbuzz', hintRequest: true });
+  services.recordTurn(conversation, { userQuestion: 'Another hint please', reply: 'Look at the loop bounds.' });
+
+  services = restart();
+  const reloaded = services.getConversation(conversation.id, userId);
+  assert.deepStrictEqual(services.listHintLadders(reloaded), {
+    'two-sum': { hintLevel: 2, hintsRemaining: services.MAX_RUNG - 2, maxHintLevel: services.MAX_RUNG },
+    fizzbuzz: { hintLevel: 1, hintsRemaining: services.MAX_RUNG - 1, maxHintLevel: services.MAX_RUNG }
+  });
+  const next = await services.climbHintLadder(reloaded, { problemId: 'two-sum', hintRequest: true });
+  assert.strictEqual(next.hintLevel, 3);
+});
+
+test('a ladder reset is stored without a new turn', async () => {
+  const { id: userId } = await createUser('reset-student', 'password123');
+  let services = restart();
+  const conversation = services.createConversation(userId);
+
+  await services.climbHintLadder(conversation, { problemId: 'two-sum', hintRequest: true });
+  services.recordTurn(conversation, { userQuestion: 'Hint?', reply: 'Think about pairs.' });
+  services.resetHintLadder(conversation, 'two-sum');
+
+  services = restart();
+  const reloaded = services.getConversation(conversation.id, userId);
+  assert.strictEqual(services.listHintLadders(reloaded)['two-sum'].hintsRemaining, services.MAX_RUNG);
+});
+
+test('an open Socratic question survives a restart', async () => {
+  const { id: userId } = await createUser('socratic-student', 'password123');
+  const request = { code: 'n = int(input())\nprint(n * 2)\n', language: 'python', level: 'beginner', mode: 'socratic', userId };
+
+  const first = await restart().analyzeCode({ ...request, userQuestion: 'Why is my output wrong?' });
+  assert.strictEqual(first.socratic.move, 'ask');
+
+  const services = restart();
+  const reloaded = services.getConversation(first.sessionId, userId);
+  assert.strictEqual(reloaded.socratic.awaitingAnswer, true);
+  assert.match(reloaded.socratic.question, /\?$/);
+
+  // The answer is graded against the question asked before the restart
+  const answer = await services.analyzeCode({ ...request, sessionId: first.sessionId, userQuestion: 'It prints double the input' });
+  assert.strictEqual(answer.socratic.evaluation, 'partially-correct');
+  assert.strictEqual(answer.socratic.move, 'follow-up');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCode, walk } = require('../src/utils/codeParser');
+const { detectErrors } = require('../src/utils/errorDetector');
+
+// Far deeper than the call stack allows for one frame per node
+const DEPTH = 20000;
+const nested = (inner) => '('.repeat(DEPTH) + inner + ')'.repeat(DEPTH);
+
+test('walk visits every node of a deeply nested tree', async () => {
+  const tree = await parseCode(`x = ${nested('1')}\n`, 'python');
+  let parentheses = 0;
+  walk(tree.rootNode, node => {
+    if (node.type === 'parenthesized_expression') parentheses++;
+  });
+  tree.delete();
+  assert.strictEqual(parentheses, DEPTH);
+});
+
+test('walk skips the children of a node when visit returns false', async () => {
+  const tree = await parseCode('def f():\n    return 1\nprint(f())\n', 'python');
+  const types = [];
+  walk(tree.rootNode, node => {
+    types.push(node.type);
+    return node.type !== 'function_definition';
+  });
+  tree.delete();
+  assert.ok(types.includes('call'));
+  assert.ok(!types.includes('return_statement'));
+});
+
+for (const [language, code] of [
+  ['python', `x = ${nested('1')}\nwhile True:\n    y = ${nested('x')}\n`],
+  ['c', `int main() { int ${nested('x')} = 1; while (1) { x = ${nested('x')}; } return x; }\n`],
+  ['java', `public class Main { public static void main(String[] args) { int x = ${nested('1')}; } }\n`]
+]) {
+  test(`the error detector handles deeply nested ${language} code`, async () => {
+    const issues = await detectErrors(code, language, { hintLevel: 1 });
+    assert.ok(Array.isArray(issues));
+  });
+}
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fitTimings, buildSizes } = require('../src/services/empiricalComplexityService');
+
+// Deterministic noise in [0, 1)
+function noise(seed) {
+  let state = seed;
+  return () => (state = (state * 48271) % 2147483647) / 2147483647;
+}
+
+/**
+ * Timings like the harness reports for a fast C function: up to 0.05 ms at
+ * n = 100000, ±5% noise, a little timer overhead, rounded to 0.0001 ms - so
+ * the small sizes are mostly 0 and 0.0001
+ */
+function synthetic(g, seed) {
+  const random = noise(seed);
+  const scale = 0.05 / g(100000);
+  return buildSizes(100000).map(n => ({
+    n,
+    timeMs: Math.round((scale * g(n) * (1 + 0.1 * (random() - 0.5)) + 0.00003 * random()) * 10000) / 10000
+  }));
+}
+
+const CURVES = {
+  'O(n)': n => n,
+  'O(n log n)': n => n * Math.log2(n + 1)
+};
+
+for (const [complexity, g] of Object.entries(CURVES)) {
+  test(`noisy ${complexity} timings fit ${complexity}`, () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      assert.strictEqual(fitTimings(synthetic(g, seed)).bestFit, complexity, `seed ${seed}`);
+    }
+  });
+}
+
+test('timings too small to measure fit O(1), not a growing curve', () => {
+  const random = noise(7);
+  const timings = buildSizes(100000).map(n => ({ n, timeMs: random() < 0.5 ? 0 : 0.0001 }));
+  assert.strictEqual(fitTimings(timings).bestFit, 'O(1)');
+});
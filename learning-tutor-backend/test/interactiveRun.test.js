@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { startInteractive } = require('../src/services/executors/localExecutor');
+
+const has = (command) => spawnSync(command, ['--version'], { stdio: 'ignore' }).status === 0;
+
+const PROGRAMS = {
+  c: '#include <stdio.h>\n\nint main() {\n    char name[32];\n    printf("Name: ");\n' +
+    '    scanf("%31s", name);\n    printf("Hi %s\\n", name);\n    return 0;\n}\n',
+  // With std::cin, std::cout would be flushed before each read; stdio never is
+  cpp: '#include <cstdio>\n\nint main() {\n    char name[32];\n    std::printf("Name: ");\n' +
+    '    std::scanf("%31s", name);\n    std::printf("Hi %s\\n", name);\n    return 0;\n}\n'
+};
+
+/**
+ * Resolves with the output seen so far once it includes text, or rejects
+ * after timeoutMs
+ */
+function waitForOutput(output, text, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = setInterval(() => {
+      if (output.stdout.includes(text)) {
+        clearInterval(check);
+        resolve(output.stdout);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(check);
+        reject(new Error(`"${text}" did not arrive within ${timeoutMs}ms (got ${JSON.stringify(output.stdout)})`));
+      }
+    }, 50);
+  });
+}
+
+for (const [language, code] of Object.entries(PROGRAMS)) {
+  const compiler = language === 'c' ? 'gcc' : 'g++';
+
+  test(`an interactive ${language} prompt arrives before any input is sent`, { skip: !has(compiler) && `${compiler} is not installed` }, async () => {
+    const output = { stdout: '' };
+    let resolveExit;
+    const exited = new Promise((resolve) => { resolveExit = resolve; });
+
+    const session = startInteractive(code, language, {
+      onOutput: (stream, text) => { if (stream === 'stdout') output.stdout += text; },
+      onExit: resolveExit
+    });
+
+    try {
+      assert.strictEqual(await waitForOutput(output, 'Name: ', 15000), 'Name: ');
+    } catch (error) {
+      session.kill();
+      await exited;
+      throw error;
+    }
+
+    session.write('Ada\n');
+    const result = await exited;
+    assert.strictEqual(result.exitCode, 0);
+    assert.strictEqual(output.stdout, 'Name: Hi Ada\n');
+  });
+}
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { execute } = require('../src/services/executors/localExecutor');
+
+const skip = spawnSync('gcc', ['--version'], { stdio: 'ignore' }).status !== 0 && 'gcc is not installed';
+
+test('an empty C program reports a small peak, not measure.py\'s', { skip }, async () => {
+  const result = await execute('int main(void) {\n    return 0;\n}\n', 'c');
+  assert.strictEqual(result.success, true, result.stderr);
+  assert.ok(result.usage.peakMemoryKb < 4096, `peak was ${result.usage.peakMemoryKb} KB`);
+});
+
+test('the peak grows with what the program touches', { skip }, async () => {
+  // volatile, so -O2 cannot drop the writes (and with them the allocation)
+  const code = '#include <stdlib.h>\n\n' +
+    'int main(void) {\n    volatile char *block = malloc(64 << 20);\n' +
+    '    for (long i = 0; i < (64 << 20); i += 4096) block[i] = 1;\n    return 0;\n}\n';
+  const result = await execute(code, 'c');
+  assert.strictEqual(result.success, true, result.stderr);
+  assert.ok(result.usage.peakMemoryKb >= 64 * 1024, `peak was ${result.usage.peakMemoryKb} KB`);
+  assert.ok(result.usage.peakMemoryKb < 72 * 1024, `peak was ${result.usage.peakMemoryKb} KB`);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { isSandboxed, sandboxed } = require('../src/services/executors/sandbox');
+const { execute, checkCompilers } = require('../src/services/executors/localExecutor');
+
+const BACKEND_DIR = path.resolve(__dirname, '..');
+const skip = !isSandboxed() && 'namespaces are not available here';
+
+test('sandboxed processes only start in a per-run directory', { skip }, () => {
+  assert.throws(() => sandboxed('true', [], os.tmpdir()), /tutor-/);
+  assert.throws(() => sandboxed('true', [], BACKEND_DIR), /tutor-/);
+  assert.throws(() => sandboxed('true', [], path.join(os.tmpdir(), 'other-run')), /tutor-/);
+});
+
+test('runs leave the rest of the temp directory to its owners', { skip }, async () => {
+  const sibling = fs.mkdtempSync(path.join(os.tmpdir(), 'sibling-'));
+  fs.writeFileSync(path.join(sibling, 'data.txt'), 'mine');
+  const before = [os.tmpdir(), sibling, path.join(sibling, 'data.txt')].map(file => fs.statSync(file).uid);
+
+  try {
+    await checkCompilers();
+    const result = await execute(`import os\nprint(sorted(os.listdir(${JSON.stringify(os.tmpdir())})))`, 'python');
+    assert.strictEqual(result.success, true, result.stderr);
+    assert.ok(!result.stdout.includes(path.basename(sibling)), result.stdout);
+
+    const after = [os.tmpdir(), sibling, path.join(sibling, 'data.txt')].map(file => fs.statSync(file).uid);
+    assert.deepStrictEqual(after, before);
+  } finally {
+    fs.rmSync(sibling, { recursive: true, force: true });
+  }
+});
+
+test('sandboxed code cannot reach the network', { skip }, async () => {
+  // Listening on the server's loopback: the sandbox has a loopback of its own
+  const server = net.createServer((socket) => socket.end('reached'));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const code = 'import socket\n' +
+      'try:\n' +
+      `    print(socket.create_connection(("127.0.0.1", ${server.address().port}), timeout=2).recv(16))\n` +
+      'except OSError as error:\n' +
+      '    print("blocked", type(error).__name__)\n';
+    const result = await execute(code, 'python');
+    assert.strictEqual(result.success, true, result.stderr);
+    assert.match(result.stdout, /^blocked/);
+  } finally {
+    server.close();
+  }
+});
+
+test('sandboxed code cannot read the backend directory', { skip }, async () => {
+  // Hidden under an empty tmpfs that only root may open
+  const code = 'import os\n' +
+    'try:\n' +
+    `    print(os.listdir(${JSON.stringify(BACKEND_DIR)}))\n` +
+    'except OSError:\n' +
+    '    print([])\n' +
+    'try:\n' +
+    `    print(open(${JSON.stringify(path.join(BACKEND_DIR, 'package.json'))}).read())\n` +
+    'except OSError as error:\n' +
+    '    print("blocked", type(error).__name__)\n';
+  const result = await execute(code, 'python');
+  assert.strictEqual(result.success, true, result.stderr);
+  assert.match(result.stdout, /^\[\]\nblocked (PermissionError|FileNotFoundError)\n$/);
+});
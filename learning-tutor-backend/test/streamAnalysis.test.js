@@ -0,0 +1,46 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LEAK_DETECTOR_MODE = 'redact';
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { streamAnalysis } = require('../src/services/aiService');
+
+const request = (userQuestion) => ({
+  code: 'def add_numbers(a, b):\n    pass\n',
+  language: 'python',
+  level: 'beginner',
+  userQuestion
+});
+
+test('a full solution in a streamed reply never reaches the client', async () => {
+  const tokens = [];
+  const result = await streamAnalysis({ ...request('Can you show me the solution?'), onToken: (text) => tokens.push(text) });
+  const streamed = tokens.join('');
+
+  assert.match(streamed, /Here is the whole thing/);
+  assert.match(streamed, /fill-in-the-blanks template/);
+  for (const line of ['total = a + b', 'print(add_numbers(x, y))']) {
+    assert.ok(!streamed.includes(line), `streamed "${line}"`);
+  }
+  assert.strictEqual(result.reply, streamed.trim());
+});
+
+test('code blocks are sent whole, text around them as it arrives', async () => {
+  const tokens = [];
+  await streamAnalysis({ ...request('Can you show me the solution?'), onToken: (text) => tokens.push(text) });
+
+  const blockTokens = tokens.filter(text => text.includes('```'));
+  assert.strictEqual(blockTokens.length, 1);
+  assert.strictEqual(blockTokens[0].match(/```/g).length, 2);
+  assert.ok(tokens.indexOf(blockTokens[0]) > 0, 'the text before the block streamed first');
+});
+
+test('replies without code stream unchanged', async () => {
+  const tokens = [];
+  const result = await streamAnalysis({ ...request('How do I add two numbers?'), onToken: (text) => tokens.push(text) });
+
+  assert.ok(tokens.length > 1);
+  assert.match(tokens.join(''), /step by step/);
+  assert.strictEqual(result.reply, tokens.join('').trim());
+});
@@ -6,9 +6,11 @@
 
 import { useState, useEffect, useRef } from 'react';
 import Editor from '@monaco-editor/react';
-import { analyzeCode, checkHealth, runCode, analyzeProblemImage } from './services/api';
-import { getProgress, updateProgress, addTimeSpent, formatTime, getLearningState, updateLearningState, resetSessionState } from './services/progress';
+import { streamAnalyzeCode, checkHealth, runCode, startInteractiveRun, startDebugSession, traceCode, analyzeProblemImage, analyzeComplexity, measureComplexity, lintCode, login, register, logout, getAccount, listConversations, getSession, listClasses, joinClass, getClass, submitAssignment, getClassAnalytics, exportClassAnalytics, listExercises, getExercise, submitExercise } from './services/api';
+import { startProfileSync } from './services/sync';
+import { getProgress, updateProgress, addTimeSpent, formatTime, getLearningState, updateLearningState, resetSessionState, markExerciseSolved } from './services/progress';
 import { getAvailableSounds, playSound, stopSound, setVolume } from './services/sounds';
+import { FILE_EXTENSIONS, singleFileProject, fileNameError, newFileContent, monacoLanguageOf } from './services/project';
 import './App.css';
 
 // UI Icons as SVG components for professional look
@@ -132,6 +134,11 @@ const Icons = {
       <polygon points="22 2 15 22 11 13 2 9 22 2" />
     </svg>
   ),
+  stop: (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+      <rect x="6" y="6" width="12" height="12" rx="2" />
+    </svg>
+  ),
   // Voice Icons
   volumeHigh: (
     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -173,6 +180,12 @@ const Icons = {
       <path d="M21 19a2 2 0 0 1-2 2h-1a2 2 0 0 1-2-2v-3a2 2 0 0 1 2-2h3zM3 19a2 2 0 0 0 2 2h1a2 2 0 0 0 2-2v-3a2 2 0 0 0-2-2H3z" />
     </svg>
   ),
+  user: (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2" />
+      <circle cx="12" cy="7" r="4" />
+    </svg>
+  ),
   volumeX: (
     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
       <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" />
@@ -225,6 +238,17 @@ const Icons = {
       <circle cx="12" cy="12" r="10" />
       <polygon points="10 8 16 12 10 16 10 8" />
     </svg>
+  ),
+  file: (
+    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+      <polyline points="14 2 14 8 20 8" />
+    </svg>
+  ),
+  folder: (
+    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+    </svg>
   )
 };
 
@@ -308,6 +332,27 @@ public class Main {
 }`
 };
 
+// How Socratic mode graded the student's last answer
+const ANSWER_EVALUATION_LABELS = {
+  correct: 'Correct',
+  'partially-correct': 'Partly right',
+  wrong: 'Not quite'
+};
+
+// Where the student stands on a classroom assignment
+const ASSIGNMENT_STATUS_LABELS = {
+  'not-started': 'Not started',
+  attempted: 'Attempted',
+  solved: 'Solved'
+};
+
+// Exercise library difficulties (the backend's levels)
+const EXERCISE_LEVEL_LABELS = {
+  basic: 'Basic',
+  moderate: 'Moderate',
+  complex: 'Complex'
+};
+
 // Features data for landing page
 const FEATURES = [
   {
@@ -469,6 +514,532 @@ function renderBoldAndItalic(text) {
   return parts.length > 0 ? parts : text;
 }
 
+// Class Analytics Component - the instructor's view of a class, whole or per assignment
+function ClassAnalytics({ analytics, error, onClose, onExport }) {
+  const [assignmentId, setAssignmentId] = useState('all');
+  const assignment = analytics.assignments.find(a => String(a.id) === assignmentId);
+  const scope = assignment || analytics;
+  const flagged = assignment
+    ? assignment.flaggedStudents
+    : analytics.students.filter(student => student.flags.length > 0);
+  const busiestBucket = Math.max(1, ...scope.hintUsage.distribution.map(bucket => bucket.students));
+
+  return (
+    <div className="analytics-overlay" onClick={onClose}>
+      <div className="analytics-dashboard" onClick={(e) => e.stopPropagation()}>
+        <div className="analytics-header">
+          <h2>{analytics.class.name}</h2>
+          <select value={assignmentId} onChange={(e) => setAssignmentId(e.target.value)}>
+            <option value="all">All assignments</option>
+            {analytics.assignments.map(a => (
+              <option key={a.id} value={String(a.id)}>{a.title}</option>
+            ))}
+          </select>
+          <button className="assignment-submit" onClick={onExport}>Export CSV</button>
+          <button className="assignment-leave" onClick={onClose} title="Close analytics">×</button>
+        </div>
+        {error && <p className="account-error">{error}</p>}
+
+        <div className="analytics-cards">
+          <div className="analytics-card">
+            <span className="analytics-value">{analytics.students.length}</span>
+            <span className="analytics-label">students</span>
+          </div>
+          {assignment ? (
+            <div className="analytics-card">
+              <span className="analytics-value">{assignment.status.solved}</span>
+              <span className="analytics-label">solved · {assignment.status.attempted} attempted · {assignment.status.notStarted} not started</span>
+            </div>
+          ) : (
+            <div className="analytics-card">
+              <span className="analytics-value">{analytics.understanding.struggling}</span>
+              <span className="analytics-label">struggling · {analytics.understanding.learning} learning · {analytics.understanding.confident} confident</span>
+            </div>
+          )}
+          <div className="analytics-card">
+            <span className="analytics-value">{scope.hintUsage.average}</span>
+            <span className="analytics-label">hints per student{assignment && ` · ${assignment.hintUsage.reachedLimit} reached level ${assignment.maxHintLevel}`}</span>
+          </div>
+          <div className="analytics-card">
+            <span className="analytics-value">{scope.timeOnTask.medianMinutes} min</span>
+            <span className="analytics-label">median time on task · {scope.timeOnTask.averageMinutes} min average</span>
+          </div>
+        </div>
+
+        <div className="analytics-grid">
+          <section>
+            <h3>Most common errors</h3>
+            {scope.errorTypes.length === 0 && <p className="account-note">No errors recorded yet</p>}
+            <ul className="analytics-list">
+              {scope.errorTypes.slice(0, 8).map(error => (
+                <li key={error.type}>
+                  <span>{error.type}</span>
+                  <span className="class-detail">{error.count}× · {error.students} student{error.students === 1 ? '' : 's'}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          <section>
+            <h3>Stuck on</h3>
+            {scope.stuckConcepts.length === 0 && <p className="account-note">No one seems stuck</p>}
+            <ul className="analytics-list">
+              {scope.stuckConcepts.slice(0, 8).map(concept => (
+                <li key={concept.concept}>
+                  <span>{concept.concept}</span>
+                  <span className="class-detail">{concept.students} student{concept.students === 1 ? '' : 's'}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          <section>
+            <h3>Hints requested</h3>
+            <div className="analytics-bars">
+              {scope.hintUsage.distribution.map(bucket => (
+                <div key={bucket.hints} className="analytics-bar-row">
+                  <span className="analytics-bar-label">{bucket.hints}</span>
+                  <div className="analytics-bar-track">
+                    <div className="analytics-bar" style={{ width: `${(bucket.students / busiestBucket) * 100}%` }} />
+                  </div>
+                  <span className="class-detail">{bucket.students}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section>
+            <h3>Needs help</h3>
+            {flagged.length === 0 && <p className="account-note">No students flagged</p>}
+            <ul className="analytics-list flagged">
+              {flagged.map(student => (
+                <li key={student.id}>
+                  <span>{student.username}</span>
+                  <span className="class-detail">{student.flags.join(', ')}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </div>
+
+        <table className="analytics-table">
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>{assignment ? 'Status' : 'Solved'}</th>
+              <th>Hints</th>
+              <th>Minutes</th>
+              <th>{assignment ? 'Top error' : 'Understanding'}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analytics.students.map(student => {
+              const summary = assignment && student.assignments[assignment.id];
+              return (
+                <tr key={student.id}>
+                  <td>{student.username}</td>
+                  <td>
+                    {summary
+                      ? <span className={`assignment-status ${summary.status}`}>{ASSIGNMENT_STATUS_LABELS[summary.status]}</span>
+                      : `${student.solved}/${analytics.assignments.length}`}
+                  </td>
+                  <td>{summary ? summary.hintRequests : student.hintRequests}</td>
+                  <td>{summary ? summary.minutesOnTask : student.minutesOnTask}</td>
+                  <td>{summary ? summary.topErrorType || '-' : student.understanding || '-'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Example names for the new-file box
+const NEW_FILE_EXAMPLES = {
+  python: 'utils.py',
+  c: 'util.h',
+  cpp: 'shape.hpp',
+  java: 'Helper.java'
+};
+
+// File Tree Component - the project's files beside the editor, root files first then each folder
+function FileTree({ project, language, locked, onSelect, onAdd, onDelete }) {
+  const [newName, setNewName] = useState(null); // null = not adding a file
+  const [error, setError] = useState('');
+
+  const sorted = [...project.files].sort((a, b) => {
+    const aNested = a.name.includes('/');
+    const bNested = b.name.includes('/');
+    if (aNested !== bNested) return aNested ? 1 : -1;
+    return a.name.localeCompare(b.name);
+  });
+  const rows = [];
+  let folder = '';
+  for (const file of sorted) {
+    const dir = file.name.includes('/') ? file.name.slice(0, file.name.lastIndexOf('/')) : '';
+    if (dir && dir !== folder) rows.push({ folder: dir });
+    folder = dir;
+    rows.push({ file, nested: Boolean(dir) });
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problem = onAdd(newName.trim());
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setNewName(null);
+    setError('');
+  };
+
+  return (
+    <div className="file-tree">
+      <div className="file-tree-header">
+        <span>Files</span>
+        {!locked && (
+          <button
+            onClick={() => { setNewName(''); setError(''); }}
+            title={`New file (${FILE_EXTENSIONS[language].join(', ')})`}
+          >
+            +
+          </button>
+        )}
+      </div>
+      <ul>
+        {rows.map(row => row.folder ? (
+          <li key={`folder-${row.folder}`} className="file-tree-folder">
+            {Icons.folder} {row.folder}
+          </li>
+        ) : (
+          <li
+            key={row.file.name}
+            className={`file-tree-file ${row.nested ? 'nested' : ''} ${row.file.name === project.active ? 'active' : ''}`}
+            onClick={() => onSelect(row.file.name)}
+            title={row.file.name}
+          >
+            {Icons.file}
+            <span className="file-tree-name">{row.file.name.split('/').pop()}</span>
+            {!locked && project.files.length > 1 && (
+              <button
+                className="file-tree-delete"
+                onClick={(e) => { e.stopPropagation(); onDelete(row.file.name); }}
+                title={`Delete ${row.file.name}`}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {newName !== null && (
+        <form className="file-tree-new" onSubmit={handleSubmit}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setNewName(null)}
+            placeholder={NEW_FILE_EXAMPLES[language]}
+            spellCheck={false}
+            autoFocus
+          />
+        </form>
+      )}
+      {error && <p className="file-tree-error">{error}</p>}
+      {locked && <p className="file-tree-note">Submissions are a single file</p>}
+    </div>
+  );
+}
+
+// Languages POST /trace can step through
+const TRACE_LANGUAGES = ['python', 'c'];
+
+// What stopped a run (limitExceeded from POST /run and interactive runs)
+const LIMIT_LABELS = {
+  cpuTime: 'Time limit exceeded',
+  wallTime: 'Time limit exceeded (waiting)',
+  memory: 'Memory limit exceeded',
+  output: 'Output limit exceeded'
+};
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms} ms`);
+
+// Run Usage Component - what a run used (compile time, CPU, wall time, peak memory,
+// against the limits where known) and the limit or signal that ended it
+function RunUsage({ run }) {
+  const { usage, limits, limitExceeded, signal } = run;
+  if (!usage && !limitExceeded) return null;
+
+  const items = [];
+  if (usage?.compileTimeMs != null) {
+    items.push({ label: 'Compile', value: formatMs(usage.compileTimeMs) });
+  }
+  if (usage?.cpuTimeMs != null) {
+    items.push({
+      label: 'CPU',
+      value: formatMs(usage.cpuTimeMs) + (limits?.cpuTimeMs ? ` / ${formatMs(limits.cpuTimeMs)}` : ''),
+      exceeded: limitExceeded === 'cpuTime'
+    });
+  }
+  if (usage?.wallTimeMs != null) {
+    items.push({
+      label: 'Wall',
+      value: formatMs(usage.wallTimeMs) + (limits?.wallTimeMs ? ` / ${formatMs(limits.wallTimeMs)}` : ''),
+      exceeded: limitExceeded === 'wallTime'
+    });
+  }
+  if (usage?.peakMemoryKb != null) {
+    items.push({
+      label: 'Memory',
+      value: `${(usage.peakMemoryKb / 1024).toFixed(1)} MB` + (limits?.memoryMb ? ` / ${limits.memoryMb} MB` : ''),
+      exceeded: limitExceeded === 'memory'
+    });
+  }
+  if (run.outputTruncated) {
+    items.push({ label: 'Output', value: `cut off${limits?.outputKb ? ` at ${limits.outputKb} KB` : ''}`, exceeded: true });
+  }
+  // The signal of a crash; limits and the Stop button kill with SIGKILL, which says nothing new
+  if (signal && !limitExceeded && !run.stopped) {
+    items.push({ label: 'Signal', value: signal, exceeded: true });
+  }
+
+  return (
+    <div className="run-usage">
+      {limitExceeded && <strong className="run-limit">{LIMIT_LABELS[limitExceeded]}</strong>}
+      {items.map(item => (
+        <span key={item.label} className={`run-usage-item ${item.exceeded ? 'exceeded' : ''}`}>
+          <span className="run-usage-label">{item.label}</span> {item.value}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Trace Viewer Component - steps through a recorded trace: controls, the call stack with
+// each frame's variables, and what the program had printed by this step
+function TraceViewer({ trace, step, onStep, onClose }) {
+  const { steps } = trace;
+  const current = steps[step];
+  const printed = steps.slice(0, step + 1).map(s => s.stdout).join('');
+  const atEnd = step === steps.length - 1;
+
+  return (
+    <div className="trace-viewer">
+      <div className="trace-controls">
+        <button onClick={() => onStep(0)} disabled={step === 0} title="First step">⏮</button>
+        <button onClick={() => onStep(step - 1)} disabled={step === 0} title="Previous step">◀</button>
+        <input
+          type="range"
+          min={0}
+          max={steps.length - 1}
+          value={step}
+          onChange={(e) => onStep(Number(e.target.value))}
+        />
+        <button onClick={() => onStep(step + 1)} disabled={atEnd} title="Next step">▶</button>
+        <button onClick={() => onStep(steps.length - 1)} disabled={atEnd} title="Last step">⏭</button>
+        <span className="trace-position">
+          Step {step + 1} of {steps.length}{trace.stepLimitReached ? '+' : ''}
+        </span>
+        <button className="trace-close" onClick={onClose} title="Back to the normal output">✕ Close trace</button>
+      </div>
+
+      <div className="trace-now">
+        <span className="diagnostic-location">{current.file}:{current.line}</span>
+        {current.event === 'return' && <>{current.function} returns <code>{current.returnValue.value}</code></>}
+        {current.event === 'signal' && <strong className="trace-signal">Crashed here ({current.signal})</strong>}
+        {current.event === 'line' && <>about to run line {current.line} in {current.function}</>}
+      </div>
+
+      <div className="trace-body">
+        <div className="trace-frames">
+          {current.stack.map((frame, index) => (
+            <div key={index} className={`trace-frame ${index === current.stack.length - 1 ? 'current' : ''}`}>
+              <div className="trace-frame-name">
+                {frame.function} <span>{frame.file}:{frame.line}</span>
+              </div>
+              {frame.locals.length > 0 ? (
+                <table>
+                  <tbody>
+                    {frame.locals.map(variable => (
+                      <tr key={variable.name}>
+                        <td className="trace-var-name">{variable.name}</td>
+                        <td className="trace-var-value" title={variable.type}>{variable.value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="trace-empty">No variables yet</p>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="trace-output">
+          <div className="trace-output-label">Output</div>
+          <pre className="output-text">{printed || ' '}</pre>
+          {atEnd && trace.stepLimitReached && (
+            <p className="trace-empty">The program ran longer than the steps recorded - it was stopped here.</p>
+          )}
+          {atEnd && !trace.success && trace.error && <pre className="output-error">{trace.error}</pre>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Debug Panel Component - a live /debug session: step controls, the call stack (pick a
+// frame to see its variables), watch expressions, an evaluate box and the program's output
+function DebugPanel({ run, watches, onAction, onStop, onSelectFrame, onAddWatch, onRemoveWatch, onEvaluate, onAskTutor, onClose }) {
+  const [watchText, setWatchText] = useState('');
+  const [expression, setExpression] = useState('');
+  const paused = run.status === 'paused';
+  const frame = paused ? run.pause.stack[run.frame] : null;
+  const unusable = (run.verified || []).filter(breakpoint => !breakpoint.verified);
+
+  const submitWatch = (e) => {
+    e.preventDefault();
+    if (!watchText.trim()) return;
+    onAddWatch(watchText.trim());
+    setWatchText('');
+  };
+
+  const submitExpression = (e) => {
+    e.preventDefault();
+    if (!expression.trim() || !paused) return;
+    onEvaluate(expression.trim());
+    setExpression('');
+  };
+
+  let status;
+  if (run.status === 'starting' || run.status === 'compiling') {
+    status = run.status === 'compiling' ? 'Compiling with debug info...' : 'Starting the debugger...';
+  } else if (run.status === 'running') {
+    status = 'Running - it will pause at the next breakpoint';
+  } else if (paused) {
+    const { reason, file, line, exception } = run.pause;
+    status = reason === 'exception'
+      ? <strong className="trace-signal">Stopped by {exception} at {file}:{line}</strong>
+      : <>Paused at <span className="diagnostic-location">{file}:{line}</span> ({reason === 'entry' ? 'start of the program' : reason})</>;
+  } else {
+    status = run.error
+      ? <strong className="trace-signal">{run.error}</strong>
+      : `Finished${run.result?.exitCode !== undefined && run.result?.exitCode !== null ? ` with exit code ${run.result.exitCode}` : ''}`;
+  }
+
+  return (
+    <div className="trace-viewer debug-panel">
+      <div className="trace-controls">
+        <button onClick={() => onAction('continue')} disabled={!paused} title="Run to the next breakpoint">▶ Continue</button>
+        <button onClick={() => onAction('stepOver')} disabled={!paused} title="Run this line, stepping over calls">⤼ Over</button>
+        <button onClick={() => onAction('stepInto')} disabled={!paused} title="Step into the call on this line">⤓ Into</button>
+        <button onClick={() => onAction('stepOut')} disabled={!paused} title="Run until this function returns">⤒ Out</button>
+        {run.status === 'done'
+          ? <button onClick={onClose} title="Back to the normal output">✕ Close</button>
+          : <button onClick={onStop} title="End the program">■ Stop</button>}
+        <span className="debug-status">{status}</span>
+        {paused && (
+          <button className="trace-close" onClick={onAskTutor} title="Ask the tutor about the values at this point">
+            Ask the tutor
+          </button>
+        )}
+      </div>
+      {unusable.length > 0 && (
+        <p className="trace-empty">
+          No code to stop at on {unusable.map(breakpoint => `${breakpoint.file}:${breakpoint.line}`).join(', ')} - move the breakpoint to a line with a statement.
+        </p>
+      )}
+
+      <div className="trace-body">
+        <div className="trace-frames">
+          <div className="trace-output-label">Call stack</div>
+          {paused ? run.pause.stack.map((stackFrame, index) => (
+            <div
+              key={index}
+              className={`trace-frame debug-frame ${index === run.frame ? 'current' : ''}`}
+              onClick={() => onSelectFrame(index)}
+            >
+              <div className="trace-frame-name">
+                {stackFrame.function} <span>{stackFrame.file}:{stackFrame.line}</span>
+              </div>
+              {index === run.frame && (stackFrame.locals.length > 0 ? (
+                <table>
+                  <tbody>
+                    {stackFrame.locals.map(variable => (
+                      <tr key={variable.name}>
+                        <td className="trace-var-name">{variable.name}</td>
+                        <td className="trace-var-value" title={variable.type}>{variable.value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="trace-empty">No variables yet</p>
+              ))}
+            </div>
+          )) : (
+            <p className="trace-empty">
+              {run.status === 'done' ? 'The program has ended.' : 'Variables show up here when the program pauses. Click the margin next to a line number to add a breakpoint.'}
+            </p>
+          )}
+        </div>
+
+        <div className="trace-frames">
+          <div className="trace-output-label">Watch</div>
+          <table className="debug-watches">
+            <tbody>
+              {watches.map(watch => {
+                const result = paused ? run.watchValues.find(value => value.expression === watch) : null;
+                return (
+                  <tr key={watch}>
+                    <td className="trace-var-name">{watch}</td>
+                    <td className={`trace-var-value ${result?.error ? 'debug-error' : ''}`}>
+                      {result ? (result.error || result.value) : '-'}
+                    </td>
+                    <td>
+                      <button className="debug-remove" onClick={() => onRemoveWatch(watch)} title="Stop watching">✕</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <form className="interactive-input" onSubmit={submitWatch}>
+            <input value={watchText} onChange={(e) => setWatchText(e.target.value)} placeholder="Watch an expression, e.g. i * 2" spellCheck={false} />
+          </form>
+
+          <div className="trace-output-label debug-console-label">Evaluate{frame ? ` in ${frame.function}` : ''}</div>
+          <pre className="output-text debug-console">
+            {run.evaluations.map(evaluation => (
+              <span key={evaluation.id} className={evaluation.error ? 'debug-error' : ''}>
+                {`> ${evaluation.expression}\n${evaluation.error || evaluation.value}\n`}
+              </span>
+            ))}
+          </pre>
+          <form className="interactive-input" onSubmit={submitExpression}>
+            <input
+              value={expression}
+              onChange={(e) => setExpression(e.target.value)}
+              placeholder={paused ? 'Type an expression and press Enter' : 'Pause the program to evaluate'}
+              disabled={!paused}
+              spellCheck={false}
+            />
+          </form>
+        </div>
+
+        <div className="trace-output">
+          <div className="trace-output-label">Output</div>
+          <pre className="output-text interactive-transcript">
+            {run.transcript.map((chunk, index) => (
+              <span key={index} className={`transcript-${chunk.stream}`}>{chunk.text}</span>
+            ))}
+          </pre>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // Landing Page Component
 function LandingPage({ onStartLearning }) {
   return (
@@ -594,7 +1165,13 @@ function App() {
   const [theme, setTheme] = useState(() => localStorage.getItem('ui_theme') || (prefersDark ? 'dark' : 'light'));
 
   // Tutor State
-  const [code, setCode] = useState(DEFAULT_CODE.python);
+  // The editor's files; code is the open file's content (what lint, complexity and submissions use)
+  const [project, setProject] = useState(() => singleFileProject('python', DEFAULT_CODE.python));
+  const activeFile = project.files.find(file => file.name === project.active) || project.files[0];
+  const code = activeFile.content;
+  const activeIsData = /\.(txt|csv)$/i.test(activeFile.name);
+  // Runs and the tutor get the whole project once there is more than one file
+  const projectFiles = project.files.length > 1 ? project.files : undefined;
   const [language, setLanguage] = useState('python');
   const [chatMessages, setChatMessages] = useState([
     {
@@ -605,12 +1182,29 @@ function App() {
   ]);
   const [userMessage, setUserMessage] = useState('');
   const [loading, setLoading] = useState(false);
+  const [streaming, setStreaming] = useState(false);
   const [running, setRunning] = useState(false);
   const [codeOutput, setCodeOutput] = useState(null);
+  // "batch" sends stdinInput with the run; "interactive" streams output and takes input as the program asks
+  const [runMode, setRunMode] = useState('batch');
+  // Step-by-step trace in the output panel: null, { status: 'running' } or the POST /trace result
+  const [traceRun, setTraceRun] = useState(null);
+  const [traceStep, setTraceStep] = useState(0);
+  const traceDecorationsRef = useRef(null);
+  // Debugger: breakpoint lines per file ({ [fileName]: [line] }), watch expressions, and the
+  // /debug session in the output panel - null or { status, pause, frame, watchValues, evaluations, transcript, verified, result, error }
+  const [breakpoints, setBreakpoints] = useState({});
+  const [debugWatches, setDebugWatches] = useState([]);
+  const [debugRun, setDebugRun] = useState(null);
+  const debugDecorationsRef = useRef(null);
+  const [stdinInput, setStdinInput] = useState('');
+  const [interactiveLine, setInteractiveLine] = useState('');
+  // Hint ladder rung from the last "Explain" of this run's error (null = not explained yet)
+  // The server climbs the ladder; each "Explain" after the first asks for the next rung
+  const [errorHint, setErrorHint] = useState(null);
   const [showOutput, setShowOutput] = useState(false);
   const [backendStatus, setBackendStatus] = useState('checking');
-  // Progress tracking (still saved to localStorage even if not displayed)
-  // eslint-disable-next-line no-unused-vars
+  // Progress tracking (saved to localStorage; solved exercises are shown in the library)
   const [progress, setProgress] = useState(getProgress());
   const [sessionTime, setSessionTime] = useState(0);
   const [imageUploading, setImageUploading] = useState(false);
@@ -620,6 +1214,56 @@ function App() {
   // Learning state for pedagogical tracking
   const [learningState, setLearningState] = useState(getLearningState());
 
+  // Server-side conversation id - the backend remembers the chat history
+  const [sessionId, setSessionId] = useState(null);
+
+  // Signed-in account - progress and chats are kept on the server too
+  const [account, setAccount] = useState(null);
+  const [showAccountMenu, setShowAccountMenu] = useState(false);
+  const [authMode, setAuthMode] = useState('login');
+  const [authForm, setAuthForm] = useState({ username: '', password: '' });
+  const [authError, setAuthError] = useState('');
+  const [authBusy, setAuthBusy] = useState(false);
+
+  // Classroom - joined classes and the assignment being worked on
+  // While an assignment is open, /run and the tutor are scoped to it
+  const [classes, setClasses] = useState([]);
+  const [showClassMenu, setShowClassMenu] = useState(false);
+  const [openClass, setOpenClass] = useState(null);
+  const [joinCode, setJoinCode] = useState('');
+  const [classError, setClassError] = useState('');
+  const [activeAssignment, setActiveAssignment] = useState(null);
+  const [showStatement, setShowStatement] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [submission, setSubmission] = useState(null);
+  const [classAnalytics, setClassAnalytics] = useState(null);
+  const [analyticsError, setAnalyticsError] = useState('');
+
+  // Exercise library - curated problems for the editor's language
+  // While an exercise is open, the tutor is scoped to it (submissions share the assignment state above)
+  const [showExerciseMenu, setShowExerciseMenu] = useState(false);
+  const [exerciseLevel, setExerciseLevel] = useState('basic');
+  const [exercises, setExercises] = useState([]);
+  const [exerciseError, setExerciseError] = useState('');
+  const [activeExercise, setActiveExercise] = useState(null);
+
+  // Socratic mode - the tutor only asks guiding questions and grades the answers
+  const [socraticMode, setSocraticMode] = useState(false);
+
+  // Time complexity estimate shown under the editor
+  const [complexity, setComplexity] = useState(null);
+  const [showComplexityDetails, setShowComplexityDetails] = useState(false);
+
+  // Set once Monaco has mounted, so lint markers can be drawn
+  const [editorReady, setEditorReady] = useState(false);
+
+  // Measured complexity - one function timed on growing inputs
+  const [measurement, setMeasurement] = useState(null);
+  const [measuring, setMeasuring] = useState(false);
+  const [measureFunction, setMeasureFunction] = useState('');
+  const [measureInputType, setMeasureInputType] = useState('array');
+  const [measureOrder, setMeasureOrder] = useState('random');
+
   // Resizable panel state
   const [editorWidth, setEditorWidth] = useState(420);
   const [isResizing, setIsResizing] = useState(false);
@@ -644,6 +1288,16 @@ function App() {
   const chatEndRef = useRef(null);
   const messageInputRef = useRef(null);
   const resizeRef = useRef(null);
+  const streamControllerRef = useRef(null);
+  // Controls of the interactive run in progress ({ send, endInput, stop })
+  const interactiveRunRef = useRef(null);
+  // Controls of the debug session in progress ({ resume, setBreakpoints, setWatches, evaluate, stop })
+  const debugSessionRef = useRef(null);
+  // Latest breakpoint toggle, for the editor's margin click handler (set up once on mount)
+  const toggleBreakpointRef = useRef(null);
+  // Monaco editor instance and namespace, for setting lint markers
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
 
   // Auto-scroll chat to bottom
   useEffect(() => {
@@ -659,8 +1313,46 @@ function App() {
     // Reset session-specific learning state (but keep mastered concepts)
     const newState = resetSessionState();
     setLearningState(newState);
+
+    // Still signed in from last time?
+    getAccount()
+      .then(setAccount)
+      .catch(() => {});
   }, []);
 
+  // Classes belong to the account
+  useEffect(() => {
+    setOpenClass(null);
+    setActiveAssignment(null);
+    if (!account) {
+      setClasses([]);
+      return;
+    }
+    listClasses()
+      .then(setClasses)
+      .catch(error => console.warn('Could not load classes:', error.message));
+  }, [account]);
+
+  // The exercise list follows the editor's language and the chosen difficulty
+  useEffect(() => {
+    if (!showExerciseMenu) return;
+    listExercises({ language, difficulty: exerciseLevel })
+      .then(list => {
+        setExercises(list);
+        setExerciseError('');
+      })
+      .catch(error => setExerciseError(error.message));
+  }, [showExerciseMenu, language, exerciseLevel]);
+
+  // Signed in: keep localStorage and the server's copy in step
+  useEffect(() => {
+    if (!account) return;
+    return startProfileSync(() => {
+      setProgress(getProgress());
+      setLearningState(getLearningState());
+    });
+  }, [account]);
+
   // Session timer - controlled by timerRunning state
   useEffect(() => {
     if (timerRunning) {
@@ -684,6 +1376,74 @@ function App() {
     };
   }, [timerRunning]);
 
+  // Re-estimate complexity once the student pauses typing
+  useEffect(() => {
+    // Timings belong to the code they were measured on
+    setMeasurement(null);
+
+    if (backendStatus !== 'connected' || !code.trim() || activeIsData) {
+      setComplexity(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(() => {
+      analyzeComplexity({ code, language })
+        .then(result => { if (!cancelled) setComplexity(result); })
+        .catch(() => { if (!cancelled) setComplexity(null); });
+    }, 800);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [code, language, backendStatus, activeIsData]);
+
+  // Squiggles for likely mistakes - hover text gives a hint, never the fix
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editor || !monaco) return;
+
+    const setMarkers = (issues) => {
+      const model = editor.getModel();
+      if (!model) return;
+      const severities = {
+        error: monaco.MarkerSeverity.Error,
+        warning: monaco.MarkerSeverity.Warning,
+        info: monaco.MarkerSeverity.Info
+      };
+      monaco.editor.setModelMarkers(model, 'tutor-lint', issues
+        .filter(issue => issue.line)
+        .map(issue => ({
+          startLineNumber: issue.line,
+          startColumn: issue.column || 1,
+          endLineNumber: issue.endLine || issue.line,
+          endColumn: issue.endColumn || (issue.column || 1) + 1,
+          severity: severities[issue.severity] || monaco.MarkerSeverity.Warning,
+          message: issue.hint || issue.description,
+          source: 'Tutor'
+        })));
+    };
+
+    if (backendStatus !== 'connected' || !code.trim() || activeIsData) {
+      setMarkers([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(() => {
+      lintCode({ code, language })
+        .then(result => { if (!cancelled) setMarkers(result.issues || []); })
+        .catch(() => { if (!cancelled) setMarkers([]); });
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [code, language, backendStatus, editorReady, activeIsData]);
+
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
     localStorage.setItem('ui_theme', theme);
@@ -754,7 +1514,61 @@ function App() {
   // Update code when language changes
   const handleLanguageChange = (newLang) => {
     setLanguage(newLang);
-    setCode(DEFAULT_CODE[newLang]);
+    setTraceRun(null);
+    debugSessionRef.current?.stop();
+    setDebugRun(null);
+    setBreakpoints({});
+    setProject(singleFileProject(newLang, DEFAULT_CODE[newLang]));
+  };
+
+  // Editor changes go to the open file (and make any trace out of date)
+  const handleCodeChange = (content) => {
+    setTraceRun(null);
+    setProject(prev => ({
+      ...prev,
+      files: prev.files.map(file => file.name === prev.active ? { ...file, content: content ?? '' } : file)
+    }));
+  };
+
+  const handleSelectFile = (name) => {
+    setProject(prev => ({ ...prev, active: name }));
+  };
+
+  // Returns why the file can't be added, or null once it is
+  const handleAddFile = (name) => {
+    const problem = fileNameError(name, project.files, language);
+    if (problem) return problem;
+    setProject(prev => ({ files: [...prev.files, { name, content: newFileContent(name) }], active: name }));
+    return null;
+  };
+
+  // Opens the file a diagnostic points at and shows its line once the editor has the file
+  const pendingRevealRef = useRef(null);
+  const handleOpenDiagnostic = (diagnostic) => {
+    pendingRevealRef.current = diagnostic;
+    setProject(prev => ({ ...prev, active: diagnostic.file }));
+  };
+
+  useEffect(() => {
+    const diagnostic = pendingRevealRef.current;
+    if (!diagnostic || diagnostic.file !== activeFile.name || !editorRef.current) return;
+    pendingRevealRef.current = null;
+    editorRef.current.revealLineInCenter(diagnostic.line);
+    editorRef.current.setPosition({ lineNumber: diagnostic.line, column: diagnostic.column || 1 });
+    editorRef.current.focus();
+  }, [activeFile.name, project]);
+
+  const handleDeleteFile = (name) => {
+    if (!window.confirm(`Delete ${name}? Its code will be lost.`)) return;
+    setProject(prev => {
+      const files = prev.files.filter(file => file.name !== name);
+      return { files, active: prev.active === name ? files[0].name : prev.active };
+    });
+    setBreakpoints(prev => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
   };
 
   const buildMentorResponse = ({ response }) => {
@@ -782,7 +1596,274 @@ function App() {
     return hasMultipleLines && hasCodePatterns;
   };
 
+  // Stream a tutor reply into the chat as it is generated
+  // Returns the final response, or null if the student cancelled it
+  const streamTutorReply = async (request) => {
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    const messageId = `assistant-${Date.now()}`;
+    let started = false;
+
+    const appendToken = (text) => {
+      if (!started) {
+        started = true;
+        setStreaming(true);
+        setChatMessages(prev => [...prev, {
+          id: messageId,
+          role: 'assistant',
+          content: text,
+          timestamp: new Date(),
+          streaming: true
+        }]);
+        return;
+      }
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === messageId ? { ...msg, content: msg.content + text } : msg
+      ));
+    };
+
+    try {
+      const response = await streamAnalyzeCode({
+        ...request,
+        ...(projectFiles && { files: projectFiles, activeFile: activeFile.name }),
+        // While the debugger is paused the tutor sees the values at that point
+        ...(debugState && { debugState }),
+        sessionId,
+        assignmentId: activeAssignment?.id,
+        exerciseId: activeExercise?.id,
+        mode: socraticMode ? 'socratic' : 'explain'
+      }, {
+        onToken: appendToken,
+        signal: controller.signal
+      });
+
+      if (response.sessionId) {
+        setSessionId(response.sessionId);
+      }
+
+      const finalMsg = {
+        id: messageId,
+        role: 'assistant',
+        content: buildMentorResponse({ response }),
+        timestamp: new Date(),
+        rawResponse: response
+      };
+      setChatMessages(prev => started
+        ? prev.map(msg => (msg.id === messageId ? finalMsg : msg))
+        : [...prev, finalMsg]);
+
+      return response;
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        // Drop the half-finished reply - the caller shows an error message instead
+        setChatMessages(prev => prev.filter(msg => msg.id !== messageId));
+        throw err;
+      }
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === messageId
+          ? { ...msg, content: `${msg.content}\n\n_(stopped)_`, streaming: false }
+          : msg
+      ));
+      return null;
+    } finally {
+      streamControllerRef.current = null;
+      setStreaming(false);
+    }
+  };
+
+  // Cancel the reply currently being streamed
+  const handleCancelReply = () => {
+    streamControllerRef.current?.abort();
+  };
+
   // Handle user submitting a question or requesting analysis
+  // Pick up the most recent stored conversation after signing in
+  const restoreLatestConversation = async () => {
+    const conversations = await listConversations();
+    if (!conversations.length) return;
+
+    const session = await getSession(conversations[0].sessionId);
+    setSessionId(session.sessionId);
+    setChatMessages(session.messages.map(msg => ({
+      role: msg.role,
+      content: msg.content,
+      timestamp: new Date(msg.timestamp)
+    })));
+  };
+
+  const handleAuthSubmit = async (e) => {
+    e.preventDefault();
+    setAuthBusy(true);
+    setAuthError('');
+    try {
+      const { user } = authMode === 'register' ? await register(authForm) : await login(authForm);
+      setAccount(user);
+      setAuthForm({ username: '', password: '' });
+      setShowAccountMenu(false);
+      await restoreLatestConversation().catch(error => console.warn('Could not restore conversation:', error.message));
+    } catch (error) {
+      setAuthError(error.message);
+    } finally {
+      setAuthBusy(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    setAccount(null);
+    setShowAccountMenu(false);
+    // The conversation belongs to the account - start a fresh one
+    setSessionId(null);
+  };
+
+  const handleJoinClass = async (e) => {
+    e.preventDefault();
+    if (!joinCode.trim()) return;
+    setClassError('');
+    try {
+      const joined = await joinClass(joinCode);
+      setJoinCode('');
+      setClasses(await listClasses());
+      setOpenClass(await getClass(joined.id));
+    } catch (error) {
+      setClassError(error.message);
+    }
+  };
+
+  const handleOpenClass = async (classId) => {
+    if (openClass?.class.id === classId) {
+      setOpenClass(null);
+      return;
+    }
+    setClassError('');
+    try {
+      setOpenClass(await getClass(classId));
+    } catch (error) {
+      setClassError(error.message);
+    }
+  };
+
+  // Instructor dashboard for a class
+  const handleOpenAnalytics = async (classId) => {
+    setClassError('');
+    try {
+      setClassAnalytics(await getClassAnalytics(classId));
+      setShowClassMenu(false);
+    } catch (error) {
+      setClassError(error.message);
+    }
+  };
+
+  const handleExportAnalytics = async () => {
+    setAnalyticsError('');
+    try {
+      const { blob, filename } = await exportClassAnalytics(classAnalytics.class.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setAnalyticsError(error.message);
+    }
+  };
+
+  // Work on an assignment in the editor, with a fresh tutor conversation
+  const handleStartAssignment = (assignment) => {
+    setActiveExercise(null);
+    setActiveAssignment(assignment);
+    setLanguage(assignment.language);
+    setProject(singleFileProject(assignment.language, assignment.starterCode || DEFAULT_CODE[assignment.language]));
+    setSessionId(null);
+    setSubmission(null);
+    setErrorHint(null);
+    setShowStatement(true);
+    setShowClassMenu(false);
+    setChatMessages(prev => [...prev, {
+      role: 'assistant',
+      content: `Now working on **${assignment.title}**. Ask me about it any time - I'll guide you with hints, but the solution is yours to write.`,
+      timestamp: new Date()
+    }]);
+  };
+
+  const handleLeaveAssignment = () => {
+    setActiveAssignment(null);
+    setSubmission(null);
+    setSessionId(null);
+  };
+
+  // Practise a library exercise in the editor, with a fresh tutor conversation
+  const handleStartExercise = async (summary) => {
+    setExerciseError('');
+    try {
+      const exercise = await getExercise(summary.id, language);
+      setActiveAssignment(null);
+      setActiveExercise({ ...exercise, language });
+      setProject(singleFileProject(language, exercise.starterCode));
+      setSessionId(null);
+      setSubmission(null);
+      setErrorHint(null);
+      setShowStatement(true);
+      setShowExerciseMenu(false);
+      setChatMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `Now practising **${exercise.title}** (${exercise.difficulty}). Try the samples with Run Code, then Submit to check it against the hidden tests. Ask me whenever you're stuck.`,
+        timestamp: new Date()
+      }]);
+    } catch (error) {
+      setExerciseError(error.message);
+    }
+  };
+
+  const handleLeaveExercise = () => {
+    setActiveExercise(null);
+    setSubmission(null);
+    setSessionId(null);
+  };
+
+  // Judge the editor's code against the exercise's samples and hidden tests
+  // Solving it marks its concepts as mastered
+  const handleSubmitExercise = async () => {
+    if (!activeExercise || !code.trim() || submitting) return;
+    setSubmitting(true);
+    setSubmission(null);
+    try {
+      const result = await submitExercise(activeExercise.id, { code, language: activeExercise.language, sessionId });
+      setSubmission(result);
+      if (result.verdict === 'Accepted') {
+        setErrorHint(null);
+        const solved = markExerciseSolved({ id: activeExercise.id, concepts: result.concepts });
+        setProgress(solved.progress);
+        setLearningState(solved.learningState);
+      }
+    } catch (error) {
+      setSubmission({ error: error.message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Judge the editor's code against the assignment's hidden tests
+  const handleSubmitAssignment = async () => {
+    if (!activeAssignment || !code.trim() || submitting) return;
+    setSubmitting(true);
+    setSubmission(null);
+    try {
+      const result = await submitAssignment(activeAssignment.id, { code, sessionId });
+      setSubmission(result);
+      setActiveAssignment(prev => ({ ...prev, progress: result.progress }));
+      if (result.verdict === 'Accepted') setErrorHint(null);
+      if (openClass?.class.id === activeAssignment.classId) {
+        setOpenClass(await getClass(activeAssignment.classId));
+      }
+    } catch (error) {
+      setSubmission({ error: error.message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   const handleSendMessage = async () => {
     const message = userMessage.trim();
 
@@ -808,25 +1889,15 @@ function App() {
       setLoading(true);
 
       try {
-        const response = await analyzeCode({
+        const response = await streamTutorReply({
           code: message,
           language,
           level: 'moderate',
-          hintLevel: 1,
           userQuestion: 'Please explain what this code does step by step',
           learningState  // Include learning state for pedagogical awareness
         });
 
-        const assistantMessage = buildMentorResponse({ response });
-
-        const assistantMsg = {
-          role: 'assistant',
-          content: assistantMessage,
-          timestamp: new Date(),
-          rawResponse: response
-        };
-
-        setChatMessages(prev => [...prev, assistantMsg]);
+        if (!response) return;
 
         // Update learning state based on response
         const newLearningState = updateLearningState(response, null, false);
@@ -865,27 +1936,16 @@ function App() {
 
       // Send message to backend for analysis with learning state
       // We pass empty string for code to prevent the chat from seeing the editor content
-      const response = await analyzeCode({
+      const response = await streamTutorReply({
         code: '', // Decoupled from editor
         language,
         level: 'moderate',
-        hintLevel: 1,
+        hintRequest: isHintRequest,
         userQuestion: contextMessage,
         learningState  // Include learning state for pedagogical awareness
       });
 
-      const assistantMessage = buildMentorResponse({
-        response
-      });
-
-      const assistantMsg = {
-        role: 'assistant',
-        content: assistantMessage,
-        timestamp: new Date(),
-        rawResponse: response
-      };
-
-      setChatMessages(prev => [...prev, assistantMsg]);
+      if (!response) return;
 
       // Update learning state based on response
       const newLearningState = updateLearningState(response, response?.errorType, isHintRequest);
@@ -923,19 +1983,32 @@ function App() {
   // Run code handler
   const handleRunCode = async () => {
     if (!code.trim() || running) return;
+    if (runMode === 'interactive') {
+      handleRunInteractive();
+      return;
+    }
 
     setRunning(true);
     setShowOutput(true);
+    setTraceRun(null);
+    setDebugRun(null);
     setCodeOutput({ status: 'running', output: '', error: '' });
+    setErrorHint(null);
 
     try {
-      const result = await runCode({ code, language });
+      const result = await runCode({ code, files: projectFiles, language, input: stdinInput, assignmentId: activeAssignment?.id });
 
       setCodeOutput({
         status: result.success ? 'success' : 'error',
         output: result.output || '',
         error: result.error || '',
-        executionTime: result.executionTime
+        executionTime: result.executionTime,
+        diagnostics: result.diagnostics || [],
+        usage: result.usage,
+        limits: result.limits,
+        limitExceeded: result.limitExceeded,
+        signal: result.signal,
+        outputTruncated: result.outputTruncated
       });
     } catch (err) {
       setCodeOutput({
@@ -948,6 +2021,413 @@ function App() {
     }
   };
 
+  // Trace handler - records every step of the program with the batch input as stdin
+  const handleTraceCode = async () => {
+    if (!code.trim() || running) return;
+
+    setRunning(true);
+    setShowOutput(true);
+    setDebugRun(null);
+    setTraceRun({ status: 'running' });
+    setTraceStep(0);
+    setErrorHint(null);
+
+    try {
+      const result = await traceCode({ code, files: projectFiles, language, input: stdinInput });
+      if (result.steps.length === 0) {
+        // Nothing ran (e.g. a compile error) - show it as a normal run
+        setTraceRun(null);
+        setCodeOutput({
+          status: 'error',
+          output: result.output || '',
+          error: result.error || '',
+          executionTime: result.executionTime,
+          diagnostics: result.diagnostics || []
+        });
+        return;
+      }
+      setTraceRun({ status: 'done', ...result });
+      showTraceStep(result.steps, 0);
+    } catch (err) {
+      setTraceRun(null);
+      setCodeOutput({ status: 'error', output: '', error: err.message || 'Failed to trace code' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Move to a step of the trace, opening the file it is in
+  const showTraceStep = (steps, index) => {
+    const step = Math.max(0, Math.min(index, steps.length - 1));
+    setTraceStep(step);
+    const { file } = steps[step];
+    if (project.files.some(f => f.name === file)) {
+      setProject(prev => ({ ...prev, active: file }));
+    }
+  };
+
+  // Highlight the traced step's line
+  const tracedStep = traceRun?.steps?.[traceStep];
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || !editorReady) return;
+    if (!traceDecorationsRef.current) {
+      traceDecorationsRef.current = editor.createDecorationsCollection();
+    }
+    if (!tracedStep || tracedStep.file !== activeFile.name) {
+      traceDecorationsRef.current.clear();
+      return;
+    }
+    traceDecorationsRef.current.set([{
+      range: { startLineNumber: tracedStep.line, startColumn: 1, endLineNumber: tracedStep.line, endColumn: 1 },
+      options: {
+        isWholeLine: true,
+        className: tracedStep.event === 'signal' ? 'trace-line-crash' : 'trace-line'
+      }
+    }]);
+    editor.revealLineInCenterIfOutsideViewport(tracedStep.line);
+  }, [tracedStep, activeFile.name, editorReady]);
+
+  // Adds output (or echoed input) to the interactive transcript, merging runs of the same stream
+  const appendTranscript = (stream, text) => {
+    setCodeOutput(prev => {
+      if (!prev?.interactive) return prev;
+      const transcript = [...prev.transcript];
+      const last = transcript[transcript.length - 1];
+      if (last?.stream === stream) {
+        transcript[transcript.length - 1] = { stream, text: last.text + text };
+      } else {
+        transcript.push({ stream, text });
+      }
+      return { ...prev, transcript };
+    });
+  };
+
+  // Interactive run - output streams in and stdin is typed as the program asks
+  const handleRunInteractive = () => {
+    setRunning(true);
+    setShowOutput(true);
+    setTraceRun(null);
+    setDebugRun(null);
+    setInteractiveLine('');
+    setCodeOutput({ status: 'running', interactive: true, phase: 'starting', transcript: [], error: '' });
+    setErrorHint(null);
+
+    interactiveRunRef.current = startInteractiveRun({ code, files: projectFiles, language }, {
+      onStatus: phase => setCodeOutput(prev => ({ ...prev, phase })),
+      onOutput: appendTranscript,
+      onExit: result => {
+        interactiveRunRef.current = null;
+        setRunning(false);
+        setCodeOutput(prev => ({
+          ...prev,
+          status: result.success ? 'success' : 'error',
+          phase: 'done',
+          executionTime: result.executionTime,
+          diagnostics: result.diagnostics || [],
+          usage: result.usage,
+          limitExceeded: result.limitExceeded,
+          signal: result.signal,
+          outputTruncated: result.outputTruncated,
+          // Killed by the Stop button rather than a limit
+          stopped: result.signal === 'SIGKILL' && !result.limitExceeded
+        }));
+      },
+      onError: message => {
+        interactiveRunRef.current = null;
+        setRunning(false);
+        setCodeOutput(prev => ({ ...prev, status: 'error', phase: 'done', error: message }));
+      }
+    });
+  };
+
+  // Send one line of the interactive input box to the program
+  const handleSendInput = (e) => {
+    e.preventDefault();
+    if (!interactiveRunRef.current) return;
+    interactiveRunRef.current.send(interactiveLine + '\n');
+    appendTranscript('stdin', interactiveLine + '\n');
+    setInteractiveLine('');
+  };
+
+  // Close the program's stdin, like Ctrl+D at a terminal
+  const handleEndInput = () => {
+    if (!interactiveRunRef.current) return;
+    interactiveRunRef.current.endInput();
+    appendTranscript('stdin', '^D\n');
+  };
+
+  const handleInteractiveKeyDown = (e) => {
+    if (e.key === 'd' && e.ctrlKey) {
+      e.preventDefault();
+      handleEndInput();
+    }
+  };
+
+  // Breakpoints in files that still exist, as [{ file, line }]
+  const listBreakpoints = (byFile) => project.files
+    .filter(file => !/\.(txt|csv)$/i.test(file.name))
+    .flatMap(file => (byFile[file.name] || []).map(line => ({ file: file.name, line })));
+
+  // Click in the editor margin: add or remove a breakpoint on that line of the open file
+  // A running session picks the change up straight away (at its next pause if the program is running)
+  const handleToggleBreakpoint = (line) => {
+    if (activeIsData) return;
+    const lines = breakpoints[activeFile.name] || [];
+    const next = {
+      ...breakpoints,
+      [activeFile.name]: lines.includes(line) ? lines.filter(l => l !== line) : [...lines, line].sort((a, b) => a - b)
+    };
+    setBreakpoints(next);
+    debugSessionRef.current?.setBreakpoints(listBreakpoints(next));
+  };
+
+  useEffect(() => {
+    toggleBreakpointRef.current = handleToggleBreakpoint;
+  });
+
+  // Adds program output to the debug panel's transcript
+  const appendDebugOutput = (stream, text) => {
+    setDebugRun(prev => {
+      if (!prev) return prev;
+      const transcript = [...prev.transcript];
+      const last = transcript[transcript.length - 1];
+      if (last?.stream === stream) {
+        transcript[transcript.length - 1] = { stream, text: last.text + text };
+      } else {
+        transcript.push({ stream, text });
+      }
+      return { ...prev, transcript };
+    });
+  };
+
+  // Debug handler - runs under the debugger with the batch input as stdin; with no
+  // breakpoints it pauses on the first line
+  const handleDebugCode = () => {
+    if (!code.trim() || running) return;
+    const breakpointList = listBreakpoints(breakpoints);
+
+    setRunning(true);
+    setShowOutput(true);
+    setTraceRun(null);
+    setErrorHint(null);
+    setDebugRun({ status: 'starting', pause: null, frame: 0, watchValues: [], evaluations: [], transcript: [], verified: null, result: null, error: '' });
+
+    debugSessionRef.current = startDebugSession({
+      code,
+      files: projectFiles,
+      language,
+      input: stdinInput,
+      breakpoints: breakpointList,
+      watches: debugWatches,
+      stopOnEntry: breakpointList.length === 0
+    }, {
+      onStatus: phase => setDebugRun(prev => prev && { ...prev, status: phase }),
+      onOutput: appendDebugOutput,
+      onBreakpoints: verified => setDebugRun(prev => prev && { ...prev, verified }),
+      onPaused: pause => {
+        setDebugRun(prev => prev && { ...prev, status: 'paused', pause, frame: 0, watchValues: pause.watches });
+        showDebugFrame(pause.stack[0]);
+      },
+      onWatches: watchValues => setDebugRun(prev => prev && { ...prev, watchValues }),
+      onEvaluation: evaluation => setDebugRun(prev => prev && { ...prev, evaluations: [...prev.evaluations, evaluation] }),
+      onExit: result => {
+        debugSessionRef.current = null;
+        setRunning(false);
+        setDebugRun(prev => prev && { ...prev, status: 'done', pause: null, result });
+        // Compile errors and crashes show as a normal run, with their diagnostics
+        if (!result.success && result.diagnostics?.length > 0) {
+          setCodeOutput({
+            status: 'error',
+            output: '',
+            error: '',
+            executionTime: result.executionTime,
+            diagnostics: result.diagnostics
+          });
+          if (result.compilationError) setDebugRun(null);
+        }
+      },
+      onError: message => {
+        debugSessionRef.current = null;
+        setRunning(false);
+        setDebugRun(prev => prev && { ...prev, status: 'done', pause: null, error: message });
+      }
+    });
+  };
+
+  // Opens the file a stack frame is in (the editor then highlights its line)
+  const showDebugFrame = (frame) => {
+    if (frame && project.files.some(f => f.name === frame.file)) {
+      setProject(prev => ({ ...prev, active: frame.file }));
+    }
+  };
+
+  const handleDebugAction = (action) => {
+    if (debugRun?.status !== 'paused') return;
+    debugSessionRef.current?.resume(action);
+    setDebugRun(prev => ({ ...prev, status: 'running', pause: null }));
+  };
+
+  const handleSelectDebugFrame = (index) => {
+    setDebugRun(prev => ({ ...prev, frame: index }));
+    showDebugFrame(debugRun.pause.stack[index]);
+  };
+
+  const handleAddWatch = (expression) => {
+    if (debugWatches.includes(expression)) return;
+    const next = [...debugWatches, expression];
+    setDebugWatches(next);
+    debugSessionRef.current?.setWatches(next);
+  };
+
+  const handleRemoveWatch = (expression) => {
+    const next = debugWatches.filter(watch => watch !== expression);
+    setDebugWatches(next);
+    debugSessionRef.current?.setWatches(next);
+  };
+
+  const handleEvaluate = (expression) => {
+    debugSessionRef.current?.evaluate(`${Date.now()}`, expression, debugRun.frame);
+  };
+
+  // Where the debugger is paused, for the tutor: the selected frame's variables and the watches
+  const debugPause = debugRun?.status === 'paused' ? debugRun.pause : null;
+  const debugFrame = debugPause ? debugPause.stack[debugRun.frame] : null;
+  const debugState = debugFrame && {
+    file: debugFrame.file,
+    line: debugFrame.line,
+    function: debugFrame.function,
+    exception: debugPause.exception,
+    locals: debugFrame.locals.slice(0, 50).map(({ name, type, value }) => ({ name, type, value })),
+    watches: debugRun.watchValues.map(({ expression, value, error }) => (error ? { expression, error } : { expression, value }))
+  };
+
+  // Ask the tutor about the paused program (streamTutorReply sends debugState)
+  const handleAskAboutPause = async () => {
+    if (!debugState || loading) return;
+    const question = debugPause.reason === 'exception'
+      ? `My program stopped with ${debugPause.exception} at line ${debugFrame.line}. Can you help me understand why, looking at the values?`
+      : `I'm paused at line ${debugFrame.line}${debugFrame.function.startsWith('<') ? '' : ` in ${debugFrame.function}`}. Are these values what they should be?`;
+    setChatMessages(prev => [...prev, { role: 'user', content: question, timestamp: new Date() }]);
+    setLoading(true);
+
+    try {
+      const response = await streamTutorReply({
+        code,
+        language,
+        level: 'moderate',
+        userQuestion: question,
+        learningState
+      });
+      if (!response) return;
+      setLearningState(updateLearningState(response, response?.errorType, false));
+    } catch (err) {
+      setChatMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `Oops! I ran into a little trouble: ${err.message}\n\nNo worries though! Try again and I'll do my best to help you out.`,
+        timestamp: new Date(),
+        isError: true
+      }]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Breakpoint dots in the editor margin, and the line the debugger is paused on
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || !editorReady) return;
+    if (!debugDecorationsRef.current) {
+      debugDecorationsRef.current = editor.createDecorationsCollection();
+    }
+    const decorations = (breakpoints[activeFile.name] || []).map(line => ({
+      range: { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 },
+      options: { glyphMarginClassName: 'debug-breakpoint', glyphMarginHoverMessage: { value: 'Breakpoint - click to remove' } }
+    }));
+    if (debugFrame && debugFrame.file === activeFile.name) {
+      decorations.push({
+        range: { startLineNumber: debugFrame.line, startColumn: 1, endLineNumber: debugFrame.line, endColumn: 1 },
+        options: {
+          isWholeLine: true,
+          className: debugPause.reason === 'exception' && debugFrame === debugPause.stack[0] ? 'trace-line-crash' : 'trace-line'
+        }
+      });
+      editor.revealLineInCenterIfOutsideViewport(debugFrame.line);
+    }
+    debugDecorationsRef.current.set(decorations);
+  }, [breakpoints, debugFrame, debugPause, activeFile.name, editorReady]);
+
+  // Functions the student can time (code outside functions has nothing to call)
+  const measurableFunctions = (complexity?.functions || []).filter(fn => fn.name !== '(top level)');
+
+  // Measure complexity handler - runs one function on growing inputs
+  const handleMeasureComplexity = async () => {
+    const functionName = measurableFunctions.some(fn => fn.name === measureFunction)
+      ? measureFunction
+      : measurableFunctions[0]?.name;
+    if (!functionName || measuring) return;
+
+    setMeasuring(true);
+    setMeasurement(null);
+
+    try {
+      const result = await measureComplexity({
+        code,
+        language,
+        functionName,
+        input: {
+          type: measureInputType,
+          ...(measureInputType === 'array' && { order: measureOrder })
+        }
+      });
+      setMeasurement(result.empirical);
+    } catch (err) {
+      setMeasurement({ functionName, error: err.message || 'Measurement failed', timings: [] });
+    } finally {
+      setMeasuring(false);
+    }
+  };
+
+  // Ask the tutor about the last run's compiler/runtime error
+  const handleExplainError = async () => {
+    const diagnostics = codeOutput?.diagnostics || [];
+    if (diagnostics.length === 0 || loading) return;
+
+    const question = errorHint === null
+      ? `Why did my program fail with "${diagnostics[0].description}"?`
+      : 'Can I have a bigger hint about this error?';
+    setChatMessages(prev => [...prev, { role: 'user', content: question, timestamp: new Date() }]);
+    setLoading(true);
+
+    try {
+      const response = await streamTutorReply({
+        code,
+        language,
+        level: 'moderate',
+        hintRequest: true,
+        userQuestion: question,
+        learningState,
+        diagnostics
+      });
+
+      if (!response) return;
+
+      setErrorHint({ hintLevel: response.hintLevel, hintsRemaining: response.hintsRemaining });
+
+      const newLearningState = updateLearningState(response, response?.errorType, response.hintLevel > 1);
+      setLearningState(newLearningState);
+    } catch (err) {
+      setChatMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `Oops! I ran into a little trouble: ${err.message}\n\nNo worries though! Try again and I'll do my best to help you out.`,
+        timestamp: new Date(),
+        isError: true
+      }]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Image analysis handler
   const handleAnalyzeImage = async (file) => {
     console.log('handleAnalyzeImage called with file:', file);
@@ -994,9 +2474,10 @@ function App() {
           const detectedLang = response.language === 'cpp' ? 'cpp' :
             response.language === 'javascript' ? 'python' :
               response.language;
-          if (['python', 'c', 'cpp', 'java'].includes(detectedLang)) {
+          // An open assignment or exercise keeps its own code and language
+          if (!activeAssignment && !activeExercise && ['python', 'c', 'cpp', 'java'].includes(detectedLang)) {
             setLanguage(detectedLang);
-            setCode(response.extractedText);
+            setProject(singleFileProject(detectedLang, response.extractedText));
           }
         }
 
@@ -1158,6 +2639,172 @@ function App() {
             )}
           </div>
 
+          {/* Exercises - curated problems for the editor's language */}
+          <div className="exercise-menu-container">
+            <button
+              className={`account-toggle-btn ${activeExercise ? 'active' : ''}`}
+              onClick={() => setShowExerciseMenu(!showExerciseMenu)}
+              title="Exercise library"
+            >
+              {Icons.rocket}
+            </button>
+
+            {showExerciseMenu && (
+              <div className="account-menu class-menu">
+                <div className="account-menu-header">
+                  Exercises - {LANGUAGES.find(l => l.value === language)?.label}
+                </div>
+                <div className="exercise-levels">
+                  {Object.entries(EXERCISE_LEVEL_LABELS).map(([level, label]) => (
+                    <button
+                      key={level}
+                      className={`exercise-level ${exerciseLevel === level ? 'active' : ''}`}
+                      onClick={() => setExerciseLevel(level)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {exerciseError && <p className="account-error">{exerciseError}</p>}
+                <ul className="assignment-list exercise-list">
+                  {exercises.map(exercise => (
+                    <li key={exercise.id}>
+                      <button className="assignment-item" onClick={() => handleStartExercise(exercise)}>
+                        <span>
+                          {exercise.title}
+                          <span className="class-detail exercise-concepts">{exercise.concepts.join(' · ')}</span>
+                        </span>
+                        {progress.solvedExercises?.includes(exercise.id) && (
+                          <span className="assignment-status solved">{ASSIGNMENT_STATUS_LABELS.solved}</span>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          {/* Classes - join with a code, pick an assignment to work on */}
+          {account && (
+            <div className="class-menu-container">
+              <button
+                className={`account-toggle-btn ${activeAssignment ? 'active' : ''}`}
+                onClick={() => setShowClassMenu(!showClassMenu)}
+                title="Classes and assignments"
+              >
+                {Icons.book}
+              </button>
+
+              {showClassMenu && (
+                <div className="account-menu class-menu">
+                  <div className="account-menu-header">Classes</div>
+                  <form className="class-join" onSubmit={handleJoinClass}>
+                    <input
+                      className="account-input"
+                      placeholder="Join code"
+                      value={joinCode}
+                      onChange={(e) => setJoinCode(e.target.value)}
+                    />
+                    <button className="account-submit" type="submit">Join</button>
+                  </form>
+                  {classError && <p className="account-error">{classError}</p>}
+                  {classes.length === 0 && <p className="account-note">Join a class with the code from your instructor.</p>}
+                  {classes.map(cls => (
+                    <div key={cls.id} className="class-item">
+                      <button className="class-name" onClick={() => handleOpenClass(cls.id)}>
+                        <span>{cls.name}</span>
+                        <span className="class-detail">
+                          {cls.role === 'instructor' ? `Join code ${cls.joinCode}` : cls.instructor}
+                        </span>
+                      </button>
+                      {openClass?.class.id === cls.id && cls.role === 'instructor' && (
+                        <button className="class-analytics-btn" onClick={() => handleOpenAnalytics(cls.id)}>
+                          {Icons.chartBar} Analytics
+                        </button>
+                      )}
+                      {openClass?.class.id === cls.id && (
+                        <ul className="assignment-list">
+                          {openClass.assignments.length === 0 && <li className="account-note">No assignments yet</li>}
+                          {openClass.assignments.map(assignment => (
+                            <li key={assignment.id}>
+                              <button className="assignment-item" onClick={() => handleStartAssignment(assignment)}>
+                                <span>{assignment.title}</span>
+                                {assignment.progress && (
+                                  <span className={`assignment-status ${assignment.progress.status}`}>
+                                    {ASSIGNMENT_STATUS_LABELS[assignment.progress.status]}
+                                  </span>
+                                )}
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Account - sign in to keep progress on the server */}
+          <div className="account-menu-container">
+            <button
+              className={`account-toggle-btn ${account ? 'active' : ''}`}
+              onClick={() => setShowAccountMenu(!showAccountMenu)}
+              title={account ? `Signed in as ${account.username}` : 'Sign in'}
+            >
+              {Icons.user}
+            </button>
+
+            {showAccountMenu && (
+              <div className="account-menu">
+                {account ? (
+                  <>
+                    <div className="account-menu-header">Signed in as {account.username}</div>
+                    <p className="account-note">Your progress and chats are saved to your account.</p>
+                    <button className="account-submit" onClick={handleLogout}>Sign out</button>
+                  </>
+                ) : (
+                  <form onSubmit={handleAuthSubmit}>
+                    <div className="account-menu-header">
+                      {authMode === 'register' ? 'Create an account' : 'Sign in'}
+                    </div>
+                    <input
+                      className="account-input"
+                      placeholder="Username"
+                      autoComplete="username"
+                      value={authForm.username}
+                      onChange={(e) => setAuthForm(prev => ({ ...prev, username: e.target.value }))}
+                    />
+                    <input
+                      className="account-input"
+                      type="password"
+                      placeholder="Password"
+                      autoComplete={authMode === 'register' ? 'new-password' : 'current-password'}
+                      value={authForm.password}
+                      onChange={(e) => setAuthForm(prev => ({ ...prev, password: e.target.value }))}
+                    />
+                    {authError && <p className="account-error">{authError}</p>}
+                    <button className="account-submit" type="submit" disabled={authBusy}>
+                      {authMode === 'register' ? 'Create account' : 'Sign in'}
+                    </button>
+                    <button
+                      type="button"
+                      className="account-switch"
+                      onClick={() => {
+                        setAuthMode(authMode === 'register' ? 'login' : 'register');
+                        setAuthError('');
+                      }}
+                    >
+                      {authMode === 'register' ? 'Have an account? Sign in' : 'New here? Create an account'}
+                    </button>
+                  </form>
+                )}
+              </div>
+            )}
+          </div>
+
           <button
             className="stats-toggle-btn"
             onClick={() => setShowTimer(!showTimer)}
@@ -1188,6 +2835,8 @@ function App() {
                   value={language}
                   onChange={(e) => handleLanguageChange(e.target.value)}
                   className="language-select"
+                  disabled={Boolean(activeAssignment || activeExercise)}
+                  title={activeAssignment ? 'Set by the assignment' : activeExercise ? 'Set by the exercise' : undefined}
                 >
                   {LANGUAGES.map(lang => (
                     <option key={lang.value} value={lang.value}>
@@ -1196,33 +2845,194 @@ function App() {
                   ))}
                 </select>
               </div>
+              {running && codeOutput?.interactive ? (
+                <button
+                  className="run-button header-run-btn"
+                  onClick={() => interactiveRunRef.current?.stop()}
+                >
+                  ■ Stop
+                </button>
+              ) : (
+                <button
+                  className="run-button header-run-btn"
+                  onClick={handleRunCode}
+                  disabled={running || backendStatus !== 'connected'}
+                >
+                  {running ? '⏳ Running...' : '▶ Run Code'}
+                </button>
+              )}
               <button
-                className="run-button header-run-btn"
-                onClick={handleRunCode}
+                className="stdin-button"
+                onClick={() => setShowOutput(true)}
+                title="Program input (stdin) and run mode"
+              >
+                ⌨ Input
+              </button>
+              {TRACE_LANGUAGES.includes(language) && (
+                <button
+                  className="stdin-button"
+                  onClick={handleTraceCode}
+                  disabled={running || backendStatus !== 'connected'}
+                  title="Run step by step and watch the variables change"
+                >
+                  ⏯ Trace
+                </button>
+              )}
+              <button
+                className="stdin-button"
+                onClick={handleDebugCode}
                 disabled={running || backendStatus !== 'connected'}
+                title="Run with breakpoints - click the margin next to a line number to add one"
               >
-                {running ? '⏳ Running...' : '▶ Run Code'}
+                🐞 Debug
               </button>
             </div>
           </div>
 
+          {activeAssignment && (
+            <div className="assignment-panel">
+              <div className="assignment-panel-header">
+                <button
+                  className="assignment-title"
+                  onClick={() => setShowStatement(!showStatement)}
+                  title={showStatement ? 'Hide the problem statement' : 'Show the problem statement'}
+                >
+                  {Icons.book} {activeAssignment.title}
+                </button>
+                {activeAssignment.progress && (
+                  <span className={`assignment-status ${activeAssignment.progress.status}`}>
+                    {ASSIGNMENT_STATUS_LABELS[activeAssignment.progress.status]}
+                  </span>
+                )}
+                <button
+                  className="assignment-submit"
+                  onClick={handleSubmitAssignment}
+                  disabled={submitting || backendStatus !== 'connected'}
+                >
+                  {submitting ? 'Submitting...' : 'Submit'}
+                </button>
+                <button className="assignment-leave" onClick={handleLeaveAssignment} title="Stop working on this assignment">
+                  ×
+                </button>
+              </div>
+              {showStatement && <p className="assignment-statement">{activeAssignment.statement}</p>}
+              <div className="assignment-meta">
+                {activeAssignment.testCount} hidden test{activeAssignment.testCount === 1 ? '' : 's'} · hints up to level {activeAssignment.maxHintLevel}
+              </div>
+              {submission && (
+                <div className={`assignment-result ${submission.verdict === 'Accepted' ? 'passed' : 'failed'}`}>
+                  {submission.error || `${submission.verdict} - ${submission.passed}/${submission.total} tests passed`}
+                </div>
+              )}
+              {submission?.compileError && <pre className="assignment-compile-error">{submission.compileError}</pre>}
+            </div>
+          )}
+
+          {activeExercise && (
+            <div className="assignment-panel">
+              <div className="assignment-panel-header">
+                <button
+                  className="assignment-title"
+                  onClick={() => setShowStatement(!showStatement)}
+                  title={showStatement ? 'Hide the problem statement' : 'Show the problem statement'}
+                >
+                  {Icons.rocket} {activeExercise.title}
+                </button>
+                <span className={`exercise-difficulty ${activeExercise.difficulty}`}>
+                  {EXERCISE_LEVEL_LABELS[activeExercise.difficulty]}
+                </span>
+                {progress.solvedExercises?.includes(activeExercise.id) && (
+                  <span className="assignment-status solved">{ASSIGNMENT_STATUS_LABELS.solved}</span>
+                )}
+                <button
+                  className="assignment-submit"
+                  onClick={handleSubmitExercise}
+                  disabled={submitting || backendStatus !== 'connected'}
+                >
+                  {submitting ? 'Submitting...' : 'Submit'}
+                </button>
+                <button className="assignment-leave" onClick={handleLeaveExercise} title="Stop practising this exercise">
+                  ×
+                </button>
+              </div>
+              {showStatement && (
+                <>
+                  <p className="assignment-statement">{activeExercise.statement}</p>
+                  {activeExercise.samples.map((sample, index) => (
+                    <div key={index} className="exercise-sample">
+                      <div>
+                        <span className="class-detail">Sample input {index + 1}</span>
+                        <pre>{sample.input}</pre>
+                      </div>
+                      <div>
+                        <span className="class-detail">Expected output</span>
+                        <pre>{sample.expectedOutput}</pre>
+                      </div>
+                    </div>
+                  ))}
+                </>
+              )}
+              <div className="assignment-meta">
+                {activeExercise.concepts.join(' · ')} · {activeExercise.testCount} hidden test{activeExercise.testCount === 1 ? '' : 's'} · aim for {activeExercise.complexity.time}
+              </div>
+              {submission && (
+                <div className={`assignment-result ${submission.verdict === 'Accepted' ? 'passed' : 'failed'}`}>
+                  {submission.error || `${submission.verdict} - ${submission.passed}/${submission.total} tests passed`}
+                </div>
+              )}
+              {submission?.compileError && <pre className="assignment-compile-error">{submission.compileError}</pre>}
+              {submission?.results?.filter(r => r.sample && r.verdict !== 'Accepted').slice(0, 1).map(r => (
+                <div key={r.index} className="assignment-meta">
+                  Sample {r.index + 1}: expected <code>{r.expectedOutput.trim()}</code>, got <code>{(r.actualOutput || '').trim() || '(nothing)'}</code>
+                </div>
+              ))}
+              {submission?.complexity && (
+                <div className="assignment-meta">
+                  Practised {submission.concepts.join(', ')} · your solution looks {submission.complexity.estimated}, the reference is {submission.complexity.reference.time}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="editor-body">
+          <FileTree
+            project={project}
+            language={language}
+            locked={Boolean(activeAssignment || activeExercise)}
+            onSelect={handleSelectFile}
+            onAdd={handleAddFile}
+            onDelete={handleDeleteFile}
+          />
           <div className="editor-wrapper" style={{ flex: 1 }}>
             <Editor
               height="100%"
-              language={LANGUAGES.find(l => l.value === language)?.monacoId}
+              language={monacoLanguageOf(activeFile.name, LANGUAGES.find(l => l.value === language)?.monacoId)}
               value={code}
-              onChange={setCode}
+              onChange={handleCodeChange}
+              onMount={(editor, monaco) => {
+                editorRef.current = editor;
+                monacoRef.current = monaco;
+                setEditorReady(true);
+                // Clicking the glyph margin toggles a breakpoint on that line
+                editor.onMouseDown((e) => {
+                  if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) {
+                    toggleBreakpointRef.current?.(e.target.position.lineNumber);
+                  }
+                });
+              }}
               theme={theme === 'dark' ? 'vs-dark' : 'vs'}
               options={{
                 minimap: { enabled: false },
                 fontSize: 14,
                 lineNumbers: 'on',
+                glyphMargin: true,
                 automaticLayout: true,
                 scrollBeyondLastLine: false,
                 padding: { top: 10, bottom: 10 }
               }}
             />
           </div>
+          </div>
 
           {/* Code Output Panel - Above Footer, Resizable */}
           {showOutput && (
@@ -1238,25 +3048,140 @@ function App() {
               <div className="output-panel">
                 <div className="output-header">
                   <h3>Output</h3>
+                  <div className="run-mode-toggle">
+                    {[['batch', 'Batch input'], ['interactive', 'Interactive']].map(([mode, label]) => (
+                      <button
+                        key={mode}
+                        className={runMode === mode ? 'active' : ''}
+                        onClick={() => setRunMode(mode)}
+                        disabled={running}
+                        title={mode === 'batch'
+                          ? 'Send the input below to the program all at once'
+                          : 'Type input while the program runs'}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                   <button className="close-output" onClick={() => setShowOutput(false)}>✕</button>
                 </div>
+                {runMode === 'batch' && (
+                  <textarea
+                    className="stdin-input"
+                    value={stdinInput}
+                    onChange={(e) => setStdinInput(e.target.value)}
+                    placeholder="Program input (stdin) - one value per line, sent when you run"
+                    rows={2}
+                    spellCheck={false}
+                  />
+                )}
+                {debugRun ? (
+                  <div className="output-content">
+                    <DebugPanel
+                      run={debugRun}
+                      watches={debugWatches}
+                      onAction={handleDebugAction}
+                      onStop={() => debugSessionRef.current?.stop()}
+                      onSelectFrame={handleSelectDebugFrame}
+                      onAddWatch={handleAddWatch}
+                      onRemoveWatch={handleRemoveWatch}
+                      onEvaluate={handleEvaluate}
+                      onAskTutor={handleAskAboutPause}
+                      onClose={() => setDebugRun(null)}
+                    />
+                  </div>
+                ) : traceRun ? (
+                  <div className="output-content">
+                    {traceRun.status === 'running' ? (
+                      <div className="output-running">Tracing...</div>
+                    ) : (
+                      <TraceViewer
+                        trace={traceRun}
+                        step={traceStep}
+                        onStep={(index) => showTraceStep(traceRun.steps, index)}
+                        onClose={() => setTraceRun(null)}
+                      />
+                    )}
+                  </div>
+                ) : (
                 <div className={`output-content ${codeOutput?.status || ''}`}>
-                  {codeOutput?.status === 'running' && (
+                  {codeOutput?.interactive && (
+                    <>
+                      <pre className="output-text interactive-transcript">
+                        {codeOutput.transcript.map((chunk, index) => (
+                          <span key={index} className={`transcript-${chunk.stream}`}>{chunk.text}</span>
+                        ))}
+                      </pre>
+                      {codeOutput.status === 'running' && codeOutput.phase !== 'running' && (
+                        <div className="output-running">
+                          {codeOutput.phase === 'compiling' ? 'Compiling...' : 'Starting...'}
+                        </div>
+                      )}
+                      {codeOutput.status === 'running' && codeOutput.phase === 'running' && (
+                        <form className="interactive-input" onSubmit={handleSendInput}>
+                          <input
+                            value={interactiveLine}
+                            onChange={(e) => setInteractiveLine(e.target.value)}
+                            onKeyDown={handleInteractiveKeyDown}
+                            placeholder="Type input and press Enter"
+                            spellCheck={false}
+                            autoFocus
+                          />
+                          <button type="submit">Send</button>
+                          <button type="button" onClick={handleEndInput} title="Close the input (Ctrl+D)">EOF</button>
+                        </form>
+                      )}
+                    </>
+                  )}
+                  {codeOutput?.status === 'running' && !codeOutput.interactive && (
                     <div className="output-running">Running code...</div>
                   )}
                   {codeOutput?.status === 'success' && (
                     <>
-                      <pre className="output-text">{codeOutput.output || '(No output)'}</pre>
+                      {!codeOutput.interactive && <pre className="output-text">{codeOutput.output || '(No output)'}</pre>}
                       <div className="output-meta">✓ Executed in {codeOutput.executionTime}ms</div>
+                      <RunUsage run={codeOutput} />
                     </>
                   )}
                   {codeOutput?.status === 'error' && (
                     <>
-                      {codeOutput.output && <pre className="output-text">{codeOutput.output}</pre>}
-                      <pre className="output-error">{codeOutput.error}</pre>
+                      {!codeOutput.interactive && codeOutput.output && <pre className="output-text">{codeOutput.output}</pre>}
+                      {codeOutput.stopped && (
+                        <div className="output-meta stopped">■ Stopped after {codeOutput.executionTime}ms</div>
+                      )}
+                      <RunUsage run={codeOutput} />
+                      {codeOutput.diagnostics?.length > 0 && (
+                        <div className="output-diagnostics">
+                          <ul>
+                            {codeOutput.diagnostics.map((d, index) => (
+                              <li key={index} className={`diagnostic ${d.severity}`}>
+                                {d.line && d.file && project.files.some(file => file.name === d.file) ? (
+                                  <button className="diagnostic-location" onClick={() => handleOpenDiagnostic(d)} title={`Open ${d.file}`}>
+                                    {d.file}:{d.line}{d.column ? `:${d.column}` : ''}
+                                  </button>
+                                ) : (
+                                  <span className="diagnostic-location">
+                                    {d.line ? `Line ${d.line}${d.column ? `:${d.column}` : ''}` : d.phase}
+                                  </span>
+                                )}
+                                <strong>{d.errorClass}</strong> {d.message}
+                              </li>
+                            ))}
+                          </ul>
+                          <button className="explain-error-btn" onClick={handleExplainError} disabled={loading}>
+                            {Icons.lightbulb} {errorHint === null
+                              ? 'Explain this error'
+                              : errorHint.hintsRemaining > 0
+                                ? `Give me a bigger hint (${errorHint.hintsRemaining} left)`
+                                : 'Explain again'}
+                          </button>
+                        </div>
+                      )}
+                      {codeOutput.error && <pre className="output-error">{codeOutput.error}</pre>}
                     </>
                   )}
                 </div>
+                )}
               </div>
             </div>
           )}
@@ -1269,7 +3194,104 @@ function App() {
                 <span>•</span>
                 <span>{code.split('\n').length} lines</span>
               </div>
+              {complexity && (
+                <button
+                  className="complexity-badge"
+                  onClick={() => setShowComplexityDetails(prev => !prev)}
+                  title={complexity.explanation}
+                >
+                  {Icons.clock} {complexity.worst}
+                </button>
+              )}
             </div>
+            {complexity && showComplexityDetails && (
+              <div className="complexity-details">
+                <div className="complexity-summary">
+                  Best {complexity.best} · Average {complexity.average} · Worst {complexity.worst}
+                </div>
+                <p>{complexity.explanation}</p>
+                {complexity.functions.length > 1 && (
+                  <ul>
+                    {complexity.functions.map(fn => (
+                      <li key={`${fn.name}-${fn.line}`}>
+                        <strong>{fn.name}</strong> (line {fn.line}): {fn.worst}
+                        {fn.recurrence && <> · <code>{fn.recurrence}</code></>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {complexity.evidence.length > 0 && (
+                  <ul className="complexity-evidence">
+                    {complexity.evidence.slice(0, 6).map(item => (
+                      <li key={`${item.line}-${item.kind}`}>
+                        <span>Line {item.line}</span> <code>{item.text}</code>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {measurableFunctions.length > 0 && (
+                  <div className="complexity-measure">
+                    <select
+                      value={measurableFunctions.some(fn => fn.name === measureFunction) ? measureFunction : measurableFunctions[0].name}
+                      onChange={(e) => setMeasureFunction(e.target.value)}
+                      title="Function to time"
+                    >
+                      {measurableFunctions.map(fn => (
+                        <option key={`${fn.name}-${fn.line}`} value={fn.name}>{fn.name}()</option>
+                      ))}
+                    </select>
+                    <select
+                      value={measureInputType}
+                      onChange={(e) => setMeasureInputType(e.target.value)}
+                      title="What to call it with"
+                    >
+                      <option value="array">array of size n</option>
+                      <option value="string">string of length n</option>
+                      <option value="integer">integer n</option>
+                    </select>
+                    {measureInputType === 'array' && (
+                      <select value={measureOrder} onChange={(e) => setMeasureOrder(e.target.value)} title="Array order">
+                        <option value="random">random</option>
+                        <option value="sorted">sorted</option>
+                        <option value="reversed">reversed</option>
+                      </select>
+                    )}
+                    <button onClick={handleMeasureComplexity} disabled={measuring}>
+                      {measuring ? 'Measuring...' : 'Measure'}
+                    </button>
+                  </div>
+                )}
+                {measurement && (
+                  <div className="complexity-measurement">
+                    {measurement.error ? (
+                      <p className="complexity-measure-error">{measurement.error}</p>
+                    ) : (
+                      <div className="complexity-summary">
+                        Measured {measurement.bestFit} ({measurement.confidence} confidence)
+                        {measurement.staticEstimate && (
+                          <> · static {measurement.staticEstimate.worst} {measurement.agreesWithStatic ? '✓' : '≠'}</>
+                        )}
+                      </div>
+                    )}
+                    {measurement.note && <p>{measurement.note}</p>}
+                    {measurement.timings.length > 0 && (
+                      <table className="complexity-timings">
+                        <thead>
+                          <tr><th>n</th><th>time (ms)</th></tr>
+                        </thead>
+                        <tbody>
+                          {measurement.timings
+                            .filter((_, index, all) => all.length <= 8 || index % Math.ceil(all.length / 8) === 0 || index === all.length - 1)
+                            .map(row => (
+                              <tr key={row.n}><td>{row.n}</td><td>{row.timeMs}</td></tr>
+                            ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
 
@@ -1288,14 +3310,26 @@ function App() {
         <main className="chat-container">
           <div className="chat-header">
             <h2>AI Tutor Chat</h2>
+            <button
+              className={`mode-toggle ${socraticMode ? 'active' : ''}`}
+              onClick={() => setSocraticMode(prev => !prev)}
+              title="Socratic mode: the tutor only asks questions and checks your answers"
+            >
+              {Icons.lightbulb} {socraticMode ? 'Socratic: on' : 'Socratic: off'}
+            </button>
           </div>
 
           <div className="chat-messages">
             {chatMessages.map((msg, index) => (
-              <div key={index} className={`message ${msg.role}`}>
+              <div key={msg.id || index} className={`message ${msg.role} ${msg.streaming ? 'streaming' : ''}`}>
                 <div className="message-header">
                   <span className="message-role">
                     {msg.role === 'user' ? 'You' : 'AI Tutor'}
+                    {msg.rawResponse?.socratic?.evaluation && (
+                      <span className={`answer-evaluation ${msg.rawResponse.socratic.evaluation}`}>
+                        {ANSWER_EVALUATION_LABELS[msg.rawResponse.socratic.evaluation]}
+                      </span>
+                    )}
                   </span>
                   <span className="message-time">
                     {msg.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -1306,7 +3340,7 @@ function App() {
                 </div>
               </div>
             ))}
-            {loading && (
+            {loading && !streaming && (
               <div className="message assistant">
                 <div className="message-header">
                   <span className="message-role">AI Tutor</span>
@@ -1367,18 +3401,37 @@ function App() {
                 rows="1"
                 disabled={loading || backendStatus !== 'connected'}
               />
-              <button
-                onClick={handleSendMessage}
-                disabled={loading || backendStatus !== 'connected'}
-                className="send-button"
-                title="Send message"
-              >
-                {loading ? Icons.loader : Icons.send}
-              </button>
+              {streaming ? (
+                <button
+                  onClick={handleCancelReply}
+                  className="send-button stop-button"
+                  title="Stop reply"
+                >
+                  {Icons.stop}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSendMessage}
+                  disabled={loading || backendStatus !== 'connected'}
+                  className="send-button"
+                  title="Send message"
+                >
+                  {loading ? Icons.loader : Icons.send}
+                </button>
+              )}
             </div>
           </div>
         </main>
       </div>
+
+      {classAnalytics && (
+        <ClassAnalytics
+          analytics={classAnalytics}
+          error={analyticsError}
+          onClose={() => { setClassAnalytics(null); setAnalyticsError(''); }}
+          onExport={handleExportAnalytics}
+        />
+      )}
     </div>
   );
 }
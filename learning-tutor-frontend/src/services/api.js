@@ -16,6 +16,29 @@ const api = axios.create({
   withCredentials: false
 });
 
+// Sign-in token from /auth/login, kept across reloads
+const TOKEN_KEY = 'learning_tutor_token';
+
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setAuthToken(token) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+function authHeaders() {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Signed-in requests carry the token; the backend treats the rest as anonymous
+api.interceptors.request.use(config => {
+  Object.assign(config.headers, authHeaders());
+  return config;
+});
+
 /**
  * Check if backend is running
  */
@@ -30,21 +53,40 @@ export async function checkHealth() {
 
 /**
  * Analyze code - the main tutoring function
- * @param {Object} params - { code, language, level, hintLevel, userQuestion, learningState }
+ * @param {Object} params - { code, language, level, mode, hintRequest, problemId, userQuestion, learningState, sessionId, diagnostics, assignmentId }
  * learningState includes: strugglingConcepts, masteredConcepts, hintsGivenThisSession, etc.
+ * sessionId continues a server-side conversation (returned in every response)
+ * hintRequest climbs the session's hint ladder for problemId; the response says
+ * which rung it answered on (hintLevel) and how many are left (hintsRemaining)
+ * mode 'socratic' makes the tutor only ask questions; the response's socratic
+ * field grades the student's answer ({ evaluation, concept, move })
+ * diagnostics are the structured errors from runCode, for "why did this fail?" questions
+ * assignmentId scopes the tutor to a classroom assignment (its statement and hint limit)
+ * exerciseId scopes it to a library exercise (its statement)
+ * files + activeFile send a multi-file project ([{ name, content }] and the open file's name)
+ * debugState is where the program is paused in the debugger ({ file, line, function, exception, locals, watches })
  */
-export async function analyzeCode({ code, language, level, hintLevel, userQuestion, learningState }) {
+export async function analyzeCode({ code, files, activeFile, language, level, mode, hintRequest, problemId, userQuestion, learningState, sessionId, diagnostics, debugState, assignmentId, exerciseId }) {
   try {
     console.log('🔍 Making API call to:', API_BASE_URL + '/analyze');
-    console.log('📤 Request data:', { code, language, level, hintLevel, userQuestion, learningState });
+    console.log('📤 Request data:', { code, language, level, mode, hintRequest, problemId, userQuestion, learningState, sessionId });
 
     const response = await api.post('/analyze', {
       code,
+      files,
+      activeFile,
       language,
       level,
-      hintLevel,
+      mode,
+      hintRequest,
+      problemId,
       userQuestion,
-      learningState
+      learningState,
+      sessionId,
+      diagnostics,
+      debugState,
+      assignmentId,
+      exerciseId
     });
 
     console.log('✅ API response:', response.data);
@@ -60,16 +102,86 @@ export async function analyzeCode({ code, language, level, hintLevel, userQuesti
   }
 }
 
+/**
+ * Analyze code with a streamed reply (Server-Sent Events)
+ * Uses fetch instead of axios because the reply arrives in pieces.
+ * @param {Object} params - same as analyzeCode
+ * @param {Object} handlers - { onToken(text), signal } - abort the signal to cancel
+ * @returns the final structured response ({ reply, conceptsTaught, errorType, hintLevel, hintsRemaining, sessionId, ... })
+ */
+export async function streamAnalyzeCode({ code, files, activeFile, language, level, mode, hintRequest, problemId, userQuestion, learningState, sessionId, diagnostics, debugState, assignmentId, exerciseId }, { onToken, signal } = {}) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/analyze/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ code, files, activeFile, language, level, mode, hintRequest, problemId, userQuestion, learningState, sessionId, diagnostics, debugState, assignmentId, exerciseId }),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error('Failed to connect to tutor backend: ' + error.message);
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Analysis failed');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let eventName = 'message';
+      let data = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (!data) continue;
+
+      const payload = JSON.parse(data);
+      if (eventName === 'token') {
+        onToken?.(payload.text);
+      } else if (eventName === 'done') {
+        result = payload;
+      } else if (eventName === 'error') {
+        throw new Error(payload.error || 'Analysis failed');
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('The tutor stopped responding before finishing');
+  }
+  return result;
+}
+
 /**
  * Run code - execute code and get output
- * @param {Object} params - { code, language, input }
+ * @param {Object} params - { code, files, language, input, assignmentId }
+ * files ([{ name, content }]) runs a multi-file project instead of code
  */
-export async function runCode({ code, language, input }) {
+export async function runCode({ code, files, language, input, assignmentId }) {
   try {
     const response = await api.post('/run', {
       code,
+      files,
       language,
-      input
+      input,
+      assignmentId
     });
     return response.data;
   } catch (error) {
@@ -80,6 +192,480 @@ export async function runCode({ code, language, input }) {
   }
 }
 
+/**
+ * WebSocket URL for a backend path, next to API_BASE_URL
+ */
+function webSocketUrl(path) {
+  const base = new URL(API_BASE_URL || window.location.origin, window.location.href);
+  base.protocol = base.protocol === 'https:' ? 'wss:' : 'ws:';
+  base.pathname = `${base.pathname.replace(/\/$/, '')}${path}`;
+  return base.toString();
+}
+
+/**
+ * Run code interactively over a WebSocket - output streams back and stdin is
+ * typed while the program runs (the backend needs CODE_EXECUTOR=local)
+ * @param {Object} params - { code, files, language } - files runs a multi-file project instead of code
+ * @param {Object} handlers - { onStatus(phase), onOutput(stream, text), onExit(result), onError(message) }
+ * onExit gets { success, exitCode, signal, timedOut, outputTruncated, compilationError, executionTime, diagnostics }
+ * @returns { send(text), endInput(), stop() }
+ */
+export function startInteractiveRun({ code, files, language }, { onStatus, onOutput, onExit, onError } = {}) {
+  const socket = new WebSocket(webSocketUrl('/run/interactive'));
+  let finished = false;
+  const send = message => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  socket.onopen = () => send({ type: 'start', code, files, language });
+  socket.onmessage = event => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'status') {
+      onStatus?.(message.phase);
+    } else if (message.type === 'stdout' || message.type === 'stderr') {
+      onOutput?.(message.type, message.data);
+    } else if (message.type === 'exit') {
+      finished = true;
+      onExit?.(message);
+    } else if (message.type === 'error') {
+      finished = true;
+      onError?.(message.details ? `${message.error}: ${message.details.join(', ')}` : message.error);
+    }
+  };
+  socket.onclose = () => {
+    if (!finished) onError?.('Lost the connection to the program');
+  };
+
+  return {
+    send: text => send({ type: 'input', data: text }),
+    endInput: () => send({ type: 'eof' }),
+    stop: () => send({ type: 'kill' })
+  };
+}
+
+/**
+ * Debug code over a WebSocket - stop at breakpoints, step, and inspect
+ * variables while the program is paused (the backend needs CODE_EXECUTOR=local)
+ * @param {Object} params - { code, files, language, input, breakpoints: [{ file, line }], watches: [expression], stopOnEntry }
+ * @param {Object} handlers - { onStatus(phase), onOutput(stream, text), onBreakpoints(breakpoints),
+ *   onPaused(pause), onWatches(watches), onEvaluation(result), onExit(result), onError(message) }
+ * onPaused gets { reason, file, line, function, exception, stack, watches }; stack is innermost
+ * frame first, each { function, file, line, locals: [{ name, type, value }] }
+ * onExit gets the same result as startInteractiveRun's
+ * @returns { resume(action), setBreakpoints(breakpoints), setWatches(watches), evaluate(id, expression, frame), stop() }
+ * where action is 'continue' | 'stepOver' | 'stepInto' | 'stepOut'
+ */
+export function startDebugSession({ code, files, language, input, breakpoints, watches, stopOnEntry }, handlers = {}) {
+  const { onStatus, onOutput, onBreakpoints, onPaused, onWatches, onEvaluation, onExit, onError } = handlers;
+  const socket = new WebSocket(webSocketUrl('/debug'));
+  let finished = false;
+  const send = message => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  socket.onopen = () => send({ type: 'start', code, files, language, input, breakpoints, watches, stopOnEntry });
+  socket.onmessage = event => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'status') {
+      onStatus?.(message.phase);
+    } else if (message.type === 'stdout' || message.type === 'stderr') {
+      onOutput?.(message.type, message.data);
+    } else if (message.type === 'breakpoints') {
+      onBreakpoints?.(message.breakpoints);
+    } else if (message.type === 'paused') {
+      onPaused?.(message);
+    } else if (message.type === 'watches') {
+      onWatches?.(message.watches);
+    } else if (message.type === 'evaluation') {
+      onEvaluation?.(message);
+    } else if (message.type === 'exit') {
+      finished = true;
+      onExit?.(message);
+    } else if (message.type === 'error') {
+      finished = true;
+      onError?.(message.details ? `${message.error}: ${message.details.join(', ')}` : message.error);
+    }
+  };
+  socket.onclose = () => {
+    if (!finished) onError?.('Lost the connection to the debugger');
+  };
+
+  return {
+    resume: action => send({ type: action }),
+    setBreakpoints: breakpoints => send({ type: 'setBreakpoints', breakpoints }),
+    setWatches: watchList => send({ type: 'setWatches', watches: watchList }),
+    evaluate: (id, expression, frame) => send({ type: 'evaluate', id, expression, frame }),
+    stop: () => send({ type: 'stop' })
+  };
+}
+
+/**
+ * Trace code - run a Python or C program step by step (local backend only)
+ * @param {Object} params - { code, files?, language, input?, maxSteps? }
+ * Returns { success, steps: [{ file, line, event, function, stack, stdout }], stepLimitReached, output, error, diagnostics }
+ */
+export async function traceCode({ code, files, language, input, maxSteps }) {
+  try {
+    const response = await api.post('/trace', {
+      code,
+      files,
+      language,
+      input,
+      maxSteps
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      const { error: message, details } = error.response.data;
+      throw new Error(details?.length ? details.join(', ') : message || 'Tracing failed');
+    }
+    throw new Error('Failed to trace code');
+  }
+}
+
+/**
+ * Judge code - run code against test cases
+ * @param {Object} params - { code, language, testCases, comparison, sessionId, problemId }
+ * testCases: [{ input, expectedOutput, timeLimitMs?, comparison? }]
+ * An Accepted verdict resets the hint ladder for sessionId + problemId
+ */
+export async function judgeCode({ code, language, testCases, comparison, sessionId, problemId }) {
+  try {
+    const response = await api.post('/judge', {
+      code,
+      language,
+      testCases,
+      comparison,
+      sessionId,
+      problemId
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Judging failed');
+    }
+    throw new Error('Failed to judge code');
+  }
+}
+
+/**
+ * Estimate the time complexity of code (no execution)
+ * @param {Object} params - { code, language }
+ * Returns { best, average, worst, explanation, functions, evidence }
+ */
+export async function analyzeComplexity({ code, language }) {
+  try {
+    const response = await api.post('/complexity', { code, language });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Complexity analysis failed');
+    }
+    throw new Error('Failed to analyze complexity');
+  }
+}
+
+/**
+ * Measure how a function's running time grows with input size
+ * input: { type: 'array' | 'string' | 'integer', order?: 'random' | 'sorted' | 'reversed' }
+ * Returns the static estimate plus an `empirical` section with the best-fit curve and timings
+ */
+export async function measureComplexity({ code, language, functionName, input }) {
+  try {
+    const response = await api.post('/complexity', {
+      code,
+      language,
+      mode: 'empirical',
+      functionName,
+      input
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      const { error: message, details } = error.response.data;
+      throw new Error(details?.length ? details.join(', ') : message || 'Measurement failed');
+    }
+    throw new Error('Failed to measure complexity');
+  }
+}
+
+/**
+ * Heuristic issues for the editor, refreshed while the student types
+ * @param {Object} params - { code, language }
+ * Returns { issues: [{ type, severity, line, column, endLine, endColumn, hint, description }] }
+ */
+export async function lintCode({ code, language }) {
+  try {
+    const response = await api.post('/lint', { code, language });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Lint failed');
+    }
+    throw new Error('Failed to lint code');
+  }
+}
+
+/**
+ * Create an account and sign in
+ * Stores the token, so later requests are signed in
+ * Returns { user: { id, username, createdAt }, token, expiresAt }
+ */
+export async function register({ username, password }) {
+  try {
+    const response = await api.post('/auth/register', { username, password });
+    setAuthToken(response.data.token);
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      const { error: message, details } = error.response.data;
+      throw new Error(details?.length ? details.join(', ') : message || 'Registration failed');
+    }
+    throw new Error('Failed to create account');
+  }
+}
+
+/**
+ * Sign in with a username and password
+ * Returns { user, token, expiresAt }
+ */
+export async function login({ username, password }) {
+  try {
+    const response = await api.post('/auth/login', { username, password });
+    setAuthToken(response.data.token);
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Sign-in failed');
+    }
+    throw new Error('Failed to sign in');
+  }
+}
+
+/**
+ * Sign out (the token is forgotten even if the backend can't be reached)
+ */
+export async function logout() {
+  try {
+    await api.post('/auth/logout');
+  } catch (error) {
+    console.warn('Sign-out request failed:', error.message);
+  } finally {
+    setAuthToken(null);
+  }
+}
+
+/**
+ * The signed-in account, or null (a rejected token is forgotten)
+ */
+export async function getAccount() {
+  if (!getAuthToken()) return null;
+  try {
+    const response = await api.get('/auth/me');
+    return response.data.user;
+  } catch (error) {
+    if (error.response?.status === 401) {
+      setAuthToken(null);
+      return null;
+    }
+    throw new Error('Failed to check sign-in');
+  }
+}
+
+/**
+ * Sync the learning profile with the server
+ * @param {Object} documents - { progress?, learningState? }, each { data, updatedAt }
+ * Returns the merged profile: the newer copy of each document
+ */
+export async function syncProfile(documents) {
+  try {
+    const response = await api.put('/profile', documents);
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Sync failed');
+    }
+    throw new Error('Failed to sync profile');
+  }
+}
+
+/**
+ * The signed-in student's stored conversations, newest first
+ * Returns [{ sessionId, title, messageCount, createdAt, updatedAt }]
+ */
+export async function listConversations() {
+  try {
+    const response = await api.get('/profile/conversations');
+    return response.data.conversations;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to load conversations');
+    }
+    throw new Error('Failed to load conversations');
+  }
+}
+
+/**
+ * A conversation's history
+ * Returns { sessionId, summary, messages: [{ role, content, code?, timestamp }], ... }
+ */
+export async function getSession(sessionId) {
+  try {
+    const response = await api.get(`/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to load conversation');
+    }
+    throw new Error('Failed to load conversation');
+  }
+}
+
+/**
+ * Classes the signed-in user teaches or has joined
+ * Returns [{ id, name, role, instructor, joinCode?, studentCount, assignmentCount }]
+ */
+export async function listClasses() {
+  try {
+    const response = await api.get('/classes');
+    return response.data.classes;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to load classes');
+    }
+    throw new Error('Failed to load classes');
+  }
+}
+
+/**
+ * Join a class with the code from its instructor
+ * Returns the class
+ */
+export async function joinClass(joinCode) {
+  try {
+    const response = await api.post('/classes/join', { joinCode });
+    return response.data.class;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to join class');
+    }
+    throw new Error('Failed to join class');
+  }
+}
+
+/**
+ * A class and its assignments (each with the student's progress)
+ * Returns { class, assignments: [{ id, title, statement, language, starterCode, maxHintLevel, testCount, progress }] }
+ */
+export async function getClass(classId) {
+  try {
+    const response = await api.get(`/classes/${classId}`);
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to load class');
+    }
+    throw new Error('Failed to load class');
+  }
+}
+
+/**
+ * Instructor analytics for a class: error types, stuck concepts, hint usage,
+ * time on task and flagged students, per assignment and across the class
+ */
+export async function getClassAnalytics(classId) {
+  try {
+    const response = await api.get(`/classes/${classId}/analytics`);
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to load analytics');
+    }
+    throw new Error('Failed to load analytics');
+  }
+}
+
+/**
+ * The class analytics as a CSV file, one row per student and assignment
+ * Returns { blob, filename }
+ */
+export async function exportClassAnalytics(classId) {
+  try {
+    const response = await api.get(`/classes/${classId}/analytics.csv`, { responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || 'class-analytics.csv';
+    return { blob: response.data, filename };
+  } catch {
+    throw new Error('Failed to export analytics');
+  }
+}
+
+/**
+ * Submit code against an assignment's hidden tests
+ * An Accepted verdict resets the hint ladder for the assignment in sessionId
+ * Returns { verdict, passed, total, results: [{ index, verdict, executionTime }], progress }
+ */
+export async function submitAssignment(assignmentId, { code, sessionId }) {
+  try {
+    const response = await api.post(`/assignments/${assignmentId}/submit`, { code, sessionId });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Submission failed');
+    }
+    throw new Error('Failed to submit');
+  }
+}
+
+/**
+ * The exercise library, narrowed to a language and/or difficulty
+ * Returns [{ id, title, difficulty, concepts, languages, complexity: { time, space } }]
+ */
+export async function listExercises({ language, difficulty } = {}) {
+  try {
+    const response = await api.get('/exercises', { params: { language, difficulty } });
+    return response.data.exercises;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to load exercises');
+    }
+    throw new Error('Failed to load exercises');
+  }
+}
+
+/**
+ * An exercise with its starter code for one language (hidden tests left out)
+ * Returns { id, title, difficulty, concepts, complexity, statement, starterCode, samples, testCount }
+ */
+export async function getExercise(exerciseId, language) {
+  try {
+    const response = await api.get(`/exercises/${exerciseId}`, { params: { language } });
+    return response.data.exercise;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Failed to load exercise');
+    }
+    throw new Error('Failed to load exercise');
+  }
+}
+
+/**
+ * Submit code against an exercise's samples and hidden tests
+ * An Accepted verdict resets the hint ladder for the exercise in sessionId
+ * Returns { verdict, passed, total, results, concepts?, complexity? } - concepts and complexity when Accepted
+ */
+export async function submitExercise(exerciseId, { code, language, sessionId }) {
+  try {
+    const response = await api.post(`/exercises/${exerciseId}/submit`, { code, language, sessionId });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data) {
+      throw new Error(error.response.data.error || 'Submission failed');
+    }
+    throw new Error('Failed to submit');
+  }
+}
+
 /**
  * Check available compilers
  */
@@ -7,11 +7,44 @@
  * - Concepts the student has mastered
  * - Session-specific hints and errors
  * - Previous explanations for context
+ *
+ * When signed in, localStorage is an offline cache: services/sync.js sends
+ * the documents that changed to the server and stores what comes back.
  */
 
 // Storage keys
 const STORAGE_KEY = 'learning_tutor_progress';
 const LEARNING_STATE_KEY = 'learning_tutor_state';
+// When each document last changed, and whether the server has that copy
+const SYNC_KEY = 'learning_tutor_sync';
+
+/**
+ * Sync metadata: { progress: { updatedAt, synced }, learningState: { ... } }
+ */
+function getSyncMeta() {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveSyncMeta(meta) {
+  try {
+    localStorage.setItem(SYNC_KEY, JSON.stringify(meta));
+  } catch (e) {
+    console.error('Failed to save sync state:', e);
+  }
+}
+
+/**
+ * Marks a document as changed locally (to be sent on the next sync)
+ */
+function markChanged(name) {
+  const meta = getSyncMeta();
+  meta[name] = { updatedAt: Date.now(), synced: false };
+  saveSyncMeta(meta);
+}
 
 /**
  * Get progress from localStorage
@@ -42,6 +75,7 @@ export function getProgress() {
       moderate: 0,
       complex: 0
     },
+    solvedExercises: [], // ids of library exercises passed
     lastSession: null
   };
 }
@@ -80,6 +114,7 @@ export function getLearningState() {
 export function saveLearningState(state) {
   try {
     localStorage.setItem(LEARNING_STATE_KEY, JSON.stringify(state));
+    markChanged('learningState');
   } catch (e) {
     console.error('Failed to save learning state:', e);
   }
@@ -87,7 +122,7 @@ export function saveLearningState(state) {
 
 /**
  * Update learning state after AI response
- * @param {Object} response - The AI response containing conceptsTaught, etc.
+ * @param {Object} response - The AI response containing conceptsTaught, socratic (answer grade), etc.
  * @param {string} errorType - Type of error if detected
  * @param {boolean} wasHintRequest - Whether user asked for a hint
  */
@@ -142,6 +177,20 @@ export function updateLearningState(response, errorType = null, wasHintRequest =
     });
   }
 
+  // Socratic mode grades the student's answer to the tutor's last question
+  const socratic = response?.socratic;
+  if (socratic?.evaluation && socratic.concept) {
+    const concept = socratic.concept;
+    if (socratic.evaluation === 'correct') {
+      state.strugglingConcepts = state.strugglingConcepts.filter(c => c !== concept);
+      if (!state.masteredConcepts.includes(concept)) {
+        state.masteredConcepts.push(concept);
+      }
+    } else if (socratic.evaluation === 'wrong' && !state.strugglingConcepts.includes(concept)) {
+      state.strugglingConcepts.push(concept);
+    }
+  }
+
   // Store summary of explanation for context
   if (response?.reply) {
     const summary = response.reply.substring(0, 100) + '...';
@@ -197,6 +246,25 @@ export function markConceptMastered(concept) {
   return state;
 }
 
+/**
+ * Record a solved library exercise: its concept tags count as mastered
+ * Returns { progress, learningState }
+ */
+export function markExerciseSolved(exercise) {
+  const progress = getProgress();
+  const solved = progress.solvedExercises || [];
+  if (!solved.includes(exercise.id)) {
+    progress.solvedExercises = [...solved, exercise.id];
+    saveProgress(progress);
+  }
+
+  let learningState = getLearningState();
+  exercise.concepts.forEach(concept => {
+    learningState = markConceptMastered(concept);
+  });
+  return { progress, learningState };
+}
+
 /**
  * Get a summary of learning state for display
  */
@@ -217,6 +285,7 @@ export function getLearningStateSummary() {
 export function saveProgress(progress) {
   try {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    markChanged('progress');
   } catch (e) {
     console.error('Failed to save progress:', e);
   }
@@ -271,5 +340,46 @@ export function formatTime(seconds) {
  */
 export function resetProgress() {
   localStorage.removeItem(STORAGE_KEY);
+  markChanged('progress');
   return getProgress();
 }
+
+/**
+ * Documents changed since the last sync, in the shape PUT /profile takes:
+ * { progress?: { data, updatedAt }, learningState?: { data, updatedAt } }
+ */
+export function getUnsyncedDocuments() {
+  const meta = getSyncMeta();
+  const read = { progress: getProgress, learningState: getLearningState };
+  const documents = {};
+  for (const [name, load] of Object.entries(read)) {
+    if (meta[name] && !meta[name].synced) {
+      documents[name] = { data: load(), updatedAt: meta[name].updatedAt };
+    }
+  }
+  return documents;
+}
+
+/**
+ * Stores the server's merged profile (from PUT /profile)
+ * A document changed locally after the sync started is kept, and goes
+ * out on the next sync
+ */
+export function applySyncedProfile(profile) {
+  const meta = getSyncMeta();
+  const keys = { progress: STORAGE_KEY, learningState: LEARNING_STATE_KEY };
+
+  for (const [name, key] of Object.entries(keys)) {
+    const remote = profile[name];
+    if (!remote) continue;
+    const local = meta[name];
+    if (local && local.updatedAt > remote.updatedAt) continue;
+
+    if (remote.data) {
+      localStorage.setItem(key, JSON.stringify(remote.data));
+    }
+    meta[name] = { updatedAt: remote.updatedAt, synced: true };
+  }
+
+  saveSyncMeta(meta);
+}
@@ -0,0 +1,81 @@
+/**
+ * Project Files
+ * The editor holds a project: { files: [{ name, content }], active }
+ *
+ * Names are relative paths ("main.c", "lib/util.h"). Single-file code is a
+ * project of one file named the way the backend would name it, and the
+ * backend (POST /run, /analyze) checks the same rules as fileNameError.
+ */
+
+// Extensions each language's projects may contain (sources, headers, data files)
+export const FILE_EXTENSIONS = {
+  python: ['.py', '.txt', '.csv'],
+  c: ['.c', '.h', '.txt', '.csv'],
+  cpp: ['.cpp', '.cc', '.h', '.hpp', '.txt', '.csv'],
+  java: ['.java', '.txt', '.csv']
+};
+
+export const MAX_PROJECT_FILES = 20;
+
+const FILE_NAME = /^[A-Za-z0-9_][A-Za-z0-9_.-]*(\/[A-Za-z0-9_][A-Za-z0-9_.-]*)*$/;
+
+/**
+ * main.py, main.c, main.cpp or <PublicClass>.java
+ */
+export function mainFileName(language, code = '') {
+  if (language === 'java') {
+    const match = code.match(/public\s+(?:final\s+|abstract\s+)*class\s+(\w+)/);
+    return `${match ? match[1] : 'Main'}.java`;
+  }
+  return `main.${language === 'python' ? 'py' : language}`;
+}
+
+export function singleFileProject(language, code) {
+  const name = mainFileName(language, code);
+  return { files: [{ name, content: code }], active: name };
+}
+
+/**
+ * Why a new file name can't be used, or null if it can
+ */
+export function fileNameError(name, files, language) {
+  if (!FILE_NAME.test(name) || name.length > 100) {
+    return 'Use letters, digits, "_", "-" and "." - folders with "/", e.g. lib/util.h';
+  }
+  if (!FILE_EXTENSIONS[language].some(ext => name.toLowerCase().endsWith(ext))) {
+    return `The file must end in ${FILE_EXTENSIONS[language].join(', ')}`;
+  }
+  if (files.some(file => file.name === name)) {
+    return `${name} already exists`;
+  }
+  if (files.length >= MAX_PROJECT_FILES) {
+    return `A project can have at most ${MAX_PROJECT_FILES} files`;
+  }
+  return null;
+}
+
+/**
+ * Starting content for a new file, e.g. a class for a .java file
+ */
+export function newFileContent(name) {
+  const base = name.split('/').pop();
+  if (base.endsWith('.java')) {
+    const folder = name.includes('/') ? name.slice(0, name.lastIndexOf('/')).replace(/\//g, '.') : '';
+    const className = base.replace(/\.java$/, '');
+    return `${folder ? `package ${folder};\n\n` : ''}public class ${className} {\n\n}\n`;
+  }
+  if (/\.(h|hpp)$/.test(base)) {
+    const guard = base.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    return `#ifndef ${guard}\n#define ${guard}\n\n#endif\n`;
+  }
+  return '';
+}
+
+/**
+ * Monaco language of a file in a project of this language
+ */
+export function monacoLanguageOf(name, language) {
+  if (/\.(txt|csv)$/i.test(name)) return 'plaintext';
+  if (/\.(h|hpp)$/i.test(name)) return language === 'c' ? 'c' : 'cpp';
+  return language;
+}
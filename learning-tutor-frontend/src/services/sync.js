@@ -0,0 +1,50 @@
+/**
+ * Profile Sync
+ * Keeps the signed-in student's progress and learning state in step with
+ * the server. localStorage stays the working copy, so the tutor works the
+ * same offline; changes go up when the connection is back.
+ */
+
+import { getAuthToken, syncProfile } from './api';
+import { getUnsyncedDocuments, applySyncedProfile } from './progress';
+
+// How often to sync while the page is open
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Sends local changes and stores the merged profile
+ * Returns true if the server was reached (does nothing when signed out)
+ */
+export async function syncNow() {
+  if (!getAuthToken() || !navigator.onLine) return false;
+  try {
+    const profile = await syncProfile(getUnsyncedDocuments());
+    applySyncedProfile(profile);
+    return true;
+  } catch (error) {
+    console.warn('Profile sync failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Syncs now, then every minute, when the browser comes back online and
+ * when the page is hidden
+ * onSynced() runs after each successful sync, to reload state from storage
+ * Returns a function that stops syncing
+ */
+export function startProfileSync(onSynced) {
+  const run = () => syncNow().then(synced => { if (synced) onSynced?.(); });
+  const onVisibility = () => { if (document.visibilityState === 'hidden') run(); };
+
+  run();
+  const interval = setInterval(run, SYNC_INTERVAL_MS);
+  window.addEventListener('online', run);
+  document.addEventListener('visibilitychange', onVisibility);
+
+  return () => {
+    clearInterval(interval);
+    window.removeEventListener('online', run);
+    document.removeEventListener('visibilitychange', onVisibility);
+  };
+}